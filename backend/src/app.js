@@ -9,6 +9,12 @@ const { sequelize } = require('./config/database');
 const logger = require('./utils/logger');
 const errorHandler = require('./middleware/errorHandler');
 const authMiddleware = require('./middleware/auth');
+const scheduler = require('./services/scheduler/scheduler');
+const { registerScheduledTasks } = require('./services/scheduler/tasks');
+const jobQueue = require('./services/jobs/jobQueue');
+const { registerJobHandlers } = require('./services/jobs/handlers');
+const eventBus = require('./services/events/eventBus');
+const { registerEventHandlers } = require('./services/events/handlers');
 
 // Import routes
 const authRoutes = require('./routes/auth');
@@ -16,6 +22,18 @@ const companyRoutes = require('./routes/companies');
 const userRoutes = require('./routes/users');
 const reportRoutes = require('./routes/reports');
 const tripRoutes = require('./routes/businessTrips');
+const approvalWorkflowRoutes = require('./routes/approvalWorkflows');
+const exchangeRateRoutes = require('./routes/exchangeRates');
+const expensePolicyRoutes = require('./routes/expensePolicies');
+const calendarRoutes = require('./routes/calendar');
+const jobRoutes = require('./routes/jobs');
+const portalRoutes = require('./routes/portal');
+const riskAssessmentRoutes = require('./routes/riskAssessments');
+const violationRoutes = require('./routes/violations');
+const ruleBacktestRoutes = require('./routes/ruleBacktests');
+const deadlineRoutes = require('./routes/deadlines');
+const eventRoutes = require('./routes/events');
+const transactionRiskRoutes = require('./routes/transactionRisks');
 const complianceRoutes = require('./routes/compliance');
 const notificationRoutes = require('./routes/notifications');
 const aiRoutes = require('./routes/ai');
@@ -40,7 +58,13 @@ const limiter = rateLimit({
 app.use('/api/', limiter);
 
 // Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
+// The raw body is kept for verifying signed webhooks (IT Park portal callbacks)
+app.use(express.json({
+  limit: '10mb',
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Logging middleware
@@ -62,6 +86,20 @@ app.use('/api/companies', authMiddleware, companyRoutes);
 app.use('/api/users', authMiddleware, userRoutes);
 app.use('/api/reports', authMiddleware, reportRoutes);
 app.use('/api/business-trips', authMiddleware, tripRoutes);
+app.use('/api/approval-workflows', authMiddleware, approvalWorkflowRoutes);
+app.use('/api/exchange-rates', authMiddleware, exchangeRateRoutes);
+app.use('/api/expense-policies', authMiddleware, expensePolicyRoutes);
+app.use('/api/jobs', authMiddleware, jobRoutes);
+app.use('/api/risk-assessments', authMiddleware, riskAssessmentRoutes);
+app.use('/api/violations', authMiddleware, violationRoutes);
+app.use('/api/rule-backtests', authMiddleware, ruleBacktestRoutes);
+app.use('/api/deadlines', authMiddleware, deadlineRoutes);
+app.use('/api/events', authMiddleware, eventRoutes);
+app.use('/api/transaction-risks', authMiddleware, transactionRiskRoutes);
+// Calendar apps cannot send a bearer token; feeds authenticate by URL token
+app.use('/api/calendar', calendarRoutes);
+// The IT Park portal authenticates its callbacks by HMAC signature
+app.use('/api/portal', portalRoutes);
 app.use('/api/compliance', authMiddleware, complianceRoutes);
 app.use('/api/notifications', authMiddleware, notificationRoutes);
 app.use('/api/ai', authMiddleware, aiRoutes);
@@ -96,6 +134,18 @@ const startServer = async () => {
       logger.info(`Comply AI Backend Server running on port ${PORT}`);
       logger.info(`Environment: ${process.env.NODE_ENV || 'development'}`);
     });
+
+    // Dispatch domain events to their handlers (compliance monitoring)
+    registerEventHandlers();
+    eventBus.start();
+
+    // Start periodic background tasks
+    registerScheduledTasks();
+    scheduler.start();
+
+    // Start processing background jobs (report rendering, packs, analysis)
+    registerJobHandlers();
+    jobQueue.start();
   } catch (error) {
     logger.error('Unable to start server:', error);
     process.exit(1);
@@ -105,12 +155,18 @@ const startServer = async () => {
 // Graceful shutdown
 process.on('SIGTERM', async () => {
   logger.info('SIGTERM received, shutting down gracefully');
+  scheduler.stop();
+  eventBus.stop();
+  await jobQueue.stop();
   await sequelize.close();
   process.exit(0);
 });
 
 process.on('SIGINT', async () => {
   logger.info('SIGINT received, shutting down gracefully');
+  scheduler.stop();
+  eventBus.stop();
+  await jobQueue.stop();
   await sequelize.close();
   process.exit(0);
 });
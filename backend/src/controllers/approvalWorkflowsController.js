@@ -0,0 +1,224 @@
+const { Op } = require('sequelize');
+const { ApprovalChain, ApprovalDelegation, User } = require('../models');
+const logger = require('../utils/logger');
+const pick = require('../utils/pick');
+
+const CHAIN_FIELDS = ['name', 'department', 'destinationType', 'budgetAbove', 'currency', 'priority', 'steps', 'isActive'];
+
+/**
+ * List the approval chains configured for the user's company
+ */
+const getChains = async (req, res, next) => {
+  try {
+    const chains = await ApprovalChain.findAll({
+      where: { companyId: req.user.companyId },
+      order: [['priority', 'DESC'], ['createdAt', 'ASC']]
+    });
+
+    res.status(200).json({
+      success: true,
+      data: chains
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create an approval chain
+ */
+const createChain = async (req, res, next) => {
+  try {
+    const chain = await ApprovalChain.create({
+      ...pick(req.body, CHAIN_FIELDS),
+      companyId: req.user.companyId
+    });
+
+    logger.info(`Approval chain ${chain.id} created for company ${req.user.companyId} by user ${req.user.id}`);
+
+    res.status(201).json({
+      success: true,
+      data: chain
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update an approval chain. Trips already in progress keep their steps.
+ */
+const updateChain = async (req, res, next) => {
+  try {
+    const chain = await ApprovalChain.findOne({
+      where: { id: req.params.chainId, companyId: req.user.companyId }
+    });
+
+    if (!chain) {
+      return res.status(404).json({
+        success: false,
+        error: 'Approval chain not found'
+      });
+    }
+
+    await chain.update(pick(req.body, CHAIN_FIELDS));
+
+    res.status(200).json({
+      success: true,
+      data: chain
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Deactivate an approval chain, keeping it for the history of past trips
+ */
+const deleteChain = async (req, res, next) => {
+  try {
+    const chain = await ApprovalChain.findOne({
+      where: { id: req.params.chainId, companyId: req.user.companyId }
+    });
+
+    if (!chain) {
+      return res.status(404).json({
+        success: false,
+        error: 'Approval chain not found'
+      });
+    }
+
+    await chain.update({ isActive: false });
+
+    res.status(200).json({
+      success: true,
+      message: 'Approval chain deactivated'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List current and upcoming delegations in the user's company
+ */
+const getDelegations = async (req, res, next) => {
+  try {
+    const today = new Date().toISOString().slice(0, 10);
+    const where = {
+      companyId: req.user.companyId,
+      isActive: true,
+      endsAt: { [Op.gte]: today }
+    };
+
+    // Non-admins only see delegations they give or receive
+    if (req.user.role !== 'admin') {
+      where[Op.or] = [{ delegatorId: req.user.id }, { delegateId: req.user.id }];
+    }
+
+    const delegations = await ApprovalDelegation.findAll({
+      where,
+      include: [
+        { model: User, as: 'delegator', attributes: ['id', 'firstName', 'lastName', 'role'] },
+        { model: User, as: 'delegate', attributes: ['id', 'firstName', 'lastName', 'role'] }
+      ],
+      order: [['startsAt', 'ASC']]
+    });
+
+    res.status(200).json({
+      success: true,
+      data: delegations
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delegate approval rights for a period, e.g. while on leave.
+ * Admins may set up a delegation on behalf of another user.
+ */
+const createDelegation = async (req, res, next) => {
+  try {
+    const delegatorId = req.user.role === 'admin' && req.body.delegatorId
+      ? req.body.delegatorId
+      : req.user.id;
+
+    if (delegatorId === req.body.delegateId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Cannot delegate approvals to the same user'
+      });
+    }
+
+    const users = await User.findAll({
+      where: {
+        id: [delegatorId, req.body.delegateId],
+        companyId: req.user.companyId,
+        isActive: true
+      }
+    });
+
+    if (users.length !== 2) {
+      return res.status(400).json({
+        success: false,
+        error: 'Delegator and delegate must be active users of your company'
+      });
+    }
+
+    const delegation = await ApprovalDelegation.create({
+      companyId: req.user.companyId,
+      delegatorId,
+      delegateId: req.body.delegateId,
+      startsAt: req.body.startsAt,
+      endsAt: req.body.endsAt,
+      reason: req.body.reason
+    });
+
+    logger.info(`User ${delegatorId} delegated approvals to ${req.body.delegateId} from ${req.body.startsAt} to ${req.body.endsAt}`);
+
+    res.status(201).json({
+      success: true,
+      data: delegation
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Revoke a delegation
+ */
+const revokeDelegation = async (req, res, next) => {
+  try {
+    const delegation = await ApprovalDelegation.findOne({
+      where: { id: req.params.delegationId, companyId: req.user.companyId }
+    });
+
+    if (!delegation || (req.user.role !== 'admin' && delegation.delegatorId !== req.user.id)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Delegation not found'
+      });
+    }
+
+    await delegation.update({ isActive: false });
+
+    res.status(200).json({
+      success: true,
+      message: 'Delegation revoked'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getChains,
+  createChain,
+  updateChain,
+  deleteChain,
+  getDelegations,
+  createDelegation,
+  revokeDelegation
+};
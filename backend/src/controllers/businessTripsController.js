@@ -0,0 +1,932 @@
+const path = require('path');
+const { sequelize, BusinessTrip, User, TripExpense, TripAdvance, TripReport, TripSettlement } = require('../models');
+const approvalWorkflow = require('../services/workflow/approvalWorkflow');
+const tripLifecycle = require('../services/workflow/tripLifecycle');
+const expenseService = require('../services/trips/expenseService');
+const receiptService = require('../services/trips/receiptService');
+const expensePolicyService = require('../services/trips/expensePolicyService');
+const settlementService = require('../services/trips/settlementService');
+const expenseImportService = require('../services/trips/expenseImportService');
+const tripCalendarService = require('../services/trips/tripCalendarService');
+const eventBus = require('../services/events/eventBus');
+const eimzoService = require('../services/esignature/eimzoService');
+const fileStorage = require('../services/storage/fileStorage');
+const pick = require('../utils/pick');
+
+const TRIP_FIELDS = ['tripTitle', 'destination', 'destinationCountry', 'purpose', 'startDate', 'endDate', 'totalBudget', 'currency'];
+
+// Fields the approval chain is chosen by; changing them restarts the approval
+const APPROVAL_FIELDS = ['destination', 'destinationCountry', 'startDate', 'endDate', 'totalBudget', 'currency'];
+
+const sameValue = (field, before, after) => (field === 'totalBudget'
+  ? (before === null ? null : Number(before)) === (after === null ? null : Number(after))
+  : String(before === null ? '' : before) === String(after === null ? '' : after));
+
+/**
+ * Load a trip the current user is allowed to see
+ * @param {string} tripId - Trip ID
+ * @param {Object} user - Authenticated user
+ * @returns {Object|null} Trip or null when missing / in another company
+ */
+const findAccessibleTrip = async (tripId, user) => {
+  const trip = await BusinessTrip.findByPk(tripId);
+  if (!trip) {
+    return null;
+  }
+  if (user.userType !== 'it_park_admin' && trip.companyId !== user.companyId) {
+    return null;
+  }
+  return trip;
+};
+
+const tripNotFound = res => res.status(404).json({
+  success: false,
+  error: 'Business trip not found'
+});
+
+// The traveller, managers and admins may change a trip and its expenses
+const canEditTrip = (trip, user) => (
+  trip.employeeId === user.id || ['manager', 'admin'].includes(user.role)
+);
+
+const forbidden = res => res.status(403).json({
+  error: 'Access denied',
+  message: 'Only the traveller, a manager or an admin can change this trip'
+});
+
+/**
+ * List the company's business trips, newest first
+ */
+const getAllTrips = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 20;
+
+    const where = {};
+    if (req.user.userType !== 'it_park_admin') {
+      where.companyId = req.user.companyId;
+    }
+    if (req.query.status) {
+      where.status = req.query.status;
+    }
+    if (req.query.employeeId) {
+      where.employeeId = req.query.employeeId;
+    }
+
+    const { rows, count } = await BusinessTrip.findAndCountAll({
+      where,
+      include: [{ model: User, as: 'employee', attributes: ['id', 'firstName', 'lastName'] }],
+      order: [['startDate', 'DESC'], ['createdAt', 'DESC']],
+      limit,
+      offset: (page - 1) * limit
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        trips: rows,
+        pagination: {
+          page,
+          limit,
+          total: count,
+          pages: Math.ceil(count / limit)
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a business trip with its traveller, expenses and trip report
+ */
+const getTripById = async (req, res, next) => {
+  try {
+    const trip = await findAccessibleTrip(req.params.id, req.user);
+    if (!trip) {
+      return tripNotFound(res);
+    }
+
+    const [employee, expenses, report] = await Promise.all([
+      User.findByPk(trip.employeeId, { attributes: ['id', 'firstName', 'lastName', 'email'] }),
+      TripExpense.findAll({ where: { tripId: trip.id }, order: [['expenseDate', 'ASC']] }),
+      TripReport.findOne({ where: { tripId: trip.id } })
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...trip.toJSON(),
+        employee,
+        expenses,
+        report
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create a business trip for the current user, or for another employee of
+ * the company when created by a manager or admin. Overlapping trips of the
+ * same employee are refused with the clashing trips.
+ */
+const createTrip = async (req, res, next) => {
+  try {
+    const fields = pick(req.body, TRIP_FIELDS);
+    if (new Date(fields.endDate) < new Date(fields.startDate)) {
+      return res.status(400).json({
+        success: false,
+        error: 'End date must not be before start date'
+      });
+    }
+
+    let employeeId = req.user.id;
+    if (req.body.employeeId && req.body.employeeId !== req.user.id) {
+      if (!['manager', 'admin'].includes(req.user.role)) {
+        return res.status(403).json({
+          error: 'Access denied',
+          message: 'Only managers and admins can create trips for other employees'
+        });
+      }
+
+      const employee = await User.findOne({ where: { id: req.body.employeeId, companyId: req.user.companyId } });
+      if (!employee) {
+        return res.status(404).json({
+          success: false,
+          error: 'Employee not found'
+        });
+      }
+      employeeId = employee.id;
+    }
+
+    const trip = await sequelize.transaction(async (transaction) => {
+      await tripCalendarService.assertNoOverlap({
+        employeeId,
+        startDate: fields.startDate,
+        endDate: fields.endDate
+      }, { transaction });
+
+      const created = await BusinessTrip.create({
+        ...fields,
+        companyId: req.user.companyId,
+        employeeId
+      }, { transaction });
+
+      await approvalWorkflow.startWorkflow(created, { transaction });
+      await eventBus.publish('trip.created', {
+        companyId: created.companyId,
+        aggregateType: 'business_trip',
+        aggregateId: created.id,
+        userId: req.user.id
+      }, { transaction });
+      return created;
+    });
+
+    res.status(201).json({
+      success: true,
+      data: trip
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update a business trip. A `status` change goes through the lifecycle
+ * state machine; reported trips are locked.
+ */
+const updateTrip = async (req, res, next) => {
+  try {
+    const trip = await findAccessibleTrip(req.params.id, req.user);
+    if (!trip) {
+      return tripNotFound(res);
+    }
+    if (!canEditTrip(trip, req.user)) {
+      return forbidden(res);
+    }
+    if (trip.status === 'reported') {
+      return res.status(409).json({
+        success: false,
+        error: 'Reported trips can no longer be changed'
+      });
+    }
+
+    const changes = pick(req.body, TRIP_FIELDS);
+    const approvalChanges = APPROVAL_FIELDS.filter(field => changes[field] !== undefined
+      && !sameValue(field, trip[field], changes[field]));
+    if (approvalChanges.length > 0 && trip.status !== 'planned') {
+      return res.status(409).json({
+        success: false,
+        error: `The ${approvalChanges.join(', ')} of a trip cannot be changed once it is ${trip.status}`
+      });
+    }
+
+    const startDate = changes.startDate || trip.startDate;
+    const endDate = changes.endDate || trip.endDate;
+    if (new Date(endDate) < new Date(startDate)) {
+      return res.status(400).json({
+        success: false,
+        error: 'End date must not be before start date'
+      });
+    }
+
+    await sequelize.transaction(async (transaction) => {
+      if (startDate !== trip.startDate || endDate !== trip.endDate) {
+        await tripCalendarService.assertNoOverlap({
+          id: trip.id,
+          employeeId: trip.employeeId,
+          startDate,
+          endDate
+        }, { transaction });
+      }
+
+      const currencyChanged = changes.currency && changes.currency !== trip.currency;
+      await trip.update(changes, { transaction });
+
+      if (approvalChanges.length > 0) {
+        // Decisions were taken for the old budget, destination and dates
+        await approvalWorkflow.restartWorkflow(trip, { transaction });
+      }
+
+      if (currencyChanged) {
+        // Also re-converts the advances; refused once the settlement is paid
+        await expenseService.reconvertTripExpenses(trip, { transaction });
+      }
+
+      if (req.body.status && req.body.status !== trip.status) {
+        await tripLifecycle.transition(trip, req.body.status, {
+          source: 'user',
+          userId: req.user.id,
+          reason: req.body.statusReason,
+          transaction
+        });
+      }
+    });
+
+    res.status(200).json({
+      success: true,
+      data: trip
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete a trip that has not been approved yet, with its expenses and
+ * their receipt files
+ */
+const deleteTrip = async (req, res, next) => {
+  try {
+    const trip = await findAccessibleTrip(req.params.id, req.user);
+    if (!trip) {
+      return tripNotFound(res);
+    }
+    if (!canEditTrip(trip, req.user)) {
+      return forbidden(res);
+    }
+    if (trip.status !== 'planned') {
+      return res.status(409).json({
+        success: false,
+        error: `A ${trip.status} trip cannot be deleted`
+      });
+    }
+
+    const receipts = await TripExpense.findAll({
+      where: { tripId: trip.id },
+      attributes: ['receiptHash', 'receiptFile']
+    });
+    await trip.destroy();
+
+    for (const receipt of receipts) {
+      if (receipt.receiptFile) {
+        await receiptService.releaseFile(receipt.receiptHash, receipt.receiptFile);
+      }
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Business trip deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the recorded status transitions of a trip
+ */
+const getTripStatusHistory = async (req, res, next) => {
+  try {
+    const trip = await findAccessibleTrip(req.params.id, req.user);
+    if (!trip) {
+      return tripNotFound(res);
+    }
+
+    const history = await tripLifecycle.getHistory(trip.id);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        status: trip.status,
+        history
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Add an expense to a trip
+ */
+const addExpense = async (req, res, next) => {
+  try {
+    const trip = await findAccessibleTrip(req.params.id, req.user);
+    if (!trip) {
+      return tripNotFound(res);
+    }
+    if (!canEditTrip(trip, req.user)) {
+      return forbidden(res);
+    }
+
+    const expense = await expenseService.createExpense(trip, req.body);
+
+    res.status(201).json({
+      success: true,
+      data: expense
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Run a bulk expense import, as a dry run or for real
+ */
+const runExpenseImport = dryRun => async (req, res, next) => {
+  try {
+    const trip = await findAccessibleTrip(req.params.id, req.user);
+    if (!trip) {
+      return tripNotFound(res);
+    }
+    if (!canEditTrip(trip, req.user)) {
+      return forbidden(res);
+    }
+
+    const result = await expenseImportService.importExpenses(trip, req.file, { dryRun });
+
+    res.status(dryRun || result.validRows === 0 ? 200 : 201).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Preview a CSV/XLSX expense import without saving anything
+ */
+const previewExpenseImport = runExpenseImport(true);
+
+/**
+ * Import the valid rows of a CSV/XLSX file in one transaction
+ */
+const importExpenses = runExpenseImport(false);
+
+/**
+ * Get all expenses of a trip
+ */
+const getTripExpenses = async (req, res, next) => {
+  try {
+    const trip = await findAccessibleTrip(req.params.id, req.user);
+    if (!trip) {
+      return tripNotFound(res);
+    }
+
+    const expenses = await TripExpense.findAll({
+      where: { tripId: trip.id },
+      order: [['expenseDate', 'ASC'], ['createdAt', 'ASC']]
+    });
+
+    const budget = await expenseService.getBudgetSummary(trip);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        expenses,
+        budget
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update a trip expense
+ */
+const updateExpense = async (req, res, next) => {
+  try {
+    const trip = await findAccessibleTrip(req.params.id, req.user);
+    if (!trip) {
+      return tripNotFound(res);
+    }
+    if (!canEditTrip(trip, req.user)) {
+      return forbidden(res);
+    }
+
+    const expense = await TripExpense.findOne({ where: { id: req.params.expenseId, tripId: trip.id } });
+    if (!expense) {
+      return res.status(404).json({
+        success: false,
+        error: 'Expense not found'
+      });
+    }
+
+    await expenseService.updateExpense(trip, expense, req.body);
+
+    res.status(200).json({
+      success: true,
+      data: expense
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete a trip expense
+ */
+const deleteExpense = async (req, res, next) => {
+  try {
+    const trip = await findAccessibleTrip(req.params.id, req.user);
+    if (!trip) {
+      return tripNotFound(res);
+    }
+    if (!canEditTrip(trip, req.user)) {
+      return forbidden(res);
+    }
+
+    const expense = await TripExpense.findOne({ where: { id: req.params.expenseId, tripId: trip.id } });
+    if (!expense) {
+      return res.status(404).json({
+        success: false,
+        error: 'Expense not found'
+      });
+    }
+
+    await expenseService.deleteExpense(trip, expense);
+
+    res.status(200).json({
+      success: true,
+      message: 'Expense deleted'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the per-diem and accommodation entitlement of a trip versus actual spend
+ */
+const getPerDiem = async (req, res, next) => {
+  try {
+    const trip = await findAccessibleTrip(req.params.id, req.user);
+    if (!trip) {
+      return tripNotFound(res);
+    }
+
+    const entitlement = await expensePolicyService.getEntitlement(trip);
+
+    res.status(200).json({
+      success: true,
+      data: entitlement
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const findTripExpense = (trip, expenseId) => TripExpense.findOne({
+  where: { id: expenseId, tripId: trip.id }
+});
+
+const expenseNotFound = res => res.status(404).json({
+  success: false,
+  error: 'Expense not found'
+});
+
+/**
+ * Upload or replace the receipt of an expense
+ */
+const uploadReceipt = async (req, res, next) => {
+  try {
+    const trip = await findAccessibleTrip(req.params.id, req.user);
+    if (!trip) {
+      return tripNotFound(res);
+    }
+    if (!canEditTrip(trip, req.user)) {
+      return forbidden(res);
+    }
+
+    const expense = await findTripExpense(trip, req.params.expenseId);
+    if (!expense) {
+      return expenseNotFound(res);
+    }
+
+    await receiptService.attachReceipt(trip, expense, req.file);
+
+    res.status(200).json({
+      success: true,
+      data: expense
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Download the receipt of an expense (or its thumbnail with ?thumbnail=true)
+ */
+const downloadReceipt = async (req, res, next) => {
+  try {
+    const trip = await findAccessibleTrip(req.params.id, req.user);
+    if (!trip) {
+      return tripNotFound(res);
+    }
+
+    const expense = await findTripExpense(trip, req.params.expenseId);
+    if (!expense) {
+      return expenseNotFound(res);
+    }
+
+    const thumbnail = req.query.thumbnail === 'true';
+    const file = await receiptService.getReceiptFile(expense, thumbnail);
+
+    res.type(file.mimeType);
+    if (thumbnail) {
+      return res.sendFile(file.absolutePath);
+    }
+    res.download(file.absolutePath, file.fileName);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Remove the receipt of an expense
+ */
+const deleteReceipt = async (req, res, next) => {
+  try {
+    const trip = await findAccessibleTrip(req.params.id, req.user);
+    if (!trip) {
+      return tripNotFound(res);
+    }
+    if (!canEditTrip(trip, req.user)) {
+      return forbidden(res);
+    }
+
+    const expense = await findTripExpense(trip, req.params.expenseId);
+    if (!expense) {
+      return expenseNotFound(res);
+    }
+
+    await receiptService.removeReceipt(trip, expense);
+
+    res.status(200).json({
+      success: true,
+      message: 'Receipt deleted'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the cash advances paid for a trip
+ */
+const getTripAdvances = async (req, res, next) => {
+  try {
+    const trip = await findAccessibleTrip(req.params.id, req.user);
+    if (!trip) {
+      return tripNotFound(res);
+    }
+
+    const advances = await settlementService.listAdvances(trip);
+
+    res.status(200).json({
+      success: true,
+      data: advances
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Record a cash advance paid to the traveller
+ */
+const addAdvance = async (req, res, next) => {
+  try {
+    const trip = await findAccessibleTrip(req.params.id, req.user);
+    if (!trip) {
+      return tripNotFound(res);
+    }
+
+    const advance = await settlementService.createAdvance(trip, req.body, req.user);
+
+    res.status(201).json({
+      success: true,
+      data: advance
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete a cash advance recorded by mistake
+ */
+const deleteAdvance = async (req, res, next) => {
+  try {
+    const trip = await findAccessibleTrip(req.params.id, req.user);
+    if (!trip) {
+      return tripNotFound(res);
+    }
+
+    const advance = await TripAdvance.findOne({ where: { id: req.params.advanceId, tripId: trip.id } });
+    if (!advance) {
+      return res.status(404).json({
+        success: false,
+        error: 'Advance not found'
+      });
+    }
+
+    await settlementService.deleteAdvance(trip, advance);
+
+    res.status(200).json({
+      success: true,
+      message: 'Advance deleted'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the trip settlement: the generated statement and the live figures
+ */
+const getSettlement = async (req, res, next) => {
+  try {
+    const trip = await findAccessibleTrip(req.params.id, req.user);
+    if (!trip) {
+      return tripNotFound(res);
+    }
+
+    const settlement = await settlementService.getSettlement(trip);
+
+    res.status(200).json({
+      success: true,
+      data: settlement
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Generate (or regenerate) the settlement statement of a trip
+ */
+const generateSettlement = async (req, res, next) => {
+  try {
+    const trip = await findAccessibleTrip(req.params.id, req.user);
+    if (!trip) {
+      return tripNotFound(res);
+    }
+    if (!canEditTrip(trip, req.user) && req.user.role !== 'accountant') {
+      return forbidden(res);
+    }
+
+    const settlement = await settlementService.generate(trip, req.user);
+
+    res.status(200).json({
+      success: true,
+      data: settlement
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Mark the settlement paid, locking advances and expenses of the trip
+ */
+const paySettlement = async (req, res, next) => {
+  try {
+    const trip = await findAccessibleTrip(req.params.id, req.user);
+    if (!trip) {
+      return tripNotFound(res);
+    }
+
+    const settlement = await settlementService.markPaid(trip, req.user, req.body);
+
+    res.status(200).json({
+      success: true,
+      data: settlement
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Download the settlement statement as PDF (default) or Excel
+ */
+const downloadSettlementStatement = async (req, res, next) => {
+  try {
+    const trip = await findAccessibleTrip(req.params.id, req.user);
+    if (!trip) {
+      return tripNotFound(res);
+    }
+
+    const file = await settlementService.getStatementFile(trip, req.query.format || 'pdf');
+
+    res.type(file.mimeType);
+    res.download(file.absolutePath, file.fileName);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Approve the current step of a trip's approval workflow
+ */
+const approveTrip = async (req, res, next) => {
+  try {
+    const trip = await findAccessibleTrip(req.params.id, req.user);
+    if (!trip) {
+      return tripNotFound(res);
+    }
+
+    const result = await approvalWorkflow.decide(trip, req.user, 'approved', req.body.comment);
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Reject a trip at its current approval step
+ */
+const rejectTrip = async (req, res, next) => {
+  try {
+    const trip = await findAccessibleTrip(req.params.id, req.user);
+    if (!trip) {
+      return tripNotFound(res);
+    }
+
+    const result = await approvalWorkflow.decide(trip, req.user, 'rejected', req.body.reason);
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the approval steps and decisions recorded for a trip
+ */
+const getTripApprovals = async (req, res, next) => {
+  try {
+    const trip = await findAccessibleTrip(req.params.id, req.user);
+    if (!trip) {
+      return tripNotFound(res);
+    }
+
+    const steps = await approvalWorkflow.getSteps(trip);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        approvalStatus: trip.approvalStatus,
+        steps
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Submit the report of a completed trip, which marks it reported. The
+ * settlement statement is attached; with `signatureProvider: eimzo` its PDF
+ * is signed with E-Imzo and the signature attached too.
+ */
+const generateTripReport = async (req, res, next) => {
+  try {
+    const trip = await findAccessibleTrip(req.params.id, req.user);
+    if (!trip) {
+      return tripNotFound(res);
+    }
+    if (!canEditTrip(trip, req.user)) {
+      return forbidden(res);
+    }
+    if (trip.status !== 'completed') {
+      return res.status(409).json({
+        success: false,
+        error: 'Only completed trips can be reported'
+      });
+    }
+
+    const settlement = await TripSettlement.findOne({ where: { tripId: trip.id } });
+    const attachments = settlement && settlement.generatedAt ? [settlement.pdfPath, settlement.excelPath] : [];
+
+    if (req.body.signatureProvider === 'eimzo') {
+      if (attachments.length === 0) {
+        return res.status(409).json({
+          success: false,
+          error: 'Generate the settlement statement before signing the trip report'
+        });
+      }
+      const signer = await User.findByPk(req.user.id);
+      const signature = await eimzoService.signDocument(fileStorage.resolve(settlement.pdfPath), {
+        name: `${signer.firstName} ${signer.lastName}`,
+        position: signer.role
+      });
+      if (!signature.success) {
+        return res.status(502).json({
+          success: false,
+          error: `E-signature failed: ${signature.error}`
+        });
+      }
+      attachments.push(path.relative(fileStorage.rootPath, signature.signaturePath).split(path.sep).join('/'));
+    }
+
+    const report = await sequelize.transaction(async (transaction) => {
+      const created = await TripReport.create({
+        tripId: trip.id,
+        summary: req.body.summary,
+        achievements: req.body.achievements,
+        recommendations: req.body.recommendations,
+        attachments
+      }, { transaction });
+
+      await tripLifecycle.transition(trip, 'reported', {
+        source: 'trip_report',
+        userId: req.user.id,
+        transaction
+      });
+      return created;
+    });
+
+    res.status(201).json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  findAccessibleTrip,
+  getAllTrips,
+  getTripById,
+  createTrip,
+  updateTrip,
+  deleteTrip,
+  getTripStatusHistory,
+  approveTrip,
+  rejectTrip,
+  getTripApprovals,
+  generateTripReport,
+  addExpense,
+  getTripExpenses,
+  previewExpenseImport,
+  importExpenses,
+  updateExpense,
+  deleteExpense,
+  getPerDiem,
+  getTripAdvances,
+  addAdvance,
+  deleteAdvance,
+  getSettlement,
+  generateSettlement,
+  paySettlement,
+  downloadSettlementStatement,
+  uploadReceipt,
+  downloadReceipt,
+  deleteReceipt
+};
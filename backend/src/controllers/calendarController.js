@@ -0,0 +1,107 @@
+const tripCalendarService = require('../services/trips/tripCalendarService');
+
+const feedBaseUrl = req => `${process.env.API_URL || `${req.protocol}://${req.get('host')}`}/api/calendar`;
+
+const feedUrls = (req, token) => ({
+  trips: `${feedBaseUrl(req)}/${token}/trips.ics`,
+  ...(tripCalendarService.canUseCompanyFeed(req.user) && {
+    company: `${feedBaseUrl(req)}/${token}/company.ics`
+  })
+});
+
+const sendCalendar = (res, fileName, content) => {
+  res.set({
+    'Content-Type': 'text/calendar; charset=utf-8',
+    'Content-Disposition': `inline; filename="${fileName}"`,
+    'Cache-Control': 'private, max-age=900'
+  });
+  res.status(200).send(content);
+};
+
+const feedNotFound = res => res.status(404).json({
+  success: false,
+  error: 'Calendar feed not found'
+});
+
+/**
+ * Get the subscription URLs of the current user's calendar feeds
+ */
+const getFeeds = async (req, res, next) => {
+  try {
+    const token = await tripCalendarService.getFeedToken(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: feedUrls(req, token)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Replace the feed token; previously shared feed URLs stop working
+ */
+const rotateFeeds = async (req, res, next) => {
+  try {
+    const token = await tripCalendarService.getFeedToken(req.user.id, true);
+
+    res.status(200).json({
+      success: true,
+      data: feedUrls(req, token)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * iCalendar feed of the feed owner's approved trips
+ */
+const getUserFeed = async (req, res, next) => {
+  try {
+    const owner = await tripCalendarService.findFeedOwner(req.params.token);
+    if (!owner) {
+      return feedNotFound(res);
+    }
+
+    const trips = await tripCalendarService.getCalendarTrips({ employeeId: owner.id });
+    const calendar = tripCalendarService.buildCalendar(trips, {
+      name: `Business trips - ${owner.firstName} ${owner.lastName}`
+    });
+
+    sendCalendar(res, 'trips.ics', calendar);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * iCalendar feed of all approved trips in the feed owner's company
+ */
+const getCompanyFeed = async (req, res, next) => {
+  try {
+    const owner = await tripCalendarService.findFeedOwner(req.params.token);
+    // The role is checked on every fetch, so a demoted user loses the feed
+    if (!owner || !owner.companyId || !tripCalendarService.canUseCompanyFeed(owner)) {
+      return feedNotFound(res);
+    }
+
+    const trips = await tripCalendarService.getCalendarTrips({ companyId: owner.companyId });
+    const calendar = tripCalendarService.buildCalendar(trips, {
+      name: 'Company business trips',
+      withEmployee: true
+    });
+
+    sendCalendar(res, 'company-trips.ics', calendar);
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getFeeds,
+  rotateFeeds,
+  getUserFeed,
+  getCompanyFeed
+};
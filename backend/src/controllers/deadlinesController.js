@@ -0,0 +1,130 @@
+const { PublicHoliday } = require('../models');
+const deadlineService = require('../services/compliance/deadlineService');
+
+/**
+ * Company whose deadlines are requested: the user's own, or any company
+ * for IT Park administrators (?companyId=)
+ * @returns {string|null} Company ID, or null when an administrator gave none
+ */
+const resolveCompanyId = (req) => {
+  if (req.user.userType !== 'it_park_admin') {
+    return req.user.companyId;
+  }
+  return req.query.companyId || null;
+};
+
+// The working calendar is the same for every resident company
+const calendarAdminOnly = res => res.status(403).json({
+  error: 'Access denied',
+  message: 'Only IT Park administrators can manage the holiday calendar'
+});
+
+const holidayNotFound = res => res.status(404).json({
+  success: false,
+  error: 'Holiday not found'
+});
+
+/**
+ * Overdue and upcoming compliance deadlines of the company
+ */
+const getUpcomingDeadlines = async (req, res, next) => {
+  try {
+    const companyId = resolveCompanyId(req);
+    if (!companyId) {
+      return res.status(400).json({
+        success: false,
+        error: 'companyId is required'
+      });
+    }
+
+    const days = parseInt(req.query.days, 10) || 60;
+    const deadlines = await deadlineService.getUpcomingDeadlines(companyId, { days });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        companyId,
+        days,
+        deadlines
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Public holidays and declared working days of a year
+ */
+const getHolidays = async (req, res, next) => {
+  try {
+    const year = parseInt(req.query.year, 10) || new Date().getFullYear();
+    const holidays = await deadlineService.listHolidays(year);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        year,
+        holidays
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Add a public holiday or a declared working day
+ */
+const createHoliday = async (req, res, next) => {
+  try {
+    if (req.user.userType !== 'it_park_admin') {
+      return calendarAdminOnly(res);
+    }
+
+    const holiday = await PublicHoliday.create({
+      date: req.body.date,
+      name: req.body.name,
+      dayType: req.body.dayType || 'holiday',
+      recurring: Boolean(req.body.recurring)
+    });
+
+    res.status(201).json({
+      success: true,
+      data: holiday
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Remove a day from the holiday calendar
+ */
+const deleteHoliday = async (req, res, next) => {
+  try {
+    if (req.user.userType !== 'it_park_admin') {
+      return calendarAdminOnly(res);
+    }
+
+    const holiday = await PublicHoliday.findByPk(req.params.id);
+    if (!holiday) {
+      return holidayNotFound(res);
+    }
+    await holiday.destroy();
+
+    res.status(200).json({
+      success: true,
+      message: 'Holiday removed'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getUpcomingDeadlines,
+  getHolidays,
+  createHoliday,
+  deleteHoliday
+};
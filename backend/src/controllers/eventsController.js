@@ -0,0 +1,92 @@
+const { DomainEvent, EventHandlerRun } = require('../models');
+const jobQueue = require('../services/jobs/jobQueue');
+
+// Replays re-run handlers across companies, so only IT Park starts them
+const replayAdminOnly = res => res.status(403).json({
+  error: 'Access denied',
+  message: 'Only IT Park administrators can replay events'
+});
+
+/**
+ * List domain events with the outcome of each handler
+ */
+const getEvents = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 20;
+
+    const where = {};
+    if (req.user.userType !== 'it_park_admin') {
+      where.companyId = req.user.companyId;
+    } else if (req.query.companyId) {
+      where.companyId = req.query.companyId;
+    }
+    ['type', 'aggregateId'].forEach((field) => {
+      if (req.query[field]) {
+        where[field] = req.query[field];
+      }
+    });
+
+    const { rows, count } = await DomainEvent.findAndCountAll({
+      where,
+      include: [{
+        model: EventHandlerRun,
+        as: 'handlerRuns',
+        ...(req.query.handlerStatus ? { where: { status: req.query.handlerStatus } } : {})
+      }],
+      order: [['occurredAt', 'DESC']],
+      limit,
+      offset: (page - 1) * limit,
+      distinct: true
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        events: rows,
+        pagination: {
+          page,
+          limit,
+          total: count,
+          pages: Math.ceil(count / limit)
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Queue a replay of stored events. Handlers that processed an event are
+ * skipped unless `force` is set.
+ */
+const replayEvents = async (req, res, next) => {
+  try {
+    if (req.user.userType !== 'it_park_admin') {
+      return replayAdminOnly(res);
+    }
+
+    const { from, to, types, companyId, handlers, force } = req.body;
+    const job = await jobQueue.enqueue('events.replay', {
+      from,
+      to,
+      types,
+      companyId,
+      handlers,
+      force: Boolean(force)
+    }, { user: req.user, label: 'Event replay' });
+
+    res.status(202).json({
+      success: true,
+      data: job
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getEvents,
+  replayEvents
+};
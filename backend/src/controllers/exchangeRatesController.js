@@ -0,0 +1,89 @@
+const exchangeRateService = require('../services/currency/exchangeRateService');
+
+/**
+ * Import a Central Bank of Uzbekistan rate file (JSON or XML).
+ * The file can be uploaded as `file` or posted as `content` in the body.
+ */
+const importRates = async (req, res, next) => {
+  try {
+    const content = req.file ? req.file.buffer : req.body.content;
+    if (!content) {
+      return res.status(400).json({
+        success: false,
+        error: 'A rate file or content is required'
+      });
+    }
+
+    let format = req.body.format;
+    if (!format && req.file) {
+      if (/xml/i.test(req.file.mimetype) || /\.xml$/i.test(req.file.originalname)) format = 'xml';
+      else if (/json/i.test(req.file.mimetype) || /\.json$/i.test(req.file.originalname)) format = 'json';
+    }
+
+    const { rates, skipped } = exchangeRateService.parseCbuFile(content, format, req.body.rateDate);
+    const imported = await exchangeRateService.importRates(rates, 'cbu');
+
+    res.status(200).json({
+      success: true,
+      data: {
+        imported,
+        skipped,
+        dates: [...new Set(rates.map(r => r.rateDate))].sort()
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List stored exchange rates
+ */
+const getRates = async (req, res, next) => {
+  try {
+    const rates = await exchangeRateService.listRates({
+      currency: req.query.currency,
+      date: req.query.date
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        nationalCurrency: exchangeRateService.nationalCurrency,
+        rates
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Convert an amount between two currencies at the rate for a date
+ */
+const convertAmount = async (req, res, next) => {
+  try {
+    const { amount, from, to } = req.query;
+    const date = req.query.date || new Date().toISOString().slice(0, 10);
+    const result = await exchangeRateService.convert(amount, from, to, date);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        from,
+        to,
+        date,
+        originalAmount: Number(amount),
+        ...result
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  importRates,
+  getRates,
+  convertAmount
+};
@@ -0,0 +1,106 @@
+const { ExpensePolicy } = require('../models');
+const logger = require('../utils/logger');
+const pick = require('../utils/pick');
+
+const POLICY_FIELDS = [
+  'name', 'country', 'city', 'currency', 'perDiemRate', 'dailyMealCap',
+  'nightlyAccommodationCap', 'receiptRequiredAbove', 'nonReimbursableCategories', 'isActive'
+];
+
+const policyNotFound = res => res.status(404).json({
+  success: false,
+  error: 'Expense policy not found'
+});
+
+/**
+ * List the company's expense policies
+ */
+const getPolicies = async (req, res, next) => {
+  try {
+    const policies = await ExpensePolicy.findAll({
+      where: { companyId: req.user.companyId },
+      order: [['country', 'ASC'], ['city', 'ASC'], ['name', 'ASC']]
+    });
+
+    res.status(200).json({
+      success: true,
+      data: policies
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create an expense policy
+ */
+const createPolicy = async (req, res, next) => {
+  try {
+    const policy = await ExpensePolicy.create({
+      ...pick(req.body, POLICY_FIELDS),
+      companyId: req.user.companyId
+    });
+
+    logger.info(`Expense policy ${policy.id} created for company ${req.user.companyId} by user ${req.user.id}`);
+
+    res.status(201).json({
+      success: true,
+      data: policy
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update an expense policy. Existing expenses keep their recorded flags.
+ */
+const updatePolicy = async (req, res, next) => {
+  try {
+    const policy = await ExpensePolicy.findOne({
+      where: { id: req.params.policyId, companyId: req.user.companyId }
+    });
+    if (!policy) {
+      return policyNotFound(res);
+    }
+
+    await policy.update(pick(req.body, POLICY_FIELDS));
+
+    res.status(200).json({
+      success: true,
+      data: policy
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Deactivate an expense policy
+ */
+const deletePolicy = async (req, res, next) => {
+  try {
+    const policy = await ExpensePolicy.findOne({
+      where: { id: req.params.policyId, companyId: req.user.companyId }
+    });
+    if (!policy) {
+      return policyNotFound(res);
+    }
+
+    await policy.update({ isActive: false });
+
+    res.status(200).json({
+      success: true,
+      message: 'Expense policy deactivated'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getPolicies,
+  createPolicy,
+  updatePolicy,
+  deletePolicy
+};
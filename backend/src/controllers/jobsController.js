@@ -0,0 +1,51 @@
+const jobQueue = require('../services/jobs/jobQueue');
+
+const jobNotFound = res => res.status(404).json({
+  success: false,
+  error: 'Job not found'
+});
+
+/**
+ * Get the status and progress of a background job
+ */
+const getJob = async (req, res, next) => {
+  try {
+    const job = await jobQueue.findAccessibleJob(req.params.id, req.user);
+    if (!job) {
+      return jobNotFound(res);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: await jobQueue.describe(job)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Cancel a queued or running job
+ */
+const cancelJob = async (req, res, next) => {
+  try {
+    const job = await jobQueue.findAccessibleJob(req.params.id, req.user);
+    if (!job) {
+      return jobNotFound(res);
+    }
+
+    const status = await jobQueue.cancel(job, req.user);
+
+    res.status(200).json({
+      success: true,
+      data: status
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getJob,
+  cancelJob
+};
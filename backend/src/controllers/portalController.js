@@ -0,0 +1,36 @@
+const portalSubmissionService = require('../services/portal/portalSubmissionService');
+const { getAdapter } = require('../services/portal/adapters');
+const logger = require('../utils/logger');
+
+/**
+ * Review outcome pushed by the IT Park portal. The portal cannot hold a
+ * user token, so the request is authenticated by its HMAC signature.
+ */
+const receiveCallback = async (req, res, next) => {
+  try {
+    if (!portalSubmissionService.verifyCallback(req.rawBody, req.get('X-Portal-Signature'))) {
+      logger.warn(`Rejected IT Park portal callback with invalid signature from ${req.ip}`);
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid callback signature'
+      });
+    }
+
+    const outcome = getAdapter().normalize(req.body);
+    const submission = await portalSubmissionService.applyOutcome(outcome.receiptNumber, outcome);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        receiptNumber: submission.receiptNumber,
+        status: submission.status
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  receiveCallback
+};
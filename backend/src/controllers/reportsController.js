@@ -0,0 +1,546 @@
+const { Report, ReportTemplate } = require('../models');
+const reportGenerator = require('../services/reports/reportGenerator');
+const compliancePackService = require('../services/reports/compliancePackService');
+const reportVersionService = require('../services/reports/reportVersionService');
+const reportSigningService = require('../services/reports/reportSigningService');
+const portalSubmissionService = require('../services/portal/portalSubmissionService');
+const jobQueue = require('../services/jobs/jobQueue');
+const templateEngine = require('../services/reports/templateEngine');
+const logger = require('../utils/logger');
+const pick = require('../utils/pick');
+
+const REPORT_FIELDS = ['title', 'templateId', 'reportType', 'reportingPeriodStart', 'reportingPeriodEnd', 'reportData'];
+const TEMPLATE_FIELDS = ['name', 'description', 'templateType', 'format', 'templateData', 'isActive'];
+
+/**
+ * Load a report the current user is allowed to see
+ * @param {string} reportId - Report ID
+ * @param {Object} user - Authenticated user
+ * @returns {Object|null} Report or null when missing / in another company
+ */
+const findAccessibleReport = async (reportId, user) => {
+  const report = await Report.findByPk(reportId);
+  if (!report) {
+    return null;
+  }
+  if (user.userType !== 'it_park_admin' && report.companyId !== user.companyId) {
+    return null;
+  }
+  return report;
+};
+
+const reportNotFound = res => res.status(404).json({
+  success: false,
+  error: 'Report not found'
+});
+
+const templateNotFound = res => res.status(404).json({
+  success: false,
+  error: 'Report template not found'
+});
+
+// Templates are shared by all resident companies and maintained by IT Park
+const templateAdminOnly = res => res.status(403).json({
+  error: 'Access denied',
+  message: 'Only IT Park administrators can manage report templates'
+});
+
+/**
+ * List report templates
+ */
+const getTemplates = async (req, res, next) => {
+  try {
+    const where = { isActive: true };
+    if (req.query.templateType) {
+      where.templateType = req.query.templateType;
+    }
+
+    const templates = await ReportTemplate.findAll({ where, order: [['name', 'ASC']] });
+
+    res.status(200).json({
+      success: true,
+      data: templates
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create a report template; the definition is validated before saving
+ */
+const createTemplate = async (req, res, next) => {
+  try {
+    if (req.user.userType !== 'it_park_admin') {
+      return templateAdminOnly(res);
+    }
+
+    templateEngine.assertValid(req.body.templateData);
+    const template = await ReportTemplate.create(pick(req.body, TEMPLATE_FIELDS));
+
+    logger.info(`Report template ${template.id} created by ${req.user.id}`);
+
+    res.status(201).json({
+      success: true,
+      data: template
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update a report template. Already generated files are not re-rendered.
+ */
+const updateTemplate = async (req, res, next) => {
+  try {
+    if (req.user.userType !== 'it_park_admin') {
+      return templateAdminOnly(res);
+    }
+
+    const template = await ReportTemplate.findByPk(req.params.templateId);
+    if (!template) {
+      return templateNotFound(res);
+    }
+
+    if (req.body.templateData !== undefined) {
+      templateEngine.assertValid(req.body.templateData);
+    }
+    await template.update(pick(req.body, TEMPLATE_FIELDS));
+
+    res.status(200).json({
+      success: true,
+      data: template
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List the reports of the user's company
+ */
+const getReports = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 20;
+
+    const where = {};
+    if (req.user.userType !== 'it_park_admin') {
+      where.companyId = req.user.companyId;
+    } else if (req.query.companyId) {
+      where.companyId = req.query.companyId;
+    }
+    if (req.query.status) {
+      where.status = req.query.status;
+    }
+    if (req.query.reportType) {
+      where.reportType = req.query.reportType;
+    }
+
+    const { rows, count } = await Report.findAndCountAll({
+      where,
+      attributes: { exclude: ['reportData'] },
+      order: [['createdAt', 'DESC']],
+      limit,
+      offset: (page - 1) * limit
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        reports: rows,
+        pagination: {
+          page,
+          limit,
+          total: count,
+          pages: Math.ceil(count / limit)
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a report with its data and generated files
+ */
+const getReportById = async (req, res, next) => {
+  try {
+    const report = await findAccessibleReport(req.params.id, req.user);
+    if (!report) {
+      return reportNotFound(res);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create a draft report from a template
+ */
+const createReport = async (req, res, next) => {
+  try {
+    const fields = pick(req.body, REPORT_FIELDS);
+
+    const template = await ReportTemplate.findByPk(fields.templateId);
+    if (!template || !template.isActive) {
+      return templateNotFound(res);
+    }
+
+    const report = await Report.create({
+      ...fields,
+      reportType: fields.reportType || template.templateType,
+      companyId: req.user.companyId,
+      status: 'draft'
+    });
+
+    res.status(201).json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update the title, period or data of a report. A generated report goes
+ * back to draft because its files no longer match the data.
+ */
+const updateReport = async (req, res, next) => {
+  try {
+    const report = await findAccessibleReport(req.params.id, req.user);
+    if (!report) {
+      return reportNotFound(res);
+    }
+    if (!['draft', 'generated', 'rejected'].includes(report.status)) {
+      return res.status(409).json({
+        success: false,
+        error: `A ${report.status} report can no longer be changed`
+      });
+    }
+
+    const changes = pick(req.body, ['title', 'reportingPeriodStart', 'reportingPeriodEnd', 'reportData']);
+    await report.update({ ...changes, status: 'draft' });
+
+    res.status(200).json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Queue rendering of the report files from its template
+ */
+const generateReport = async (req, res, next) => {
+  try {
+    const report = await findAccessibleReport(req.params.id, req.user);
+    if (!report) {
+      return reportNotFound(res);
+    }
+
+    reportGenerator.assertGeneratable(report);
+    const job = await jobQueue.enqueue('report.generate', {
+      reportId: report.id,
+      language: req.body.language
+    }, { user: req.user, label: report.title });
+
+    res.status(202).json({
+      success: true,
+      data: job
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Queue building of the quarterly or annual compliance pack: every required
+ * document, bundled into a ZIP with a signed manifest
+ */
+const generatePack = async (req, res, next) => {
+  try {
+    const report = await findAccessibleReport(req.params.id, req.user);
+    if (!report) {
+      return reportNotFound(res);
+    }
+
+    reportGenerator.assertGeneratable(report);
+    compliancePackService.getRequiredDocuments(report.reportType);
+    const job = await jobQueue.enqueue('report.pack', {
+      reportId: report.id,
+      language: req.body.language
+    }, { user: req.user, label: report.title });
+
+    res.status(202).json({
+      success: true,
+      data: job
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Queue a compliance analysis of the report figures
+ */
+const analyzeReport = async (req, res, next) => {
+  try {
+    const report = await findAccessibleReport(req.params.id, req.user);
+    if (!report) {
+      return reportNotFound(res);
+    }
+
+    const job = await jobQueue.enqueue('compliance.analyze', {
+      reportId: report.id
+    }, { user: req.user, label: report.title });
+
+    res.status(202).json({
+      success: true,
+      data: job
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Download a generated report file (?format=pdf|excel|zip)
+ */
+const downloadReport = async (req, res, next) => {
+  try {
+    const report = await findAccessibleReport(req.params.id, req.user);
+    if (!report) {
+      return reportNotFound(res);
+    }
+
+    const file = await reportGenerator.getFile(report, req.query.format);
+
+    res.type(file.mimeType);
+    res.download(file.absolutePath, file.fileName);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Sign the current version of a generated report
+ */
+const signReport = async (req, res, next) => {
+  try {
+    const report = await findAccessibleReport(req.params.id, req.user);
+    if (!report) {
+      return reportNotFound(res);
+    }
+
+    const signed = await reportSigningService.sign(report, req.user, {
+      certificateSerial: req.body.certificateSerial
+    });
+
+    // FR-1.5: signed reports go to the IT Park portal without a separate step
+    let submissionJob = null;
+    if (portalSubmissionService.isAutoSubmitEnabled()) {
+      try {
+        submissionJob = await jobQueue.enqueue('report.submit', {
+          reportId: signed.id
+        }, { user: req.user, label: signed.title });
+      } catch (error) {
+        logger.error(`Automatic submission of report ${signed.id} could not be queued:`, error);
+      }
+    }
+
+    res.status(200).json({
+      success: true,
+      data: signed,
+      submissionJob
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Queue submission of a signed report to the IT Park portal
+ */
+const submitReport = async (req, res, next) => {
+  try {
+    const report = await findAccessibleReport(req.params.id, req.user);
+    if (!report) {
+      return reportNotFound(res);
+    }
+
+    portalSubmissionService.assertSubmittable(report);
+    const job = await jobQueue.enqueue('report.submit', {
+      reportId: report.id
+    }, { user: req.user, label: report.title });
+
+    res.status(202).json({
+      success: true,
+      data: job
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List the portal submissions of a report with their review outcome
+ */
+const getReportSubmissions = async (req, res, next) => {
+  try {
+    const report = await findAccessibleReport(req.params.id, req.user);
+    if (!report) {
+      return reportNotFound(res);
+    }
+
+    const submissions = await portalSubmissionService.listSubmissions(report);
+
+    res.status(200).json({
+      success: true,
+      data: submissions
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List the versions of a report, newest first
+ */
+const getReportVersions = async (req, res, next) => {
+  try {
+    const report = await findAccessibleReport(req.params.id, req.user);
+    if (!report) {
+      return reportNotFound(res);
+    }
+
+    const versions = await reportVersionService.listVersions(report);
+
+    res.status(200).json({
+      success: true,
+      data: versions
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get one report version with its input snapshot
+ */
+const getReportVersion = async (req, res, next) => {
+  try {
+    const report = await findAccessibleReport(req.params.id, req.user);
+    if (!report) {
+      return reportNotFound(res);
+    }
+
+    const version = await reportVersionService.getVersion(report, parseInt(req.params.version, 10));
+
+    res.status(200).json({
+      success: true,
+      data: version
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Field-level diff between two report versions (?from=1&to=2)
+ */
+const diffReportVersions = async (req, res, next) => {
+  try {
+    const report = await findAccessibleReport(req.params.id, req.user);
+    if (!report) {
+      return reportNotFound(res);
+    }
+
+    const diff = await reportVersionService.diff(
+      report,
+      parseInt(req.query.from, 10),
+      parseInt(req.query.to, 10)
+    );
+
+    res.status(200).json({
+      success: true,
+      data: diff
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Download a file of an earlier report version (?format=pdf|excel|zip)
+ */
+const downloadReportVersion = async (req, res, next) => {
+  try {
+    const report = await findAccessibleReport(req.params.id, req.user);
+    if (!report) {
+      return reportNotFound(res);
+    }
+
+    const version = await reportVersionService.getVersion(report, parseInt(req.params.version, 10));
+    const file = await reportGenerator.getFile(report, req.query.format, version);
+
+    res.type(file.mimeType);
+    res.download(file.absolutePath, file.fileName);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete a superseded, unsigned report version
+ */
+const deleteReportVersion = async (req, res, next) => {
+  try {
+    const report = await findAccessibleReport(req.params.id, req.user);
+    if (!report) {
+      return reportNotFound(res);
+    }
+
+    await reportVersionService.removeVersion(report, parseInt(req.params.version, 10));
+
+    res.status(200).json({
+      success: true,
+      message: 'Report version deleted'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  findAccessibleReport,
+  getTemplates,
+  createTemplate,
+  updateTemplate,
+  getReports,
+  getReportById,
+  createReport,
+  updateReport,
+  generateReport,
+  generatePack,
+  analyzeReport,
+  downloadReport,
+  signReport,
+  submitReport,
+  getReportSubmissions,
+  getReportVersions,
+  getReportVersion,
+  diffReportVersions,
+  downloadReportVersion,
+  deleteReportVersion
+};
@@ -0,0 +1,102 @@
+const { RiskAssessment } = require('../models');
+const riskAssessmentService = require('../services/compliance/riskAssessmentService');
+
+/**
+ * Company whose assessments are requested: the user's own, or any company
+ * for IT Park administrators (?companyId=)
+ * @returns {string|null} Company ID, or null when an administrator gave none
+ */
+const resolveCompanyId = (req) => {
+  if (req.user.userType !== 'it_park_admin') {
+    return req.user.companyId;
+  }
+  return req.query.companyId || null;
+};
+
+const companyRequired = res => res.status(400).json({
+  success: false,
+  error: 'companyId is required'
+});
+
+const assessmentNotFound = res => res.status(404).json({
+  success: false,
+  error: 'Risk assessment not found'
+});
+
+/**
+ * Current (not expired) risk assessment with its factors
+ */
+const getCurrentAssessment = async (req, res, next) => {
+  try {
+    const companyId = resolveCompanyId(req);
+    if (!companyId) {
+      return companyRequired(res);
+    }
+
+    const assessment = await riskAssessmentService.getCurrent(companyId);
+    if (!assessment) {
+      return assessmentNotFound(res);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: assessment
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Risk score history with factor changes between assessments
+ */
+const getAssessmentHistory = async (req, res, next) => {
+  try {
+    const companyId = resolveCompanyId(req);
+    if (!companyId) {
+      return companyRequired(res);
+    }
+
+    const history = await riskAssessmentService.getHistory(companyId, {
+      from: req.query.from,
+      to: req.query.to,
+      limit: parseInt(req.query.limit, 10) || 50
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        companyId,
+        history
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * One risk assessment
+ */
+const getAssessmentById = async (req, res, next) => {
+  try {
+    const assessment = await RiskAssessment.findByPk(req.params.id);
+    if (!assessment
+      || (req.user.userType !== 'it_park_admin' && assessment.companyId !== req.user.companyId)) {
+      return assessmentNotFound(res);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: assessment
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getCurrentAssessment,
+  getAssessmentHistory,
+  getAssessmentById
+};
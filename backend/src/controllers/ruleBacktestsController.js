@@ -0,0 +1,41 @@
+const jobQueue = require('../services/jobs/jobQueue');
+const ruleBacktestService = require('../services/compliance/ruleBacktestService');
+
+// Rules apply to every resident company, so only IT Park tries them out
+const backtestAdminOnly = res => res.status(403).json({
+  error: 'Access denied',
+  message: 'Only IT Park administrators can backtest compliance rules'
+});
+
+/**
+ * Queue a backtest of a candidate rule set; the job result holds the
+ * hypothetical violations and risk score changes
+ */
+const createBacktest = async (req, res, next) => {
+  try {
+    if (req.user.userType !== 'it_park_admin') {
+      return backtestAdminOnly(res);
+    }
+
+    const { candidate, companyIds, from, to } = req.body;
+    await ruleBacktestService.validateCandidate(candidate);
+
+    const job = await jobQueue.enqueue('compliance.backtest', {
+      candidate,
+      companyIds: companyIds || [],
+      from,
+      to
+    }, { user: req.user, label: `Rule backtest ${from} to ${to}` });
+
+    res.status(202).json({
+      success: true,
+      data: job
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  createBacktest
+};
@@ -0,0 +1,104 @@
+const transactionRiskService = require('../services/compliance/transactionRiskService');
+const jobQueue = require('../services/jobs/jobQueue');
+
+// Company admins, managers and accountants review transactions; IT Park admins any company
+const canReview = user => user.userType === 'it_park_admin' || ['admin', 'manager', 'accountant'].includes(user.role);
+
+const reviewersOnly = res => res.status(403).json({
+  error: 'Access denied',
+  message: 'Only admins, managers and accountants can review transaction risk'
+});
+
+/**
+ * Company whose transactions are requested: the user's own, or any company
+ * for IT Park administrators (?companyId=, all companies when omitted)
+ */
+const resolveCompanyId = (req, companyId) => {
+  if (req.user.userType !== 'it_park_admin') {
+    return req.user.companyId;
+  }
+  return companyId || null;
+};
+
+/**
+ * Highest-risk expenses and general ledger entries first, with the reasons
+ * for each score. Ledger entries belong to reports, not trips, so a tripId
+ * filter lists expenses only.
+ */
+const getTransactionRisks = async (req, res, next) => {
+  try {
+    if (!canReview(req.user)) {
+      return reviewersOnly(res);
+    }
+
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 20;
+    const filters = {
+      companyId: resolveCompanyId(req, req.query.companyId),
+      tripId: req.query.tripId,
+      minScore: parseInt(req.query.minScore, 10) || 0,
+      from: req.query.from,
+      to: req.query.to,
+      page,
+      limit
+    };
+    const [{ expenses, total }, ledger] = await Promise.all([
+      transactionRiskService.getHighestRisk(filters),
+      filters.tripId ? { entries: [], total: 0 } : transactionRiskService.getHighestRiskLedgerEntries(filters)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        expenses,
+        ledgerEntries: ledger.entries,
+        pagination: {
+          page,
+          limit,
+          total,
+          ledgerTotal: ledger.total,
+          pages: Math.ceil(Math.max(total, ledger.total) / limit)
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Queue re-scoring of a company's recent expenses, e.g. after many new
+ * expenses moved the category medians
+ */
+const rescoreTransactions = async (req, res, next) => {
+  try {
+    if (!canReview(req.user)) {
+      return reviewersOnly(res);
+    }
+
+    const companyId = resolveCompanyId(req, req.body.companyId);
+    if (!companyId) {
+      return res.status(400).json({
+        success: false,
+        error: 'companyId is required'
+      });
+    }
+
+    const job = await jobQueue.enqueue('transactions.risk_score', { companyId }, {
+      user: req.user,
+      label: 'Transaction risk scoring'
+    });
+
+    res.status(202).json({
+      success: true,
+      data: job
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getTransactionRisks,
+  rescoreTransactions
+};
@@ -0,0 +1,236 @@
+const { ComplianceRule, ComplianceViolation, User, ViolationComment, ViolationEvidence } = require('../models');
+const violationService = require('../services/compliance/violationService');
+
+const USER_ATTRIBUTES = ['id', 'firstName', 'lastName', 'role'];
+
+/**
+ * Load a violation the current user is allowed to see
+ * @returns {Object|null} Violation or null when missing / in another company
+ */
+const findAccessibleViolation = async (violationId, user, options = {}) => {
+  const violation = await ComplianceViolation.findByPk(violationId, options);
+  if (!violation) {
+    return null;
+  }
+  if (user.userType !== 'it_park_admin' && violation.companyId !== user.companyId) {
+    return null;
+  }
+  return violation;
+};
+
+const violationNotFound = res => res.status(404).json({
+  success: false,
+  error: 'Violation not found'
+});
+
+/**
+ * List the violations of the user's company
+ */
+const getViolations = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 20;
+
+    const where = {};
+    if (req.user.userType !== 'it_park_admin') {
+      where.companyId = req.user.companyId;
+    } else if (req.query.companyId) {
+      where.companyId = req.query.companyId;
+    }
+    ['status', 'severity', 'source', 'ruleId', 'reportId'].forEach((field) => {
+      if (req.query[field]) {
+        where[field] = req.query[field];
+      }
+    });
+    if (req.query.assignedTo) {
+      where.assignedTo = req.query.assignedTo === 'me' ? req.user.id : req.query.assignedTo;
+    }
+
+    const { rows, count } = await ComplianceViolation.findAndCountAll({
+      where,
+      include: [
+        { model: User, as: 'assignee', attributes: USER_ATTRIBUTES },
+        { model: ComplianceRule, as: 'rule', attributes: ['id', 'name', 'ruleType'] }
+      ],
+      order: [['lastDetectedAt', 'DESC']],
+      limit,
+      offset: (page - 1) * limit
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        violations: rows,
+        pagination: {
+          page,
+          limit,
+          total: count,
+          pages: Math.ceil(count / limit)
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a violation with its comments, status history and evidence
+ */
+const getViolationById = async (req, res, next) => {
+  try {
+    const violation = await findAccessibleViolation(req.params.id, req.user, {
+      include: [
+        { model: User, as: 'assignee', attributes: USER_ATTRIBUTES },
+        { model: ComplianceRule, as: 'rule', attributes: ['id', 'name', 'ruleType', 'severity'] },
+        {
+          model: ViolationComment,
+          as: 'comments',
+          include: [{ model: User, as: 'author', attributes: USER_ATTRIBUTES }]
+        },
+        {
+          model: ViolationEvidence,
+          as: 'evidence',
+          attributes: { exclude: ['filePath'] },
+          include: [{ model: User, as: 'uploader', attributes: USER_ATTRIBUTES }]
+        }
+      ],
+      order: [
+        [{ model: ViolationComment, as: 'comments' }, 'createdAt', 'ASC'],
+        [{ model: ViolationEvidence, as: 'evidence' }, 'createdAt', 'ASC']
+      ]
+    });
+    if (!violation) {
+      return violationNotFound(res);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: violation
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Move a violation through open -> investigating -> resolved / false_positive
+ */
+const changeViolationStatus = async (req, res, next) => {
+  try {
+    const violation = await findAccessibleViolation(req.params.id, req.user);
+    if (!violation) {
+      return violationNotFound(res);
+    }
+
+    await violationService.changeStatus(violation, req.body.status, req.user, req.body.note);
+
+    res.status(200).json({
+      success: true,
+      data: violation
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Assign a violation to a user of the company (assigneeId null unassigns)
+ */
+const assignViolation = async (req, res, next) => {
+  try {
+    const violation = await findAccessibleViolation(req.params.id, req.user);
+    if (!violation) {
+      return violationNotFound(res);
+    }
+
+    await violationService.assign(violation, req.body.assigneeId, req.user);
+
+    res.status(200).json({
+      success: true,
+      data: violation
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Comment on a violation
+ */
+const addViolationComment = async (req, res, next) => {
+  try {
+    const violation = await findAccessibleViolation(req.params.id, req.user);
+    if (!violation) {
+      return violationNotFound(res);
+    }
+
+    const comment = await violationService.addComment(violation, req.user, req.body.comment);
+
+    res.status(201).json({
+      success: true,
+      data: comment
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Attach an evidence file to a violation
+ */
+const uploadEvidence = async (req, res, next) => {
+  try {
+    const violation = await findAccessibleViolation(req.params.id, req.user);
+    if (!violation) {
+      return violationNotFound(res);
+    }
+
+    const evidence = await violationService.addEvidence(violation, req.file, req.user, req.body.description);
+
+    res.status(201).json({
+      success: true,
+      data: evidence
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Download an evidence file
+ */
+const downloadEvidence = async (req, res, next) => {
+  try {
+    const violation = await findAccessibleViolation(req.params.id, req.user);
+    if (!violation) {
+      return violationNotFound(res);
+    }
+
+    const evidence = await ViolationEvidence.findOne({
+      where: { id: req.params.evidenceId, violationId: violation.id }
+    });
+    if (!evidence) {
+      return res.status(404).json({
+        success: false,
+        error: 'Evidence not found'
+      });
+    }
+
+    const file = await violationService.getEvidenceFile(evidence);
+    res.type(file.mimeType);
+    res.download(file.absolutePath, file.fileName);
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getViolations,
+  getViolationById,
+  changeViolationStatus,
+  assignViolation,
+  addViolationComment,
+  uploadEvidence,
+  downloadEvidence
+};
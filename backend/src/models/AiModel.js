@@ -0,0 +1,54 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * An AI model deployed for a task (`modelType`). For language model tasks
+ * `configuration` selects the provider and model:
+ *
+ *   { "provider": "openai", "model": "gpt-4", "temperature": 0.3,
+ *     "maxTokens": 1000, "timeoutMs": 30000, "maxRepairs": 2,
+ *     "pricing": { "promptPer1k": 0.03, "completionPer1k": 0.06 } }
+ *
+ * Providers: openai, anthropic, openai_compatible (LLM_COMPATIBLE_BASE_URL)
+ * and fake. Pricing is in USD per 1000 tokens.
+ */
+const AiModel = sequelize.define('ai_models', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  name: {
+    type: DataTypes.STRING(255),
+    allowNull: false
+  },
+  modelType: {
+    type: DataTypes.STRING(50),
+    allowNull: false
+  },
+  version: {
+    type: DataTypes.STRING(20),
+    allowNull: false
+  },
+  configuration: {
+    type: DataTypes.JSON,
+    allowNull: false
+  },
+  trainingDataInfo: {
+    type: DataTypes.JSON
+  },
+  performanceMetrics: {
+    type: DataTypes.JSON
+  },
+  isActive: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true
+  },
+  deployedAt: {
+    type: DataTypes.DATE
+  }
+}, {
+  updatedAt: false
+});
+
+module.exports = AiModel;
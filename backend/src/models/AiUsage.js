@@ -0,0 +1,63 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * One language model request of a company: tokens over all attempts
+ * (including repair retries), cost and outcome
+ */
+const AiUsage = sequelize.define('ai_usage', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  companyId: {
+    type: DataTypes.UUID
+  },
+  modelId: {
+    type: DataTypes.UUID
+  },
+  task: {
+    type: DataTypes.STRING(50),
+    allowNull: false
+  },
+  provider: {
+    type: DataTypes.STRING(30),
+    allowNull: false
+  },
+  model: {
+    type: DataTypes.STRING(100),
+    allowNull: false
+  },
+  attempts: {
+    type: DataTypes.INTEGER,
+    defaultValue: 1
+  },
+  promptTokens: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  completionTokens: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  // USD, from the model's pricing
+  cost: {
+    type: DataTypes.DECIMAL(12, 6),
+    defaultValue: 0
+  },
+  durationMs: {
+    type: DataTypes.INTEGER
+  },
+  status: {
+    type: DataTypes.ENUM('success', 'invalid_output', 'failed'),
+    allowNull: false
+  },
+  errorMessage: {
+    type: DataTypes.TEXT
+  }
+}, {
+  updatedAt: false
+});
+
+module.exports = AiUsage;
@@ -0,0 +1,52 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * Company-defined approval chain for business trips.
+ * A chain applies to a trip when its department, destination type and budget
+ * threshold all match; `steps` is an ordered list of
+ * `{ label, roles, userId }` approver definitions.
+ */
+const ApprovalChain = sequelize.define('approval_chains', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  companyId: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  name: {
+    type: DataTypes.STRING(255),
+    allowNull: false
+  },
+  department: {
+    type: DataTypes.STRING(100)
+  },
+  destinationType: {
+    type: DataTypes.ENUM('any', 'domestic', 'abroad'),
+    defaultValue: 'any'
+  },
+  budgetAbove: {
+    type: DataTypes.DECIMAL(12, 2)
+  },
+  currency: {
+    type: DataTypes.STRING(3),
+    defaultValue: 'USD'
+  },
+  priority: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  steps: {
+    type: DataTypes.JSON,
+    allowNull: false
+  },
+  isActive: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true
+  }
+});
+
+module.exports = ApprovalChain;
@@ -0,0 +1,44 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * Temporary hand-over of a user's approval rights, e.g. while on leave.
+ */
+const ApprovalDelegation = sequelize.define('approval_delegations', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  companyId: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  delegatorId: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  delegateId: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  startsAt: {
+    type: DataTypes.DATEONLY,
+    allowNull: false
+  },
+  endsAt: {
+    type: DataTypes.DATEONLY,
+    allowNull: false
+  },
+  reason: {
+    type: DataTypes.STRING(255)
+  },
+  isActive: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true
+  }
+}, {
+  updatedAt: false
+});
+
+module.exports = ApprovalDelegation;
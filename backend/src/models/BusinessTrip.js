@@ -0,0 +1,71 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const BusinessTrip = sequelize.define('business_trips', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  companyId: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  employeeId: {
+    type: DataTypes.UUID
+  },
+  tripTitle: {
+    type: DataTypes.STRING(255),
+    allowNull: false
+  },
+  destination: {
+    type: DataTypes.STRING(255),
+    allowNull: false
+  },
+  destinationCountry: {
+    type: DataTypes.STRING(2)
+  },
+  purpose: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  },
+  startDate: {
+    type: DataTypes.DATEONLY,
+    allowNull: false
+  },
+  endDate: {
+    type: DataTypes.DATEONLY,
+    allowNull: false
+  },
+  totalBudget: {
+    type: DataTypes.DECIMAL(12, 2)
+  },
+  totalExpenses: {
+    type: DataTypes.DECIMAL(12, 2),
+    defaultValue: 0
+  },
+  totalExpensesBase: {
+    type: DataTypes.DECIMAL(16, 2),
+    defaultValue: 0
+  },
+  currency: {
+    type: DataTypes.STRING(3),
+    defaultValue: 'USD'
+  },
+  status: {
+    type: DataTypes.ENUM('planned', 'approved', 'in_progress', 'completed', 'reported'),
+    defaultValue: 'planned'
+  },
+  approvalStatus: {
+    type: DataTypes.ENUM('pending', 'approved', 'rejected'),
+    defaultValue: 'pending'
+  },
+  approvedBy: {
+    type: DataTypes.UUID
+  },
+  approvedAt: {
+    type: DataTypes.DATE
+  }
+});
+
+module.exports = BusinessTrip;
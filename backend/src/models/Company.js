@@ -0,0 +1,68 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const Company = sequelize.define('companies', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  name: {
+    type: DataTypes.STRING(255),
+    allowNull: false
+  },
+  legalName: {
+    type: DataTypes.STRING(255),
+    allowNull: false
+  },
+  taxId: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    unique: true
+  },
+  registrationNumber: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    unique: true
+  },
+  address: {
+    type: DataTypes.TEXT
+  },
+  phone: {
+    type: DataTypes.STRING(20)
+  },
+  email: {
+    type: DataTypes.STRING(255)
+  },
+  website: {
+    type: DataTypes.STRING(255)
+  },
+  industry: {
+    type: DataTypes.STRING(100)
+  },
+  companySize: {
+    type: DataTypes.ENUM('small', 'medium', 'large'),
+    defaultValue: 'small'
+  },
+  itParkResidentSince: {
+    type: DataTypes.DATEONLY
+  },
+  baseCurrency: {
+    type: DataTypes.STRING(3),
+    defaultValue: 'UZS'
+  },
+  status: {
+    type: DataTypes.ENUM('active', 'inactive', 'suspended'),
+    defaultValue: 'active'
+  },
+  complianceScore: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  riskLevel: {
+    type: DataTypes.ENUM('low', 'medium', 'high', 'critical'),
+    defaultValue: 'medium'
+  }
+});
+
+module.exports = Company;
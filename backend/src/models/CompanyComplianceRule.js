@@ -0,0 +1,52 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { validateCustomParameters } = require('../utils/ruleDefinition');
+
+/**
+ * Company-specific configuration of a compliance rule: whether it applies
+ * and `customParameters` overriding the parameters of its definition
+ */
+const CompanyComplianceRule = sequelize.define('company_compliance_rules', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  companyId: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  ruleId: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  isEnabled: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true
+  },
+  customParameters: {
+    type: DataTypes.JSON
+  },
+  nextDueDate: {
+    type: DataTypes.DATEONLY
+  }
+}, {
+  updatedAt: false,
+  validate: {
+    async customParametersMatchRule() {
+      if (!this.customParameters) {
+        return;
+      }
+      const rule = await sequelize.models.compliance_rules.findByPk(this.ruleId);
+      if (!rule) {
+        throw new Error('Compliance rule not found');
+      }
+      const errors = validateCustomParameters(rule.ruleDefinition, this.customParameters);
+      if (errors.length > 0) {
+        throw new Error(`Invalid custom parameters for rule "${rule.name}": ${errors.join('; ')}`);
+      }
+    }
+  }
+});
+
+module.exports = CompanyComplianceRule;
@@ -0,0 +1,61 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { validateRuleDefinition } = require('../utils/ruleDefinition');
+
+/**
+ * IT Park compliance rule; `ruleDefinition.type` selects the check the
+ * compliance engine runs. Definitions are validated on save (see
+ * utils/ruleDefinition).
+ */
+const ComplianceRule = sequelize.define('compliance_rules', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  name: {
+    type: DataTypes.STRING(255),
+    allowNull: false
+  },
+  description: {
+    type: DataTypes.TEXT
+  },
+  category: {
+    type: DataTypes.ENUM('financial', 'legal', 'operational', 'reporting'),
+    allowNull: false
+  },
+  ruleType: {
+    type: DataTypes.ENUM('mandatory', 'recommended', 'conditional'),
+    defaultValue: 'mandatory'
+  },
+  severity: {
+    type: DataTypes.ENUM('low', 'medium', 'high', 'critical'),
+    defaultValue: 'medium'
+  },
+  frequency: {
+    type: DataTypes.ENUM('daily', 'weekly', 'monthly', 'quarterly', 'annually'),
+    allowNull: false
+  },
+  deadlineDays: {
+    type: DataTypes.INTEGER,
+    defaultValue: 30
+  },
+  ruleDefinition: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    validate: {
+      isValidRuleDefinition(value) {
+        const errors = validateRuleDefinition(value);
+        if (errors.length > 0) {
+          throw new Error(`Invalid rule definition: ${errors.join('; ')}`);
+        }
+      }
+    }
+  },
+  isActive: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true
+  }
+});
+
+module.exports = ComplianceRule;
@@ -0,0 +1,93 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * A rule violation or anomaly found by compliance analysis, tracked as a
+ * case: open -> investigating -> resolved / false_positive. Repeated
+ * analyses of the same period update the case with the same `dedupKey`
+ * (company, rule or anomaly type, period and subject) instead of adding one.
+ */
+const ComplianceViolation = sequelize.define('compliance_violations', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  companyId: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  ruleId: {
+    type: DataTypes.UUID
+  },
+  // Last analysed report that found it
+  reportId: {
+    type: DataTypes.UUID
+  },
+  source: {
+    type: DataTypes.ENUM('rule', 'anomaly'),
+    defaultValue: 'rule'
+  },
+  violationType: {
+    type: DataTypes.STRING(50),
+    allowNull: false
+  },
+  severity: {
+    type: DataTypes.ENUM('low', 'medium', 'high', 'critical'),
+    allowNull: false
+  },
+  description: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  },
+  subject: {
+    type: DataTypes.STRING(255)
+  },
+  periodStart: {
+    type: DataTypes.DATEONLY
+  },
+  periodEnd: {
+    type: DataTypes.DATEONLY
+  },
+  dedupKey: {
+    type: DataTypes.STRING(64),
+    allowNull: false
+  },
+  detectedAt: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  },
+  lastDetectedAt: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  },
+  occurrences: {
+    type: DataTypes.INTEGER,
+    defaultValue: 1
+  },
+  status: {
+    type: DataTypes.ENUM('open', 'investigating', 'resolved', 'false_positive'),
+    defaultValue: 'open'
+  },
+  assignedTo: {
+    type: DataTypes.UUID
+  },
+  resolvedAt: {
+    type: DataTypes.DATE
+  },
+  resolvedBy: {
+    type: DataTypes.UUID
+  },
+  resolutionNotes: {
+    type: DataTypes.TEXT
+  },
+  aiConfidence: {
+    type: DataTypes.DECIMAL(3, 2)
+  }
+}, {
+  indexes: [
+    { unique: true, fields: ['company_id', 'dedup_key'] }
+  ]
+});
+
+module.exports = ComplianceViolation;
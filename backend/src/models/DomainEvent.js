@@ -0,0 +1,42 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * Something that happened in the domain (a trip was approved, a report was
+ * signed), stored so its handlers can be retried and replayed
+ */
+const DomainEvent = sequelize.define('domain_events', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  type: {
+    type: DataTypes.STRING(100),
+    allowNull: false
+  },
+  companyId: {
+    type: DataTypes.UUID
+  },
+  aggregateType: {
+    type: DataTypes.STRING(50)
+  },
+  aggregateId: {
+    type: DataTypes.UUID
+  },
+  payload: {
+    type: DataTypes.JSON,
+    defaultValue: {}
+  },
+  userId: {
+    type: DataTypes.UUID
+  },
+  occurredAt: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  updatedAt: false
+});
+
+module.exports = DomainEvent;
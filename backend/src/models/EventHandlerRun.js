@@ -0,0 +1,46 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * Outcome of one event handler for one event. There is a single row per
+ * event and handler, so a handler that has processed an event is skipped
+ * when the event is dispatched again.
+ */
+const EventHandlerRun = sequelize.define('event_handler_runs', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  eventId: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  handler: {
+    type: DataTypes.STRING(100),
+    allowNull: false
+  },
+  status: {
+    type: DataTypes.ENUM('pending', 'running', 'processed', 'failed'),
+    defaultValue: 'pending'
+  },
+  attempts: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  result: {
+    type: DataTypes.JSON
+  },
+  errorMessage: {
+    type: DataTypes.TEXT
+  },
+  processedAt: {
+    type: DataTypes.DATE
+  }
+}, {
+  indexes: [
+    { unique: true, fields: ['event_id', 'handler'] }
+  ]
+});
+
+module.exports = EventHandlerRun;
@@ -0,0 +1,37 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * Official exchange rate of a currency against UZS on a given date,
+ * normalised to one unit (CBU publishes some currencies per 10 or 100 units).
+ */
+const ExchangeRate = sequelize.define('exchange_rates', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  currency: {
+    type: DataTypes.STRING(3),
+    allowNull: false
+  },
+  rateDate: {
+    type: DataTypes.DATEONLY,
+    allowNull: false
+  },
+  rate: {
+    type: DataTypes.DECIMAL(18, 6),
+    allowNull: false
+  },
+  source: {
+    type: DataTypes.STRING(20),
+    defaultValue: 'cbu'
+  }
+}, {
+  updatedAt: false,
+  indexes: [
+    { unique: true, fields: ['currency', 'rate_date'] }
+  ]
+});
+
+module.exports = ExchangeRate;
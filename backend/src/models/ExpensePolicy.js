@@ -0,0 +1,54 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * Company expense policy for a destination (country and/or city).
+ * Caps and the per-diem rate are expressed in `currency`.
+ */
+const ExpensePolicy = sequelize.define('expense_policies', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  companyId: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  name: {
+    type: DataTypes.STRING(255),
+    allowNull: false
+  },
+  country: {
+    type: DataTypes.STRING(2)
+  },
+  city: {
+    type: DataTypes.STRING(100)
+  },
+  currency: {
+    type: DataTypes.STRING(3),
+    defaultValue: 'USD'
+  },
+  perDiemRate: {
+    type: DataTypes.DECIMAL(12, 2)
+  },
+  dailyMealCap: {
+    type: DataTypes.DECIMAL(12, 2)
+  },
+  nightlyAccommodationCap: {
+    type: DataTypes.DECIMAL(12, 2)
+  },
+  receiptRequiredAbove: {
+    type: DataTypes.DECIMAL(12, 2)
+  },
+  nonReimbursableCategories: {
+    type: DataTypes.JSON,
+    defaultValue: []
+  },
+  isActive: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true
+  }
+});
+
+module.exports = ExpensePolicy;
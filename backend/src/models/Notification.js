@@ -0,0 +1,60 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * A message sent (or attempted) to a user on one channel
+ */
+const Notification = sequelize.define('notifications', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  companyId: {
+    type: DataTypes.UUID
+  },
+  userId: {
+    type: DataTypes.UUID
+  },
+  templateId: {
+    type: DataTypes.UUID
+  },
+  channel: {
+    type: DataTypes.ENUM('email', 'telegram', 'sms', 'push'),
+    allowNull: false
+  },
+  recipient: {
+    type: DataTypes.STRING(255),
+    allowNull: false
+  },
+  subject: {
+    type: DataTypes.STRING(255)
+  },
+  content: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  },
+  status: {
+    type: DataTypes.ENUM('pending', 'sent', 'delivered', 'failed', 'read'),
+    defaultValue: 'pending'
+  },
+  sentAt: {
+    type: DataTypes.DATE
+  },
+  deliveredAt: {
+    type: DataTypes.DATE
+  },
+  readAt: {
+    type: DataTypes.DATE
+  },
+  errorMessage: {
+    type: DataTypes.TEXT
+  },
+  metadata: {
+    type: DataTypes.JSON
+  }
+}, {
+  updatedAt: false
+});
+
+module.exports = Notification;
@@ -0,0 +1,38 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * Day of the official Uzbekistan working calendar that differs from the
+ * usual Monday-Friday week: a public holiday, or a weekend day declared a
+ * working day when a holiday is moved. Recurring holidays repeat on the
+ * same month and day every year; movable ones (Ramazon and Qurbon hayiti)
+ * are entered per year as they are announced.
+ */
+const PublicHoliday = sequelize.define('public_holidays', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  date: {
+    type: DataTypes.DATEONLY,
+    allowNull: false,
+    unique: true
+  },
+  name: {
+    type: DataTypes.STRING(255),
+    allowNull: false
+  },
+  dayType: {
+    type: DataTypes.ENUM('holiday', 'working_day'),
+    defaultValue: 'holiday'
+  },
+  recurring: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false
+  }
+}, {
+  updatedAt: false
+});
+
+module.exports = PublicHoliday;
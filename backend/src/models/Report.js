@@ -0,0 +1,86 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const Report = sequelize.define('reports', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  companyId: {
+    type: DataTypes.UUID
+  },
+  templateId: {
+    type: DataTypes.UUID
+  },
+  reportType: {
+    type: DataTypes.ENUM('quarterly', 'annual', 'business_trip', 'custom'),
+    allowNull: false
+  },
+  title: {
+    type: DataTypes.STRING(255),
+    allowNull: false
+  },
+  reportingPeriodStart: {
+    type: DataTypes.DATEONLY
+  },
+  reportingPeriodEnd: {
+    type: DataTypes.DATEONLY
+  },
+  status: {
+    type: DataTypes.ENUM('draft', 'generated', 'signed', 'submitted', 'approved', 'rejected'),
+    defaultValue: 'draft'
+  },
+  // Figures the report is rendered from (trial balance, statements, ...)
+  reportData: {
+    type: DataTypes.JSON,
+    defaultValue: {}
+  },
+  generatedBy: {
+    type: DataTypes.UUID
+  },
+  generatedAt: {
+    type: DataTypes.DATE
+  },
+  signedAt: {
+    type: DataTypes.DATE
+  },
+  submittedAt: {
+    type: DataTypes.DATE
+  },
+  // IT Park portal receipt of the latest submission
+  portalReceiptNumber: {
+    type: DataTypes.STRING(100)
+  },
+  reviewedAt: {
+    type: DataTypes.DATE
+  },
+  // Reasons given by IT Park when the latest submission was rejected
+  rejectionReasons: {
+    type: DataTypes.JSON
+  },
+  // Primary rendered file (PDF when available)
+  filePath: {
+    type: DataTypes.STRING(500)
+  },
+  fileHash: {
+    type: DataTypes.STRING(64)
+  },
+  // Every rendered file: [{ format, path, hash, size, language }]
+  files: {
+    type: DataTypes.JSON,
+    defaultValue: []
+  },
+  // Compliance packs: manifest of the bundled files and its signature
+  packManifest: {
+    type: DataTypes.JSON
+  },
+  signatureData: {
+    type: DataTypes.JSON
+  },
+  aiAnalysis: {
+    type: DataTypes.JSON
+  }
+});
+
+module.exports = Report;
@@ -0,0 +1,60 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * One submission of a signed report to the IT Park portal and its review
+ * outcome. A rejected report can be corrected, signed and submitted again.
+ */
+const ReportSubmission = sequelize.define('report_submissions', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  reportId: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  versionNumber: {
+    type: DataTypes.INTEGER
+  },
+  // Portal adapter the report was sent through
+  adapter: {
+    type: DataTypes.STRING(30),
+    allowNull: false
+  },
+  receiptNumber: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    unique: true
+  },
+  status: {
+    type: DataTypes.ENUM('submitted', 'under_review', 'approved', 'rejected'),
+    defaultValue: 'submitted'
+  },
+  fileHash: {
+    type: DataTypes.STRING(64)
+  },
+  submittedBy: {
+    type: DataTypes.UUID
+  },
+  submittedAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  lastCheckedAt: {
+    type: DataTypes.DATE
+  },
+  decidedAt: {
+    type: DataTypes.DATE
+  },
+  rejectionReasons: {
+    type: DataTypes.JSON
+  },
+  // Last response of the portal, kept for support cases
+  portalResponse: {
+    type: DataTypes.JSON
+  }
+});
+
+module.exports = ReportSubmission;
@@ -0,0 +1,36 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const ReportTemplate = sequelize.define('report_templates', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  name: {
+    type: DataTypes.STRING(255),
+    allowNull: false
+  },
+  description: {
+    type: DataTypes.TEXT
+  },
+  templateType: {
+    type: DataTypes.ENUM('quarterly', 'annual', 'business_trip', 'custom'),
+    allowNull: false
+  },
+  format: {
+    type: DataTypes.ENUM('pdf', 'excel', 'both'),
+    defaultValue: 'both'
+  },
+  // Sections, tables, computed fields and localized labels
+  templateData: {
+    type: DataTypes.JSON,
+    allowNull: false
+  },
+  isActive: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true
+  }
+});
+
+module.exports = ReportTemplate;
@@ -0,0 +1,68 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * One generation of a report: the input it was rendered from and the files
+ * produced. Versions are never changed after creation except for being
+ * signed; signed versions cannot be deleted (enforced by a trigger).
+ */
+const ReportVersion = sequelize.define('report_versions', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  reportId: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  versionNumber: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  // Title, period, report data and template the files were rendered from
+  snapshot: {
+    type: DataTypes.JSON,
+    allowNull: false
+  },
+  snapshotHash: {
+    type: DataTypes.STRING(64),
+    allowNull: false
+  },
+  filePath: {
+    type: DataTypes.STRING(500)
+  },
+  fileHash: {
+    type: DataTypes.STRING(64)
+  },
+  files: {
+    type: DataTypes.JSON,
+    defaultValue: []
+  },
+  packManifest: {
+    type: DataTypes.JSON
+  },
+  generatedBy: {
+    type: DataTypes.UUID
+  },
+  generatedAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  signedBy: {
+    type: DataTypes.UUID
+  },
+  signedAt: {
+    type: DataTypes.DATE
+  },
+  signatureData: {
+    type: DataTypes.JSON
+  }
+}, {
+  updatedAt: false,
+  indexes: [
+    { unique: true, fields: ['report_id', 'version_number'] }
+  ]
+});
+
+module.exports = ReportVersion;
@@ -0,0 +1,53 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * A company risk score with its breakdown. `riskFactors` is
+ * { uncappedScore, factors: [{ source, type, ruleId, severity, description,
+ * weight, basePoints, points }] }, one factor per violation or anomaly.
+ */
+const RiskAssessment = sequelize.define('risk_assessments', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  companyId: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  // Report whose analysis produced the assessment
+  reportId: {
+    type: DataTypes.UUID
+  },
+  assessmentType: {
+    type: DataTypes.STRING(50),
+    allowNull: false
+  },
+  riskScore: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    validate: {
+      min: 0,
+      max: 100
+    }
+  },
+  riskFactors: {
+    type: DataTypes.JSON,
+    allowNull: false
+  },
+  recommendations: {
+    type: DataTypes.JSON
+  },
+  assessedAt: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  },
+  validUntil: {
+    type: DataTypes.DATE
+  }
+}, {
+  updatedAt: false
+});
+
+module.exports = RiskAssessment;
@@ -0,0 +1,52 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * Cash advance paid to the traveller before or during a trip
+ */
+const TripAdvance = sequelize.define('trip_advances', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  tripId: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  amount: {
+    type: DataTypes.DECIMAL(12, 2),
+    allowNull: false
+  },
+  currency: {
+    type: DataTypes.STRING(3),
+    allowNull: false
+  },
+  issuedOn: {
+    type: DataTypes.DATEONLY,
+    allowNull: false
+  },
+  exchangeRate: {
+    type: DataTypes.DECIMAL(18, 6)
+  },
+  tripCurrencyAmount: {
+    type: DataTypes.DECIMAL(14, 2)
+  },
+  paymentMethod: {
+    type: DataTypes.ENUM('cash', 'bank_transfer', 'card'),
+    defaultValue: 'cash'
+  },
+  reference: {
+    type: DataTypes.STRING(100)
+  },
+  notes: {
+    type: DataTypes.TEXT
+  },
+  issuedBy: {
+    type: DataTypes.UUID
+  }
+}, {
+  updatedAt: false
+});
+
+module.exports = TripAdvance;
@@ -0,0 +1,53 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * One step of a trip's approval workflow, with the decision taken on it.
+ */
+const TripApprovalStep = sequelize.define('trip_approval_steps', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  tripId: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  chainId: {
+    type: DataTypes.UUID
+  },
+  stepOrder: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  label: {
+    type: DataTypes.STRING(100)
+  },
+  approverRoles: {
+    type: DataTypes.JSON
+  },
+  approverUserId: {
+    type: DataTypes.UUID
+  },
+  status: {
+    type: DataTypes.ENUM('pending', 'approved', 'rejected', 'skipped'),
+    defaultValue: 'pending'
+  },
+  decidedBy: {
+    type: DataTypes.UUID
+  },
+  onBehalfOf: {
+    type: DataTypes.UUID
+  },
+  comment: {
+    type: DataTypes.TEXT
+  },
+  decidedAt: {
+    type: DataTypes.DATE
+  }
+}, {
+  updatedAt: false
+});
+
+module.exports = TripApprovalStep;
@@ -0,0 +1,104 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const TripExpense = sequelize.define('trip_expenses', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  tripId: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  category: {
+    type: DataTypes.ENUM('transport', 'accommodation', 'meals', 'materials', 'other'),
+    allowNull: false
+  },
+  description: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  },
+  amount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false
+  },
+  currency: {
+    type: DataTypes.STRING(3),
+    defaultValue: 'USD'
+  },
+  expenseDate: {
+    type: DataTypes.DATEONLY,
+    allowNull: false
+  },
+  // Conversion into the trip and company currencies at the expense date rate
+  exchangeRate: {
+    type: DataTypes.DECIMAL(18, 6)
+  },
+  tripCurrencyAmount: {
+    type: DataTypes.DECIMAL(14, 2)
+  },
+  baseExchangeRate: {
+    type: DataTypes.DECIMAL(18, 6)
+  },
+  baseCurrencyAmount: {
+    type: DataTypes.DECIMAL(16, 2)
+  },
+  rateDate: {
+    type: DataTypes.DATEONLY
+  },
+  receiptFile: {
+    type: DataTypes.STRING(500)
+  },
+  receiptHash: {
+    type: DataTypes.STRING(64)
+  },
+  receiptMimeType: {
+    type: DataTypes.STRING(100)
+  },
+  receiptOriginalName: {
+    type: DataTypes.STRING(255)
+  },
+  receiptSize: {
+    type: DataTypes.INTEGER
+  },
+  receiptThumbnail: {
+    type: DataTypes.STRING(500)
+  },
+  isReimbursable: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true
+  },
+  // Expense policy applied and the reasons the expense is out of policy
+  policyId: {
+    type: DataTypes.UUID
+  },
+  policyFlags: {
+    type: DataTypes.JSON,
+    defaultValue: []
+  },
+  // Share of the expense above a daily meal or accommodation cap (trip currency), not reimbursed
+  policyExcessAmount: {
+    type: DataTypes.DECIMAL(14, 2),
+    defaultValue: 0
+  },
+  // Transaction risk score (0-100, null until scored) and the reasons behind it
+  riskScore: {
+    type: DataTypes.INTEGER,
+    validate: {
+      min: 0,
+      max: 100
+    }
+  },
+  riskFactors: {
+    type: DataTypes.JSON,
+    defaultValue: []
+  },
+  riskScoredAt: {
+    type: DataTypes.DATE
+  }
+}, {
+  updatedAt: false
+});
+
+module.exports = TripExpense;
@@ -0,0 +1,34 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const TripReport = sequelize.define('trip_reports', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  tripId: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  reportId: {
+    type: DataTypes.UUID
+  },
+  summary: {
+    type: DataTypes.TEXT
+  },
+  achievements: {
+    type: DataTypes.TEXT
+  },
+  recommendations: {
+    type: DataTypes.TEXT
+  },
+  attachments: {
+    type: DataTypes.JSON,
+    defaultValue: []
+  }
+}, {
+  updatedAt: false
+});
+
+module.exports = TripReport;
@@ -0,0 +1,76 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * Settlement of a trip: advances netted against reimbursable expenses.
+ * A positive balance is owed to the employee, a negative one by the employee.
+ */
+const TripSettlement = sequelize.define('trip_settlements', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  tripId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    unique: true
+  },
+  currency: {
+    type: DataTypes.STRING(3),
+    allowNull: false
+  },
+  totalAdvances: {
+    type: DataTypes.DECIMAL(14, 2),
+    defaultValue: 0
+  },
+  reimbursableExpenses: {
+    type: DataTypes.DECIMAL(14, 2),
+    defaultValue: 0
+  },
+  nonReimbursableExpenses: {
+    type: DataTypes.DECIMAL(14, 2),
+    defaultValue: 0
+  },
+  balance: {
+    type: DataTypes.DECIMAL(14, 2),
+    defaultValue: 0
+  },
+  direction: {
+    type: DataTypes.ENUM('company_owes_employee', 'employee_owes_company', 'settled'),
+    allowNull: false
+  },
+  status: {
+    type: DataTypes.ENUM('open', 'paid'),
+    defaultValue: 'open'
+  },
+  pdfPath: {
+    type: DataTypes.STRING(500)
+  },
+  pdfHash: {
+    type: DataTypes.STRING(64)
+  },
+  excelPath: {
+    type: DataTypes.STRING(500)
+  },
+  excelHash: {
+    type: DataTypes.STRING(64)
+  },
+  generatedBy: {
+    type: DataTypes.UUID
+  },
+  generatedAt: {
+    type: DataTypes.DATE
+  },
+  paidBy: {
+    type: DataTypes.UUID
+  },
+  paidAt: {
+    type: DataTypes.DATE
+  },
+  paymentReference: {
+    type: DataTypes.STRING(100)
+  }
+});
+
+module.exports = TripSettlement;
@@ -0,0 +1,39 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * Audit trail of business trip status transitions.
+ * `changedBy` is NULL when the scheduler moved the trip.
+ */
+const TripStatusHistory = sequelize.define('trip_status_history', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  tripId: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  fromStatus: {
+    type: DataTypes.STRING(20)
+  },
+  toStatus: {
+    type: DataTypes.STRING(20),
+    allowNull: false
+  },
+  source: {
+    type: DataTypes.ENUM('user', 'approval_workflow', 'scheduler', 'trip_report'),
+    allowNull: false
+  },
+  changedBy: {
+    type: DataTypes.UUID
+  },
+  reason: {
+    type: DataTypes.TEXT
+  }
+}, {
+  updatedAt: false
+});
+
+module.exports = TripStatusHistory;
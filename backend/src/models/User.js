@@ -0,0 +1,66 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const User = sequelize.define('users', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  companyId: {
+    type: DataTypes.UUID
+  },
+  email: {
+    type: DataTypes.STRING(255),
+    allowNull: false,
+    unique: true
+  },
+  passwordHash: {
+    type: DataTypes.STRING(255),
+    allowNull: false
+  },
+  firstName: {
+    type: DataTypes.STRING(100),
+    allowNull: false
+  },
+  lastName: {
+    type: DataTypes.STRING(100),
+    allowNull: false
+  },
+  role: {
+    type: DataTypes.ENUM('admin', 'manager', 'accountant', 'employee'),
+    defaultValue: 'employee'
+  },
+  department: {
+    type: DataTypes.STRING(100)
+  },
+  phone: {
+    type: DataTypes.STRING(20)
+  },
+  language: {
+    type: DataTypes.ENUM('en', 'ru', 'uz'),
+    defaultValue: 'en'
+  },
+  timezone: {
+    type: DataTypes.STRING(50),
+    defaultValue: 'UTC'
+  },
+  isActive: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true
+  },
+  lastLogin: {
+    type: DataTypes.DATE
+  },
+  // Secret part of the personal .ics feed URLs
+  calendarToken: {
+    type: DataTypes.STRING(64),
+    unique: true
+  }
+}, {
+  defaultScope: {
+    attributes: { exclude: ['passwordHash', 'calendarToken'] }
+  }
+});
+
+module.exports = User;
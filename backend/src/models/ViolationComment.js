@@ -0,0 +1,37 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * Comment on a compliance violation. Status changes and assignments are
+ * logged here too, with `statusFrom`/`statusTo` or `assignedTo` set.
+ */
+const ViolationComment = sequelize.define('compliance_violation_comments', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  violationId: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  userId: {
+    type: DataTypes.UUID
+  },
+  comment: {
+    type: DataTypes.TEXT
+  },
+  statusFrom: {
+    type: DataTypes.STRING(20)
+  },
+  statusTo: {
+    type: DataTypes.STRING(20)
+  },
+  assignedTo: {
+    type: DataTypes.UUID
+  }
+}, {
+  updatedAt: false
+});
+
+module.exports = ViolationComment;
@@ -0,0 +1,47 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * Evidence attached to a compliance violation (documents, screenshots),
+ * kept in file storage like receipts
+ */
+const ViolationEvidence = sequelize.define('compliance_violation_evidence', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  violationId: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  uploadedBy: {
+    type: DataTypes.UUID
+  },
+  fileName: {
+    type: DataTypes.STRING(255),
+    allowNull: false
+  },
+  filePath: {
+    type: DataTypes.STRING(500),
+    allowNull: false
+  },
+  fileHash: {
+    type: DataTypes.STRING(64),
+    allowNull: false
+  },
+  mimeType: {
+    type: DataTypes.STRING(100),
+    allowNull: false
+  },
+  fileSize: {
+    type: DataTypes.INTEGER
+  },
+  description: {
+    type: DataTypes.TEXT
+  }
+}, {
+  updatedAt: false
+});
+
+module.exports = ViolationEvidence;
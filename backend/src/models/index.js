@@ -0,0 +1,102 @@
+const { sequelize } = require('../config/database');
+const Company = require('./Company');
+const User = require('./User');
+const BusinessTrip = require('./BusinessTrip');
+const ApprovalChain = require('./ApprovalChain');
+const ApprovalDelegation = require('./ApprovalDelegation');
+const TripApprovalStep = require('./TripApprovalStep');
+const TripExpense = require('./TripExpense');
+const TripStatusHistory = require('./TripStatusHistory');
+const ExchangeRate = require('./ExchangeRate');
+const ExpensePolicy = require('./ExpensePolicy');
+const TripAdvance = require('./TripAdvance');
+const TripSettlement = require('./TripSettlement');
+const TripReport = require('./TripReport');
+const ReportTemplate = require('./ReportTemplate');
+const Report = require('./Report');
+const ReportVersion = require('./ReportVersion');
+const ReportSubmission = require('./ReportSubmission');
+const ComplianceRule = require('./ComplianceRule');
+const CompanyComplianceRule = require('./CompanyComplianceRule');
+const PublicHoliday = require('./PublicHoliday');
+const Notification = require('./Notification');
+const ComplianceViolation = require('./ComplianceViolation');
+const ViolationComment = require('./ViolationComment');
+const ViolationEvidence = require('./ViolationEvidence');
+const RiskAssessment = require('./RiskAssessment');
+const AiModel = require('./AiModel');
+const AiUsage = require('./AiUsage');
+const DomainEvent = require('./DomainEvent');
+const EventHandlerRun = require('./EventHandlerRun');
+
+// Associations
+User.belongsTo(Company, { as: 'company', foreignKey: 'companyId' });
+BusinessTrip.belongsTo(Company, { as: 'company', foreignKey: 'companyId' });
+BusinessTrip.belongsTo(User, { as: 'employee', foreignKey: 'employeeId' });
+BusinessTrip.hasMany(TripApprovalStep, { as: 'approvalSteps', foreignKey: 'tripId', onDelete: 'CASCADE' });
+TripApprovalStep.belongsTo(BusinessTrip, { as: 'trip', foreignKey: 'tripId' });
+BusinessTrip.hasMany(TripExpense, { as: 'expenses', foreignKey: 'tripId', onDelete: 'CASCADE' });
+TripExpense.belongsTo(BusinessTrip, { as: 'trip', foreignKey: 'tripId' });
+BusinessTrip.hasMany(TripStatusHistory, { as: 'statusHistory', foreignKey: 'tripId', onDelete: 'CASCADE' });
+TripExpense.belongsTo(ExpensePolicy, { as: 'policy', foreignKey: 'policyId' });
+BusinessTrip.hasMany(TripAdvance, { as: 'advances', foreignKey: 'tripId', onDelete: 'CASCADE' });
+BusinessTrip.hasOne(TripSettlement, { as: 'settlement', foreignKey: 'tripId', onDelete: 'CASCADE' });
+BusinessTrip.hasOne(TripReport, { as: 'report', foreignKey: 'tripId', onDelete: 'CASCADE' });
+TripReport.belongsTo(BusinessTrip, { as: 'trip', foreignKey: 'tripId' });
+Report.belongsTo(Company, { as: 'company', foreignKey: 'companyId' });
+Report.belongsTo(ReportTemplate, { as: 'template', foreignKey: 'templateId' });
+Report.hasMany(ReportVersion, { as: 'versions', foreignKey: 'reportId', onDelete: 'CASCADE' });
+ReportVersion.belongsTo(Report, { as: 'report', foreignKey: 'reportId' });
+Report.hasMany(ReportSubmission, { as: 'submissions', foreignKey: 'reportId', onDelete: 'CASCADE' });
+ReportSubmission.belongsTo(Report, { as: 'report', foreignKey: 'reportId' });
+TripApprovalStep.belongsTo(ApprovalChain, { as: 'chain', foreignKey: 'chainId' });
+ApprovalDelegation.belongsTo(User, { as: 'delegator', foreignKey: 'delegatorId' });
+ApprovalDelegation.belongsTo(User, { as: 'delegate', foreignKey: 'delegateId' });
+ComplianceRule.hasMany(CompanyComplianceRule, { as: 'companySettings', foreignKey: 'ruleId', onDelete: 'CASCADE' });
+CompanyComplianceRule.belongsTo(ComplianceRule, { as: 'rule', foreignKey: 'ruleId' });
+CompanyComplianceRule.belongsTo(Company, { as: 'company', foreignKey: 'companyId' });
+ComplianceViolation.belongsTo(Company, { as: 'company', foreignKey: 'companyId' });
+ComplianceViolation.belongsTo(ComplianceRule, { as: 'rule', foreignKey: 'ruleId' });
+ComplianceViolation.belongsTo(User, { as: 'assignee', foreignKey: 'assignedTo' });
+ComplianceViolation.hasMany(ViolationComment, { as: 'comments', foreignKey: 'violationId', onDelete: 'CASCADE' });
+ComplianceViolation.hasMany(ViolationEvidence, { as: 'evidence', foreignKey: 'violationId', onDelete: 'CASCADE' });
+ViolationComment.belongsTo(User, { as: 'author', foreignKey: 'userId' });
+ViolationEvidence.belongsTo(User, { as: 'uploader', foreignKey: 'uploadedBy' });
+RiskAssessment.belongsTo(Company, { as: 'company', foreignKey: 'companyId' });
+RiskAssessment.belongsTo(Report, { as: 'report', foreignKey: 'reportId' });
+AiUsage.belongsTo(AiModel, { as: 'aiModel', foreignKey: 'modelId' });
+DomainEvent.hasMany(EventHandlerRun, { as: 'handlerRuns', foreignKey: 'eventId', onDelete: 'CASCADE' });
+EventHandlerRun.belongsTo(DomainEvent, { as: 'event', foreignKey: 'eventId' });
+
+module.exports = {
+  sequelize,
+  Company,
+  User,
+  BusinessTrip,
+  ApprovalChain,
+  ApprovalDelegation,
+  TripApprovalStep,
+  TripExpense,
+  TripStatusHistory,
+  ExchangeRate,
+  ExpensePolicy,
+  TripAdvance,
+  TripSettlement,
+  TripReport,
+  ReportTemplate,
+  Report,
+  ReportVersion,
+  ReportSubmission,
+  ComplianceRule,
+  CompanyComplianceRule,
+  PublicHoliday,
+  Notification,
+  ComplianceViolation,
+  ViolationComment,
+  ViolationEvidence,
+  RiskAssessment,
+  AiModel,
+  AiUsage,
+  DomainEvent,
+  EventHandlerRun
+};
@@ -0,0 +1,144 @@
+const express = require('express');
+const { body, param } = require('express-validator');
+const approvalWorkflowsController = require('../controllers/approvalWorkflowsController');
+const { requireRole } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+
+const router = express.Router();
+
+const APPROVER_ROLES = ['admin', 'manager', 'accountant', 'employee'];
+
+// Validation schemas
+const stepsValidation = [
+  body('steps.*.label').optional().isString().withMessage('Step label must be a string'),
+  body('steps.*.roles').optional().isArray().withMessage('Step roles must be an array'),
+  body('steps.*.roles.*').optional().isIn(APPROVER_ROLES).withMessage('Invalid approver role'),
+  body('steps.*.userId').optional().isUUID().withMessage('Step approver must be a valid user ID'),
+  body('steps').optional().custom(steps => {
+    const incomplete = steps.findIndex(step => !step.userId && !(Array.isArray(step.roles) && step.roles.length > 0));
+    if (incomplete !== -1) {
+      throw new Error(`Step ${incomplete + 1} needs either roles or a userId`);
+    }
+    return true;
+  })
+];
+
+const chainOptionalFields = [
+  body('department').optional({ nullable: true }).isString().withMessage('Department must be a string'),
+  body('destinationType').optional().isIn(['any', 'domestic', 'abroad']).withMessage('Invalid destination type'),
+  body('budgetAbove').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Budget threshold must be a positive number'),
+  body('currency').optional().isLength({ min: 3, max: 3 }).withMessage('Currency must be 3 characters'),
+  body('priority').optional().isInt().withMessage('Priority must be an integer')
+];
+
+const chainValidation = [
+  body('name').notEmpty().withMessage('Chain name is required'),
+  body('steps').isArray({ min: 1 }).withMessage('At least one approval step is required'),
+  ...chainOptionalFields,
+  ...stepsValidation
+];
+
+const updateChainValidation = [
+  param('chainId').isUUID().withMessage('Valid chain ID is required'),
+  body('name').optional().notEmpty().withMessage('Chain name cannot be empty'),
+  body('steps').optional().isArray({ min: 1 }).withMessage('At least one approval step is required'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be a boolean'),
+  ...chainOptionalFields,
+  ...stepsValidation
+];
+
+const delegationValidation = [
+  body('delegateId').isUUID().withMessage('Valid delegate ID is required'),
+  body('delegatorId').optional().isUUID().withMessage('Valid delegator ID is required'),
+  body('startsAt').isISO8601().withMessage('Valid start date is required'),
+  body('endsAt').isISO8601().withMessage('Valid end date is required')
+    .custom((endsAt, { req }) => {
+      if (new Date(endsAt) < new Date(req.body.startsAt)) {
+        throw new Error('End date must not be before start date');
+      }
+      return true;
+    }),
+  body('reason').optional().isString()
+];
+
+// Routes
+
+/**
+ * @route   GET /api/approval-workflows/chains
+ * @desc    Get the company's approval chains
+ * @access  Private (Manager, Admin)
+ */
+router.get('/chains',
+  requireRole(['manager', 'admin']),
+  approvalWorkflowsController.getChains
+);
+
+/**
+ * @route   POST /api/approval-workflows/chains
+ * @desc    Create an approval chain
+ * @access  Private (Admin)
+ */
+router.post('/chains',
+  chainValidation,
+  validate,
+  requireRole(['admin']),
+  approvalWorkflowsController.createChain
+);
+
+/**
+ * @route   PUT /api/approval-workflows/chains/:chainId
+ * @desc    Update an approval chain
+ * @access  Private (Admin)
+ */
+router.put('/chains/:chainId',
+  updateChainValidation,
+  validate,
+  requireRole(['admin']),
+  approvalWorkflowsController.updateChain
+);
+
+/**
+ * @route   DELETE /api/approval-workflows/chains/:chainId
+ * @desc    Deactivate an approval chain
+ * @access  Private (Admin)
+ */
+router.delete('/chains/:chainId',
+  [param('chainId').isUUID().withMessage('Valid chain ID is required')],
+  validate,
+  requireRole(['admin']),
+  approvalWorkflowsController.deleteChain
+);
+
+/**
+ * @route   GET /api/approval-workflows/delegations
+ * @desc    Get active and upcoming approval delegations
+ * @access  Private
+ */
+router.get('/delegations',
+  approvalWorkflowsController.getDelegations
+);
+
+/**
+ * @route   POST /api/approval-workflows/delegations
+ * @desc    Delegate approval rights for a period (e.g. leave)
+ * @access  Private (Manager, Accountant, Admin)
+ */
+router.post('/delegations',
+  delegationValidation,
+  validate,
+  requireRole(['manager', 'accountant', 'admin']),
+  approvalWorkflowsController.createDelegation
+);
+
+/**
+ * @route   DELETE /api/approval-workflows/delegations/:delegationId
+ * @desc    Revoke an approval delegation
+ * @access  Private (Delegator, Admin)
+ */
+router.delete('/delegations/:delegationId',
+  [param('delegationId').isUUID().withMessage('Valid delegation ID is required')],
+  validate,
+  approvalWorkflowsController.revokeDelegation
+);
+
+module.exports = router;
@@ -1,39 +1,67 @@
 const express = require('express');
+const multer = require('multer');
 const { body, param, query } = require('express-validator');
 const businessTripsController = require('../controllers/businessTripsController');
 const { requireRole, requireCompanyAccess } = require('../middleware/auth');
 const validate = require('../middleware/validate');
+const receiptService = require('../services/trips/receiptService');
+const expenseImportService = require('../services/trips/expenseImportService');
+const exchangeRateService = require('../services/currency/exchangeRateService');
+const { EXPENSE_CATEGORIES, expenseFieldValidation } = require('../validators/expenseValidation');
 
 const router = express.Router();
 
+const receiptUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: receiptService.maxFileSize, files: 1 }
+});
+
+const expenseImportUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: expenseImportService.maxFileSize, files: 1 }
+});
+
 // Validation schemas
+// Trip amounts are converted with CBU rates, so only currencies with a rate are accepted
+const tripCurrencyValidation = body('currency').optional()
+  .isLength({ min: 3, max: 3 }).withMessage('Currency must be 3 characters')
+  .bail()
+  .custom(async (currency) => {
+    if (!(await exchangeRateService.isSupported(currency))) {
+      throw new Error(`No exchange rate is available for ${currency}`);
+    }
+    return true;
+  });
+
 const createTripValidation = [
   body('tripTitle').notEmpty().withMessage('Trip title is required'),
   body('destination').notEmpty().withMessage('Destination is required'),
+  body('destinationCountry').optional().isISO31661Alpha2().withMessage('Destination country must be an ISO 3166-1 alpha-2 code'),
   body('purpose').notEmpty().withMessage('Purpose is required'),
   body('startDate').isISO8601().withMessage('Valid start date is required'),
   body('endDate').isISO8601().withMessage('Valid end date is required'),
   body('totalBudget').optional().isFloat({ min: 0 }).withMessage('Budget must be a positive number'),
-  body('currency').optional().isLength({ min: 3, max: 3 }).withMessage('Currency must be 3 characters')
+  tripCurrencyValidation,
+  body('employeeId').optional().isUUID().withMessage('Valid employee ID required')
 ];
 
 const updateTripValidation = [
   param('id').isUUID().withMessage('Valid trip ID is required'),
   body('tripTitle').optional().notEmpty().withMessage('Trip title cannot be empty'),
   body('destination').optional().notEmpty().withMessage('Destination cannot be empty'),
+  body('destinationCountry').optional().isISO31661Alpha2().withMessage('Destination country must be an ISO 3166-1 alpha-2 code'),
   body('purpose').optional().notEmpty().withMessage('Purpose cannot be empty'),
   body('startDate').optional().isISO8601().withMessage('Valid start date is required'),
   body('endDate').optional().isISO8601().withMessage('Valid end date is required'),
-  body('totalBudget').optional().isFloat({ min: 0 }).withMessage('Budget must be a positive number')
+  body('totalBudget').optional().isFloat({ min: 0 }).withMessage('Budget must be a positive number'),
+  tripCurrencyValidation,
+  body('status').optional().isIn(['planned', 'approved', 'in_progress', 'completed', 'reported']).withMessage('Invalid status'),
+  body('statusReason').optional().isString().withMessage('Status reason must be a string')
 ];
 
 const addExpenseValidation = [
   param('id').isUUID().withMessage('Valid trip ID is required'),
-  body('category').isIn(['transport', 'accommodation', 'meals', 'materials', 'other']).withMessage('Invalid expense category'),
-  body('description').notEmpty().withMessage('Expense description is required'),
-  body('amount').isFloat({ min: 0 }).withMessage('Amount must be a positive number'),
-  body('expenseDate').isISO8601().withMessage('Valid expense date is required'),
-  body('currency').optional().isLength({ min: 3, max: 3 }).withMessage('Currency must be 3 characters')
+  ...expenseFieldValidation
 ];
 
 // Routes
@@ -67,7 +95,7 @@ router.get('/:id',
 
 /**
  * @route   POST /api/business-trips
- * @desc    Create a new business trip
+ * @desc    Create a new business trip; overlapping trips of the employee return 409
  * @access  Private (Employee, Manager, Admin)
  */
 router.post('/',
@@ -79,7 +107,8 @@ router.post('/',
 
 /**
  * @route   PUT /api/business-trips/:id
- * @desc    Update a business trip
+ * @desc    Update a business trip; status changes must follow the trip lifecycle
+ *          and new dates must not overlap other trips of the employee
  * @access  Private (Trip creator, Manager, Admin)
  */
 router.put('/:id',
@@ -88,6 +117,17 @@ router.put('/:id',
   businessTripsController.updateTrip
 );
 
+/**
+ * @route   GET /api/business-trips/:id/status-history
+ * @desc    Get who or what changed the trip status, and when
+ * @access  Private
+ */
+router.get('/:id/status-history',
+  [param('id').isUUID().withMessage('Valid trip ID is required')],
+  validate,
+  businessTripsController.getTripStatusHistory
+);
+
 /**
  * @route   DELETE /api/business-trips/:id
  * @desc    Delete a business trip
@@ -101,20 +141,22 @@ router.delete('/:id',
 
 /**
  * @route   POST /api/business-trips/:id/approve
- * @desc    Approve a business trip
- * @access  Private (Manager, Admin)
+ * @desc    Approve the current step of a trip's approval workflow
+ * @access  Private (Approver of the current step or their delegate)
  */
 router.post('/:id/approve',
-  [param('id').isUUID().withMessage('Valid trip ID is required')],
+  [
+    param('id').isUUID().withMessage('Valid trip ID is required'),
+    body('comment').optional().isString().withMessage('Comment must be a string')
+  ],
   validate,
-  requireRole(['manager', 'admin']),
   businessTripsController.approveTrip
 );
 
 /**
  * @route   POST /api/business-trips/:id/reject
- * @desc    Reject a business trip
- * @access  Private (Manager, Admin)
+ * @desc    Reject a business trip at its current approval step
+ * @access  Private (Approver of the current step or their delegate)
  */
 router.post('/:id/reject',
   [
@@ -122,13 +164,23 @@ router.post('/:id/reject',
     body('reason').notEmpty().withMessage('Rejection reason is required')
   ],
   validate,
-  requireRole(['manager', 'admin']),
   businessTripsController.rejectTrip
 );
 
+/**
+ * @route   GET /api/business-trips/:id/approvals
+ * @desc    Get approval steps, approvers, timestamps and comments for a trip
+ * @access  Private
+ */
+router.get('/:id/approvals',
+  [param('id').isUUID().withMessage('Valid trip ID is required')],
+  validate,
+  businessTripsController.getTripApprovals
+);
+
 /**
  * @route   POST /api/business-trips/:id/expenses
- * @desc    Add expense to a business trip
+ * @desc    Add expense to a business trip; out-of-policy expenses are flagged
  * @access  Private (Trip creator, Manager, Admin)
  */
 router.post('/:id/expenses',
@@ -137,6 +189,30 @@ router.post('/:id/expenses',
   businessTripsController.addExpense
 );
 
+/**
+ * @route   POST /api/business-trips/:id/expenses/import/preview
+ * @desc    Dry run of a CSV or XLSX expense import: per-row errors, conversions and policy flags
+ * @access  Private (Trip creator, Manager, Admin)
+ */
+router.post('/:id/expenses/import/preview',
+  [param('id').isUUID().withMessage('Valid trip ID is required')],
+  validate,
+  expenseImportUpload.single('file'),
+  businessTripsController.previewExpenseImport
+);
+
+/**
+ * @route   POST /api/business-trips/:id/expenses/import
+ * @desc    Import the valid rows of a CSV or XLSX file in one transaction; invalid rows are skipped
+ * @access  Private (Trip creator, Manager, Admin)
+ */
+router.post('/:id/expenses/import',
+  [param('id').isUUID().withMessage('Valid trip ID is required')],
+  validate,
+  expenseImportUpload.single('file'),
+  businessTripsController.importExpenses
+);
+
 /**
  * @route   GET /api/business-trips/:id/expenses
  * @desc    Get all expenses for a business trip
@@ -157,7 +233,7 @@ router.put('/:id/expenses/:expenseId',
   [
     param('id').isUUID().withMessage('Valid trip ID is required'),
     param('expenseId').isUUID().withMessage('Valid expense ID is required'),
-    body('category').optional().isIn(['transport', 'accommodation', 'meals', 'materials', 'other']).withMessage('Invalid expense category'),
+    body('category').optional().isIn(EXPENSE_CATEGORIES).withMessage('Invalid expense category'),
     body('description').optional().notEmpty().withMessage('Expense description cannot be empty'),
     body('amount').optional().isFloat({ min: 0 }).withMessage('Amount must be a positive number'),
     body('expenseDate').optional().isISO8601().withMessage('Valid expense date is required')
@@ -180,6 +256,156 @@ router.delete('/:id/expenses/:expenseId',
   businessTripsController.deleteExpense
 );
 
+/**
+ * @route   GET /api/business-trips/:id/per-diem
+ * @desc    Get per-diem and accommodation entitlement versus actual spend
+ * @access  Private
+ */
+router.get('/:id/per-diem',
+  [param('id').isUUID().withMessage('Valid trip ID is required')],
+  validate,
+  businessTripsController.getPerDiem
+);
+
+const receiptParams = [
+  param('id').isUUID().withMessage('Valid trip ID is required'),
+  param('expenseId').isUUID().withMessage('Valid expense ID is required')
+];
+
+/**
+ * @route   POST /api/business-trips/:id/expenses/:expenseId/receipt
+ * @desc    Upload or replace an expense receipt (PDF, JPEG, PNG or WebP)
+ * @access  Private (Trip creator, Manager, Admin)
+ */
+router.post('/:id/expenses/:expenseId/receipt',
+  receiptParams,
+  validate,
+  receiptUpload.single('receipt'),
+  businessTripsController.uploadReceipt
+);
+
+/**
+ * @route   GET /api/business-trips/:id/expenses/:expenseId/receipt
+ * @desc    Download an expense receipt; ?thumbnail=true returns the image thumbnail
+ * @access  Private (Users who can see the trip)
+ */
+router.get('/:id/expenses/:expenseId/receipt',
+  [
+    ...receiptParams,
+    query('thumbnail').optional().isBoolean().withMessage('Thumbnail must be true or false')
+  ],
+  validate,
+  businessTripsController.downloadReceipt
+);
+
+/**
+ * @route   DELETE /api/business-trips/:id/expenses/:expenseId/receipt
+ * @desc    Remove an expense receipt
+ * @access  Private (Trip creator, Manager, Admin)
+ */
+router.delete('/:id/expenses/:expenseId/receipt',
+  receiptParams,
+  validate,
+  businessTripsController.deleteReceipt
+);
+
+/**
+ * @route   GET /api/business-trips/:id/advances
+ * @desc    Get cash advances paid for a trip
+ * @access  Private
+ */
+router.get('/:id/advances',
+  [param('id').isUUID().withMessage('Valid trip ID is required')],
+  validate,
+  businessTripsController.getTripAdvances
+);
+
+/**
+ * @route   POST /api/business-trips/:id/advances
+ * @desc    Record a cash advance; converted into the trip currency at the issue date rate
+ * @access  Private (Accountant, Admin)
+ */
+router.post('/:id/advances',
+  [
+    param('id').isUUID().withMessage('Valid trip ID is required'),
+    body('amount').isFloat({ gt: 0 }).withMessage('Amount must be greater than zero'),
+    body('currency').optional().isLength({ min: 3, max: 3 }).withMessage('Currency must be 3 characters'),
+    body('issuedOn').optional().isISO8601().withMessage('Valid issue date is required'),
+    body('paymentMethod').optional().isIn(['cash', 'bank_transfer', 'card']).withMessage('Invalid payment method'),
+    body('reference').optional().isLength({ max: 100 }).withMessage('Reference must be at most 100 characters'),
+    body('notes').optional().isString().withMessage('Notes must be a string')
+  ],
+  validate,
+  requireRole(['accountant', 'admin']),
+  businessTripsController.addAdvance
+);
+
+/**
+ * @route   DELETE /api/business-trips/:id/advances/:advanceId
+ * @desc    Delete a cash advance while the settlement is open
+ * @access  Private (Accountant, Admin)
+ */
+router.delete('/:id/advances/:advanceId',
+  [
+    param('id').isUUID().withMessage('Valid trip ID is required'),
+    param('advanceId').isUUID().withMessage('Valid advance ID is required')
+  ],
+  validate,
+  requireRole(['accountant', 'admin']),
+  businessTripsController.deleteAdvance
+);
+
+/**
+ * @route   GET /api/business-trips/:id/settlement
+ * @desc    Get the settlement of advances against reimbursable expenses
+ * @access  Private
+ */
+router.get('/:id/settlement',
+  [param('id').isUUID().withMessage('Valid trip ID is required')],
+  validate,
+  businessTripsController.getSettlement
+);
+
+/**
+ * @route   POST /api/business-trips/:id/settlement
+ * @desc    Generate the settlement statement (PDF and Excel) of a completed trip
+ * @access  Private (Trip creator, Manager, Accountant, Admin)
+ */
+router.post('/:id/settlement',
+  [param('id').isUUID().withMessage('Valid trip ID is required')],
+  validate,
+  businessTripsController.generateSettlement
+);
+
+/**
+ * @route   POST /api/business-trips/:id/settlement/pay
+ * @desc    Mark the settlement paid; advances and expenses are locked afterwards
+ * @access  Private (Accountant, Admin)
+ */
+router.post('/:id/settlement/pay',
+  [
+    param('id').isUUID().withMessage('Valid trip ID is required'),
+    body('paymentReference').optional().isLength({ max: 100 }).withMessage('Payment reference must be at most 100 characters')
+  ],
+  validate,
+  requireRole(['accountant', 'admin']),
+  businessTripsController.paySettlement
+);
+
+/**
+ * @route   GET /api/business-trips/:id/settlement/statement
+ * @desc    Download the settlement statement; ?format=xlsx for Excel
+ * @access  Private
+ */
+router.get('/:id/settlement/statement',
+  [
+    param('id').isUUID().withMessage('Valid trip ID is required'),
+    query('format').optional().isIn(['pdf', 'xlsx']).withMessage('Format must be pdf or xlsx')
+  ],
+  validate,
+  businessTripsController.downloadSettlementStatement
+);
+
 /**
  * @route   POST /api/business-trips/:id/report
  * @desc    Generate trip report with e-signature
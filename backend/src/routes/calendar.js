@@ -0,0 +1,55 @@
+const express = require('express');
+const { param } = require('express-validator');
+const calendarController = require('../controllers/calendarController');
+const { authMiddleware } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+
+const router = express.Router();
+
+const tokenValidation = [
+  param('token').isHexadecimal().isLength({ min: 64, max: 64 }).withMessage('Invalid calendar token')
+];
+
+/**
+ * @route   GET /api/calendar/feeds
+ * @desc    Get the .ics subscription URLs of the current user (trips, and company for managers)
+ * @access  Private
+ */
+router.get('/feeds',
+  authMiddleware,
+  calendarController.getFeeds
+);
+
+/**
+ * @route   POST /api/calendar/feeds/rotate
+ * @desc    Issue new feed URLs; the old ones stop working
+ * @access  Private
+ */
+router.post('/feeds/rotate',
+  authMiddleware,
+  calendarController.rotateFeeds
+);
+
+/**
+ * @route   GET /api/calendar/:token/trips.ics
+ * @desc    iCalendar feed of the owner's approved trips and report deadlines
+ * @access  Public (secret feed token)
+ */
+router.get('/:token/trips.ics',
+  tokenValidation,
+  validate,
+  calendarController.getUserFeed
+);
+
+/**
+ * @route   GET /api/calendar/:token/company.ics
+ * @desc    iCalendar feed of all approved company trips and report deadlines
+ * @access  Public (secret feed token of an Admin, Manager or Accountant)
+ */
+router.get('/:token/company.ics',
+  tokenValidation,
+  validate,
+  calendarController.getCompanyFeed
+);
+
+module.exports = router;
@@ -0,0 +1,62 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const deadlinesController = require('../controllers/deadlinesController');
+const validate = require('../middleware/validate');
+
+const router = express.Router();
+
+// Routes
+
+/**
+ * @route   GET /api/deadlines
+ * @desc    Overdue and upcoming compliance deadlines, moved off weekends and public holidays
+ * @access  Private (IT Park admins pass ?companyId=)
+ */
+router.get('/',
+  [
+    query('companyId').optional().isUUID().withMessage('Valid company ID required'),
+    query('days').optional().isInt({ min: 1, max: 366 }).withMessage('Days must be between 1 and 366')
+  ],
+  validate,
+  deadlinesController.getUpcomingDeadlines
+);
+
+/**
+ * @route   GET /api/deadlines/holidays
+ * @desc    Public holidays and declared working days of a year
+ * @access  Private
+ */
+router.get('/holidays',
+  [query('year').optional().isInt({ min: 2000, max: 2100 }).withMessage('Valid year required')],
+  validate,
+  deadlinesController.getHolidays
+);
+
+/**
+ * @route   POST /api/deadlines/holidays
+ * @desc    Add a public holiday, or a weekend day declared a working day; recurring days repeat every year
+ * @access  Private (IT Park admins)
+ */
+router.post('/holidays',
+  [
+    body('date').isISO8601().withMessage('Valid date is required'),
+    body('name').trim().isLength({ min: 1, max: 255 }).withMessage('Name is required'),
+    body('dayType').optional().isIn(['holiday', 'working_day']).withMessage('Day type must be holiday or working_day'),
+    body('recurring').optional().isBoolean().withMessage('Recurring must be a boolean')
+  ],
+  validate,
+  deadlinesController.createHoliday
+);
+
+/**
+ * @route   DELETE /api/deadlines/holidays/:id
+ * @desc    Remove a day from the holiday calendar
+ * @access  Private (IT Park admins)
+ */
+router.delete('/holidays/:id',
+  [param('id').isUUID().withMessage('Valid holiday ID is required')],
+  validate,
+  deadlinesController.deleteHoliday
+);
+
+module.exports = router;
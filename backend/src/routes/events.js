@@ -0,0 +1,48 @@
+const express = require('express');
+const { body, query } = require('express-validator');
+const eventsController = require('../controllers/eventsController');
+const validate = require('../middleware/validate');
+
+const router = express.Router();
+
+// Routes
+
+/**
+ * @route   GET /api/events
+ * @desc    Domain events (trips, expenses, signed reports, violations) with the outcome of each handler
+ * @access  Private (IT Park admins see all companies)
+ */
+router.get('/',
+  [
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+    query('type').optional().isLength({ min: 1, max: 100 }).withMessage('Invalid event type'),
+    query('aggregateId').optional().isUUID().withMessage('Valid aggregate ID required'),
+    query('companyId').optional().isUUID().withMessage('Valid company ID required'),
+    query('handlerStatus').optional().isIn(['pending', 'running', 'processed', 'failed']).withMessage('Invalid handler status')
+  ],
+  validate,
+  eventsController.getEvents
+);
+
+/**
+ * @route   POST /api/events/replay
+ * @desc    Dispatch stored events again, oldest first; `force` re-runs handlers that already processed them
+ * @access  Private (IT Park admins)
+ */
+router.post('/replay',
+  [
+    body('from').optional().isISO8601().withMessage('Valid from date required'),
+    body('to').optional().isISO8601().withMessage('Valid to date required'),
+    body('types').optional().isArray().withMessage('types must be an array of event types'),
+    body('types.*').isString().withMessage('Event types must be strings'),
+    body('companyId').optional().isUUID().withMessage('Valid company ID required'),
+    body('handlers').optional().isArray().withMessage('handlers must be an array of handler names'),
+    body('handlers.*').isString().withMessage('Handler names must be strings'),
+    body('force').optional().isBoolean().withMessage('force must be a boolean')
+  ],
+  validate,
+  eventsController.replayEvents
+);
+
+module.exports = router;
@@ -0,0 +1,65 @@
+const express = require('express');
+const multer = require('multer');
+const { body, query } = require('express-validator');
+const exchangeRatesController = require('../controllers/exchangeRatesController');
+const { requireRole } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+
+const router = express.Router();
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 2 * 1024 * 1024 } // 2MB
+});
+
+const currencyCode = field => query(field).isLength({ min: 3, max: 3 }).withMessage(`${field} must be a 3-letter currency code`);
+
+// Routes
+
+/**
+ * @route   GET /api/exchange-rates
+ * @desc    Get stored exchange rates against UZS
+ * @access  Private
+ */
+router.get('/',
+  [
+    query('currency').optional().isLength({ min: 3, max: 3 }).withMessage('Currency must be 3 characters'),
+    query('date').optional().isISO8601().withMessage('Valid date is required')
+  ],
+  validate,
+  exchangeRatesController.getRates
+);
+
+/**
+ * @route   GET /api/exchange-rates/convert
+ * @desc    Convert an amount at the stored rate for a date
+ * @access  Private
+ */
+router.get('/convert',
+  [
+    query('amount').isFloat().withMessage('Amount must be a number'),
+    currencyCode('from'),
+    currencyCode('to'),
+    query('date').optional().isISO8601().withMessage('Valid date is required')
+  ],
+  validate,
+  exchangeRatesController.convertAmount
+);
+
+/**
+ * @route   POST /api/exchange-rates/import
+ * @desc    Import a Central Bank of Uzbekistan rate file (JSON/XML)
+ * @access  Private (Accountant, Admin)
+ */
+router.post('/import',
+  requireRole(['accountant', 'admin']),
+  upload.single('file'),
+  [
+    body('format').optional().isIn(['json', 'xml']).withMessage('Format must be json or xml'),
+    body('rateDate').optional().isISO8601().withMessage('Valid rate date is required')
+  ],
+  validate,
+  exchangeRatesController.importRates
+);
+
+module.exports = router;
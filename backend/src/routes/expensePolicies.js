@@ -0,0 +1,79 @@
+const express = require('express');
+const { body, param } = require('express-validator');
+const expensePoliciesController = require('../controllers/expensePoliciesController');
+const { requireRole } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+
+const router = express.Router();
+
+const EXPENSE_CATEGORIES = ['transport', 'accommodation', 'meals', 'materials', 'other'];
+
+// Validation schemas
+const policyFieldsValidation = [
+  body('country').optional({ nullable: true }).isISO31661Alpha2().withMessage('Country must be an ISO 3166-1 alpha-2 code'),
+  body('city').optional({ nullable: true }).isString().withMessage('City must be a string'),
+  body('currency').optional().isLength({ min: 3, max: 3 }).withMessage('Currency must be 3 characters'),
+  body('perDiemRate').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Per-diem rate must be a positive number'),
+  body('dailyMealCap').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Daily meal cap must be a positive number'),
+  body('nightlyAccommodationCap').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Accommodation cap must be a positive number'),
+  body('receiptRequiredAbove').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Receipt threshold must be a positive number'),
+  body('nonReimbursableCategories').optional().isArray().withMessage('Non-reimbursable categories must be an array'),
+  body('nonReimbursableCategories.*').isIn(EXPENSE_CATEGORIES).withMessage('Invalid expense category'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be a boolean')
+];
+
+// Routes
+
+/**
+ * @route   GET /api/expense-policies
+ * @desc    Get the company's expense policies
+ * @access  Private
+ */
+router.get('/',
+  expensePoliciesController.getPolicies
+);
+
+/**
+ * @route   POST /api/expense-policies
+ * @desc    Create an expense policy for a destination
+ * @access  Private (Accountant, Admin)
+ */
+router.post('/',
+  [
+    body('name').notEmpty().withMessage('Policy name is required'),
+    ...policyFieldsValidation
+  ],
+  validate,
+  requireRole(['accountant', 'admin']),
+  expensePoliciesController.createPolicy
+);
+
+/**
+ * @route   PUT /api/expense-policies/:policyId
+ * @desc    Update an expense policy
+ * @access  Private (Accountant, Admin)
+ */
+router.put('/:policyId',
+  [
+    param('policyId').isUUID().withMessage('Valid policy ID is required'),
+    body('name').optional().notEmpty().withMessage('Policy name cannot be empty'),
+    ...policyFieldsValidation
+  ],
+  validate,
+  requireRole(['accountant', 'admin']),
+  expensePoliciesController.updatePolicy
+);
+
+/**
+ * @route   DELETE /api/expense-policies/:policyId
+ * @desc    Deactivate an expense policy
+ * @access  Private (Accountant, Admin)
+ */
+router.delete('/:policyId',
+  [param('policyId').isUUID().withMessage('Valid policy ID is required')],
+  validate,
+  requireRole(['accountant', 'admin']),
+  expensePoliciesController.deletePolicy
+);
+
+module.exports = router;
@@ -0,0 +1,34 @@
+const express = require('express');
+const { param } = require('express-validator');
+const jobsController = require('../controllers/jobsController');
+const validate = require('../middleware/validate');
+
+const router = express.Router();
+
+const jobIdValidation = [
+  param('id').isUUID().withMessage('Valid job ID is required')
+];
+
+/**
+ * @route   GET /api/jobs/:id
+ * @desc    Get status, progress and result of a background job
+ * @access  Private (job owner, company admin)
+ */
+router.get('/:id',
+  jobIdValidation,
+  validate,
+  jobsController.getJob
+);
+
+/**
+ * @route   POST /api/jobs/:id/cancel
+ * @desc    Cancel a queued or running job
+ * @access  Private (job owner, company admin)
+ */
+router.post('/:id/cancel',
+  jobIdValidation,
+  validate,
+  jobsController.cancelJob
+);
+
+module.exports = router;
@@ -0,0 +1,15 @@
+const express = require('express');
+const portalController = require('../controllers/portalController');
+
+const router = express.Router();
+
+/**
+ * @route   POST /api/portal/callback
+ * @desc    Receive a review outcome from the IT Park portal (X-Portal-Signature: HMAC-SHA256 of the body)
+ * @access  Public (signed by the portal)
+ */
+router.post('/callback',
+  portalController.receiveCallback
+);
+
+module.exports = router;
@@ -0,0 +1,295 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const reportsController = require('../controllers/reportsController');
+const { requireRole } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+
+const router = express.Router();
+
+const REPORT_TYPES = ['quarterly', 'annual', 'business_trip', 'custom'];
+const REPORT_STATUSES = ['draft', 'generated', 'signed', 'submitted', 'approved', 'rejected'];
+
+// Validation schemas
+const templateValidation = [
+  body('name').notEmpty().withMessage('Template name is required'),
+  body('templateType').isIn(REPORT_TYPES).withMessage('Invalid template type'),
+  body('format').optional().isIn(['pdf', 'excel', 'both']).withMessage('Format must be pdf, excel or both'),
+  body('templateData').isObject().withMessage('Template data must be an object')
+];
+
+const updateTemplateValidation = [
+  param('templateId').isUUID().withMessage('Valid template ID is required'),
+  body('name').optional().notEmpty().withMessage('Template name cannot be empty'),
+  body('templateType').optional().isIn(REPORT_TYPES).withMessage('Invalid template type'),
+  body('format').optional().isIn(['pdf', 'excel', 'both']).withMessage('Format must be pdf, excel or both'),
+  body('templateData').optional().isObject().withMessage('Template data must be an object'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be a boolean')
+];
+
+const createReportValidation = [
+  body('templateId').isUUID().withMessage('Valid template ID is required'),
+  body('title').notEmpty().withMessage('Report title is required'),
+  body('reportType').optional().isIn(REPORT_TYPES).withMessage('Invalid report type'),
+  body('reportingPeriodStart').optional().isISO8601().withMessage('Valid period start is required'),
+  body('reportingPeriodEnd').optional().isISO8601().withMessage('Valid period end is required'),
+  body('reportData').optional().isObject().withMessage('Report data must be an object')
+];
+
+const updateReportValidation = [
+  param('id').isUUID().withMessage('Valid report ID is required'),
+  body('title').optional().notEmpty().withMessage('Report title cannot be empty'),
+  body('reportingPeriodStart').optional().isISO8601().withMessage('Valid period start is required'),
+  body('reportingPeriodEnd').optional().isISO8601().withMessage('Valid period end is required'),
+  body('reportData').optional().isObject().withMessage('Report data must be an object')
+];
+
+const versionValidation = [
+  param('id').isUUID().withMessage('Valid report ID is required'),
+  param('version').isInt({ min: 1 }).withMessage('Valid version number is required')
+];
+
+// Routes
+
+/**
+ * @route   GET /api/reports/templates
+ * @desc    List active report templates
+ * @access  Private
+ */
+router.get('/templates',
+  [query('templateType').optional().isIn(REPORT_TYPES).withMessage('Invalid template type')],
+  validate,
+  reportsController.getTemplates
+);
+
+/**
+ * @route   POST /api/reports/templates
+ * @desc    Create a report template (sections, tables, computed fields, localized labels)
+ * @access  Private (IT Park admin)
+ */
+router.post('/templates',
+  templateValidation,
+  validate,
+  reportsController.createTemplate
+);
+
+/**
+ * @route   PUT /api/reports/templates/:templateId
+ * @desc    Update a report template
+ * @access  Private (IT Park admin)
+ */
+router.put('/templates/:templateId',
+  updateTemplateValidation,
+  validate,
+  reportsController.updateTemplate
+);
+
+/**
+ * @route   GET /api/reports
+ * @desc    List reports of the user's company
+ * @access  Private
+ */
+router.get('/',
+  [
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+    query('status').optional().isIn(REPORT_STATUSES).withMessage('Invalid status'),
+    query('reportType').optional().isIn(REPORT_TYPES).withMessage('Invalid report type'),
+    query('companyId').optional().isUUID().withMessage('Valid company ID required')
+  ],
+  validate,
+  reportsController.getReports
+);
+
+/**
+ * @route   GET /api/reports/:id
+ * @desc    Get a report with its data and generated files
+ * @access  Private
+ */
+router.get('/:id',
+  [param('id').isUUID().withMessage('Valid report ID is required')],
+  validate,
+  reportsController.getReportById
+);
+
+/**
+ * @route   POST /api/reports
+ * @desc    Create a draft report from a template
+ * @access  Private (Admin, Accountant, Manager)
+ */
+router.post('/',
+  createReportValidation,
+  validate,
+  requireRole(['admin', 'accountant', 'manager']),
+  reportsController.createReport
+);
+
+/**
+ * @route   PUT /api/reports/:id
+ * @desc    Update a draft or generated report; generated reports return to draft
+ * @access  Private (Admin, Accountant, Manager)
+ */
+router.put('/:id',
+  updateReportValidation,
+  validate,
+  requireRole(['admin', 'accountant', 'manager']),
+  reportsController.updateReport
+);
+
+/**
+ * @route   POST /api/reports/:id/generate
+ * @desc    Queue rendering of the report to PDF and/or XLSX; returns the job (202)
+ * @access  Private (Admin, Accountant, Manager)
+ */
+router.post('/:id/generate',
+  [
+    param('id').isUUID().withMessage('Valid report ID is required'),
+    body('language').optional().isIn(['en', 'ru', 'uz']).withMessage('Language must be en, ru or uz')
+  ],
+  validate,
+  requireRole(['admin', 'accountant', 'manager']),
+  reportsController.generateReport
+);
+
+/**
+ * @route   POST /api/reports/:id/pack
+ * @desc    Queue building of the quarterly/annual compliance pack (ZIP with signed manifest)
+ * @access  Private (Admin, Accountant, Manager)
+ */
+router.post('/:id/pack',
+  [
+    param('id').isUUID().withMessage('Valid report ID is required'),
+    body('language').optional().isIn(['en', 'ru', 'uz']).withMessage('Language must be en, ru or uz')
+  ],
+  validate,
+  requireRole(['admin', 'accountant', 'manager']),
+  reportsController.generatePack
+);
+
+/**
+ * @route   POST /api/reports/:id/analyze
+ * @desc    Queue a compliance analysis of the report figures; returns the job (202)
+ * @access  Private (Admin, Accountant, Manager)
+ */
+router.post('/:id/analyze',
+  [param('id').isUUID().withMessage('Valid report ID is required')],
+  validate,
+  requireRole(['admin', 'accountant', 'manager']),
+  reportsController.analyzeReport
+);
+
+/**
+ * @route   GET /api/reports/:id/download
+ * @desc    Download a generated report file; ?format=excel for the XLSX, ?format=zip for a compliance pack
+ * @access  Private
+ */
+router.get('/:id/download',
+  [
+    param('id').isUUID().withMessage('Valid report ID is required'),
+    query('format').optional().isIn(['pdf', 'excel', 'zip']).withMessage('Format must be pdf, excel or zip')
+  ],
+  validate,
+  reportsController.downloadReport
+);
+
+/**
+ * @route   POST /api/reports/:id/sign
+ * @desc    Sign the current version of a generated report with E-Imzo; refused while consistency checks have blocking findings
+ * @access  Private (Admin, Manager)
+ */
+router.post('/:id/sign',
+  [
+    param('id').isUUID().withMessage('Valid report ID is required'),
+    body('certificateSerial').optional().isString().withMessage('Certificate serial must be a string')
+  ],
+  validate,
+  requireRole(['admin', 'manager']),
+  reportsController.signReport
+);
+
+/**
+ * @route   POST /api/reports/:id/submit
+ * @desc    Queue submission of a signed report to the IT Park portal; returns the job (202)
+ * @access  Private (Admin, Manager)
+ */
+router.post('/:id/submit',
+  [param('id').isUUID().withMessage('Valid report ID is required')],
+  validate,
+  requireRole(['admin', 'manager']),
+  reportsController.submitReport
+);
+
+/**
+ * @route   GET /api/reports/:id/submissions
+ * @desc    List the portal submissions of a report with receipt numbers and review outcome
+ * @access  Private
+ */
+router.get('/:id/submissions',
+  [param('id').isUUID().withMessage('Valid report ID is required')],
+  validate,
+  reportsController.getReportSubmissions
+);
+
+/**
+ * @route   GET /api/reports/:id/versions
+ * @desc    List every generated version of a report
+ * @access  Private
+ */
+router.get('/:id/versions',
+  [param('id').isUUID().withMessage('Valid report ID is required')],
+  validate,
+  reportsController.getReportVersions
+);
+
+/**
+ * @route   GET /api/reports/:id/versions/diff
+ * @desc    Field-level diff of the input data of two versions (?from=1&to=2)
+ * @access  Private
+ */
+router.get('/:id/versions/diff',
+  [
+    param('id').isUUID().withMessage('Valid report ID is required'),
+    query('from').isInt({ min: 1 }).withMessage('Valid from version is required'),
+    query('to').isInt({ min: 1 }).withMessage('Valid to version is required')
+  ],
+  validate,
+  reportsController.diffReportVersions
+);
+
+/**
+ * @route   GET /api/reports/:id/versions/:version
+ * @desc    Get a report version with its input snapshot
+ * @access  Private
+ */
+router.get('/:id/versions/:version',
+  versionValidation,
+  validate,
+  reportsController.getReportVersion
+);
+
+/**
+ * @route   GET /api/reports/:id/versions/:version/download
+ * @desc    Download a file of a report version; ?format=pdf|excel|zip
+ * @access  Private
+ */
+router.get('/:id/versions/:version/download',
+  [
+    ...versionValidation,
+    query('format').optional().isIn(['pdf', 'excel', 'zip']).withMessage('Format must be pdf, excel or zip')
+  ],
+  validate,
+  reportsController.downloadReportVersion
+);
+
+/**
+ * @route   DELETE /api/reports/:id/versions/:version
+ * @desc    Delete a superseded version; signed versions are kept
+ * @access  Private (Admin, Accountant)
+ */
+router.delete('/:id/versions/:version',
+  versionValidation,
+  validate,
+  requireRole(['admin', 'accountant']),
+  reportsController.deleteReportVersion
+);
+
+module.exports = router;
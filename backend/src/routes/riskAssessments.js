@@ -0,0 +1,50 @@
+const express = require('express');
+const { param, query } = require('express-validator');
+const riskAssessmentsController = require('../controllers/riskAssessmentsController');
+const validate = require('../middleware/validate');
+
+const router = express.Router();
+
+const companyIdValidation = query('companyId').optional().isUUID().withMessage('Valid company ID required');
+
+// Routes
+
+/**
+ * @route   GET /api/risk-assessments/current
+ * @desc    Current risk score of the company with the points of each violation and anomaly
+ * @access  Private (IT Park admins pass ?companyId=)
+ */
+router.get('/current',
+  [companyIdValidation],
+  validate,
+  riskAssessmentsController.getCurrentAssessment
+);
+
+/**
+ * @route   GET /api/risk-assessments/history
+ * @desc    Risk score trend, oldest first, with the factor changes since the previous assessment
+ * @access  Private (IT Park admins pass ?companyId=)
+ */
+router.get('/history',
+  [
+    companyIdValidation,
+    query('from').optional().isISO8601().withMessage('Valid from date is required'),
+    query('to').optional().isISO8601().withMessage('Valid to date is required'),
+    query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('Limit must be between 1 and 200')
+  ],
+  validate,
+  riskAssessmentsController.getAssessmentHistory
+);
+
+/**
+ * @route   GET /api/risk-assessments/:id
+ * @desc    Get a risk assessment with its factors
+ * @access  Private
+ */
+router.get('/:id',
+  [param('id').isUUID().withMessage('Valid risk assessment ID is required')],
+  validate,
+  riskAssessmentsController.getAssessmentById
+);
+
+module.exports = router;
@@ -0,0 +1,33 @@
+const express = require('express');
+const { body } = require('express-validator');
+const ruleBacktestsController = require('../controllers/ruleBacktestsController');
+const validate = require('../middleware/validate');
+
+const router = express.Router();
+
+// Routes
+
+/**
+ * @route   POST /api/rule-backtests
+ * @desc    Replay a candidate rule set ({ rules, disableRuleIds }) over the report versions of a period; poll the job for the result
+ * @access  Private (IT Park admins)
+ */
+router.post('/',
+  [
+    body('candidate').isObject().withMessage('Candidate rule set is required'),
+    body('candidate.rules').optional().isArray({ max: 50 }).withMessage('candidate.rules must be an array of at most 50 rules'),
+    body('candidate.rules.*').isObject().withMessage('Each candidate rule must be an object'),
+    body('candidate.rules.*.id').optional().isUUID().withMessage('Valid rule ID required'),
+    body('candidate.disableRuleIds').optional().isArray().withMessage('candidate.disableRuleIds must be an array'),
+    body('candidate.disableRuleIds.*').isUUID().withMessage('Valid rule ID required'),
+    body('companyIds').optional().isArray().withMessage('companyIds must be an array'),
+    body('companyIds.*').isUUID().withMessage('Valid company ID required'),
+    body('from').isISO8601().withMessage('Valid from date is required'),
+    body('to').isISO8601().withMessage('Valid to date is required')
+      .custom((value, { req }) => new Date(value) >= new Date(req.body.from)).withMessage('to must not be before from')
+  ],
+  validate,
+  ruleBacktestsController.createBacktest
+);
+
+module.exports = router;
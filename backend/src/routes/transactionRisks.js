@@ -0,0 +1,42 @@
+const express = require('express');
+const { body, query } = require('express-validator');
+const transactionRisksController = require('../controllers/transactionRisksController');
+const validate = require('../middleware/validate');
+
+const router = express.Router();
+
+// Routes
+
+/**
+ * @route   GET /api/transaction-risks
+ * @desc    Trip expenses and general ledger entries by risk score, highest first, with the reasons behind each score
+ * @access  Private (admins, managers, accountants; IT Park admins may pass ?companyId=)
+ */
+router.get('/',
+  [
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+    query('companyId').optional().isUUID().withMessage('Valid company ID required'),
+    query('tripId').optional().isUUID().withMessage('Valid trip ID required'),
+    query('minScore').optional().isInt({ min: 0, max: 100 }).withMessage('minScore must be between 0 and 100'),
+    query('from').optional().isISO8601().withMessage('Valid from date is required'),
+    query('to').optional().isISO8601().withMessage('Valid to date is required')
+  ],
+  validate,
+  transactionRisksController.getTransactionRisks
+);
+
+/**
+ * @route   POST /api/transaction-risks/rescore
+ * @desc    Re-score the company's expenses of the last year as a background job
+ * @access  Private (admins, managers, accountants; IT Park admins pass companyId)
+ */
+router.post('/rescore',
+  [
+    body('companyId').optional().isUUID().withMessage('Valid company ID required')
+  ],
+  validate,
+  transactionRisksController.rescoreTransactions
+);
+
+module.exports = router;
@@ -0,0 +1,125 @@
+const express = require('express');
+const multer = require('multer');
+const { body, param, query } = require('express-validator');
+const violationsController = require('../controllers/violationsController');
+const { requireRole } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const violationService = require('../services/compliance/violationService');
+
+const router = express.Router();
+
+const evidenceUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: violationService.maxEvidenceSize, files: 1 }
+});
+
+const VIOLATION_STATUSES = ['open', 'investigating', 'resolved', 'false_positive'];
+
+const violationIdValidation = param('id').isUUID().withMessage('Valid violation ID is required');
+
+// Routes
+
+/**
+ * @route   GET /api/violations
+ * @desc    List compliance violations and anomaly cases of the company
+ * @access  Private
+ */
+router.get('/',
+  [
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+    query('status').optional().isIn(VIOLATION_STATUSES).withMessage('Invalid status'),
+    query('severity').optional().isIn(['low', 'medium', 'high', 'critical']).withMessage('Invalid severity'),
+    query('source').optional().isIn(['rule', 'anomaly']).withMessage('Source must be rule or anomaly'),
+    query('assignedTo').optional().custom(value => value === 'me' || /^[0-9a-f-]{36}$/i.test(value)).withMessage('assignedTo must be a user ID or "me"'),
+    query('ruleId').optional().isUUID().withMessage('Valid rule ID required'),
+    query('reportId').optional().isUUID().withMessage('Valid report ID required'),
+    query('companyId').optional().isUUID().withMessage('Valid company ID required')
+  ],
+  validate,
+  violationsController.getViolations
+);
+
+/**
+ * @route   GET /api/violations/:id
+ * @desc    Get a violation with its comments, status history and evidence
+ * @access  Private
+ */
+router.get('/:id',
+  [violationIdValidation],
+  validate,
+  violationsController.getViolationById
+);
+
+/**
+ * @route   POST /api/violations/:id/status
+ * @desc    Change the status (open, investigating, resolved, false_positive); false positives need a note
+ * @access  Private (Admin, Accountant, Manager)
+ */
+router.post('/:id/status',
+  [
+    violationIdValidation,
+    body('status').isIn(VIOLATION_STATUSES).withMessage('Invalid status'),
+    body('note').optional().isString().isLength({ max: 5000 }).withMessage('Note must be a text of at most 5000 characters')
+  ],
+  validate,
+  requireRole(['admin', 'accountant', 'manager']),
+  violationsController.changeViolationStatus
+);
+
+/**
+ * @route   PUT /api/violations/:id/assignee
+ * @desc    Assign the violation to a user of the company; null unassigns it
+ * @access  Private (Admin, Manager)
+ */
+router.put('/:id/assignee',
+  [
+    violationIdValidation,
+    body('assigneeId').optional({ nullable: true }).isUUID().withMessage('Valid assignee ID is required')
+  ],
+  validate,
+  requireRole(['admin', 'manager']),
+  violationsController.assignViolation
+);
+
+/**
+ * @route   POST /api/violations/:id/comments
+ * @desc    Comment on a violation
+ * @access  Private
+ */
+router.post('/:id/comments',
+  [
+    violationIdValidation,
+    body('comment').isString().trim().notEmpty().withMessage('Comment is required')
+  ],
+  validate,
+  violationsController.addViolationComment
+);
+
+/**
+ * @route   POST /api/violations/:id/evidence
+ * @desc    Attach an evidence file (PDF, JPEG, PNG or WebP) as `file`, with an optional description
+ * @access  Private
+ */
+router.post('/:id/evidence',
+  [violationIdValidation],
+  validate,
+  evidenceUpload.single('file'),
+  violationsController.uploadEvidence
+);
+
+/**
+ * @route   GET /api/violations/:id/evidence/:evidenceId
+ * @desc    Download an evidence file
+ * @access  Private
+ */
+router.get('/:id/evidence/:evidenceId',
+  [
+    violationIdValidation,
+    param('evidenceId').isUUID().withMessage('Valid evidence ID is required')
+  ],
+  validate,
+  violationsController.downloadEvidence
+);
+
+module.exports = router;
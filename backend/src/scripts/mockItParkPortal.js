@@ -0,0 +1,200 @@
+/**
+ * Local stand-in for the IT Park reporting portal, for development and
+ * integration tests of the submission adapter.
+ *
+ *   npm run mock-portal
+ *
+ * Point the backend at it with ITPARK_PORTAL_URL=http://localhost:4010 and
+ * use the same ITPARK_PORTAL_CALLBACK_SECRET on both sides. Submissions stay
+ * under review until decided:
+ *
+ *   POST /submissions/:receiptNumber/decision  { "status": "rejected", "reasons": ["..."] }
+ *
+ * or automatically after MOCK_PORTAL_AUTO_DECIDE_MS with MOCK_PORTAL_AUTO_DECISION
+ * (approved by default). Reports whose title contains "REJECT" are rejected.
+ *
+ * A repeated submission with the same Idempotency-Key returns the first
+ * receipt. Outages are simulated with
+ *
+ *   POST /faults  { "count": 1, "status": 503, "afterAccept": true }
+ *
+ * which fails the next `count` submissions, after storing them when
+ * `afterAccept` is set (the response is lost, the submission is not).
+ */
+const crypto = require('crypto');
+const express = require('express');
+const axios = require('axios');
+require('dotenv').config();
+const logger = require('../utils/logger');
+
+// Stored with a submission but never sent back
+const PRIVATE_FIELDS = ['content', 'callbackUrl', 'idempotencyKey'];
+
+const view = submission => Object.fromEntries(
+  Object.entries(submission).filter(([key]) => !PRIVATE_FIELDS.includes(key))
+);
+
+/**
+ * Build the mock portal app. Its state is exposed as `app.locals.submissions`
+ * (by receipt number) for tests.
+ * @param {Object} options - { apiKey, callbackSecret, autoDecideMs, autoDecision }
+ * @returns {Object} Express app
+ */
+const createMockPortal = (options = {}) => {
+  const {
+    apiKey = process.env.ITPARK_PORTAL_API_KEY,
+    callbackSecret = process.env.ITPARK_PORTAL_CALLBACK_SECRET,
+    autoDecideMs = parseInt(process.env.MOCK_PORTAL_AUTO_DECIDE_MS, 10) || 0,
+    autoDecision = process.env.MOCK_PORTAL_AUTO_DECISION || 'approved'
+  } = options;
+
+  const submissions = new Map();
+  const receiptsByKey = new Map();
+  const faults = { count: 0, status: 503, afterAccept: false };
+  let sequence = 0;
+
+  const sendCallback = async (submission) => {
+    if (!submission.callbackUrl) {
+      return;
+    }
+
+    const body = JSON.stringify(view(submission));
+    const signature = callbackSecret
+      ? crypto.createHmac('sha256', callbackSecret).update(body).digest('hex')
+      : '';
+    try {
+      await axios.post(submission.callbackUrl, body, {
+        headers: { 'Content-Type': 'application/json', 'X-Portal-Signature': signature },
+        timeout: 10000
+      });
+      logger.info(`Callback for ${submission.receiptNumber} delivered`);
+    } catch (error) {
+      logger.error(`Callback for ${submission.receiptNumber} failed: ${error.message}`);
+    }
+  };
+
+  const decide = (submission, status, reasons = []) => {
+    submission.status = status;
+    submission.reasons = status === 'rejected' ? reasons : [];
+    submission.decidedAt = new Date().toISOString();
+    logger.info(`${submission.receiptNumber} ${status}`);
+    return sendCallback(submission);
+  };
+
+  const app = express();
+  app.locals.submissions = submissions;
+  app.use(express.json({ limit: '50mb' }));
+
+  app.use((req, res, next) => {
+    if (apiKey && req.get('Authorization') !== `Bearer ${apiKey}`) {
+      return res.status(401).json({ error: 'Invalid API key' });
+    }
+    next();
+  });
+
+  app.post('/faults', (req, res) => {
+    faults.count = parseInt(req.body.count, 10) || 0;
+    faults.status = parseInt(req.body.status, 10) || 503;
+    faults.afterAccept = Boolean(req.body.afterAccept);
+    res.json(faults);
+  });
+
+  app.post('/submissions', (req, res) => {
+    const failing = faults.count > 0;
+    if (failing) {
+      faults.count -= 1;
+      if (!faults.afterAccept) {
+        return res.status(faults.status).json({ error: 'Portal temporarily unavailable' });
+      }
+    }
+
+    const idempotencyKey = req.get('Idempotency-Key');
+    if (idempotencyKey && receiptsByKey.has(idempotencyKey)) {
+      return res.status(200).json(view(submissions.get(receiptsByKey.get(idempotencyKey))));
+    }
+
+    const { companyTaxId, reportType, fileHash, content, signature } = req.body;
+    if (!companyTaxId || !reportType || !content) {
+      return res.status(400).json({ error: 'companyTaxId, reportType and content are required' });
+    }
+
+    const actualHash = crypto.createHash('sha256').update(Buffer.from(content, 'base64')).digest('hex');
+    if (fileHash && fileHash !== actualHash) {
+      return res.status(400).json({ error: 'File hash does not match content' });
+    }
+    if (!signature) {
+      return res.status(400).json({ error: 'Only signed reports are accepted' });
+    }
+
+    sequence += 1;
+    const receiptNumber = `ITP-${new Date().getFullYear()}-${String(sequence).padStart(6, '0')}`;
+    const submission = {
+      ...req.body,
+      idempotencyKey,
+      receiptNumber,
+      status: 'received',
+      reasons: [],
+      receivedAt: new Date().toISOString(),
+      decidedAt: null
+    };
+    submissions.set(receiptNumber, submission);
+    if (idempotencyKey) {
+      receiptsByKey.set(idempotencyKey, receiptNumber);
+    }
+    logger.info(`${receiptNumber} received: ${reportType} report "${req.body.title}" of ${companyTaxId}`);
+
+    setTimeout(() => {
+      if (submission.status === 'received') {
+        submission.status = 'under_review';
+      }
+    }, 1000).unref();
+    if (autoDecideMs > 0) {
+      setTimeout(() => {
+        if (/REJECT/.test(submission.title || '')) {
+          decide(submission, 'rejected', ['Balance sheet does not match the trial balance']);
+        } else {
+          decide(submission, autoDecision, ['Rejected by mock portal']);
+        }
+      }, autoDecideMs).unref();
+    }
+
+    if (failing) {
+      return res.status(faults.status).json({ error: 'Portal temporarily unavailable' });
+    }
+    res.status(201).json(view(submission));
+  });
+
+  app.get('/submissions/:receiptNumber', (req, res) => {
+    const submission = submissions.get(req.params.receiptNumber);
+    if (!submission) {
+      return res.status(404).json({ error: 'Submission not found' });
+    }
+    res.json(view(submission));
+  });
+
+  app.post('/submissions/:receiptNumber/decision', async (req, res) => {
+    const submission = submissions.get(req.params.receiptNumber);
+    if (!submission) {
+      return res.status(404).json({ error: 'Submission not found' });
+    }
+    if (!['approved', 'rejected'].includes(req.body.status)) {
+      return res.status(400).json({ error: 'Status must be approved or rejected' });
+    }
+
+    await decide(submission, req.body.status, req.body.reasons || []);
+    res.json(view(submission));
+  });
+
+  return app;
+};
+
+if (require.main === module) {
+  const port = parseInt(process.env.MOCK_PORTAL_PORT, 10) || 4010;
+  createMockPortal().listen(port, () => {
+    logger.info(`Mock IT Park portal listening on port ${port}`);
+  });
+}
+
+module.exports = {
+  createMockPortal
+};
@@ -0,0 +1,40 @@
+const anomalyDetector = require('../anomalyDetector');
+
+const expensesOf = (currency, amounts) => amounts.map((amount, index) => ({
+  id: `expense-${index}`,
+  amount,
+  currency,
+  category: 'meals',
+  expenseDate: '2024-03-04'
+}));
+
+describe('anomalyDetector.detectRoundNumbers', () => {
+  it('does not flag everyday UZS prices in whole thousands', () => {
+    const expenses = expensesOf('UZS', [45000, 150000, 38000, 72000, 230000, 95000, 120000, 64000, 310000, 58000]);
+
+    expect(anomalyDetector.detectRoundNumbers(expenses)).toEqual([]);
+  });
+
+  it('flags UZS amounts rounded to the million', () => {
+    const expenses = expensesOf('UZS', [1000000, 2000000, 5000000, 3000000, 45000, 150000, 38000, 72000, 230000, 95000]);
+
+    expect(anomalyDetector.detectRoundNumbers(expenses)).toEqual([expect.objectContaining({
+      type: 'round_number_expenses',
+      description: '4 of 10 expenses (40%) are round amounts',
+      severity: 'low'
+    })]);
+  });
+
+  it('flags round USD amounts', () => {
+    const expenses = expensesOf('USD', [100, 200, 500, 300, 400, 37.5, 82.1, 64, 19.99, 150]);
+
+    expect(anomalyDetector.detectRoundNumbers(expenses)).toEqual([expect.objectContaining({
+      type: 'round_number_expenses',
+      severity: 'medium'
+    })]);
+  });
+
+  it('needs a minimum sample', () => {
+    expect(anomalyDetector.detectRoundNumbers(expensesOf('USD', [100, 200, 300]))).toEqual([]);
+  });
+});
@@ -0,0 +1,103 @@
+jest.mock('../../../models', () => ({}));
+jest.mock('../../../utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+const complianceEngine = require('../complianceEngine');
+
+const DAY = 24 * 60 * 60 * 1000;
+const daysFromNow = days => new Date(Date.now() + days * DAY).toISOString().slice(0, 10);
+
+const rule = definition => ({
+  id: 'rule-1',
+  name: 'Business Trip Documentation',
+  severity: 'medium',
+  deadlineDays: 7,
+  ruleDefinition: { type: 'trip_documentation', ...definition }
+});
+
+const trip = overrides => ({
+  id: 'trip-1',
+  tripTitle: 'Tashkent - Berlin',
+  purpose: 'Trade fair',
+  startDate: daysFromNow(-30),
+  endDate: daysFromNow(-25),
+  approvalStatus: 'approved',
+  approvedAt: daysFromNow(-40),
+  totalBudgetBase: 6000000,
+  totalExpensesBase: 4000000,
+  expenses: [{ id: 'expense-1', receiptFile: 'uploads/receipts/a.pdf' }],
+  report: { createdAt: daysFromNow(-24) },
+  ...overrides
+});
+
+const typesOf = violations => violations.map(violation => violation.violationType).sort();
+
+describe('complianceEngine.checkTripDocumentation', () => {
+  it('finds nothing for a documented, pre-approved trip', () => {
+    expect(complianceEngine.checkTripDocumentation({ trips: [trip()] }, rule({ pre_approval_threshold: 5000000 }))).toEqual([]);
+  });
+
+  it('flags a trip above the threshold that was approved after it started', () => {
+    const late = trip({ approvedAt: daysFromNow(-28) });
+
+    expect(typesOf(complianceEngine.checkTripDocumentation({ trips: [late] }, rule({ pre_approval_threshold: 5000000 }))))
+      .toEqual(['missing_pre_approval']);
+  });
+
+  it('compares the threshold with the budget when nothing was spent yet', () => {
+    const unapproved = trip({ approvalStatus: 'pending', approvedAt: null, totalExpensesBase: 0 });
+
+    expect(typesOf(complianceEngine.checkTripDocumentation({ trips: [unapproved] }, rule({ pre_approval_threshold: 5000000 }))))
+      .toEqual(['missing_pre_approval']);
+    expect(complianceEngine.checkTripDocumentation({ trips: [unapproved] }, rule({ pre_approval_threshold: 7000000 }))).toEqual([]);
+  });
+
+  it('skips the pre-approval check when no threshold is configured', () => {
+    const unapproved = trip({ approvalStatus: 'pending', approvedAt: null });
+
+    expect(complianceEngine.checkTripDocumentation({ trips: [unapproved] }, rule({}))).toEqual([]);
+  });
+
+  it('skips rejected trips', () => {
+    const rejected = trip({ approvalStatus: 'rejected', approvedAt: null, expenses: [{ id: 'expense-1' }], report: null });
+
+    expect(complianceEngine.checkTripDocumentation({ trips: [rejected] }, rule({ pre_approval_threshold: 0 }))).toEqual([]);
+  });
+
+  it('flags missing receipts and an overdue trip report once the trip is over', () => {
+    const undocumented = trip({ expenses: [{ id: 'expense-1' }, { id: 'expense-2', receiptFile: 'b.pdf' }], report: null });
+
+    expect(typesOf(complianceEngine.checkTripDocumentation({ trips: [undocumented] }, rule({}))))
+      .toEqual(['missing_receipts', 'missing_trip_report']);
+  });
+
+  it('checks the required fields of a finished trip', () => {
+    const seeded = rule({ required_fields: ['purpose', 'expenses', 'receipts'] });
+
+    expect(complianceEngine.checkTripDocumentation({ trips: [trip()] }, seeded)).toEqual([]);
+    expect(typesOf(complianceEngine.checkTripDocumentation({ trips: [trip({ purpose: ' ', expenses: [] })] }, seeded)))
+      .toEqual(['missing_expenses', 'missing_trip_details']);
+    const [details] = complianceEngine.checkTripDocumentation({ trips: [trip({ purpose: null })] }, seeded);
+    expect(details).toMatchObject({ violationType: 'missing_trip_details', description: 'Trip "Tashkent - Berlin" has no purpose' });
+  });
+
+  it('checks only receipts by default and only what is listed otherwise', () => {
+    const bare = trip({ purpose: null, expenses: [{ id: 'expense-1' }] });
+
+    expect(typesOf(complianceEngine.checkTripDocumentation({ trips: [trip({ purpose: null, expenses: [] })] }, rule({}))))
+      .toEqual([]);
+    expect(typesOf(complianceEngine.checkTripDocumentation({ trips: [bare] }, rule({ required_fields: ['purpose'] }))))
+      .toEqual(['missing_trip_details']);
+    expect(complianceEngine.checkTripDocumentation({ trips: [bare] }, rule({ required_fields: [] }))).toEqual([]);
+  });
+
+  it('does not require documentation before the trip is over', () => {
+    const ongoing = trip({ endDate: daysFromNow(2), purpose: null, expenses: [], report: null });
+
+    expect(complianceEngine.checkTripDocumentation({ trips: [ongoing] }, rule({ required_fields: ['purpose', 'expenses'] })))
+      .toEqual([]);
+  });
+});
@@ -0,0 +1,127 @@
+jest.mock('../../../models', () => ({
+  AiModel: { findAll: jest.fn() },
+  AiUsage: { create: jest.fn(), findAll: jest.fn() }
+}));
+jest.mock('../../../utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+const { AiModel, AiUsage } = require('../../../models');
+const fakeProvider = require('../providers/fakeProvider');
+const llmService = require('../llmService');
+const AppError = require('../../../utils/appError');
+
+const SCHEMA = {
+  type: 'object',
+  required: ['score', 'reasons'],
+  properties: {
+    score: { type: 'integer', minimum: 0, maximum: 100 },
+    reasons: { type: 'array', items: { type: 'string' } }
+  }
+};
+
+const request = { prompt: 'Score this company', schema: SCHEMA, companyId: 'company-1' };
+
+describe('llmService.generateJson', () => {
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+    llmService.modelCache.clear();
+    fakeProvider.reset();
+    AiModel.findAll.mockResolvedValue([{
+      id: 'model-1',
+      configuration: {
+        provider: 'fake',
+        model: 'fake-1',
+        maxRepairs: 1,
+        pricing: { promptPer1k: 0.01, completionPer1k: 0.03 }
+      }
+    }]);
+  });
+
+  it('returns a valid reply on the first attempt', async () => {
+    fakeProvider.queue({ score: 42, reasons: ['late filing'] });
+
+    await expect(llmService.generateJson('risk_scoring', request)).resolves.toEqual({ score: 42, reasons: ['late filing'] });
+    expect(fakeProvider.requests).toHaveLength(1);
+    expect(fakeProvider.requests[0]).toMatchObject({ model: 'fake-1', json: true, schema: SCHEMA });
+  });
+
+  it('accepts JSON wrapped in a code fence', async () => {
+    fakeProvider.queue('Here it is:\n```json\n{"score": 7, "reasons": []}\n```');
+
+    await expect(llmService.generateJson('risk_scoring', request)).resolves.toEqual({ score: 7, reasons: [] });
+  });
+
+  it('asks the model to repair malformed JSON and retries', async () => {
+    fakeProvider.queue('{"score": 42, "reasons": [', { score: 42, reasons: [] });
+
+    await expect(llmService.generateJson('risk_scoring', request)).resolves.toEqual({ score: 42, reasons: [] });
+    expect(fakeProvider.requests).toHaveLength(2);
+
+    const repair = fakeProvider.requests[1].messages;
+    expect(repair).toHaveLength(3);
+    expect(repair[1]).toEqual({ role: 'assistant', content: '{"score": 42, "reasons": [' });
+    expect(repair[2].content).toMatch(/^Your reply is invalid: not valid JSON/);
+  });
+
+  it('retries a reply that does not match the schema', async () => {
+    fakeProvider.queue({ score: 420, reasons: [] }, { score: 42, reasons: [] });
+
+    await expect(llmService.generateJson('risk_scoring', request)).resolves.toEqual({ score: 42, reasons: [] });
+    expect(fakeProvider.requests[1].messages[2].content).toMatch(/score/);
+  });
+
+  it('fails with a 502 once maxRepairs is used up', async () => {
+    fakeProvider.queue('not json', 'still not json', { score: 1, reasons: [] });
+
+    const error = await llmService.generateJson('risk_scoring', request).catch(caught => caught);
+    expect(error).toBeInstanceOf(AppError);
+    expect(error.statusCode).toBe(502);
+    expect(error.details).toEqual([expect.stringMatching(/^not valid JSON/)]);
+    // One attempt plus maxRepairs (1) repairs
+    expect(fakeProvider.requests).toHaveLength(2);
+
+    expect(AiUsage.create).toHaveBeenCalledWith(expect.objectContaining({
+      attempts: 2,
+      status: 'invalid_output',
+      errorMessage: 'AI risk_scoring reply did not match the expected format'
+    }));
+  });
+
+  it('records the tokens and cost of every attempt in ai_usage', async () => {
+    jest.spyOn(fakeProvider, 'complete')
+      .mockResolvedValueOnce({ content: 'oops', promptTokens: 120, completionTokens: 5 })
+      .mockResolvedValueOnce({ content: '{"score": 42, "reasons": []}', promptTokens: 140, completionTokens: 15 });
+
+    await llmService.generateJson('risk_scoring', request);
+
+    expect(AiUsage.create).toHaveBeenCalledTimes(1);
+    const usage = AiUsage.create.mock.calls[0][0];
+    expect(usage).toMatchObject({
+      companyId: 'company-1',
+      modelId: 'model-1',
+      task: 'risk_scoring',
+      provider: 'fake',
+      model: 'fake-1',
+      attempts: 2,
+      promptTokens: 260,
+      completionTokens: 20,
+      status: 'success',
+      errorMessage: null
+    });
+    // 260 / 1000 * 0.01 + 20 / 1000 * 0.03
+    expect(usage.cost).toBeCloseTo(0.0032, 6);
+    expect(usage.durationMs).toBeGreaterThanOrEqual(0);
+  });
+
+  it('records no cost when the model has no pricing', async () => {
+    AiModel.findAll.mockResolvedValue([{ id: 'model-2', configuration: { provider: 'fake', model: 'fake-free' } }]);
+
+    await llmService.generateJson('risk_scoring', request);
+
+    expect(AiUsage.create).toHaveBeenCalledWith(expect.objectContaining({ model: 'fake-free', attempts: 1, cost: 0 }));
+  });
+});
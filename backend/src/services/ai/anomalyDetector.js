@@ -0,0 +1,346 @@
+/**
+ * Statistical anomaly detection that runs fully offline. Reads the same
+ * financial data as the compliance engine: `monthlyRevenue` and
+ * `monthlyExpenses` ([{ month, amount }]) and the expenses of `expenses` or
+ * `trips[].expenses`. Monthly spend is derived from the expenses when no
+ * `monthlyExpenses` are given.
+ */
+
+const { isRoundAmount, roundAmountMinimum } = require('../../utils/roundAmount');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Outliers: |z| above Z_THRESHOLD, or beyond IQR_FACTOR interquartile ranges
+const MIN_SERIES_LENGTH = 6;
+const Z_THRESHOLD = 2.5;
+const IQR_FACTOR = 1.5;
+
+// Chi-square critical values for 8 degrees of freedom (p = 0.05 and 0.01)
+const BENFORD_MIN_SAMPLE = 50;
+const CHI_SQUARE_05 = 15.51;
+const CHI_SQUARE_01 = 20.09;
+const BENFORD_EXPECTED = [1, 2, 3, 4, 5, 6, 7, 8, 9].map(digit => Math.log10(1 + 1 / digit));
+
+const NEAR_DUPLICATE_AMOUNT = 0.01;
+const NEAR_DUPLICATE_DAYS = 3;
+
+const ROUND_NUMBER_MIN_SAMPLE = 10;
+const ROUND_NUMBER_SHARE = 0.3;
+
+const WEEKEND_MIN_SAMPLE = 10;
+const WEEKEND_SHARE = 0.25;
+
+// Latest month against the average of the three before it
+const REVENUE_DROP_PERCENT = 40;
+const REVENUE_DROP_SEVERE_PERCENT = 60;
+
+const mean = values => values.reduce((acc, value) => acc + value, 0) / values.length;
+
+const standardDeviation = (values) => {
+  const average = mean(values);
+  return Math.sqrt(values.reduce((acc, value) => acc + (value - average) ** 2, 0) / values.length);
+};
+
+const quantile = (sorted, q) => {
+  const position = (sorted.length - 1) * q;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+};
+
+const round = (value, digits = 2) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+const toDateString = value => (value ? new Date(value).toISOString().slice(0, 10) : null);
+
+const expenseAmount = expense => Number(expense.baseCurrencyAmount || expense.amount) || 0;
+
+const normalizeText = value => String(value || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+
+const isWeekend = (date) => {
+  const day = new Date(date).getUTCDay();
+  return day === 0 || day === 6;
+};
+
+class AnomalyDetector {
+  /**
+   * Run every test on the financial data
+   * @param {Object} data - Financial data
+   * @returns {Array} Anomalies: { type, description, severity, confidence }
+   */
+  detect(data) {
+    const expenses = this.collectExpenses(data);
+    const monthlySpend = data.monthlyExpenses || this.monthlyTotals(expenses);
+
+    return [
+      ...this.detectOutliers(data.monthlyRevenue || [], 'revenue'),
+      ...this.detectOutliers(monthlySpend, 'spend'),
+      ...this.detectRevenueDrop(data.monthlyRevenue || []),
+      ...this.detectBenfordDeviation(expenses),
+      ...this.detectDuplicates(expenses),
+      ...this.detectRoundNumbers(expenses),
+      ...this.detectWeekendSpend(expenses, data.trips || [])
+    ];
+  }
+
+  collectExpenses(data) {
+    if (Array.isArray(data.expenses)) {
+      return data.expenses;
+    }
+    return (data.trips || []).flatMap(trip => (trip.expenses || []).map(expense => ({
+      ...expense,
+      tripId: expense.tripId || trip.id
+    })));
+  }
+
+  /**
+   * Sum expenses per YYYY-MM, in month order
+   */
+  monthlyTotals(expenses) {
+    const totals = new Map();
+    expenses.forEach((expense) => {
+      const month = toDateString(expense.expenseDate);
+      if (month) {
+        const key = month.slice(0, 7);
+        totals.set(key, (totals.get(key) || 0) + expenseAmount(expense));
+      }
+    });
+    return [...totals.entries()]
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([month, amount]) => ({ month, amount }));
+  }
+
+  /**
+   * z-score and IQR outliers of a monthly series; points flagged by both
+   * tests get a higher confidence
+   */
+  detectOutliers(series, label) {
+    const points = series
+      .map((point, index) => ({ month: point.month || `#${index + 1}`, amount: Number(point.amount) }))
+      .filter(point => Number.isFinite(point.amount));
+    if (points.length < MIN_SERIES_LENGTH) {
+      return [];
+    }
+
+    const amounts = points.map(point => point.amount);
+    const average = mean(amounts);
+    const deviation = standardDeviation(amounts);
+    const sorted = [...amounts].sort((a, b) => a - b);
+    const q1 = quantile(sorted, 0.25);
+    const q3 = quantile(sorted, 0.75);
+    const iqr = q3 - q1;
+    const low = q1 - IQR_FACTOR * iqr;
+    const high = q3 + IQR_FACTOR * iqr;
+
+    return points.flatMap((point) => {
+      const z = deviation > 0 ? (point.amount - average) / deviation : 0;
+      const zOutlier = Math.abs(z) > Z_THRESHOLD;
+      const iqrOutlier = iqr > 0 && (point.amount < low || point.amount > high);
+      if (!zOutlier && !iqrOutlier) {
+        return [];
+      }
+
+      const tests = [zOutlier && `z-score ${round(z, 1)}`, iqrOutlier && `outside the IQR range ${round(low)}-${round(high)}`]
+        .filter(Boolean)
+        .join(', ');
+      return [{
+        type: `${label}_outlier`,
+        description: `Monthly ${label} of ${point.amount} in ${point.month} is ${point.amount > average ? 'unusually high' : 'unusually low'} (${tests}; mean ${round(average)})`,
+        severity: zOutlier && iqrOutlier && Math.abs(z) > 3 ? 'high' : 'medium',
+        confidence: zOutlier && iqrOutlier ? 0.85 : 0.65
+      }];
+    });
+  }
+
+  /**
+   * Sudden drop of the latest month's revenue against the three before it
+   */
+  detectRevenueDrop(series) {
+    const amounts = series.map(point => Number(point.amount)).filter(Number.isFinite);
+    if (amounts.length < 4) {
+      return [];
+    }
+
+    const latest = amounts[amounts.length - 1];
+    const previous = mean(amounts.slice(-4, -1));
+    if (previous <= 0) {
+      return [];
+    }
+    const drop = ((previous - latest) / previous) * 100;
+    if (drop < REVENUE_DROP_PERCENT) {
+      return [];
+    }
+
+    const month = series[series.length - 1].month;
+    return [{
+      type: 'revenue_drop',
+      description: `Revenue${month ? ` in ${month}` : ''} fell ${round(drop, 1)}% below the average of the previous three months (${latest} vs ${round(previous)})`,
+      severity: drop >= REVENUE_DROP_SEVERE_PERCENT ? 'high' : 'medium',
+      confidence: 0.8
+    }];
+  }
+
+  /**
+   * Chi-square test of the first digits of expense amounts against
+   * Benford's law
+   */
+  detectBenfordDeviation(expenses) {
+    const digits = expenses
+      .map(expenseAmount)
+      .filter(amount => amount >= 1)
+      .map(amount => Number(String(Math.floor(amount))[0]));
+    if (digits.length < BENFORD_MIN_SAMPLE) {
+      return [];
+    }
+
+    const observed = Array(9).fill(0);
+    digits.forEach((digit) => {
+      observed[digit - 1] += 1;
+    });
+    const chiSquare = observed.reduce((acc, count, index) => {
+      const expected = BENFORD_EXPECTED[index] * digits.length;
+      return acc + (count - expected) ** 2 / expected;
+    }, 0);
+    if (chiSquare < CHI_SQUARE_05) {
+      return [];
+    }
+
+    const overrepresented = observed
+      .map((count, index) => ({ digit: index + 1, excess: count / digits.length - BENFORD_EXPECTED[index] }))
+      .sort((a, b) => b.excess - a.excess)[0];
+    return [{
+      type: 'benford_deviation',
+      description: `First digits of ${digits.length} expense amounts deviate from Benford's law (chi-square ${round(chiSquare, 1)}); leading ${overrepresented.digit} is overrepresented by ${round(overrepresented.excess * 100, 1)} points`,
+      severity: chiSquare >= CHI_SQUARE_01 ? 'medium' : 'low',
+      confidence: chiSquare >= CHI_SQUARE_01 ? 0.7 : 0.55
+    }];
+  }
+
+  /**
+   * Expenses entered twice: the same amount, currency, date and description
+   * (or receipt), or nearly the same amount and description in the same
+   * category within a few days
+   */
+  detectDuplicates(expenses) {
+    const anomalies = [];
+    const exactKeys = new Map();
+    const receiptHashes = new Map();
+
+    expenses.forEach((expense) => {
+      const key = [expenseAmount(expense), expense.currency, toDateString(expense.expenseDate), normalizeText(expense.description)].join('|');
+      const duplicateOf = exactKeys.get(key) || (expense.receiptHash && receiptHashes.get(expense.receiptHash));
+      if (duplicateOf) {
+        anomalies.push({
+          type: 'duplicate_expense',
+          description: `Expense "${expense.description || expense.category}" of ${[expense.amount, expense.currency].filter(Boolean).join(' ')} on ${toDateString(expense.expenseDate)} appears twice`,
+          severity: 'high',
+          confidence: 0.9
+        });
+        return;
+      }
+      exactKeys.set(key, expense);
+      if (expense.receiptHash) {
+        receiptHashes.set(expense.receiptHash, expense);
+      }
+    });
+
+    // Daily allowances repeat the same amount, so the descriptions must match too
+    const unique = [...exactKeys.values()];
+    const matched = new Set();
+    unique.forEach((expense, index) => {
+      const amount = expenseAmount(expense);
+      const text = normalizeText(expense.description);
+      if (matched.has(expense) || amount <= 0 || !text) {
+        return;
+      }
+      const other = unique.slice(index + 1).find((candidate) => {
+        const otherAmount = expenseAmount(candidate);
+        const otherText = normalizeText(candidate.description);
+        return !matched.has(candidate)
+          && candidate.category === expense.category
+          && otherAmount > 0
+          && otherText
+          && (otherText.includes(text) || text.includes(otherText))
+          && Math.abs(amount - otherAmount) / Math.max(amount, otherAmount) <= NEAR_DUPLICATE_AMOUNT
+          && Math.abs(new Date(candidate.expenseDate) - new Date(expense.expenseDate)) / DAY <= NEAR_DUPLICATE_DAYS;
+      });
+      if (other) {
+        matched.add(expense).add(other);
+        anomalies.push({
+          type: 'near_duplicate_expense',
+          description: `${expense.category} expenses "${expense.description}" of ${expense.amount} (${toDateString(expense.expenseDate)}) and "${other.description}" of ${other.amount} (${toDateString(other.expenseDate)}) look like the same purchase`,
+          severity: 'medium',
+          confidence: 0.6
+        });
+      }
+    });
+
+    return anomalies;
+  }
+
+  /**
+   * An unusually high share of round amounts (a single significant digit,
+   * scaled to the expense currency) suggests estimated rather than receipted
+   * spending
+   */
+  detectRoundNumbers(expenses) {
+    const priced = expenses.filter(expense => Number(expense.amount) > 0);
+    if (priced.length < ROUND_NUMBER_MIN_SAMPLE) {
+      return [];
+    }
+
+    const roundAmounts = priced.filter(expense => isRoundAmount(Number(expense.amount), roundAmountMinimum(expense.currency)));
+    const share = roundAmounts.length / priced.length;
+    if (share < ROUND_NUMBER_SHARE) {
+      return [];
+    }
+
+    return [{
+      type: 'round_number_expenses',
+      description: `${roundAmounts.length} of ${priced.length} expenses (${round(share * 100, 1)}%) are round amounts`,
+      severity: share >= 0.5 ? 'medium' : 'low',
+      confidence: 0.5
+    }];
+  }
+
+  /**
+   * Weekend expenses outside the dates of their trip, and a high weekend
+   * share of total spend
+   */
+  detectWeekendSpend(expenses, trips) {
+    const tripsById = new Map(trips.map(trip => [trip.id, trip]));
+    const weekend = expenses.filter(expense => expense.expenseDate && isWeekend(expense.expenseDate));
+    const anomalies = [];
+
+    const outsideTrip = weekend.filter((expense) => {
+      const trip = tripsById.get(expense.tripId);
+      const date = toDateString(expense.expenseDate);
+      return trip && (date < toDateString(trip.startDate) || date > toDateString(trip.endDate));
+    });
+    if (outsideTrip.length > 0) {
+      anomalies.push({
+        type: 'weekend_spend',
+        description: `${outsideTrip.length} weekend expense(s) fall outside the dates of their business trip`,
+        severity: 'medium',
+        confidence: 0.7
+      });
+    }
+
+    if (expenses.length >= WEEKEND_MIN_SAMPLE) {
+      const total = expenses.reduce((acc, expense) => acc + expenseAmount(expense), 0);
+      const weekendTotal = weekend.reduce((acc, expense) => acc + expenseAmount(expense), 0);
+      const share = total > 0 ? weekendTotal / total : 0;
+      if (share >= WEEKEND_SHARE) {
+        anomalies.push({
+          type: 'weekend_spend',
+          description: `${round(share * 100, 1)}% of spend (${weekend.length} of ${expenses.length} expenses) was incurred on weekends`,
+          severity: 'low',
+          confidence: 0.5
+        });
+      }
+    }
+
+    return anomalies;
+  }
+}
+
+module.exports = new AnomalyDetector();
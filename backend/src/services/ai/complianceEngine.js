@@ -1,19 +1,139 @@
-const axios = require('axios');
+const anomalyDetector = require('./anomalyDetector');
+const llmService = require('./llmService');
+const expression = require('../../utils/expression');
 const logger = require('../../utils/logger');
 
-class ComplianceEngine {
-  constructor() {
-    this.openaiApiKey = process.env.OPENAI_API_KEY;
-    this.openaiBaseUrl = 'https://api.openai.com/v1';
+const DAY = 24 * 60 * 60 * 1000;
+
+// Statutory payment deadlines: monthly taxes are due on `dueDay` of the
+// following month, annual taxes on `dueMonth`/`dueDay` of the following year
+const TAX_SCHEDULE = {
+  vat: { name: 'VAT', frequency: 'monthly', dueDay: 20 },
+  social_contributions: { name: 'Social contributions', frequency: 'monthly', dueDay: 25 },
+  income_tax: { name: 'Income tax', frequency: 'annual', dueMonth: 3, dueDay: 31 }
+};
+
+const TAX_ALIASES = {
+  social_tax: 'social_contributions',
+  profit_tax: 'income_tax',
+  corporate_income_tax: 'income_tax'
+};
+
+const toDateString = value => new Date(value).toISOString().slice(0, 10);
+
+const addDays = (date, days) => toDateString(new Date(date).getTime() + days * DAY);
+
+const daysBetween = (from, to) => Math.round((new Date(to) - new Date(from)) / DAY);
+
+const pad = value => String(value).padStart(2, '0');
+
+/**
+ * Tax periods covered by a date range: YYYY-MM for monthly, YYYY for annual taxes
+ */
+const periodsBetween = (start, end, frequency) => {
+  const periods = [];
+  const cursor = new Date(`${toDateString(start).slice(0, 7)}-01T00:00:00Z`);
+  const last = toDateString(end);
+  while (toDateString(cursor) <= last) {
+    const period = frequency === 'annual'
+      ? String(cursor.getUTCFullYear())
+      : `${cursor.getUTCFullYear()}-${pad(cursor.getUTCMonth() + 1)}`;
+    if (!periods.includes(period)) {
+      periods.push(period);
+    }
+    cursor.setUTCMonth(cursor.getUTCMonth() + 1);
   }
+  return periods;
+};
 
+const taxDueDate = (schedule, period) => {
+  if (schedule.frequency === 'annual') {
+    return `${Number(period) + 1}-${pad(schedule.dueMonth)}-${pad(schedule.dueDay)}`;
+  }
+  const [year, month] = period.split('-').map(Number);
+  return month === 12
+    ? `${year + 1}-01-${pad(schedule.dueDay)}`
+    : `${year}-${pad(month + 1)}-${pad(schedule.dueDay)}`;
+};
+
+// Violation of a deterministic rule, shaped like those of checkReportSubmission.
+// `subject` tells apart violations of one rule in a period (a trip, a tax period)
+const ruleViolation = (rule, violationType, description, subject = null) => ({
+  ruleId: rule.id,
+  violationType,
+  severity: rule.severity,
+  description,
+  subject,
+  detectedAt: new Date(),
+  aiConfidence: 1.0
+});
+
+const taxPeriod = (schedule, value) => {
+  const period = String(value || '').slice(0, schedule.frequency === 'annual' ? 4 : 7);
+  const pattern = schedule.frequency === 'annual' ? /^\d{4}$/ : /^\d{4}-\d{2}$/;
+  return pattern.test(period) ? period : null;
+};
+
+// Risk score points by severity; anomaly points are weighted by confidence
+const VIOLATION_POINTS = { critical: 25, high: 15, medium: 10, low: 5 };
+const ANOMALY_POINTS = { critical: 20, high: 12, medium: 8, low: 3 };
+
+const SEVERITY_SCHEMA = { type: 'string', enum: ['low', 'medium', 'high', 'critical'] };
+
+// Replies expected from the language model
+const ANOMALY_SCHEMA = {
+  type: 'object',
+  required: ['anomalies'],
+  properties: {
+    anomalies: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['type', 'description', 'severity', 'confidence'],
+        properties: {
+          type: { type: 'string', minLength: 1 },
+          description: { type: 'string', minLength: 1 },
+          severity: SEVERITY_SCHEMA,
+          confidence: { type: 'number', minimum: 0, maximum: 1 }
+        }
+      }
+    }
+  }
+};
+
+const RECOMMENDATION_SCHEMA = {
+  type: 'object',
+  required: ['recommendations'],
+  properties: {
+    recommendations: {
+      type: 'array',
+      maxItems: 5,
+      items: {
+        type: 'object',
+        required: ['priority', 'action', 'description', 'timeline'],
+        properties: {
+          priority: { type: 'string', enum: ['low', 'medium', 'high'] },
+          action: { type: 'string', minLength: 1 },
+          description: { type: 'string', minLength: 1 },
+          timeline: { type: 'string' }
+        }
+      }
+    }
+  }
+};
+
+class ComplianceEngine {
   /**
    * Analyze financial data for compliance violations
    * @param {Object} financialData - Company financial data
    * @param {Array} complianceRules - Applicable compliance rules
+   * @param {Object} options - { companyId } for AI usage accounting,
+   *   `confidenceAdjustments` ({ rules, anomalyTypes }: factors learned from
+   *   false-positive decisions) and `simulate` (rule backtests: offline
+   *   anomaly detection only, no AI requests)
    * @returns {Object} Analysis results with violations and risk score
    */
-  async analyzeCompliance(financialData, complianceRules) {
+  async analyzeCompliance(financialData, complianceRules, options = {}) {
     try {
       const analysis = {
         violations: [],
@@ -23,22 +143,23 @@ class ComplianceEngine {
       };
 
       // Rule-based compliance checking
-      for (const rule of complianceRules) {
-        const violation = await this.checkRule(financialData, rule);
-        if (violation) {
-          analysis.violations.push(violation);
-        }
-      }
+      analysis.violations.push(...await this.evaluateRules(financialData, complianceRules));
 
       // AI-powered anomaly detection
-      const anomalies = await this.detectAnomalies(financialData);
+      const anomalies = options.simulate
+        ? anomalyDetector.detect(financialData)
+        : await this.detectAnomalies(financialData, options);
       analysis.insights.push(...anomalies);
 
-      // Calculate risk score
-      analysis.riskScore = this.calculateRiskScore(analysis.violations, anomalies);
+      this.applyConfidenceAdjustments(analysis.violations, anomalies, options.confidenceAdjustments);
+
+      // Calculate risk score and what it is made of
+      const risk = this.explainRiskScore(analysis.violations, anomalies);
+      analysis.riskScore = risk.riskScore;
+      analysis.riskFactors = { uncappedScore: risk.uncappedScore, factors: risk.factors };
 
       // Generate AI recommendations
-      analysis.recommendations = await this.generateRecommendations(analysis);
+      analysis.recommendations = options.simulate ? [] : await this.generateRecommendations(analysis, options);
 
       logger.info(`Compliance analysis completed for company. Risk score: ${analysis.riskScore}`);
       return analysis;
@@ -49,15 +170,33 @@ class ComplianceEngine {
     }
   }
 
+  /**
+   * Check rules without anomaly detection, scoring or recommendations; a
+   * rule may report several violations
+   * @param {Object} data - Financial data
+   * @param {Array} rules - Compliance rules
+   * @returns {Array} Violations
+   */
+  async evaluateRules(data, rules) {
+    const violations = [];
+    for (const rule of rules) {
+      const found = await this.checkRule(data, rule);
+      if (found) {
+        violations.push(...[].concat(found));
+      }
+    }
+    return violations;
+  }
+
   /**
    * Check individual compliance rule
    * @param {Object} data - Financial data
    * @param {Object} rule - Compliance rule
-   * @returns {Object|null} Violation object or null
+   * @returns {Object|Array|null} Violation object, array of violations or null
    */
   async checkRule(data, rule) {
     try {
-      const ruleDefinition = rule.rule_definition;
+      const { ruleDefinition } = rule;
 
       switch (ruleDefinition.type) {
         case 'report_submission':
@@ -68,6 +207,8 @@ class ComplianceEngine {
           return this.checkTaxCompliance(data, rule);
         case 'trip_documentation':
           return this.checkTripDocumentation(data, rule);
+        case 'expression':
+          return this.checkExpressionRule(data, rule);
         default:
           return null;
       }
@@ -82,7 +223,7 @@ class ComplianceEngine {
    */
   checkReportSubmission(data, rule) {
     const { lastSubmissionDate, requiredFrequency } = data;
-    const deadlineDays = rule.deadline_days;
+    const { deadlineDays } = rule;
 
     if (!lastSubmissionDate) {
       return {
@@ -118,7 +259,7 @@ class ComplianceEngine {
    */
   checkRevenueTracking(data, rule) {
     const { monthlyRevenue, threshold } = data;
-    const ruleThreshold = rule.rule_definition.threshold || 10000;
+    const ruleThreshold = rule.ruleDefinition.threshold || 10000;
 
     if (!monthlyRevenue || monthlyRevenue.length === 0) {
       return {
@@ -149,15 +290,250 @@ class ComplianceEngine {
     return null;
   }
 
+  /**
+   * Check tax payments against their statutory deadlines: monthly VAT by the
+   * 20th and social contributions by the 25th of the following month, annual
+   * income tax by March 31 of the following year. Reads `taxPayments`
+   * ({ tax, period, amount, paidOn }) and expects a payment for every period
+   * of the reporting period whose deadline has passed.
+   */
+  checkTaxCompliance(data, rule) {
+    const { taxPayments = [], reportingPeriodStart, reportingPeriodEnd } = data;
+    const taxes = (rule.ruleDefinition.taxes || Object.keys(TAX_SCHEDULE))
+      .filter(tax => TAX_SCHEDULE[tax]);
+    const today = toDateString(new Date());
+    const violations = [];
+
+    taxes.forEach((tax) => {
+      const schedule = TAX_SCHEDULE[tax];
+      const payments = taxPayments.filter(payment => {
+        const code = String(payment.tax || '').toLowerCase();
+        return (TAX_ALIASES[code] || code) === tax;
+      });
+      const paidPeriods = new Set();
+
+      payments.forEach((payment) => {
+        const period = taxPeriod(schedule, payment.period);
+        if (!period) {
+          return;
+        }
+        const dueDate = taxDueDate(schedule, period);
+
+        if (payment.paidOn) {
+          paidPeriods.add(period);
+          const paidOn = toDateString(payment.paidOn);
+          if (paidOn > dueDate) {
+            violations.push(ruleViolation(
+              rule,
+              'late_tax_payment',
+              `${schedule.name} for ${period} was paid on ${paidOn}, ${daysBetween(dueDate, paidOn)} days after the ${dueDate} deadline`,
+              `${tax}:${period}`
+            ));
+          }
+        } else if (today > dueDate) {
+          paidPeriods.add(period);
+          violations.push(ruleViolation(
+            rule,
+            'overdue_tax_payment',
+            `${schedule.name} for ${period} is ${daysBetween(dueDate, today)} days overdue (due ${dueDate})`,
+            `${tax}:${period}`
+          ));
+        }
+      });
+
+      if (!reportingPeriodStart || !reportingPeriodEnd) {
+        return;
+      }
+      periodsBetween(reportingPeriodStart, reportingPeriodEnd, schedule.frequency)
+        .filter(period => !paidPeriods.has(period) && today > taxDueDate(schedule, period))
+        .forEach((period) => {
+          violations.push(ruleViolation(
+            rule,
+            'missing_tax_payment',
+            `No ${schedule.name} payment recorded for ${period} (due ${taxDueDate(schedule, period)})`,
+            `${tax}:${period}`
+          ));
+        });
+    });
+
+    return violations;
+  }
+
+  /**
+  * Check business trip documentation. Reads `trips`, each with its
+   * `expenses` and trip `report`. A finished trip must have everything in
+   * `required_fields` (default ["receipts"]): "receipts" means every expense
+   * has a receipt, "expenses" that at least one expense was recorded, and
+   * any other name a non-empty trip attribute such as "purpose". Trips whose
+   * budget or spend exceeds `pre_approval_threshold` (base currency, when
+   * configured) must be approved before they start, and the trip report is
+   * due within `deadlineDays` (default 7) of the end date. Rejected trips
+   * never took place and are skipped.
+   */
+  checkTripDocumentation(data, rule) {
+    const { trips = [] } = data;
+    const configured = rule.ruleDefinition.pre_approval_threshold;
+    const threshold = configured === null || configured === undefined ? null : Number(configured);
+    const requiredFields = Array.isArray(rule.ruleDefinition.required_fields)
+      ? rule.ruleDefinition.required_fields
+      : ['receipts'];
+    const requiredAttributes = requiredFields.filter(field => !['receipts', 'expenses'].includes(field));
+    const reportDays = rule.deadlineDays || 7;
+    const today = toDateString(new Date());
+    const violations = [];
+
+    trips.filter(trip => trip.approvalStatus !== 'rejected').forEach((trip) => {
+      const title = trip.tripTitle || trip.id;
+      const startDate = toDateString(trip.startDate);
+      const endDate = toDateString(trip.endDate);
+
+      // Pre-approval is about the planned cost: the budget, or the spend when it is higher
+      const cost = Math.max(Number(trip.totalBudgetBase) || 0, Number(trip.totalExpensesBase) || 0);
+      const preApproved = trip.approvalStatus === 'approved' && trip.approvedAt
+        && toDateString(trip.approvedAt) <= startDate;
+      if (threshold !== null && cost > threshold && !preApproved && today >= startDate) {
+        violations.push(ruleViolation(
+          rule,
+          'missing_pre_approval',
+          `Trip "${title}" cost ${cost} but was not approved before it started`,
+          `trip:${trip.id}`
+        ));
+      }
+
+      if (today <= endDate) {
+        return;
+      }
+
+      const missing = requiredAttributes.filter(field => (
+        trip[field] === null || trip[field] === undefined || String(trip[field]).trim() === ''
+      ));
+      if (missing.length > 0) {
+        violations.push(ruleViolation(
+          rule,
+          'missing_trip_details',
+          `Trip "${title}" has no ${missing.join(', ')}`,
+          `trip:${trip.id}`
+        ));
+      }
+
+      const expenses = trip.expenses || [];
+      if (requiredFields.includes('expenses') && expenses.length === 0) {
+        violations.push(ruleViolation(
+          rule,
+          'missing_expenses',
+          `No expenses were recorded for trip "${title}"`,
+          `trip:${trip.id}`
+        ));
+      }
+
+      const withoutReceipt = expenses.filter(expense => !expense.receiptFile);
+      if (requiredFields.includes('receipts') && withoutReceipt.length > 0) {
+        violations.push(ruleViolation(
+          rule,
+          'missing_receipts',
+          `${withoutReceipt.length} expense(s) of trip "${title}" have no receipt`,
+          `trip:${trip.id}`
+        ));
+      }
+
+      const reportDue = addDays(endDate, reportDays);
+      if (trip.report) {
+        const filedOn = toDateString(trip.report.createdAt);
+        if (filedOn > reportDue) {
+          violations.push(ruleViolation(
+            rule,
+            'late_trip_report',
+            `Report for trip "${title}" was filed on ${filedOn}, ${daysBetween(reportDue, filedOn)} days after the ${reportDue} deadline`,
+            `trip:${trip.id}`
+          ));
+        }
+      } else if (today > reportDue) {
+        violations.push(ruleViolation(
+          rule,
+          'missing_trip_report',
+          `Report for trip "${title}" is ${daysBetween(reportDue, today)} days overdue (due ${reportDue})`,
+          `trip:${trip.id}`
+        ));
+      }
+    });
+
+    return violations;
+  }
+
+  /**
+   * Check a declarative rule (see utils/ruleDefinition): evaluate its
+   * variables and condition, once or for every item of `each`, and report a
+   * violation wherever the condition holds
+   */
+  checkExpressionRule(data, rule) {
+    const definition = rule.ruleDefinition;
+    const variables = Object.entries(definition.variables || {})
+      .map(([name, source]) => [name, expression.parse(source)]);
+    const condition = expression.parse(definition.condition);
+
+    const base = {
+      ...data,
+      params: definition.parameters || {},
+      today: toDateString(new Date()),
+      rule: {
+        deadlineDays: rule.deadlineDays,
+        nextDueDate: rule.nextDueDate || null
+      }
+    };
+    const items = definition.each
+      ? [].concat(expression.resolvePath(base, definition.each.split('.')) || [])
+      : [undefined];
+
+    const violations = [];
+    items.forEach((item, index) => {
+      const context = definition.each ? { ...base, item } : { ...base };
+      variables.forEach(([name, ast]) => {
+        context[name] = expression.evaluate(ast, context);
+      });
+      if (!expression.evaluate(condition, context)) {
+        return;
+      }
+
+      const description = definition.description.replace(/\{\{\s*([^}]*?)\s*\}\}/g, (placeholder, path) => {
+        const value = expression.resolvePath(context, path.split('.'));
+        if (typeof value === 'number') {
+          return String(Math.round(value * 100) / 100);
+        }
+        return value === null || value === undefined ? '-' : [].concat(value).join(', ');
+      });
+      const subject = definition.each ? `item:${item && item.id ? item.id : index}` : null;
+      violations.push({
+        ...ruleViolation(rule, definition.violationType, description, subject),
+        severity: definition.severity || rule.severity,
+        aiConfidence: definition.confidence !== undefined ? definition.confidence : 1.0
+      });
+    });
+
+    return violations;
+  }
+
+  /**
+   * Detect anomalies: the offline statistical detector always runs, the
+   * AI review is added when its language model is configured
+   * @param {Object} data - Financial data
+   * @param {Object} options - { companyId }
+   * @returns {Array} Array of detected anomalies
+   */
+  async detectAnomalies(data, options = {}) {
+    const anomalies = anomalyDetector.detect(data);
+    return [...anomalies, ...(await this.detectAnomaliesWithAI(data, options))];
+  }
+
   /**
    * Detect anomalies using AI
    * @param {Object} data - Financial data
+   * @param {Object} options - { companyId }
    * @returns {Array} Array of detected anomalies
    */
-  async detectAnomalies(data) {
+  async detectAnomaliesWithAI(data, options = {}) {
     try {
-      if (!this.openaiApiKey) {
-        logger.warn('OpenAI API key not configured, skipping AI anomaly detection');
+      if (!(await llmService.isAvailable('anomaly_detection'))) {
+        logger.warn('AI provider not configured, skipping AI anomaly detection');
         return [];
       }
 
@@ -171,44 +547,15 @@ class ComplianceEngine {
         2. Revenue inconsistencies
         3. Missing documentation
         4. Potential compliance violations
-
-        Return a JSON array of anomalies with: type, description, severity, confidence
       `;
 
-      const response = await axios.post(
-        `${this.openaiBaseUrl}/chat/completions`,
-        {
-          model: 'gpt-4',
-          messages: [
-            {
-              role: 'system',
-              content: 'You are a financial compliance expert. Analyze data and identify potential issues.'
-            },
-            {
-              role: 'user',
-              content: prompt
-            }
-          ],
-          temperature: 0.3,
-          max_tokens: 1000
-        },
-        {
-          headers: {
-            'Authorization': `Bearer ${this.openaiApiKey}`,
-            'Content-Type': 'application/json'
-          }
-        }
-      );
-
-      const aiResponse = response.data.choices[0].message.content;
-
-      try {
-        const anomalies = JSON.parse(aiResponse);
-        return Array.isArray(anomalies) ? anomalies : [];
-      } catch (parseError) {
-        logger.warn('Failed to parse AI anomaly response:', parseError);
-        return [];
-      }
+      const result = await llmService.generateJson('anomaly_detection', {
+        system: 'You are a financial compliance expert. Analyze data and identify potential issues.',
+        prompt,
+        schema: ANOMALY_SCHEMA,
+        companyId: options.companyId
+      });
+      return result.anomalies;
 
     } catch (error) {
       logger.error('AI anomaly detection failed:', error);
@@ -216,6 +563,29 @@ class ComplianceEngine {
     }
   }
 
+  /**
+   * Lower the confidence of rules and anomaly types the company has marked
+   * as false positives before
+   * @param {Array} violations - Detected violations (updated in place)
+   * @param {Array} anomalies - Detected anomalies (updated in place)
+   * @param {Object} adjustments - { rules: { ruleId: factor }, anomalyTypes: { type: factor } }
+   */
+  applyConfidenceAdjustments(violations, anomalies, adjustments) {
+    if (!adjustments) {
+      return;
+    }
+    const adjust = (confidence, factor) => (factor === undefined
+      ? confidence
+      : Math.round(confidence * factor * 100) / 100);
+
+    violations.forEach((violation) => {
+      violation.aiConfidence = adjust(violation.aiConfidence, (adjustments.rules || {})[violation.ruleId]);
+    });
+    anomalies.forEach((anomaly) => {
+      anomaly.confidence = adjust(anomaly.confidence || 0.5, (adjustments.anomalyTypes || {})[anomaly.type]);
+    });
+  }
+
   /**
    * Calculate overall risk score
    * @param {Array} violations - Detected violations
@@ -223,56 +593,57 @@ class ComplianceEngine {
    * @returns {number} Risk score (0-100)
    */
   calculateRiskScore(violations, anomalies) {
-    let score = 0;
-
-    // Score based on violations
-    violations.forEach(violation => {
-      switch (violation.severity) {
-        case 'critical':
-          score += 25;
-          break;
-        case 'high':
-          score += 15;
-          break;
-        case 'medium':
-          score += 10;
-          break;
-        case 'low':
-          score += 5;
-          break;
-      }
-    });
-
-    // Score based on anomalies
-    anomalies.forEach(anomaly => {
-      const confidenceWeight = anomaly.confidence || 0.5;
-      switch (anomaly.severity) {
-        case 'critical':
-          score += 20 * confidenceWeight;
-          break;
-        case 'high':
-          score += 12 * confidenceWeight;
-          break;
-        case 'medium':
-          score += 8 * confidenceWeight;
-          break;
-        case 'low':
-          score += 3 * confidenceWeight;
-          break;
-      }
-    });
+    return this.explainRiskScore(violations, anomalies).riskScore;
+  }
 
-    return Math.min(Math.round(score), 100);
+  /**
+   * Risk score with the points each violation and anomaly contributes,
+   * weighted by their confidence (1 for deterministic rule violations).
+   * @param {Array} violations - Detected violations
+   * @param {Array} anomalies - Detected anomalies
+   * @returns {Object} { riskScore, uncappedScore, factors: [{ source, type, ruleId, severity, description, weight, basePoints, points }] }
+   */
+  explainRiskScore(violations, anomalies) {
+    const factors = [
+      ...violations.map(violation => ({
+        source: 'violation',
+        type: violation.violationType,
+        ruleId: violation.ruleId || null,
+        severity: violation.severity,
+        description: violation.description,
+        weight: violation.aiConfidence !== undefined ? violation.aiConfidence : 1,
+        basePoints: VIOLATION_POINTS[violation.severity] || 0
+      })),
+      ...anomalies.map(anomaly => ({
+        source: 'anomaly',
+        type: anomaly.type,
+        ruleId: null,
+        severity: anomaly.severity,
+        description: anomaly.description,
+        weight: anomaly.confidence || 0.5,
+        basePoints: ANOMALY_POINTS[anomaly.severity] || 0
+      }))
+    ]
+      .map(factor => ({ ...factor, points: Math.round(factor.basePoints * factor.weight * 100) / 100 }))
+      .sort((a, b) => b.points - a.points);
+
+    const uncappedScore = Math.round(factors.reduce((sum, factor) => sum + factor.points, 0));
+    return {
+      riskScore: Math.min(uncappedScore, 100),
+      uncappedScore,
+      factors
+    };
   }
 
   /**
    * Generate AI-powered recommendations
    * @param {Object} analysis - Compliance analysis results
+   * @param {Object} options - { companyId }
    * @returns {Array} Array of recommendations
    */
-  async generateRecommendations(analysis) {
+  async generateRecommendations(analysis, options = {}) {
     try {
-      if (!this.openaiApiKey || analysis.violations.length === 0) {
+      if (analysis.violations.length === 0 || !(await llmService.isAvailable('compliance_recommendations'))) {
         return [];
       }
 
@@ -283,43 +654,17 @@ class ComplianceEngine {
         Risk Score: ${analysis.riskScore}
 
         Provide 3-5 specific, actionable recommendations to address these issues.
-        Format as JSON array with: priority, action, description, timeline
       `;
 
-      const response = await axios.post(
-        `${this.openaiBaseUrl}/chat/completions`,
-        {
-          model: 'gpt-4',
-          messages: [
-            {
-              role: 'system',
-              content: 'You are a compliance consultant. Provide practical recommendations to resolve compliance issues.'
-            },
-            {
-              role: 'user',
-              content: prompt
-            }
-          ],
-          temperature: 0.4,
-          max_tokens: 800
-        },
-        {
-          headers: {
-            'Authorization': `Bearer ${this.openaiApiKey}`,
-            'Content-Type': 'application/json'
-          }
-        }
-      );
-
-      const aiResponse = response.data.choices[0].message.content;
-
-      try {
-        const recommendations = JSON.parse(aiResponse);
-        return Array.isArray(recommendations) ? recommendations : [];
-      } catch (parseError) {
-        logger.warn('Failed to parse AI recommendations:', parseError);
-        return [];
-      }
+      const result = await llmService.generateJson('compliance_recommendations', {
+        system: 'You are a compliance consultant. Provide practical recommendations to resolve compliance issues.',
+        prompt,
+        schema: RECOMMENDATION_SCHEMA,
+        companyId: options.companyId,
+        temperature: 0.4,
+        maxTokens: 800
+      });
+      return result.recommendations;
 
     } catch (error) {
       logger.error('AI recommendation generation failed:', error);
@@ -0,0 +1,264 @@
+const { Op, fn, col } = require('sequelize');
+const { AiModel, AiUsage } = require('../../models');
+const { getProvider } = require('./providers');
+const jsonSchema = require('../../utils/jsonSchema');
+const AppError = require('../../utils/appError');
+const logger = require('../../utils/logger');
+
+// Model choices are re-read from ai_models after this long
+const MODEL_CACHE_TTL = 5 * 60 * 1000;
+
+const DEFAULTS = {
+  temperature: 0.3,
+  maxTokens: 1000,
+  maxRepairs: 2
+};
+
+/**
+ * JSON in a model reply, which may be wrapped in a code fence or prose
+ * @returns {*} Parsed value
+ * @throws {SyntaxError} When the reply holds no JSON
+ */
+const parseJson = (content) => {
+  const fenced = content.match(/```(?:json)?\s*([\s\S]*?)```/);
+  const text = (fenced ? fenced[1] : content).trim();
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    const start = text.search(/[[{]/);
+    const end = Math.max(text.lastIndexOf('}'), text.lastIndexOf(']'));
+    if (start === -1 || end <= start) {
+      throw error;
+    }
+    return JSON.parse(text.slice(start, end + 1));
+  }
+};
+
+const costOf = (pricing, promptTokens, completionTokens) => {
+  if (!pricing) {
+    return 0;
+  }
+  const cost = (promptTokens / 1000) * (pricing.promptPer1k || 0)
+    + (completionTokens / 1000) * (pricing.completionPer1k || 0);
+  return Math.round(cost * 1e6) / 1e6;
+};
+
+/**
+ * Language model access for the AI features. The provider and model of a
+ * task come from the active `ai_models` row of that model type (the one
+ * deployed last), falling back to LLM_PROVIDER / LLM_MODEL. JSON replies are
+ * validated against a schema and the model is asked to repair invalid ones;
+ * every request is recorded in `ai_usage` with its tokens and cost.
+ */
+class LlmService {
+  constructor() {
+    this.modelCache = new Map();
+  }
+
+  /**
+   * Model configuration of a task
+   * @param {string} task - Model type, e.g. anomaly_detection
+   * @returns {Object} { modelId, provider, model, temperature, maxTokens, timeoutMs, maxRepairs, pricing }
+   */
+  async resolveModel(task) {
+    const cached = this.modelCache.get(task);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.config;
+    }
+
+    // Rows of non-LLM models (e.g. the statistical detectors) have no model name
+    const rows = await AiModel.findAll({
+      where: { modelType: task, isActive: true },
+      order: [['deployedAt', 'DESC NULLS LAST'], ['createdAt', 'DESC']]
+    });
+    const row = rows.find(candidate => candidate.configuration && candidate.configuration.model);
+    const configuration = row ? row.configuration : {};
+
+    const config = {
+      ...DEFAULTS,
+      timeoutMs: parseInt(process.env.LLM_TIMEOUT_MS, 10) || 30000,
+      ...configuration,
+      modelId: row ? row.id : null,
+      provider: configuration.provider || process.env.LLM_PROVIDER || 'openai',
+      model: configuration.model || process.env.LLM_MODEL || 'gpt-4'
+    };
+
+    this.modelCache.set(task, { config, expiresAt: Date.now() + MODEL_CACHE_TTL });
+    return config;
+  }
+
+  /**
+   * Whether the provider of a task is configured
+   * @param {string} task - Model type
+   * @returns {boolean}
+   */
+  async isAvailable(task) {
+    const config = await this.resolveModel(task);
+    return getProvider(config.provider).isConfigured();
+  }
+
+  /**
+   * Ask for a JSON reply matching a schema
+   * @param {string} task - Model type
+   * @param {Object} request - { system, prompt, schema, companyId, temperature, maxTokens }
+   * @returns {*} Validated reply
+   * @throws {AppError} 502 when the reply stays invalid after the repair attempts
+   */
+  async generateJson(task, request) {
+    const system = [
+      request.system,
+      `Reply with JSON only, matching this JSON schema:\n${JSON.stringify(request.schema)}`
+    ].filter(Boolean).join('\n\n');
+    const messages = [{ role: 'user', content: request.prompt }];
+
+    return this.run(task, request, async (call, config) => {
+      let errors = [];
+      for (let attempt = 0; attempt <= config.maxRepairs; attempt++) {
+        const content = await call({ system, messages, json: true, schema: request.schema });
+
+        let value;
+        try {
+          value = parseJson(content);
+          errors = jsonSchema.validate(request.schema, value);
+        } catch (parseError) {
+          errors = [`not valid JSON (${parseError.message})`];
+        }
+        if (errors.length === 0) {
+          return value;
+        }
+
+        logger.warn(`AI ${task} reply is invalid (attempt ${attempt + 1}): ${errors.join('; ')}`);
+        messages.push(
+          { role: 'assistant', content },
+          { role: 'user', content: `Your reply is invalid: ${errors.join('; ')}. Reply again with only the corrected JSON.` }
+        );
+      }
+      throw new AppError(`AI ${task} reply did not match the expected format`, 502, errors);
+    });
+  }
+
+  /**
+   * Ask for a free-text reply
+   * @param {string} task - Model type
+   * @param {Object} request - { system, messages: [{ role, content }], companyId, temperature, maxTokens }
+   * @returns {string} Reply
+   */
+  async generateText(task, request) {
+    return this.run(task, request, async call => call({
+      system: request.system,
+      messages: request.messages,
+      json: false
+    }));
+  }
+
+  /**
+   * Resolve the model, run the exchange and record its usage
+   * @param {Function} exchange - async (call, config) => result; call(request) returns the reply text
+   */
+  async run(task, request, exchange) {
+    const config = await this.resolveModel(task);
+    const provider = getProvider(config.provider);
+    const usage = { attempts: 0, promptTokens: 0, completionTokens: 0 };
+    const startedAt = Date.now();
+
+    const call = async (message) => {
+      usage.attempts += 1;
+      const reply = await provider.complete({
+        ...message,
+        model: config.model,
+        temperature: request.temperature !== undefined ? request.temperature : config.temperature,
+        maxTokens: request.maxTokens || config.maxTokens,
+        timeoutMs: config.timeoutMs
+      });
+      usage.promptTokens += reply.promptTokens;
+      usage.completionTokens += reply.completionTokens;
+      return reply.content;
+    };
+
+    let status = 'success';
+    let errorMessage = null;
+    try {
+      return await exchange(call, config);
+    } catch (error) {
+      status = error.statusCode === 502 ? 'invalid_output' : 'failed';
+      errorMessage = error.message;
+      if (error.code === 'ECONNABORTED') {
+        throw new AppError(`AI provider ${config.provider} timed out after ${config.timeoutMs} ms`, 504);
+      }
+      throw error;
+    } finally {
+      await this.recordUsage({
+        companyId: request.companyId || null,
+        modelId: config.modelId,
+        task,
+        provider: config.provider,
+        model: config.model,
+        ...usage,
+        cost: costOf(config.pricing, usage.promptTokens, usage.completionTokens),
+        durationMs: Date.now() - startedAt,
+        status,
+        errorMessage
+      });
+    }
+  }
+
+  async recordUsage(record) {
+    try {
+      await AiUsage.create(record);
+    } catch (error) {
+      logger.error(`Failed to record AI usage for ${record.task}:`, error);
+    }
+  }
+
+  /**
+   * Token and cost totals of a company, per task and model
+   * @param {string} companyId - Company ID
+   * @param {Object} period - { from, to } dates, both optional
+   * @returns {Object} { requests, promptTokens, completionTokens, cost, byTask: [...] }
+   */
+  async getUsage(companyId, period = {}) {
+    const where = { companyId };
+    if (period.from || period.to) {
+      where.createdAt = {
+        ...(period.from ? { [Op.gte]: new Date(period.from) } : {}),
+        ...(period.to ? { [Op.lte]: new Date(period.to) } : {})
+      };
+    }
+
+    const rows = await AiUsage.findAll({
+      where,
+      attributes: [
+        'task',
+        'provider',
+        'model',
+        [fn('COUNT', col('id')), 'requests'],
+        [fn('SUM', col('prompt_tokens')), 'promptTokens'],
+        [fn('SUM', col('completion_tokens')), 'completionTokens'],
+        [fn('SUM', col('cost')), 'cost']
+      ],
+      group: ['task', 'provider', 'model'],
+      order: [['task', 'ASC']],
+      raw: true
+    });
+
+    const byTask = rows.map(row => ({
+      task: row.task,
+      provider: row.provider,
+      model: row.model,
+      requests: Number(row.requests),
+      promptTokens: Number(row.promptTokens) || 0,
+      completionTokens: Number(row.completionTokens) || 0,
+      cost: Number(row.cost) || 0
+    }));
+
+    return {
+      requests: byTask.reduce((sum, row) => sum + row.requests, 0),
+      promptTokens: byTask.reduce((sum, row) => sum + row.promptTokens, 0),
+      completionTokens: byTask.reduce((sum, row) => sum + row.completionTokens, 0),
+      cost: Math.round(byTask.reduce((sum, row) => sum + row.cost, 0) * 1e6) / 1e6,
+      byTask
+    };
+  }
+}
+
+module.exports = new LlmService();
@@ -0,0 +1,59 @@
+const axios = require('axios');
+const AppError = require('../../../utils/appError');
+
+/**
+ * Anthropic Messages API
+ */
+class AnthropicProvider {
+  constructor() {
+    this.name = 'anthropic';
+    this.baseUrl = process.env.ANTHROPIC_BASE_URL || 'https://api.anthropic.com/v1';
+    this.apiKey = process.env.ANTHROPIC_API_KEY;
+  }
+
+  isConfigured() {
+    return Boolean(this.apiKey);
+  }
+
+  /**
+   * Run a chat completion
+   * @param {Object} request - { model, system, messages, temperature, maxTokens, timeoutMs, json }
+   * @returns {Object} { content, promptTokens, completionTokens }
+   */
+  async complete(request) {
+    if (!this.isConfigured()) {
+      throw new AppError('AI provider anthropic is not configured', 503);
+    }
+
+    const response = await axios.post(
+      `${this.baseUrl.replace(/\/$/, '')}/messages`,
+      {
+        model: request.model,
+        system: request.system,
+        messages: request.messages,
+        temperature: request.temperature,
+        max_tokens: request.maxTokens
+      },
+      {
+        timeout: request.timeoutMs,
+        headers: {
+          'x-api-key': this.apiKey,
+          'anthropic-version': '2023-06-01',
+          'Content-Type': 'application/json'
+        }
+      }
+    );
+
+    const usage = response.data.usage || {};
+    return {
+      content: response.data.content
+        .filter(block => block.type === 'text')
+        .map(block => block.text)
+        .join(''),
+      promptTokens: usage.input_tokens || 0,
+      completionTokens: usage.output_tokens || 0
+    };
+  }
+}
+
+module.exports = new AnthropicProvider();
@@ -0,0 +1,60 @@
+const jsonSchema = require('../../../utils/jsonSchema');
+
+// Rough token estimate, good enough for cost accounting in tests
+const estimateTokens = text => Math.ceil(String(text || '').length / 4);
+
+/**
+ * Deterministic provider for tests and offline development. Replies queued
+ * with `queue()` are returned first, in order; otherwise JSON requests get
+ * the smallest value matching their schema and text requests an echo of
+ * the last message.
+ */
+class FakeProvider {
+  constructor() {
+    this.name = 'fake';
+    this.replies = [];
+    this.requests = [];
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  /**
+   * Queue replies (strings, or objects that are sent as JSON)
+   */
+  queue(...replies) {
+    this.replies.push(...replies);
+  }
+
+  reset() {
+    this.replies = [];
+    this.requests = [];
+  }
+
+  /**
+   * @param {Object} request - { model, system, messages, json, schema }
+   * @returns {Object} { content, promptTokens, completionTokens }
+   */
+  async complete(request) {
+    this.requests.push(request);
+
+    let content;
+    if (this.replies.length > 0) {
+      const reply = this.replies.shift();
+      content = typeof reply === 'string' ? reply : JSON.stringify(reply);
+    } else if (request.json) {
+      content = JSON.stringify(jsonSchema.example(request.schema || {}));
+    } else {
+      content = `[fake] ${request.messages[request.messages.length - 1].content}`;
+    }
+
+    return {
+      content,
+      promptTokens: estimateTokens(request.system) + request.messages.reduce((sum, message) => sum + estimateTokens(message.content), 0),
+      completionTokens: estimateTokens(content)
+    };
+  }
+}
+
+module.exports = new FakeProvider();
@@ -0,0 +1,39 @@
+const OpenAIProvider = require('./openaiProvider');
+const anthropicProvider = require('./anthropicProvider');
+const fakeProvider = require('./fakeProvider');
+
+// Language model providers by name, as used in ai_models.configuration.provider
+const PROVIDERS = {
+  openai: new OpenAIProvider({
+    name: 'openai',
+    baseUrl: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+    apiKey: process.env.OPENAI_API_KEY,
+    requiresApiKey: true,
+    jsonMode: true
+  }),
+  openai_compatible: new OpenAIProvider({
+    name: 'openai_compatible',
+    baseUrl: process.env.LLM_COMPATIBLE_BASE_URL,
+    apiKey: process.env.LLM_COMPATIBLE_API_KEY,
+    requiresApiKey: false,
+    jsonMode: process.env.LLM_COMPATIBLE_JSON_MODE === 'true'
+  }),
+  anthropic: anthropicProvider,
+  fake: fakeProvider
+};
+
+/**
+ * @param {string} name - Provider name
+ * @returns {Object} Provider with complete() and isConfigured()
+ */
+const getProvider = (name) => {
+  const provider = PROVIDERS[name];
+  if (!provider) {
+    throw new Error(`Unknown AI provider: ${name}`);
+  }
+  return provider;
+};
+
+module.exports = {
+  getProvider
+};
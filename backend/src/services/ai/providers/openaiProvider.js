@@ -0,0 +1,67 @@
+const axios = require('axios');
+const AppError = require('../../../utils/appError');
+
+/**
+ * Chat completions API of OpenAI, also spoken by local and self-hosted
+ * servers (vLLM, Ollama, LM Studio), which are configured with their own
+ * base URL.
+ */
+class OpenAIProvider {
+  /**
+   * @param {Object} options - { name, baseUrl, apiKey, requiresApiKey, jsonMode }
+   */
+  constructor({ name, baseUrl, apiKey, requiresApiKey, jsonMode }) {
+    this.name = name;
+    this.baseUrl = baseUrl;
+    this.apiKey = apiKey;
+    // Local servers usually run without a key
+    this.requiresApiKey = requiresApiKey;
+    // Not every compatible server supports response_format
+    this.jsonMode = jsonMode;
+  }
+
+  isConfigured() {
+    return Boolean(this.baseUrl) && (Boolean(this.apiKey) || !this.requiresApiKey);
+  }
+
+  /**
+   * Run a chat completion
+   * @param {Object} request - { model, system, messages, temperature, maxTokens, timeoutMs, json }
+   * @returns {Object} { content, promptTokens, completionTokens }
+   */
+  async complete(request) {
+    if (!this.isConfigured()) {
+      throw new AppError(`AI provider ${this.name} is not configured`, 503);
+    }
+
+    const response = await axios.post(
+      `${this.baseUrl.replace(/\/$/, '')}/chat/completions`,
+      {
+        model: request.model,
+        messages: [
+          ...(request.system ? [{ role: 'system', content: request.system }] : []),
+          ...request.messages
+        ],
+        temperature: request.temperature,
+        max_tokens: request.maxTokens,
+        ...(request.json && this.jsonMode ? { response_format: { type: 'json_object' } } : {})
+      },
+      {
+        timeout: request.timeoutMs,
+        headers: {
+          ...(this.apiKey ? { 'Authorization': `Bearer ${this.apiKey}` } : {}),
+          'Content-Type': 'application/json'
+        }
+      }
+    );
+
+    const usage = response.data.usage || {};
+    return {
+      content: response.data.choices[0].message.content || '',
+      promptTokens: usage.prompt_tokens || 0,
+      completionTokens: usage.completion_tokens || 0
+    };
+  }
+}
+
+module.exports = OpenAIProvider;
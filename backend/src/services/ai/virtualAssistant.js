@@ -1,15 +1,159 @@
-const axios = require('axios');
+const llmService = require('./llmService');
 const logger = require('../../utils/logger');
 
+// Answer languages: users.language values plus Uzbek in Cyrillic script
+const LANGUAGES = ['en', 'ru', 'uz', 'uz-Cyrl'];
+
+const LANGUAGE_NAMES = {
+  en: 'English',
+  ru: 'Russian',
+  uz: 'Uzbek in Latin script',
+  'uz-Cyrl': 'Uzbek in Cyrillic script'
+};
+
+// Words that tell the languages apart, matched as word prefixes
+const UZ_CYRILLIC_LETTERS = /[ўқғҳ]/;
+const UZ_CYRILLIC_WORDS = ['учун', 'керак', 'качон', 'кандай', 'хисобот', 'топшир', 'сафар', 'муддат', 'солик', 'нима', 'йиллик', 'чорак', 'хужжат', 'буйича', 'билан', 'канча'];
+const UZ_LATIN_WORDS = ['qachon', 'qanday', 'kerak', 'uchun', 'hisobot', 'topshir', 'safar', 'muddat', 'soliq', 'nima', 'yillik', 'chorak', 'hujjat', "bo'yicha", 'bilan', 'qancha', 'qayer'];
+const UZ_LATIN_LETTERS = /[og]'/;
+const EN_WORDS = ['the', 'what', 'when', 'how', 'which', 'where', 'who', 'do', 'does', 'is', 'are', 'my', 'our', 'need', 'can', 'should', 'must', 'report', 'trip', 'tax', 'deadline', 'due', 'submit'];
+
+// Keywords of each subject per language, matched as word prefixes ("отчет"
+// matches "отчетов", "hisobot" matches "hisobotni")
+const KEYWORDS = {
+  report: {
+    en: ['report'],
+    ru: ['отчет'],
+    uz: ['hisobot'],
+    'uz-Cyrl': ['ҳисобот', 'хисобот']
+  },
+  quarterly: {
+    en: ['quarter'],
+    ru: ['квартал'],
+    uz: ['chorak'],
+    'uz-Cyrl': ['чорак']
+  },
+  annual: {
+    en: ['annual', 'yearly'],
+    ru: ['годов', 'ежегод'],
+    uz: ['yillik'],
+    'uz-Cyrl': ['йиллик']
+  },
+  trip: {
+    en: ['trip', 'travel'],
+    ru: ['командиров', 'поездк'],
+    uz: ['safar'],
+    'uz-Cyrl': ['сафар']
+  },
+  signature: {
+    en: ['signature', 'e-signature', 'esignature', 'e-imzo', 'eimzo'],
+    ru: ['подпис', 'эцп', 'e-imzo'],
+    uz: ['imzo', 'e-imzo'],
+    'uz-Cyrl': ['имзо']
+  },
+  tax: {
+    en: ['tax', 'vat'],
+    ru: ['налог', 'ндс'],
+    uz: ['soliq', 'qqs'],
+    'uz-Cyrl': ['солиқ', 'солик', 'ққс', 'ккс']
+  },
+  deadline: {
+    en: ['deadline', 'due'],
+    ru: ['срок', 'дедлайн'],
+    uz: ['muddat'],
+    'uz-Cyrl': ['муддат']
+  }
+};
+
+const TEXTS = {
+  error: {
+    en: "I'm sorry, I'm having trouble processing your request right now. Please try again later or contact support.",
+    ru: 'Извините, сейчас не удаётся обработать ваш запрос. Попробуйте позже или обратитесь в поддержку.',
+    uz: "Kechirasiz, hozir so'rovingizni qayta ishlab bo'lmadi. Keyinroq urinib ko'ring yoki qo'llab-quvvatlash xizmatiga murojaat qiling.",
+    'uz-Cyrl': 'Кечирасиз, ҳозир сўровингизни қайта ишлаб бўлмади. Кейинроқ уриниб кўринг ёки қўллаб-қувватлаш хизматига мурожаат қилинг.'
+  },
+  errorSuggestions: {
+    en: ['Contact support', 'Try rephrasing your question', 'Check the help documentation'],
+    ru: ['Обратитесь в поддержку', 'Переформулируйте вопрос', 'Посмотрите справку'],
+    uz: ["Qo'llab-quvvatlash xizmatiga murojaat qiling", "Savolni boshqacha so'rang", "Yordam bo'limini ko'ring"],
+    'uz-Cyrl': ['Қўллаб-қувватлаш хизматига мурожаат қилинг', 'Саволни бошқача сўранг', 'Ёрдам бўлимини кўринг']
+  },
+  notFound: {
+    en: "I couldn't find an answer in the IT Park compliance guide. Please rephrase your question or contact support.",
+    ru: 'Я не нашёл ответа в справочнике IT Park. Переформулируйте вопрос или обратитесь в поддержку.',
+    uz: "IT Park qo'llanmasida javob topilmadi. Savolni boshqacha so'rang yoki qo'llab-quvvatlash xizmatiga murojaat qiling.",
+    'uz-Cyrl': 'IT Park қўлланмасида жавоб топилмади. Саволни бошқача сўранг ёки қўллаб-қувватлаш хизматига мурожаат қилинг.'
+  }
+};
+
+// Follow-up suggestions by the subject a query mentions; `fallback` when none
+const SUGGESTIONS = {
+  report: {
+    en: 'Check your upcoming report deadlines with /deadlines',
+    ru: 'Посмотрите ближайшие сроки отчётов командой /deadlines',
+    uz: "Yaqin hisobot muddatlarini /deadlines buyrug'i bilan ko'ring",
+    'uz-Cyrl': 'Яқин ҳисобот муддатларини /deadlines буйруғи билан кўринг'
+  },
+  trip: {
+    en: 'Ask what documents a business trip report needs',
+    ru: 'Спросите, какие документы нужны для отчёта о командировке',
+    uz: 'Xizmat safari hisoboti uchun qanday hujjatlar kerakligini so\'rang',
+    'uz-Cyrl': 'Хизмат сафари ҳисоботи учун қандай ҳужжатлар кераклигини сўранг'
+  },
+  tax: {
+    en: 'Ask when the next VAT return is due',
+    ru: 'Спросите, когда сдавать следующую декларацию по НДС',
+    uz: "Keyingi QQS hisoboti qachon topshirilishini so'rang",
+    'uz-Cyrl': 'Кейинги ҚҚС ҳисоботи қачон топширилишини сўранг'
+  },
+  fallback: {
+    en: ['Ask about quarterly reporting deadlines', 'Ask about e-signature requirements'],
+    ru: ['Спросите о сроках квартальной отчётности', 'Спросите о требованиях к электронной подписи'],
+    uz: ["Choraklik hisobot muddatlari haqida so'rang", "Elektron raqamli imzo talablari haqida so'rang"],
+    'uz-Cyrl': ['Чораклик ҳисобот муддатлари ҳақида сўранг', 'Электрон рақамли имзо талаблари ҳақида сўранг']
+  }
+};
+
+/**
+ * Lower-case words of a text; apostrophe variants of Uzbek oʻ/gʻ and ё are
+ * unified so spellings match
+ */
+const wordsOf = text => String(text || '')
+  .toLowerCase()
+  .replace(/[ʻʼ‘’`]/g, "'")
+  .replace(/ё/g, 'е')
+  .split(/[^\p{L}\p{N}'-]+/u)
+  .map(word => word.replace(/^['-]+|['-]+$/g, ''))
+  .filter(Boolean);
+
+const mentions = (words, stems) => stems.some(stem => words.some(word => word.startsWith(stem)));
+
+/**
+ * Answer language a user prefers, from users.language or a client locale
+ * such as Telegram's en-US
+ * @returns {string|null} en, ru, uz or uz-Cyrl
+ */
+const preferredLanguage = (language) => {
+  if (!language) {
+    return null;
+  }
+  const code = String(language).toLowerCase();
+  if (code.startsWith('uz') && code.includes('cyrl')) {
+    return 'uz-Cyrl';
+  }
+  const base = code.slice(0, 2);
+  return LANGUAGES.includes(base) ? base : null;
+};
+
 class VirtualAssistant {
   constructor() {
-    this.openaiApiKey = process.env.OPENAI_API_KEY;
-    this.openaiBaseUrl = 'https://api.openai.com/v1';
     this.knowledgeBase = this.initializeKnowledgeBase();
   }
 
   /**
-   * Initialize knowledge base with IT Park regulations and compliance info
+   * Initialize knowledge base with IT Park regulations and compliance info.
+   * Topics are authored in every answer language and matched in order, so
+   * narrower topics come first.
    */
   initializeKnowledgeBase() {
     return {
@@ -35,91 +179,206 @@ class VirtualAssistant {
           socialContributions: "Monthly social security contributions due by 25th"
         }
       },
-      commonQuestions: {
-        "when to submit quarterly report": "Quarterly reports must be submitted within 30 days after the end of each quarter (Q1: April 30, Q2: July 31, Q3: October 31, Q4: January 31).",
-        "business trip documentation": "Business trips require: 1) Pre-approval for trips over $1000, 2) Receipts for all expenses, 3) Trip report within 7 days of return, 4) Electronic signature on expense report.",
-        "compliance deadlines": "Key deadlines: Quarterly reports (30 days), Annual reports (45 days), VAT returns (20th of month), Business trip reports (7 days).",
-        "e-signature requirements": "E-signatures are required for: Annual reports, Business trip expense reports, Tax submissions, and any document over $5000 value."
-      }
+      // Each topic matches when the query mentions every one of its subjects
+      topics: [
+        {
+          id: 'quarterlyReporting',
+          subjects: ['quarterly', 'report'],
+          answer: {
+            en: 'Quarterly reports are due 30 days after the end of each quarter (Q1: April 30, Q2: July 31, Q3: October 31, Q4: January 31). Required documents: Trial Balance, General Ledger, Balance Sheet, Income Statement. Submit them electronically via the IT Park portal.',
+            ru: 'Квартальные отчёты сдаются в течение 30 дней после окончания квартала (I кв.: 30 апреля, II кв.: 31 июля, III кв.: 31 октября, IV кв.: 31 января). Необходимые документы: оборотно-сальдовая ведомость, главная книга, бухгалтерский баланс, отчёт о финансовых результатах. Отчёты подаются в электронном виде через портал IT Park.',
+            uz: "Choraklik hisobotlar chorak tugaganidan keyin 30 kun ichida topshiriladi (I chorak: 30-aprel, II chorak: 31-iyul, III chorak: 31-oktabr, IV chorak: 31-yanvar). Kerakli hujjatlar: aylanma-saldo vedomosti, bosh kitob, buxgalteriya balansi, moliyaviy natijalar to'g'risidagi hisobot. Hisobotlar IT Park portali orqali elektron shaklda topshiriladi.",
+            'uz-Cyrl': 'Чораклик ҳисоботлар чорак тугаганидан кейин 30 кун ичида топширилади (I чорак: 30-апрель, II чорак: 31-июль, III чорак: 31-октябрь, IV чорак: 31-январь). Керакли ҳужжатлар: айланма-сальдо ведомости, бош китоб, бухгалтерия баланси, молиявий натижалар тўғрисидаги ҳисобот. Ҳисоботлар IT Park портали орқали электрон шаклда топширилади.'
+          }
+        },
+        {
+          id: 'annualReporting',
+          subjects: ['annual', 'report'],
+          answer: {
+            en: 'Annual reports are due 45 days after the end of the year. Required documents: Annual Financial Statements, Tax Returns, Audit Report. Submit them electronically with an e-signature.',
+            ru: 'Годовые отчёты сдаются в течение 45 дней после окончания года. Необходимые документы: годовая финансовая отчётность, налоговые декларации, аудиторское заключение. Отчёты подаются в электронном виде с электронной подписью.',
+            uz: 'Yillik hisobotlar yil tugaganidan keyin 45 kun ichida topshiriladi. Kerakli hujjatlar: yillik moliyaviy hisobot, soliq deklaratsiyalari, auditorlik xulosasi. Hisobotlar elektron raqamli imzo bilan elektron shaklda topshiriladi.',
+            'uz-Cyrl': 'Йиллик ҳисоботлар йил тугаганидан кейин 45 кун ичида топширилади. Керакли ҳужжатлар: йиллик молиявий ҳисобот, солиқ декларациялари, аудиторлик хулосаси. Ҳисоботлар электрон рақамли имзо билан электрон шаклда топширилади.'
+          }
+        },
+        {
+          id: 'businessTrips',
+          subjects: ['trip'],
+          answer: {
+            en: 'Business trips require: 1) Manager approval for trips over $1000, 2) Receipts for all expenses and the trip purpose, 3) A trip report within 7 days of return, 4) An e-signature on the expense report.',
+            ru: 'Для командировки необходимы: 1) согласование руководителя для поездок дороже $1000, 2) чеки по всем расходам и цель поездки, 3) отчёт о командировке в течение 7 дней после возвращения, 4) электронная подпись на авансовом отчёте.',
+            uz: "Xizmat safari uchun kerak: 1) $1000 dan ortiq safarlar uchun rahbar tasdig'i, 2) barcha xarajatlar cheklari va safar maqsadi, 3) qaytgandan keyin 7 kun ichida safar hisoboti, 4) xarajatlar hisobotida elektron raqamli imzo.",
+            'uz-Cyrl': 'Хизмат сафари учун керак: 1) $1000 дан ортиқ сафарлар учун раҳбар тасдиғи, 2) барча харажатлар чеклари ва сафар мақсади, 3) қайтгандан кейин 7 кун ичида сафар ҳисоботи, 4) харажатлар ҳисоботида электрон рақамли имзо.'
+          }
+        },
+        {
+          id: 'eSignature',
+          subjects: ['signature'],
+          answer: {
+            en: 'E-signatures are required for: Annual reports, Business trip expense reports, Tax submissions, and any document over $5000 value.',
+            ru: 'Электронная подпись обязательна для годовых отчётов, авансовых отчётов по командировкам, налоговых деклараций и любых документов на сумму свыше $5000.',
+            uz: "Elektron raqamli imzo yillik hisobotlar, xizmat safari xarajatlari hisobotlari, soliq hisobotlari va qiymati $5000 dan ortiq har qanday hujjat uchun majburiy.",
+            'uz-Cyrl': 'Электрон рақамли имзо йиллик ҳисоботлар, хизмат сафари харажатлари ҳисоботлари, солиқ ҳисоботлари ва қиймати $5000 дан ортиқ ҳар қандай ҳужжат учун мажбурий.'
+          }
+        },
+        {
+          id: 'taxCompliance',
+          subjects: ['tax'],
+          answer: {
+            en: 'Tax compliance requirements: Monthly VAT returns are due by the 20th of the following month. The annual income tax return is due by March 31st. Monthly social security contributions are due by the 25th.',
+            ru: 'Налоговые требования: ежемесячная декларация по НДС подаётся до 20-го числа следующего месяца, годовая декларация по налогу на прибыль — до 31 марта, ежемесячные социальные взносы уплачиваются до 25-го числа.',
+            uz: "Soliq talablari: QQS bo'yicha oylik hisobot keyingi oyning 20-sanasigacha, foyda solig'i bo'yicha yillik hisobot 31-martgacha topshiriladi, ijtimoiy soliq har oyning 25-sanasigacha to'lanadi.",
+            'uz-Cyrl': 'Солиқ талаблари: ҚҚС бўйича ойлик ҳисобот кейинги ойнинг 20-санасигача, фойда солиғи бўйича йиллик ҳисобот 31-мартгача топширилади, ижтимоий солиқ ҳар ойнинг 25-санасигача тўланади.'
+          }
+        },
+        {
+          id: 'complianceDeadlines',
+          subjects: ['deadline'],
+          answer: {
+            en: 'Key deadlines: Quarterly reports (30 days), Annual reports (45 days), VAT returns (20th of month), Business trip reports (7 days).',
+            ru: 'Основные сроки: квартальные отчёты — 30 дней, годовые отчёты — 45 дней, декларации по НДС — до 20-го числа месяца, отчёты о командировках — 7 дней.',
+            uz: 'Asosiy muddatlar: choraklik hisobotlar — 30 kun, yillik hisobotlar — 45 kun, QQS hisobotlari — oyning 20-sanasigacha, xizmat safari hisobotlari — 7 kun.',
+            'uz-Cyrl': 'Асосий муддатлар: чораклик ҳисоботлар — 30 кун, йиллик ҳисоботлар — 45 кун, ҚҚС ҳисоботлари — ойнинг 20-санасигача, хизмат сафари ҳисоботлари — 7 кун.'
+          }
+        }
+      ]
     };
   }
 
   /**
-   * Process user query and provide intelligent response
+   * Process user query and provide intelligent response in the query's
+   * language
    * @param {string} query - User's question
-   * @param {Object} context - User and company context
-   * @returns {Object} Response with answer and suggestions
+   * @param {Object} context - User and company context; `language` (users.language
+   *   or a client locale) is used when the query's language cannot be told
+   * @returns {Object} Response with answer, language and suggestions
    */
   async processQuery(query, context = {}) {
+    const language = this.detectLanguage(query, context.language);
+
     try {
-      logger.info(`Processing virtual assistant query: ${query}`);
+      logger.info(`Processing virtual assistant query (${language}): ${query}`);
 
       // First, try to match with knowledge base
-      const knowledgeResponse = this.searchKnowledgeBase(query);
+      const knowledgeResponse = this.searchKnowledgeBase(query, language);
       if (knowledgeResponse) {
         return {
           answer: knowledgeResponse,
+          language,
           source: 'knowledge_base',
           confidence: 0.9,
-          suggestions: this.generateSuggestions(query)
+          suggestions: this.generateSuggestions(query, language)
         };
       }
 
       // If no knowledge base match, use AI
-      const aiResponse = await this.getAIResponse(query, context);
+      const aiResponse = await this.getAIResponse(query, context, language);
       return {
         answer: aiResponse.answer,
+        language,
         source: 'ai',
         confidence: aiResponse.confidence,
-        suggestions: this.generateSuggestions(query)
+        suggestions: this.generateSuggestions(query, language)
       };
 
     } catch (error) {
       logger.error('Virtual assistant query processing failed:', error);
       return {
-        answer: "I'm sorry, I'm having trouble processing your request right now. Please try again later or contact support.",
+        answer: TEXTS.error[language],
+        language,
         source: 'error',
         confidence: 0,
-        suggestions: ["Contact support", "Try rephrasing your question", "Check the help documentation"]
+        suggestions: TEXTS.errorSuggestions[language]
       };
     }
   }
 
   /**
-   * Search knowledge base for relevant information
+   * Language of a query: Uzbek (either script) by its letters and words,
+   * Russian for other Cyrillic text, English for Latin text with English
+   * words. Anything else (e.g. "VAT?") is answered in the preferred language.
    * @param {string} query - User query
-   * @returns {string|null} Knowledge base response or null
+   * @param {string} fallback - Preferred language (users.language, client locale)
+   * @returns {string} en, ru, uz or uz-Cyrl
    */
-  searchKnowledgeBase(query) {
-    const normalizedQuery = query.toLowerCase();
+  detectLanguage(query, fallback) {
+    const text = String(query || '').toLowerCase();
+    const words = wordsOf(text);
 
-    // Check common questions
-    for (const [key, answer] of Object.entries(this.knowledgeBase.commonQuestions)) {
-      if (normalizedQuery.includes(key) || this.calculateSimilarity(normalizedQuery, key) > 0.7) {
-        return answer;
-      }
+    if (/[Ѐ-ӿ]/.test(text)) {
+      return UZ_CYRILLIC_LETTERS.test(text) || mentions(words, UZ_CYRILLIC_WORDS) ? 'uz-Cyrl' : 'ru';
     }
-
-    // Check specific topics
-    if (normalizedQuery.includes('quarterly') && normalizedQuery.includes('report')) {
-      const info = this.knowledgeBase.itParkRules.quarterlyReporting;
-      return `Quarterly reports are due ${info.deadline}. Required documents: ${info.requiredDocuments.join(', ')}. ${info.submissionMethod}.`;
+    if (words.some(word => UZ_LATIN_LETTERS.test(word)) || mentions(words, UZ_LATIN_WORDS)) {
+      return 'uz';
     }
-
-    if (normalizedQuery.includes('annual') && normalizedQuery.includes('report')) {
-      const info = this.knowledgeBase.itParkRules.annualReporting;
-      return `Annual reports are due ${info.deadline}. Required documents: ${info.requiredDocuments.join(', ')}. ${info.submissionMethod}.`;
+    if (words.some(word => EN_WORDS.includes(word))) {
+      return 'en';
     }
+    return preferredLanguage(fallback) || 'en';
+  }
 
-    if (normalizedQuery.includes('business trip') || normalizedQuery.includes('travel')) {
-      const info = this.knowledgeBase.itParkRules.businessTrips;
-      return `Business trip requirements: ${info.documentation}. ${info.approvalRequired}. Reports due ${info.reportingDeadline}.`;
-    }
+  /**
+   * Subjects (see KEYWORDS) a query mentions. Keywords of the query's
+   * language are tried first; terms from another language (e.g. "VAT" in a
+   * Russian question) are matched too.
+   * @returns {Set} Subject names
+   */
+  subjectsOf(query, language) {
+    const words = wordsOf(query);
+    const order = [language, ...LANGUAGES.filter(other => other !== language)];
+    return new Set(Object.keys(KEYWORDS)
+      .filter(subject => order.some(lang => mentions(words, KEYWORDS[subject][lang]))));
+  }
+
+  /**
+   * Search knowledge base for relevant information
+   * @param {string} query - User query
+   * @param {string} language - Answer language (en, ru, uz, uz-Cyrl)
+   * @returns {string|null} Knowledge base response or null
+   */
+  searchKnowledgeBase(query, language = 'en') {
+    const subjects = this.subjectsOf(query, language);
+    const topic = this.knowledgeBase.topics.find(candidate => candidate.subjects.every(subject => subjects.has(subject)));
+    return topic ? topic.answer[language] : null;
+  }
 
-    if (normalizedQuery.includes('tax') || normalizedQuery.includes('vat')) {
-      const info = this.knowledgeBase.itParkRules.taxCompliance;
-      return `Tax compliance requirements: ${info.vatReporting}. ${info.incomeTax}. ${info.socialContributions}.`;
+  /**
+   * Answer a query with the language model, in the query's language
+   * @param {string} query - User query
+   * @param {Object} context - User and company context
+   * @param {string} language - Answer language (en, ru, uz, uz-Cyrl)
+   * @returns {Object} { answer, confidence }
+   */
+  async getAIResponse(query, context, language = 'en') {
+    if (!(await llmService.isAvailable('nlp_chatbot'))) {
+      return {
+        answer: TEXTS.notFound[language],
+        confidence: 0
+      };
     }
 
-    return null;
-  }
\ No newline at end of file
+    const answer = await llmService.generateText('nlp_chatbot', {
+      system: `You are the compliance assistant of IT Park Uzbekistan residents. Answer briefly and only about reporting, taxes, business trips and e-signatures. Always answer in ${LANGUAGE_NAMES[language]}, the language of the question, whatever language the rules below are written in. Known rules:\n${JSON.stringify(this.knowledgeBase.itParkRules)}`,
+      messages: [{ role: 'user', content: query }],
+      companyId: context.companyId
+    });
+    return { answer: answer.trim(), confidence: 0.7 };
+  }
+
+  /**
+   * Follow-up questions related to a query
+   * @param {string} query - User query
+   * @param {string} language - Answer language (en, ru, uz, uz-Cyrl)
+   * @returns {Array} Suggestions
+   */
+  generateSuggestions(query, language = 'en') {
+    const subjects = this.subjectsOf(query, language);
+    const suggestions = ['report', 'trip', 'tax']
+      .filter(subject => subjects.has(subject))
+      .map(subject => SUGGESTIONS[subject][language]);
+
+    return suggestions.length > 0 ? suggestions : [...SUGGESTIONS.fallback[language]];
+  }
+}
+
+module.exports = new VirtualAssistant();
@@ -0,0 +1,132 @@
+jest.mock('../../../models', () => ({
+  Company: { findAll: jest.fn() },
+  ComplianceRule: { findAll: jest.fn() },
+  CompanyComplianceRule: { findOrCreate: jest.fn() },
+  PublicHoliday: { findAll: jest.fn() }
+}));
+jest.mock('../complianceRuleService', () => ({ getEffectiveRules: jest.fn() }));
+jest.mock('../../../utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+const { PublicHoliday } = require('../../../models');
+const deadlineService = require('../deadlineService');
+
+// As seeded in docs/database-schema.sql, plus a declared working Saturday
+const HOLIDAYS = [
+  { date: '2025-01-01', name: 'New Year\'s Day', recurring: true, dayType: 'holiday' },
+  { date: '2025-03-21', name: 'Navruz', recurring: true, dayType: 'holiday' },
+  { date: '2025-09-01', name: 'Independence Day', recurring: true, dayType: 'holiday' },
+  { date: '2025-03-30', name: 'Ramazon hayiti', recurring: false, dayType: 'holiday' },
+  { date: '2025-03-29', name: 'Working Saturday', recurring: false, dayType: 'working_day' }
+];
+
+const loadCalendar = () => deadlineService.loadCalendar('2024-01-01', '2026-12-31');
+
+describe('deadlineService.periodOf', () => {
+  it.each([
+    ['daily', '2025-03-21', '2025-03-21', '2025-03-21'],
+    // Monday to Sunday
+    ['weekly', '2025-03-21', '2025-03-17', '2025-03-23'],
+    ['weekly', '2025-03-23', '2025-03-17', '2025-03-23'],
+    ['weekly', '2025-01-01', '2024-12-30', '2025-01-05'],
+    ['monthly', '2024-02-10', '2024-02-01', '2024-02-29'],
+    ['quarterly', '2025-03-31', '2025-01-01', '2025-03-31'],
+    ['quarterly', '2024-12-31', '2024-10-01', '2024-12-31'],
+    ['annually', '2025-07-15T23:30:00Z', '2025-01-01', '2025-12-31']
+  ])('%s period of %s is %s to %s', (frequency, date, start, end) => {
+    expect(deadlineService.periodOf(frequency, date)).toEqual({ start, end });
+  });
+});
+
+describe('deadlineService.nextWorkingDay', () => {
+  let calendar;
+
+  beforeAll(async () => {
+    PublicHoliday.findAll.mockResolvedValue(HOLIDAYS);
+    calendar = await loadCalendar();
+  });
+
+  it('keeps a working day', () => {
+    expect(deadlineService.nextWorkingDay('2025-03-20', calendar)).toEqual({ date: '2025-03-20', skipped: [] });
+  });
+
+  it('moves a deadline on Navruz past the weekend that follows', () => {
+    expect(deadlineService.nextWorkingDay('2025-03-21', calendar)).toEqual({
+      date: '2025-03-24',
+      skipped: [
+        { date: '2025-03-21', reason: 'Navruz' },
+        { date: '2025-03-22', reason: 'Saturday' },
+        { date: '2025-03-23', reason: 'Sunday' }
+      ]
+    });
+    // Recurring holidays apply in every year of the calendar
+    expect(deadlineService.nextWorkingDay('2026-03-21', calendar).date).toBe('2026-03-23');
+  });
+
+  it('moves a weekend deadline to Monday', () => {
+    expect(deadlineService.nextWorkingDay('2025-06-14', calendar).date).toBe('2025-06-16');
+  });
+
+  it('treats a declared working day on a weekend as working', () => {
+    expect(deadlineService.nextWorkingDay('2025-03-29', calendar)).toEqual({ date: '2025-03-29', skipped: [] });
+    expect(deadlineService.nextWorkingDay('2025-03-30', calendar).skipped)
+      .toEqual([{ date: '2025-03-30', reason: 'Ramazon hayiti' }]);
+  });
+
+  it('moves a deadline across the new year', () => {
+    expect(deadlineService.nextWorkingDay('2022-12-31', { holidays: new Map([['2023-01-02', 'Bridge day']]), workingDays: new Map() }))
+      .toEqual({
+        date: '2023-01-03',
+        skipped: [
+          { date: '2022-12-31', reason: 'Saturday' },
+          { date: '2023-01-01', reason: 'Sunday' },
+          { date: '2023-01-02', reason: 'Bridge day' }
+        ]
+      });
+  });
+});
+
+describe('deadlineService deadlines', () => {
+  let calendar;
+
+  beforeAll(async () => {
+    PublicHoliday.findAll.mockResolvedValue(HOLIDAYS);
+    calendar = await loadCalendar();
+  });
+
+  it('rolls a December period into a January deadline after New Year', () => {
+    const rule = { frequency: 'monthly', deadlineDays: 1 };
+
+    expect(deadlineService.deadlineOf(rule, deadlineService.periodOf('monthly', '2024-12-15'), calendar)).toEqual({
+      periodStart: '2024-12-01',
+      periodEnd: '2024-12-31',
+      statutoryDate: '2025-01-01',
+      dueDate: '2025-01-02',
+      movedFor: [{ date: '2025-01-01', reason: 'New Year\'s Day' }]
+    });
+    expect(deadlineService.firstDueOnOrAfter({ frequency: 'quarterly', deadlineDays: 30 }, '2024-11-15', calendar))
+      .toMatchObject({ periodStart: '2024-10-01', dueDate: '2025-01-30' });
+  });
+
+  it.each([
+    ['daily', 0, '2025-03-20'],
+    ['weekly', 3, '2025-03-10'],
+    // Due on Navruz, moved to Monday
+    ['monthly', 21, '2025-02-10'],
+    ['quarterly', 30, '2024-11-15'],
+    ['annually', 80, '2024-06-01']
+  ])('finds the %s period back from its due date', (frequency, deadlineDays, date) => {
+    const rule = { frequency, deadlineDays };
+    const period = deadlineService.periodOf(frequency, date);
+    const deadline = deadlineService.deadlineOf(rule, period, calendar);
+
+    expect(deadlineService.periodDueBy(rule, deadline.dueDate)).toEqual(period);
+    expect(deadlineService.periodDueBy(rule, deadline.statutoryDate)).toEqual(period);
+    // A day earlier the period before is due
+    const dayBefore = new Date(Date.parse(deadline.statutoryDate) - 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    expect(deadlineService.periodDueBy(rule, dayBefore).end < period.start).toBe(true);
+  });
+});
@@ -0,0 +1,88 @@
+jest.mock('../../../models', () => ({
+  sequelize: { transaction: jest.fn() },
+  User: {},
+  ComplianceViolation: { findAll: jest.fn(), create: jest.fn() },
+  ViolationComment: { create: jest.fn() },
+  ViolationEvidence: {}
+}));
+jest.mock('../../storage/fileStorage', () => ({}));
+jest.mock('../../trips/receiptService', () => ({}));
+jest.mock('../../../utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+const { sequelize, ComplianceViolation } = require('../../../models');
+const violationService = require('../violationService');
+
+const report = { id: 'report-1', companyId: 'company-1', reportingPeriodStart: '2025-01-01', reportingPeriodEnd: '2025-03-31' };
+
+const finding = { ruleId: 'rule-1', violationType: 'missing_receipts', severity: 'high', description: 'No receipt', subject: 'trip:1' };
+
+// Model instance stand-in: attributes plus update()
+const record = (attributes) => {
+  const instance = { ...attributes };
+  instance.update = jest.fn(async (changes) => Object.assign(instance, changes));
+  return instance;
+};
+
+describe('violationService.recordMonitoring', () => {
+  let transactions;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    transactions = [];
+    sequelize.transaction.mockImplementation(async (callback) => {
+      const transaction = { id: transactions.length + 1, LOCK: { UPDATE: 'UPDATE' } };
+      transactions.push(transaction);
+      return callback(transaction);
+    });
+    ComplianceViolation.create.mockImplementation(async attributes => record({ id: 'new-1', ...attributes }));
+  });
+
+  it('reports new and resolved cases to onChange inside the transaction that changes them', async () => {
+    const stale = record({ id: 'old-1', status: 'open', dedupKey: 'old' });
+    ComplianceViolation.findAll
+      .mockResolvedValueOnce([])
+      .mockResolvedValueOnce([stale]);
+    const onChange = jest.fn();
+
+    const result = await violationService.recordMonitoring(report, [finding], ['rule-1'], { onChange });
+
+    expect(result).toMatchObject({ created: 1, resolved: 1 });
+    expect(onChange.mock.calls).toEqual([
+      ['detected', result.detected[0], { transaction: transactions[0] }],
+      ['resolved', stale, { transaction: transactions[1] }]
+    ]);
+    expect(stale.status).toBe('resolved');
+  });
+
+  it('fails with the change when onChange fails, so a retry detects the case again', async () => {
+    ComplianceViolation.findAll.mockResolvedValue([]);
+    const onChange = jest.fn().mockRejectedValue(new Error('event store unavailable'));
+
+    await expect(violationService.recordMonitoring(report, [finding], ['rule-1'], { onChange }))
+      .rejects.toThrow('event store unavailable');
+    expect(sequelize.transaction).toHaveBeenCalledTimes(1);
+  });
+
+  it('does not report cases that were already open', async () => {
+    const period = { start: report.reportingPeriodStart, end: report.reportingPeriodEnd };
+    const known = record({
+      id: 'known-1',
+      status: 'open',
+      occurrences: 1,
+      dedupKey: violationService.dedupKey(report.companyId, period, { source: 'rule', ...finding })
+    });
+    ComplianceViolation.findAll
+      .mockResolvedValueOnce([known])
+      .mockResolvedValueOnce([]);
+    const onChange = jest.fn();
+
+    const result = await violationService.recordMonitoring(report, [finding], ['rule-1'], { onChange });
+
+    expect(result).toMatchObject({ created: 0, updated: 1, resolved: 0 });
+    expect(onChange).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,208 @@
+const { Op } = require('sequelize');
+const { BusinessTrip, Report, User, Notification } = require('../../models');
+const complianceEngine = require('../ai/complianceEngine');
+const complianceRuleService = require('./complianceRuleService');
+const violationService = require('./violationService');
+const reportAnalysisService = require('../reports/reportAnalysisService');
+const eventBus = require('../events/eventBus');
+const notificationService = require('../notifications/notificationService');
+const { dataFields } = require('../../utils/ruleDefinition');
+const logger = require('../../utils/logger');
+
+// Analysis data fields each event changes; '*' re-checks every rule.
+// Integration syncs may name the fields they changed in `payload.fields`.
+const EVENT_FIELDS = {
+  'trip.created': ['trips'],
+  'trip.approved': ['trips'],
+  'trip.expense_added': ['trips'],
+  'trip.expense_updated': ['trips'],
+  'trip.expense_deleted': ['trips'],
+  'report.signed': ['*'],
+  'integration.sync_finished': ['monthlyRevenue', 'taxPayments']
+};
+
+const PERIODIC_REPORT_TYPES = ['quarterly', 'annual'];
+
+// Detected violations of these severities are sent to the company's admins and managers
+const ALERT_SEVERITIES = ['high', 'critical'];
+
+const quarterOf = (date) => {
+  const day = new Date(date);
+  const firstMonth = Math.floor(day.getUTCMonth() / 3) * 3;
+  return {
+    start: new Date(Date.UTC(day.getUTCFullYear(), firstMonth, 1)).toISOString().slice(0, 10),
+    end: new Date(Date.UTC(day.getUTCFullYear(), firstMonth + 3, 0)).toISOString().slice(0, 10)
+  };
+};
+
+const readsAny = (rule, fields) => {
+  if (fields.includes('*')) {
+    return true;
+  }
+  try {
+    return dataFields(rule.ruleDefinition).some(field => fields.includes(field));
+  } catch (error) {
+    // A definition that cannot be read is checked rather than skipped
+    return true;
+  }
+};
+
+/**
+ * Real-time compliance monitoring (FR-3.1): on a domain event, re-checks
+ * only the company rules that read the changed data, for the reporting
+ * period the change belongs to, and publishes the violations that appear
+ * (`compliance.violation_detected`) or disappear
+ * (`compliance.violation_resolved`). Re-handling an event finds the same
+ * cases, so the handler is idempotent.
+ */
+class ComplianceMonitor {
+  constructor() {
+    this.eventTypes = Object.keys(EVENT_FIELDS);
+  }
+
+  /**
+   * Report whose period and figures an event is checked against. Trips
+   * belong to the quarterly report covering their end date, or to that
+   * quarter when the report does not exist yet.
+   * @returns {Object|null} Report, a { companyId, reportType, period } stand-in, or null
+   */
+  async scopeOf(event) {
+    if (event.type === 'report.signed') {
+      return Report.findByPk(event.aggregateId);
+    }
+
+    if (event.type === 'integration.sync_finished') {
+      return Report.findOne({
+        where: { companyId: event.companyId, reportType: { [Op.in]: PERIODIC_REPORT_TYPES } },
+        order: [['reportingPeriodEnd', 'DESC']]
+      });
+    }
+
+    const trip = await BusinessTrip.findByPk(event.aggregateId);
+    if (!trip) {
+      return null;
+    }
+    const report = await Report.findOne({
+      where: {
+        companyId: trip.companyId,
+        reportType: 'quarterly',
+        reportingPeriodStart: { [Op.lte]: trip.endDate },
+        reportingPeriodEnd: { [Op.gte]: trip.endDate }
+      },
+      order: [['reportingPeriodEnd', 'ASC']]
+    });
+    if (report) {
+      return report;
+    }
+    const quarter = quarterOf(trip.endDate);
+    return {
+      id: null,
+      companyId: trip.companyId,
+      reportType: 'quarterly',
+      reportingPeriodStart: quarter.start,
+      reportingPeriodEnd: quarter.end,
+      reportData: {}
+    };
+  }
+
+  /**
+   * Re-check the rules an event affects
+   * @param {Object} event - DomainEvent
+   * @returns {Object} Summary stored with the handler run
+   */
+  async handle(event) {
+    const payload = event.payload || {};
+    const fields = (event.type === 'integration.sync_finished' && Array.isArray(payload.fields) && payload.fields.length > 0)
+      ? payload.fields
+      : EVENT_FIELDS[event.type];
+
+    const report = await this.scopeOf(event);
+    if (!report) {
+      return { rules: 0, reason: 'nothing to check' };
+    }
+
+    const rules = (await complianceRuleService.getEffectiveRules(report.companyId))
+      .filter(rule => readsAny(rule, fields));
+    if (rules.length === 0) {
+      return { rules: 0, reason: 'no affected rules' };
+    }
+
+    const [data, confidenceAdjustments] = await Promise.all([
+      reportAnalysisService.buildFinancialData(report),
+      violationService.getConfidenceAdjustments(report.companyId)
+    ]);
+    const violations = await complianceEngine.evaluateRules(data, rules);
+    complianceEngine.applyConfidenceAdjustments(violations, [], confidenceAdjustments);
+
+    // Published with the case change, so a retry after a failure cannot lose them
+    const result = await violationService.recordMonitoring(report, violations, rules.map(rule => rule.id), {
+      onChange: (change, violation, options) => this.publishChange(`compliance.violation_${change}`, violation, event, options)
+    });
+
+    logger.info(`${event.type} event ${event.id} re-checked ${rules.length} rule(s) of company ${report.companyId}`);
+    return {
+      reportId: report.id || null,
+      periodStart: report.reportingPeriodStart || null,
+      periodEnd: report.reportingPeriodEnd || null,
+      rules: rules.map(rule => rule.id),
+      created: result.created,
+      updated: result.updated,
+      reopened: result.reopened,
+      resolved: result.resolved
+    };
+  }
+
+  async publishChange(type, violation, cause, options = {}) {
+    await eventBus.publish(type, {
+      companyId: violation.companyId,
+      aggregateType: 'compliance_violation',
+      aggregateId: violation.id,
+      payload: {
+        ruleId: violation.ruleId,
+        violationType: violation.violationType,
+        severity: violation.severity,
+        description: violation.description,
+        subject: violation.subject,
+        causedBy: { eventId: cause.id, type: cause.type }
+      }
+    }, options);
+  }
+
+  /**
+   * Tell the company's admins and managers about a serious new violation.
+   * Each notification records the event it came from, so retries and
+   * forced replays skip the recipients already notified.
+   * @param {Object} event - compliance.violation_detected event
+   * @returns {Object} { notified, skipped }
+   */
+  async alert(event) {
+    const { severity, violationType, description } = event.payload || {};
+    if (!ALERT_SEVERITIES.includes(severity)) {
+      return { notified: 0, skipped: 0 };
+    }
+
+    const [recipients, sent] = await Promise.all([
+      User.findAll({
+        where: { companyId: event.companyId, isActive: true, role: { [Op.in]: ['admin', 'manager'] } },
+        attributes: ['id']
+      }),
+      Notification.findAll({
+        where: { companyId: event.companyId, metadata: { eventId: event.id } },
+        attributes: ['userId']
+      })
+    ]);
+    const notified = new Set(sent.map(notification => notification.userId));
+    const pending = recipients.filter(recipient => !notified.has(recipient.id));
+
+    for (const recipient of pending) {
+      await notificationService.notifyUser(recipient.id, {
+        subject: `Compliance violation detected: ${violationType}`,
+        content: `${description}\n\nSeverity: ${severity}. Review it under compliance violations.`,
+        metadata: { violationId: event.aggregateId, eventId: event.id, severity }
+      });
+    }
+    return { notified: pending.length, skipped: recipients.length - pending.length };
+  }
+}
+
+module.exports = new ComplianceMonitor();
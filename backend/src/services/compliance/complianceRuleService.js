@@ -0,0 +1,37 @@
+const { ComplianceRule, CompanyComplianceRule } = require('../../models');
+const { applyCustomParameters } = require('../../utils/ruleDefinition');
+
+/**
+ * Compliance rules as they apply to one company: active rules minus the
+ * ones the company disabled, with its custom parameters merged into the
+ * rule definitions
+ */
+class ComplianceRuleService {
+  /**
+   * @param {string} companyId - Company
+   * @returns {Array} Plain rules with the effective `ruleDefinition`,
+   *   `customParameters` and `nextDueDate`
+   */
+  async getEffectiveRules(companyId) {
+    const [rules, settings] = await Promise.all([
+      ComplianceRule.findAll({ where: { isActive: true } }),
+      CompanyComplianceRule.findAll({ where: { companyId } })
+    ]);
+    const settingsByRule = new Map(settings.map(setting => [setting.ruleId, setting]));
+
+    return rules
+      .filter(rule => !settingsByRule.has(rule.id) || settingsByRule.get(rule.id).isEnabled)
+      .map((rule) => {
+        const setting = settingsByRule.get(rule.id);
+        const customParameters = setting ? setting.customParameters : null;
+        return {
+          ...rule.get({ plain: true }),
+          ruleDefinition: applyCustomParameters(rule.ruleDefinition, customParameters),
+          customParameters,
+          nextDueDate: setting ? setting.nextDueDate : null
+        };
+      });
+  }
+}
+
+module.exports = new ComplianceRuleService();
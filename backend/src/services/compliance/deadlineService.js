@@ -0,0 +1,369 @@
+const { Op } = require('sequelize');
+const { Company, ComplianceRule, CompanyComplianceRule, PublicHoliday } = require('../../models');
+const complianceRuleService = require('./complianceRuleService');
+const logger = require('../../utils/logger');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Months per reporting period of the monthly and longer frequencies
+const PERIOD_MONTHS = { monthly: 1, quarterly: 3, annually: 12 };
+
+// Rules of these frequencies are met by submitting a report of the type
+const REPORT_FREQUENCIES = { quarterly: 'quarterly', annual: 'annually' };
+
+// Holidays are loaded this far beyond a range, for deadlines moved past its end
+const HOLIDAY_MARGIN_DAYS = 31;
+
+// Far enough ahead for the first deadline of an annual rule
+const LOOKAHEAD_DAYS = 400;
+
+const DUE_SOON_DAYS = 7;
+
+// Limits the list of a daily rule
+const MAX_DEADLINES_PER_RULE = 31;
+
+const WEEKEND = { 0: 'Sunday', 6: 'Saturday' };
+
+const toDateString = value => new Date(value).toISOString().slice(0, 10);
+
+const addDays = (date, days) => toDateString(new Date(date).getTime() + days * DAY);
+
+const daysBetween = (from, to) => Math.round((new Date(to) - new Date(from)) / DAY);
+
+const minDate = dates => dates.reduce((min, date) => (date < min ? date : min));
+
+/**
+ * Reporting period containing a date: the day, the Monday-Sunday week, or
+ * the calendar month, quarter or year
+ * @returns {Object} { start, end } as YYYY-MM-DD
+ */
+const periodOf = (frequency, date) => {
+  const day = new Date(`${toDateString(date)}T00:00:00Z`);
+  if (frequency === 'daily') {
+    return { start: toDateString(day), end: toDateString(day) };
+  }
+  if (frequency === 'weekly') {
+    const start = addDays(day, -((day.getUTCDay() + 6) % 7));
+    return { start, end: addDays(start, 6) };
+  }
+  const months = PERIOD_MONTHS[frequency];
+  const firstMonth = Math.floor(day.getUTCMonth() / months) * months;
+  return {
+    start: toDateString(Date.UTC(day.getUTCFullYear(), firstMonth, 1)),
+    end: toDateString(Date.UTC(day.getUTCFullYear(), firstMonth + months, 0))
+  };
+};
+
+const nextPeriod = (frequency, period) => periodOf(frequency, addDays(period.end, 1));
+
+const previousPeriod = (frequency, period) => periodOf(frequency, addDays(period.start, -1));
+
+/**
+ * Compliance deadlines. A rule is due `deadlineDays` after the end of each
+ * reporting period of its frequency; deadlines falling on a weekend or an
+ * official holiday (`public_holidays`) move to the next working day.
+ *
+ * `company_compliance_rules.next_due_date` holds the deadline of the
+ * earliest period a company has not met yet. Quarterly and annual rules
+ * roll forward when a report of that type is submitted; rules no report
+ * covers (e.g. monthly revenue tracking, which the compliance engine
+ * checks) roll forward once their deadline has passed.
+ */
+class DeadlineService {
+  constructor() {
+    this.reportFrequencies = REPORT_FREQUENCIES;
+  }
+
+  /**
+   * Holidays and declared working days between two dates
+   * @returns {Object} { holidays: Map(date -> name), workingDays: Map(date -> name) }
+   */
+  async loadCalendar(from, to) {
+    const until = addDays(to, HOLIDAY_MARGIN_DAYS);
+    const rows = await PublicHoliday.findAll({
+      where: {
+        [Op.or]: [
+          { recurring: true },
+          { date: { [Op.between]: [from, until] } }
+        ]
+      }
+    });
+
+    const calendar = { holidays: new Map(), workingDays: new Map() };
+    const firstYear = Number(from.slice(0, 4));
+    const lastYear = Number(until.slice(0, 4));
+    rows.forEach((row) => {
+      const target = row.dayType === 'working_day' ? calendar.workingDays : calendar.holidays;
+      if (!row.recurring) {
+        target.set(row.date, row.name);
+        return;
+      }
+      for (let year = firstYear; year <= lastYear; year++) {
+        const date = `${year}${row.date.slice(4)}`;
+        if (!target.has(date)) {
+          target.set(date, row.name);
+        }
+      }
+    });
+    return calendar;
+  }
+
+  isWorkingDay(date, calendar) {
+    if (calendar.workingDays.has(date)) {
+      return true;
+    }
+    return !calendar.holidays.has(date) && !WEEKEND[new Date(date).getUTCDay()];
+  }
+
+  /**
+   * The date itself when it is a working day, otherwise the next one
+   * @returns {Object} { date, skipped: [{ date, reason }] }
+   */
+  nextWorkingDay(date, calendar) {
+    const skipped = [];
+    let current = date;
+    while (!this.isWorkingDay(current, calendar)) {
+      skipped.push({
+        date: current,
+        reason: calendar.holidays.get(current) || WEEKEND[new Date(current).getUTCDay()]
+      });
+      current = addDays(current, 1);
+    }
+    return { date: current, skipped };
+  }
+
+  /**
+   * Reporting period of a frequency containing a date
+   * @returns {Object} { start, end } as YYYY-MM-DD
+   */
+  periodOf(frequency, date) {
+    return periodOf(frequency, date);
+  }
+
+  /**
+   * Deadline of a rule for one reporting period
+   * @returns {Object} { periodStart, periodEnd, statutoryDate, dueDate, movedFor }
+   */
+  deadlineOf(rule, period, calendar) {
+    const statutoryDate = addDays(period.end, rule.deadlineDays || 0);
+    const { date, skipped } = this.nextWorkingDay(statutoryDate, calendar);
+    return {
+      periodStart: period.start,
+      periodEnd: period.end,
+      statutoryDate,
+      dueDate: date,
+      movedFor: skipped
+    };
+  }
+
+  /**
+   * Reporting period a due date belongs to: the latest one whose statutory
+   * deadline is not after it. Holiday changes made after the date was
+   * stored therefore still find the same period.
+   */
+  periodDueBy(rule, dueDate) {
+    const lastEnd = addDays(dueDate, -(rule.deadlineDays || 0));
+    const period = periodOf(rule.frequency, lastEnd);
+    return period.end > lastEnd ? previousPeriod(rule.frequency, period) : period;
+  }
+
+  /**
+   * First deadline of a rule due on or after a date
+   */
+  firstDueOnOrAfter(rule, date, calendar) {
+    let period = this.periodDueBy(rule, date);
+    let deadline = this.deadlineOf(rule, period, calendar);
+    while (deadline.dueDate < date) {
+      period = nextPeriod(rule.frequency, period);
+      deadline = this.deadlineOf(rule, period, calendar);
+    }
+    return deadline;
+  }
+
+  async saveNextDueDate(companyId, ruleId, nextDueDate) {
+    const [setting, created] = await CompanyComplianceRule.findOrCreate({
+      where: { companyId, ruleId },
+      defaults: { nextDueDate }
+    });
+    if (!created) {
+      await setting.update({ nextDueDate });
+    }
+  }
+
+  /**
+   * Compute missing next due dates of a company, roll forward passed ones
+   * of rules no report covers and re-apply holiday changes
+   * @param {string} companyId - Company
+   * @param {Object} options - { today, until } dates the calendar must cover
+   * @returns {Object} { rules (effective rules with nextDueDate), calendar, today }
+   */
+  async syncCompany(companyId, options = {}) {
+    const today = options.today || toDateString(new Date());
+    const rules = await complianceRuleService.getEffectiveRules(companyId);
+    const stored = rules.filter(rule => rule.nextDueDate).map(rule => rule.nextDueDate);
+    const calendar = await this.loadCalendar(
+      addDays(minDate([today, ...stored]), -HOLIDAY_MARGIN_DAYS),
+      addDays(options.until || today, LOOKAHEAD_DAYS)
+    );
+
+    const coveredByReports = Object.values(REPORT_FREQUENCIES);
+    for (const rule of rules) {
+      let deadline = rule.nextDueDate
+        ? this.deadlineOf(rule, this.periodDueBy(rule, rule.nextDueDate), calendar)
+        : this.firstDueOnOrAfter(rule, today, calendar);
+      if (deadline.dueDate < today && !coveredByReports.includes(rule.frequency)) {
+        deadline = this.firstDueOnOrAfter(rule, today, calendar);
+      }
+
+      if (deadline.dueDate !== rule.nextDueDate) {
+        await this.saveNextDueDate(companyId, rule.id, deadline.dueDate);
+        rule.nextDueDate = deadline.dueDate;
+      }
+    }
+
+    return { rules, calendar, today };
+  }
+
+  /**
+   * Open deadlines of a company: overdue ones and those due in the next days
+   * @param {string} companyId - Company
+   * @param {Object} options - { days } ahead, default 60
+   * @returns {Array} Deadlines by due date
+   */
+  async getUpcomingDeadlines(companyId, options = {}) {
+    const days = options.days || 60;
+    const today = toDateString(new Date());
+    const until = addDays(today, days);
+    const { rules, calendar } = await this.syncCompany(companyId, { today, until });
+
+    const deadlines = [];
+    rules.forEach((rule) => {
+      let period = this.periodDueBy(rule, rule.nextDueDate);
+      for (let count = 0; count < MAX_DEADLINES_PER_RULE; count++) {
+        const deadline = this.deadlineOf(rule, period, calendar);
+        if (deadline.dueDate > until) {
+          break;
+        }
+        deadlines.push(this.describe(rule, deadline, today));
+        period = nextPeriod(rule.frequency, period);
+      }
+    });
+
+    return deadlines.sort((a, b) => a.dueDate.localeCompare(b.dueDate) || a.ruleName.localeCompare(b.ruleName));
+  }
+
+  /**
+   * Next deadline of every active rule within the next days, before any
+   * company specifics; for channels that do not know the company
+   * @param {Object} options - { days } ahead, default 60
+   * @returns {Array} Deadlines by due date
+   */
+  async getGeneralDeadlines(options = {}) {
+    const days = options.days || 60;
+    const today = toDateString(new Date());
+    const until = addDays(today, days);
+    const [rules, calendar] = await Promise.all([
+      ComplianceRule.findAll({ where: { isActive: true } }),
+      this.loadCalendar(today, until)
+    ]);
+
+    return rules
+      .map(rule => this.describe(rule, this.firstDueOnOrAfter(rule, today, calendar), today))
+      .filter(deadline => deadline.dueDate <= until)
+      .sort((a, b) => a.dueDate.localeCompare(b.dueDate) || a.ruleName.localeCompare(b.ruleName));
+  }
+
+  describe(rule, deadline, today) {
+    const daysLeft = daysBetween(today, deadline.dueDate);
+    let status = 'upcoming';
+    if (daysLeft < 0) {
+      status = 'overdue';
+    } else if (daysLeft <= DUE_SOON_DAYS) {
+      status = 'due_soon';
+    }
+    return {
+      ruleId: rule.id,
+      ruleName: rule.name,
+      category: rule.category,
+      severity: rule.severity,
+      frequency: rule.frequency,
+      ...deadline,
+      daysLeft,
+      status
+    };
+  }
+
+  /**
+   * Roll the rules a submitted report covers forward to the period after it
+   * @param {Object} report - Submitted report
+   * @returns {number} Rules rolled forward
+   */
+  async recordSubmission(report) {
+    const frequency = REPORT_FREQUENCIES[report.reportType];
+    if (!frequency || !report.reportingPeriodEnd) {
+      return 0;
+    }
+
+    const rules = (await complianceRuleService.getEffectiveRules(report.companyId))
+      .filter(rule => rule.frequency === frequency);
+    if (rules.length === 0) {
+      return 0;
+    }
+
+    const following = nextPeriod(frequency, periodOf(frequency, report.reportingPeriodEnd));
+    const calendar = await this.loadCalendar(following.start, addDays(following.end, LOOKAHEAD_DAYS));
+
+    let rolled = 0;
+    for (const rule of rules) {
+      const deadline = this.deadlineOf(rule, following, calendar);
+      if (!rule.nextDueDate || deadline.dueDate > rule.nextDueDate) {
+        await this.saveNextDueDate(report.companyId, rule.id, deadline.dueDate);
+        rolled += 1;
+      }
+    }
+
+    logger.info(`Report ${report.id} submitted: ${rolled} deadline(s) of company ${report.companyId} rolled forward to the period ending ${following.end}`);
+    return rolled;
+  }
+
+  /**
+   * Sync the deadlines of all active companies
+   * @returns {number} Companies synced
+   */
+  async syncAll() {
+    const companies = await Company.findAll({ where: { status: 'active' }, attributes: ['id'] });
+    for (const company of companies) {
+      try {
+        await this.syncCompany(company.id);
+      } catch (error) {
+        logger.error(`Deadline sync failed for company ${company.id}:`, error);
+      }
+    }
+    return companies.length;
+  }
+
+  /**
+   * Holidays and declared working days of a year, recurring ones included
+   * @param {number} year - Year
+   * @returns {Array} Days by date
+   */
+  async listHolidays(year) {
+    const rows = await PublicHoliday.findAll({
+      where: {
+        [Op.or]: [
+          { recurring: true },
+          { date: { [Op.between]: [`${year}-01-01`, `${year}-12-31`] } }
+        ]
+      }
+    });
+
+    return rows
+      .map(row => ({
+        ...row.get({ plain: true }),
+        date: row.recurring ? `${year}${row.date.slice(4)}` : row.date
+      }))
+      .sort((a, b) => a.date.localeCompare(b.date));
+  }
+}
+
+module.exports = new DeadlineService();
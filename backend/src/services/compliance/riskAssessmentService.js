@@ -0,0 +1,162 @@
+const { Op } = require('sequelize');
+const { sequelize, Company, RiskAssessment } = require('../../models');
+const logger = require('../../utils/logger');
+
+// Lowest risk score of each level, highest first
+const RISK_LEVELS = [
+  { level: 'critical', from: 75 },
+  { level: 'high', from: 50 },
+  { level: 'medium', from: 25 },
+  { level: 'low', from: 0 }
+];
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const riskLevelOf = score => RISK_LEVELS.find(({ from }) => score >= from).level;
+
+/**
+ * Points per factor source and type, e.g. "violation:late_submission"
+ */
+const pointsByType = (assessment) => {
+  const totals = new Map();
+  ((assessment.riskFactors && assessment.riskFactors.factors) || []).forEach((factor) => {
+    const key = `${factor.source}:${factor.type}`;
+    totals.set(key, (totals.get(key) || 0) + factor.points);
+  });
+  return totals;
+};
+
+/**
+ * Persisted, explainable company risk scores. Each compliance analysis adds
+ * an assessment and, unless a newer valid one exists, brings
+ * `companies.risk_level` and `compliance_score` (100 minus the risk score)
+ * up to date.
+ */
+class RiskAssessmentService {
+  constructor() {
+    this.validityDays = parseInt(process.env.RISK_ASSESSMENT_VALIDITY_DAYS, 10) || 30;
+  }
+
+  /**
+   * Store the risk score of an analysis and update the company when it is
+   * the latest assessment
+   * @param {string} companyId - Company
+   * @param {Object} analysis - Result of complianceEngine.analyzeCompliance()
+   * @param {Object} options - { assessmentType, reportId }
+   * @returns {Object} RiskAssessment
+   */
+  async record(companyId, analysis, options = {}) {
+    const assessedAt = new Date();
+
+    let latest = true;
+    const assessment = await sequelize.transaction(async (transaction) => {
+      // Concurrent analyses of a company wait here, so the newest one wins
+      await Company.findByPk(companyId, { attributes: ['id'], transaction, lock: transaction.LOCK.UPDATE });
+
+      const created = await RiskAssessment.create({
+        companyId,
+        reportId: options.reportId || null,
+        assessmentType: options.assessmentType || 'compliance_analysis',
+        riskScore: analysis.riskScore,
+        riskFactors: analysis.riskFactors || { uncappedScore: analysis.riskScore, factors: [] },
+        recommendations: analysis.recommendations || [],
+        assessedAt,
+        validUntil: new Date(assessedAt.getTime() + this.validityDays * DAY)
+      }, { transaction });
+
+      const newer = await RiskAssessment.count({
+        where: {
+          companyId,
+          id: { [Op.ne]: created.id },
+          assessedAt: { [Op.gt]: assessedAt },
+          [Op.or]: [{ validUntil: null }, { validUntil: { [Op.gt]: new Date() } }]
+        },
+        transaction
+      });
+      latest = newer === 0;
+
+      if (latest) {
+        await Company.update({
+          riskLevel: riskLevelOf(analysis.riskScore),
+          complianceScore: 100 - analysis.riskScore
+        }, { where: { id: companyId }, transaction });
+      }
+
+      return created;
+    });
+
+    logger.info(`Risk assessment ${assessment.id} recorded for company ${companyId}: score ${analysis.riskScore} (${riskLevelOf(analysis.riskScore)})${latest ? '' : ', superseded by a newer assessment'}`);
+    return assessment;
+  }
+
+  /**
+   * Latest assessment of a company that has not expired
+   * @param {string} companyId - Company
+   * @returns {Object|null} RiskAssessment
+   */
+  async getCurrent(companyId) {
+    return RiskAssessment.findOne({
+      where: {
+        companyId,
+        [Op.or]: [{ validUntil: null }, { validUntil: { [Op.gt]: new Date() } }]
+      },
+      order: [['assessedAt', 'DESC']]
+    });
+  }
+
+  /**
+   * Score trend of a company, oldest first, with the change of the score and
+   * of the points of each factor type since the previous assessment (null
+   * for the first one returned)
+   * @param {string} companyId - Company
+   * @param {Object} filters - { from, to, limit }
+   * @returns {Array} [{ id, reportId, assessmentType, assessedAt, validUntil, riskScore, riskLevel, scoreChange, factors, factorChanges }]
+   */
+  async getHistory(companyId, filters = {}) {
+    const where = { companyId };
+    if (filters.from || filters.to) {
+      where.assessedAt = {
+        ...(filters.from ? { [Op.gte]: new Date(filters.from) } : {}),
+        ...(filters.to ? { [Op.lte]: new Date(filters.to) } : {})
+      };
+    }
+
+    // The latest `limit` assessments, returned in chronological order
+    const assessments = (await RiskAssessment.findAll({
+      where,
+      order: [['assessedAt', 'DESC']],
+      limit: filters.limit || 50
+    })).reverse();
+
+    return assessments.map((assessment, index) => {
+      const previous = index > 0 ? assessments[index - 1] : null;
+      const current = pointsByType(assessment);
+      const before = previous ? pointsByType(previous) : current;
+
+      const factorChanges = [...new Set([...before.keys(), ...current.keys()])]
+        .map((key) => {
+          const [source, type] = key.split(':');
+          const points = Math.round((current.get(key) || 0) * 100) / 100;
+          const previousPoints = Math.round((before.get(key) || 0) * 100) / 100;
+          return { source, type, previousPoints, points, change: Math.round((points - previousPoints) * 100) / 100 };
+        })
+        .filter(change => change.change !== 0)
+        .sort((a, b) => Math.abs(b.change) - Math.abs(a.change));
+
+      return {
+        id: assessment.id,
+        reportId: assessment.reportId,
+        assessmentType: assessment.assessmentType,
+        assessedAt: assessment.assessedAt,
+        validUntil: assessment.validUntil,
+        riskScore: assessment.riskScore,
+        riskLevel: riskLevelOf(assessment.riskScore),
+        scoreChange: previous ? assessment.riskScore - previous.riskScore : null,
+        factors: assessment.riskFactors.factors || [],
+        factorChanges: previous ? factorChanges : null
+      };
+    });
+  }
+}
+
+module.exports = new RiskAssessmentService();
@@ -0,0 +1,310 @@
+const { Op } = require('sequelize');
+const { Company, ComplianceRule, Report, ReportVersion } = require('../../models');
+const complianceEngine = require('../ai/complianceEngine');
+const complianceRuleService = require('./complianceRuleService');
+const violationService = require('./violationService');
+const reportAnalysisService = require('../reports/reportAnalysisService');
+const { applyCustomParameters, validateCustomParameters } = require('../../utils/ruleDefinition');
+const AppError = require('../../utils/appError');
+const logger = require('../../utils/logger');
+
+// Violations listed per snapshot; counts are always complete
+const MAX_LISTED_VIOLATIONS = 25;
+
+const violationKey = violation => [
+  violation.ruleId,
+  violation.violationType,
+  violation.subject || violation.description
+].join('|');
+
+const summarize = violation => ({
+  ruleId: violation.ruleId,
+  violationType: violation.violationType,
+  severity: violation.severity,
+  description: violation.description
+});
+
+// Snapshot as returned to the caller, without the full violation lists
+const snapshotOf = result => ({
+  companyId: result.companyId,
+  reportId: result.reportId,
+  title: result.title,
+  reportType: result.reportType,
+  reportingPeriodStart: result.reportingPeriodStart,
+  reportingPeriodEnd: result.reportingPeriodEnd,
+  versionNumber: result.versionNumber,
+  baseline: result.baseline,
+  candidate: result.candidate,
+  riskScoreChange: result.riskScoreChange,
+  addedCount: result.addedCount,
+  removedCount: result.removedCount,
+  addedViolations: result.addedViolations,
+  removedViolations: result.removedViolations
+});
+
+/**
+ * Rule backtesting: replays a candidate rule set over the generated report
+ * versions (historical snapshots) of a set of companies and compares the
+ * outcome with the rules currently in force. Runs the compliance engine in
+ * simulation mode and only reads: no violations, risk assessments,
+ * notifications or AI requests are produced.
+ *
+ * A candidate is { rules, disableRuleIds }. A rule with the `id` of an
+ * existing rule replaces it (company parameter overrides still apply when
+ * they fit the new definition); rules without an id are added.
+ */
+class RuleBacktestService {
+  constructor() {
+    this.maxSnapshots = parseInt(process.env.BACKTEST_MAX_SNAPSHOTS, 10) || 500;
+  }
+
+  /**
+   * Validate a candidate with the compliance rule model validators
+   * @param {Object} candidate - { rules, disableRuleIds }
+   * @throws {SequelizeValidationError|AppError}
+   */
+  async validateCandidate(candidate) {
+    const rules = candidate.rules || [];
+    if (rules.length === 0 && (candidate.disableRuleIds || []).length === 0) {
+      throw new AppError('The candidate must add, change or disable at least one rule', 400);
+    }
+
+    const changedIds = rules.filter(rule => rule.id).map(rule => rule.id);
+    const existing = changedIds.length > 0
+      ? await ComplianceRule.findAll({ where: { id: { [Op.in]: changedIds } } })
+      : [];
+    const missing = changedIds.filter(id => !existing.some(rule => rule.id === id));
+    if (missing.length > 0) {
+      throw new AppError(`Unknown compliance rule(s): ${missing.join(', ')}`, 400);
+    }
+
+    for (const rule of rules) {
+      const current = existing.find(candidateRule => candidateRule.id === rule.id);
+      await ComplianceRule.build({ ...(current ? current.get({ plain: true }) : {}), ...rule }).validate();
+    }
+  }
+
+  /**
+   * Rule set of a company with the candidate applied
+   * @param {Array} rules - Effective rules of the company
+   * @param {Object} candidate - { rules, disableRuleIds }
+   * @returns {Array} Rules
+   */
+  applyCandidate(rules, candidate) {
+    const disabled = new Set(candidate.disableRuleIds || []);
+    const changes = new Map((candidate.rules || []).filter(rule => rule.id).map(rule => [rule.id, rule]));
+
+    const changed = rules
+      .filter(rule => !disabled.has(rule.id))
+      .map((rule) => {
+        const change = changes.get(rule.id);
+        if (!change) {
+          return rule;
+        }
+        const definition = change.ruleDefinition || rule.ruleDefinition;
+        const overridesFit = rule.customParameters
+          && validateCustomParameters(definition, rule.customParameters).length === 0;
+        return {
+          ...rule,
+          ...change,
+          ruleDefinition: overridesFit ? applyCustomParameters(definition, rule.customParameters) : definition
+        };
+      });
+
+    const added = (candidate.rules || [])
+      .filter(rule => !rule.id)
+      .map((rule, index) => ({
+        severity: 'medium',
+        deadlineDays: 30,
+        ...rule,
+        id: `candidate-${index + 1}`
+      }));
+
+    return [...changed, ...added];
+  }
+
+  /**
+   * Latest generated version of each report of the companies whose
+   * reporting period ends within the range
+   * @returns {Array} [{ report, version }]
+   */
+  async loadSnapshots(companyIds, from, to) {
+    const reports = await Report.findAll({
+      where: {
+        companyId: { [Op.in]: companyIds },
+        reportingPeriodEnd: { [Op.between]: [from, to] }
+      },
+      attributes: ['id', 'companyId', 'reportType', 'title', 'reportingPeriodStart', 'reportingPeriodEnd'],
+      order: [['reportingPeriodEnd', 'ASC']]
+    });
+    if (reports.length === 0) {
+      return [];
+    }
+
+    const versions = await ReportVersion.findAll({
+      where: { reportId: { [Op.in]: reports.map(report => report.id) } },
+      order: [['versionNumber', 'DESC']]
+    });
+    const latest = new Map();
+    versions.forEach((version) => {
+      if (!latest.has(version.reportId)) {
+        latest.set(version.reportId, version);
+      }
+    });
+
+    return reports
+      .filter(report => latest.has(report.id))
+      .map(report => ({ report, version: latest.get(report.id) }));
+  }
+
+  /**
+   * Run a backtest
+   * @param {Object} request - { candidate, companyIds, from, to }; all active
+   *   companies when companyIds is empty
+   * @param {Object} options - { onProgress(percent) }
+   * @returns {Object} { summary, byRule, snapshots }
+   */
+  async run(request, options = {}) {
+    const onProgress = options.onProgress || (async () => {});
+    const { candidate, from, to } = request;
+    await this.validateCandidate(candidate);
+
+    const companyIds = request.companyIds && request.companyIds.length > 0
+      ? request.companyIds
+      : (await Company.findAll({ where: { status: 'active' }, attributes: ['id'] })).map(company => company.id);
+
+    const snapshots = await this.loadSnapshots(companyIds, from, to);
+    if (snapshots.length > this.maxSnapshots) {
+      throw new AppError(`The backtest covers ${snapshots.length} report versions; narrow the companies or dates to at most ${this.maxSnapshots}`, 422);
+    }
+    await onProgress(5);
+
+    // Rules and feedback are read once per company
+    const companyContext = new Map();
+    const contextOf = async (companyId) => {
+      if (!companyContext.has(companyId)) {
+        const [rules, confidenceAdjustments] = await Promise.all([
+          complianceRuleService.getEffectiveRules(companyId),
+          violationService.getConfidenceAdjustments(companyId)
+        ]);
+        companyContext.set(companyId, {
+          baselineRules: rules,
+          candidateRules: this.applyCandidate(rules, candidate),
+          confidenceAdjustments
+        });
+      }
+      return companyContext.get(companyId);
+    };
+
+    const results = [];
+    for (const [index, { report, version }] of snapshots.entries()) {
+      const context = await contextOf(report.companyId);
+      const replayed = {
+        id: report.id,
+        companyId: report.companyId,
+        reportType: version.snapshot.reportType || report.reportType,
+        reportingPeriodStart: version.snapshot.reportingPeriodStart,
+        reportingPeriodEnd: version.snapshot.reportingPeriodEnd,
+        reportData: version.snapshot.reportData
+      };
+      const data = await reportAnalysisService.buildFinancialData(replayed, { asOf: version.generatedAt });
+      const engineOptions = { simulate: true, confidenceAdjustments: context.confidenceAdjustments };
+
+      const baseline = await complianceEngine.analyzeCompliance(data, context.baselineRules, engineOptions);
+      const candidateRun = await complianceEngine.analyzeCompliance(data, context.candidateRules, engineOptions);
+
+      const baselineKeys = new Set(baseline.violations.map(violationKey));
+      const candidateKeys = new Set(candidateRun.violations.map(violationKey));
+      const added = candidateRun.violations.filter(violation => !baselineKeys.has(violationKey(violation)));
+      const removed = baseline.violations.filter(violation => !candidateKeys.has(violationKey(violation)));
+
+      results.push({
+        companyId: report.companyId,
+        reportId: report.id,
+        title: report.title,
+        reportType: replayed.reportType,
+        reportingPeriodStart: replayed.reportingPeriodStart,
+        reportingPeriodEnd: replayed.reportingPeriodEnd,
+        versionNumber: version.versionNumber,
+        baseline: { riskScore: baseline.riskScore, violations: baseline.violations.length },
+        candidate: { riskScore: candidateRun.riskScore, violations: candidateRun.violations.length },
+        riskScoreChange: candidateRun.riskScore - baseline.riskScore,
+        addedCount: added.length,
+        removedCount: removed.length,
+        addedViolations: added.slice(0, MAX_LISTED_VIOLATIONS).map(summarize),
+        removedViolations: removed.slice(0, MAX_LISTED_VIOLATIONS).map(summarize),
+        violations: { baseline: baseline.violations, candidate: candidateRun.violations }
+      });
+
+      await onProgress(5 + ((index + 1) / snapshots.length) * 90);
+    }
+
+    const outcome = {
+      summary: this.summarize(results, companyIds),
+      byRule: this.summarizeByRule(results, candidate, companyContext),
+      snapshots: results.map(snapshotOf)
+    };
+    logger.info(`Rule backtest over ${results.length} snapshot(s) of ${companyIds.length} company(ies): ${outcome.summary.addedViolations} violation(s) added, ${outcome.summary.removedViolations} removed`);
+    return outcome;
+  }
+
+  summarize(results, companyIds) {
+    const changes = results.map(result => result.riskScoreChange);
+    return {
+      companies: companyIds.length,
+      snapshots: results.length,
+      companiesAffected: new Set(results
+        .filter(result => result.addedCount > 0 || result.removedCount > 0)
+        .map(result => result.companyId)).size,
+      baselineViolations: results.reduce((sum, result) => sum + result.baseline.violations, 0),
+      candidateViolations: results.reduce((sum, result) => sum + result.candidate.violations, 0),
+      addedViolations: results.reduce((sum, result) => sum + result.addedCount, 0),
+      removedViolations: results.reduce((sum, result) => sum + result.removedCount, 0),
+      averageRiskScoreChange: changes.length > 0
+        ? Math.round((changes.reduce((sum, change) => sum + change, 0) / changes.length) * 100) / 100
+        : 0,
+      maxRiskScoreIncrease: changes.length > 0 ? Math.max(0, ...changes) : 0
+    };
+  }
+
+  /**
+   * Violations of every added, changed or disabled rule under the current
+   * and the candidate rules
+   */
+  summarizeByRule(results, candidate, companyContext) {
+    const changedIds = new Set((candidate.rules || []).filter(rule => rule.id).map(rule => rule.id));
+    const disabledIds = new Set(candidate.disableRuleIds || []);
+
+    const rules = new Map();
+    const track = (rule, change) => {
+      if (!rules.has(rule.id)) {
+        rules.set(rule.id, { ruleId: rule.id, name: rule.name, change, baselineViolations: 0, candidateViolations: 0, companies: new Set() });
+      }
+    };
+    companyContext.forEach(({ baselineRules, candidateRules }) => {
+      baselineRules.filter(rule => disabledIds.has(rule.id)).forEach(rule => track(rule, 'disabled'));
+      candidateRules.filter(rule => changedIds.has(rule.id)).forEach(rule => track(rule, 'changed'));
+      candidateRules.filter(rule => String(rule.id).startsWith('candidate-')).forEach(rule => track(rule, 'added'));
+    });
+
+    results.forEach(({ companyId, violations }) => {
+      violations.baseline.forEach((violation) => {
+        const entry = rules.get(violation.ruleId);
+        if (entry) {
+          entry.baselineViolations += 1;
+        }
+      });
+      violations.candidate.forEach((violation) => {
+        const entry = rules.get(violation.ruleId);
+        if (entry) {
+          entry.candidateViolations += 1;
+          entry.companies.add(companyId);
+        }
+      });
+    });
+
+    return [...rules.values()].map(entry => ({ ...entry, companies: entry.companies.size }));
+  }
+}
+
+module.exports = new RuleBacktestService();
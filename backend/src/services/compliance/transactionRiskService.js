@@ -0,0 +1,510 @@
+const { Op } = require('sequelize');
+const { BusinessTrip, Report, TripExpense, User } = require('../../models');
+const { isRoundAmount } = require('../../utils/roundAmount');
+const logger = require('../../utils/logger');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Company expenses an expense is compared with: amount medians and duplicates
+const LOOKBACK_DAYS = 365;
+
+// Fewest other expenses of a category before its median is trusted
+const MIN_MEDIAN_SAMPLE = 5;
+
+// Multiples of the category median and their points, highest first
+const AMOUNT_TIERS = [
+  { ratio: 10, points: 40 },
+  { ratio: 5, points: 30 },
+  { ratio: 3, points: 20 }
+];
+
+// Days around the trip in which expenses are expected (travel days)
+const TRIP_GRACE_DAYS = 1;
+
+// Tickets and hotels are often booked well before the trip
+const ADVANCE_BOOKING_DAYS = 90;
+const ADVANCE_BOOKING_CATEGORIES = ['transport', 'accommodation'];
+
+// Same vendor and amount within this many days counts as a duplicate
+const DUPLICATE_WINDOW_DAYS = 2;
+
+const POINTS = {
+  duplicateReceipt: 35,
+  duplicateExpense: 30,
+  outsideTripWindow: 25,
+  missingRequiredReceipt: 25,
+  missingReceipt: 10,
+  categoryMismatch: 15,
+  outOfPolicy: 10,
+  roundAmount: 10,
+  weekendPosting: 10
+};
+
+// Ledger entries carry no currency; from this size up a single significant digit is round
+const LEDGER_ROUND_AMOUNT_MIN = 1000;
+
+// Description words (en/ru/uz) that point to a category; matched as word prefixes
+const CATEGORY_KEYWORDS = {
+  transport: ['taxi', 'такси', 'taksi', 'flight', 'рейс', 'авиа', 'airline', 'train', 'поезд', 'poyezd', 'автобус', 'avtobus', 'uber', 'fuel', 'бензин', 'benzin', 'metro', 'метро', 'airport', 'аэропорт', 'aeroport', 'parking', 'парковк'],
+  accommodation: ['hotel', 'отел', 'гостиниц', 'mehmonxona', 'hostel', 'хостел', 'airbnb', 'booking', 'apartment', 'lodging', 'проживани'],
+  meals: ['restaurant', 'ресторан', 'restoran', 'cafe', 'кафе', 'kafe', 'lunch', 'обед', 'tushlik', 'dinner', 'ужин', 'breakfast', 'завтрак', 'nonushta', 'food', 'ovqat', 'coffee', 'кофе'],
+  materials: ['stationery', 'канцтовар', 'printing', 'material', 'материал', 'equipment', 'оборудовани']
+};
+
+const round = value => Math.round(value * 100) / 100;
+
+const daysBetween = (from, to) => Math.round((new Date(to) - new Date(from)) / DAY);
+
+const normalizeVendor = description => String(description || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+
+const wordsOf = description => String(description || '').toLowerCase().split(/[^\p{L}]+/u).filter(Boolean);
+
+/**
+ * Categories the description's words point to
+ */
+const categoriesNamed = (description) => {
+  const words = wordsOf(description);
+  return Object.keys(CATEGORY_KEYWORDS)
+    .filter(category => CATEGORY_KEYWORDS[category].some(keyword => words.some(word => word.startsWith(keyword))));
+};
+
+const ledgerAmount = entry => Number(entry.debit) || Number(entry.credit) || 0;
+
+const ledgerKey = entry => [entry.date, entry.account, normalizeVendor(entry.description), entry.debit, entry.credit].join('|');
+
+const isWeekend = (date) => {
+  const day = new Date(date).getUTCDay();
+  return day === 0 || day === 6;
+};
+
+/**
+ * Median of a sorted list, leaving out one occurrence of `value` when given
+ * (the expense being scored)
+ */
+const medianWithout = (sorted, value) => {
+  const skip = value === null ? -1 : sorted.indexOf(value);
+  const count = skip === -1 ? sorted.length : sorted.length - 1;
+  const at = index => sorted[skip !== -1 && index >= skip ? index + 1 : index];
+  const middle = Math.floor(count / 2);
+  return count % 2 === 1 ? at(middle) : (at(middle - 1) + at(middle)) / 2;
+};
+
+/**
+ * Risk scores of individual transactions (FR-3.2). Every trip expense,
+ * entered or imported, gets a 0-100 score from the reasons it looks
+ * suspicious, each worth points: an amount far above the company's median
+ * for the category, a missing receipt, a date outside the trip, a
+ * duplicate, a description naming another category and policy breaches.
+ * Scores are refreshed when expenses change (trip.expense_* events) and
+ * for a whole company on demand, as medians move with new expenses.
+ * General ledger entries imported with reports are scored when listed:
+ * amount against the account median, duplicates, round amounts and
+ * weekend postings.
+ */
+class TransactionRiskService {
+  /**
+   * Recent expenses of a company with what scoring compares against
+   * @param {string} companyId - Company
+   * @param {Object} options - Sequelize options (transaction)
+   * @returns {Object} { expenses, amountsByCategory }
+   */
+  async loadContext(companyId, options = {}) {
+    const expenses = await TripExpense.findAll({
+      attributes: ['id', 'tripId', 'category', 'description', 'amount', 'currency', 'expenseDate', 'baseCurrencyAmount', 'receiptHash', 'createdAt'],
+      where: { expenseDate: { [Op.gte]: new Date(Date.now() - LOOKBACK_DAYS * DAY).toISOString().slice(0, 10) } },
+      include: [{ model: BusinessTrip, as: 'trip', attributes: [], where: { companyId } }],
+      ...options
+    });
+
+    const amountsByCategory = new Map();
+    expenses.forEach((expense) => {
+      if (expense.baseCurrencyAmount === null || expense.baseCurrencyAmount === undefined) {
+        return;
+      }
+      const amounts = amountsByCategory.get(expense.category) || [];
+      amounts.push(Number(expense.baseCurrencyAmount));
+      amountsByCategory.set(expense.category, amounts);
+    });
+    amountsByCategory.forEach(amounts => amounts.sort((a, b) => a - b));
+
+    return { expenses, amountsByCategory };
+  }
+
+  /**
+   * Earlier expense with the same receipt, or the same vendor and amount
+   * within a few days
+   * @returns {Object|null} { code, reason, points, duplicateOf }
+   */
+  findDuplicate(expense, context) {
+    const isEarlier = other => other.id !== expense.id
+      && (new Date(other.createdAt) < new Date(expense.createdAt)
+        || (new Date(other.createdAt).getTime() === new Date(expense.createdAt).getTime() && other.id < expense.id));
+
+    if (expense.receiptHash) {
+      const sameReceipt = context.expenses.find(other => isEarlier(other) && other.receiptHash === expense.receiptHash);
+      if (sameReceipt) {
+        return {
+          code: 'duplicate_receipt',
+          reason: `The receipt was already used for "${sameReceipt.description}" on ${sameReceipt.expenseDate}`,
+          points: POINTS.duplicateReceipt,
+          duplicateOf: sameReceipt.id
+        };
+      }
+    }
+
+    const vendor = normalizeVendor(expense.description);
+    const sameCharge = context.expenses.find(other => isEarlier(other)
+      && normalizeVendor(other.description) === vendor
+      && Number(other.amount) === Number(expense.amount)
+      && other.currency === expense.currency
+      && Math.abs(daysBetween(other.expenseDate, expense.expenseDate)) <= DUPLICATE_WINDOW_DAYS);
+    if (sameCharge) {
+      return {
+        code: 'duplicate_expense',
+        reason: `Same vendor and amount (${Number(expense.amount)} ${expense.currency}) as the expense of ${sameCharge.expenseDate}`,
+        points: POINTS.duplicateExpense,
+        duplicateOf: sameCharge.id
+      };
+    }
+    return null;
+  }
+
+  /**
+   * Score one expense
+   * @param {Object} expense - Trip expense
+   * @param {Object} trip - Its business trip
+   * @param {Object} context - Result of loadContext() for the trip's company
+   * @returns {Object} { riskScore, riskFactors: [{ code, reason, points }] }
+   */
+  scoreExpense(expense, trip, context) {
+    const factors = [];
+
+    const amount = Number(expense.baseCurrencyAmount);
+    const amounts = context.amountsByCategory.get(expense.category) || [];
+    const compared = context.expenses.some(other => other.id === expense.id
+      && other.category === expense.category && Number(other.baseCurrencyAmount) === amount);
+    const sample = compared ? amounts.length - 1 : amounts.length;
+    if (expense.baseCurrencyAmount !== null && expense.baseCurrencyAmount !== undefined && sample >= MIN_MEDIAN_SAMPLE) {
+      const median = medianWithout(amounts, compared ? amount : null);
+      const tier = median > 0 ? AMOUNT_TIERS.find(({ ratio }) => amount >= median * ratio) : null;
+      if (tier) {
+        factors.push({
+          code: 'amount_outlier',
+          reason: `${round(amount / median)}x the company's median ${expense.category} expense (${round(median)})`,
+          points: tier.points
+        });
+      }
+    }
+
+    const flags = expense.policyFlags || [];
+    if (!expense.receiptFile) {
+      const required = flags.some(flag => flag.code === 'receipt_required');
+      factors.push({
+        code: 'missing_receipt',
+        reason: required ? 'No receipt although the expense policy requires one' : 'No receipt attached',
+        points: required ? POINTS.missingRequiredReceipt : POINTS.missingReceipt
+      });
+    }
+
+    const daysBefore = daysBetween(expense.expenseDate, trip.startDate);
+    const daysAfter = daysBetween(trip.endDate, expense.expenseDate);
+    const allowedBefore = ADVANCE_BOOKING_CATEGORIES.includes(expense.category) ? ADVANCE_BOOKING_DAYS : TRIP_GRACE_DAYS;
+    if (daysBefore > allowedBefore || daysAfter > TRIP_GRACE_DAYS) {
+      factors.push({
+        code: 'outside_trip_window',
+        reason: daysAfter > 0
+          ? `Dated ${daysAfter} day(s) after the trip ended (${trip.endDate})`
+          : `Dated ${daysBefore} day(s) before the trip started (${trip.startDate})`,
+        points: POINTS.outsideTripWindow
+      });
+    }
+
+    const duplicate = this.findDuplicate(expense, context);
+    if (duplicate) {
+      factors.push(duplicate);
+    }
+
+    const named = categoriesNamed(expense.description);
+    if (named.length > 0 && !named.includes(expense.category)) {
+      factors.push({
+        code: 'category_mismatch',
+        reason: `Filed as ${expense.category} but the description suggests ${named.join(' or ')}`,
+        points: POINTS.categoryMismatch
+      });
+    }
+
+    flags.filter(flag => flag.code !== 'receipt_required').forEach((flag) => {
+      factors.push({
+        code: 'out_of_policy',
+        reason: flag.reason,
+        points: POINTS.outOfPolicy
+      });
+    });
+
+    return {
+      riskScore: Math.min(100, factors.reduce((sum, factor) => sum + factor.points, 0)),
+      riskFactors: factors
+    };
+  }
+
+  /**
+   * Score expenses of a trip and store the scores
+   * @param {Object} trip - Business trip
+   * @param {Array} expenseIds - Expenses to score (default all of the trip)
+   * @returns {Object} { scored, highestScore }
+   */
+  async scoreTripExpenses(trip, expenseIds) {
+    const where = { tripId: trip.id };
+    if (expenseIds) {
+      where.id = { [Op.in]: expenseIds };
+    }
+    const [expenses, context] = await Promise.all([
+      TripExpense.findAll({ where }),
+      this.loadContext(trip.companyId)
+    ]);
+
+    const scoredAt = new Date();
+    let highestScore = 0;
+    for (const expense of expenses) {
+      const { riskScore, riskFactors } = this.scoreExpense(expense, trip, context);
+      await expense.update({ riskScore, riskFactors, riskScoredAt: scoredAt });
+      highestScore = Math.max(highestScore, riskScore);
+    }
+    return { scored: expenses.length, highestScore };
+  }
+
+  /**
+   * Re-score every recent expense of a company
+   * @param {string} companyId - Company
+   * @param {Object} options - { onProgress(percent) }
+   * @returns {Object} { trips, scored, highestScore }
+   */
+  async scoreCompany(companyId, options = {}) {
+    const onProgress = options.onProgress || (async () => {});
+    const context = await this.loadContext(companyId);
+    const tripIds = [...new Set(context.expenses.map(expense => expense.tripId))];
+    const trips = await BusinessTrip.findAll({ where: { id: { [Op.in]: tripIds } } });
+
+    const scoredAt = new Date();
+    const outcome = { trips: trips.length, scored: 0, highestScore: 0 };
+    for (const [index, trip] of trips.entries()) {
+      const expenses = await TripExpense.findAll({ where: { tripId: trip.id } });
+      for (const expense of expenses) {
+        const { riskScore, riskFactors } = this.scoreExpense(expense, trip, context);
+        await expense.update({ riskScore, riskFactors, riskScoredAt: scoredAt });
+        outcome.scored += 1;
+        outcome.highestScore = Math.max(outcome.highestScore, riskScore);
+      }
+      await onProgress(((index + 1) / trips.length) * 100);
+    }
+
+    logger.info(`Scored ${outcome.scored} expense(s) of company ${companyId}, highest risk ${outcome.highestScore}`);
+    return outcome;
+  }
+
+  /**
+   * Handle a trip.expense_added / trip.expense_updated event
+   * @param {Object} event - DomainEvent
+   * @returns {Object} { scored, highestScore }
+   */
+  async handleExpenseEvent(event) {
+    const trip = await BusinessTrip.findByPk(event.aggregateId);
+    if (!trip) {
+      return { scored: 0, highestScore: 0 };
+    }
+    const expenseIds = (event.payload && event.payload.expenseIds) || [];
+    return this.scoreTripExpenses(trip, expenseIds);
+  }
+
+  /**
+   * General ledger entries of the companies' reports. Overlapping reports
+   * (a quarter and its year) repeat the same entries, so an entry counts as
+   * many times as the report listing it most often.
+   * @param {Object} filters - { companyId, from, to }
+   * @returns {Array} Entries with { reportId, companyId, index, amount }
+   */
+  async loadLedgerEntries(filters = {}) {
+    const where = {
+      reportingPeriodEnd: { [Op.gte]: filters.from || new Date(Date.now() - LOOKBACK_DAYS * DAY).toISOString().slice(0, 10) }
+    };
+    if (filters.to) {
+      where.reportingPeriodStart = { [Op.lte]: filters.to };
+    }
+    if (filters.companyId) {
+      where.companyId = filters.companyId;
+    }
+    const reports = await Report.findAll({
+      where,
+      attributes: ['id', 'companyId', 'title', 'reportingPeriodEnd', 'reportData'],
+      order: [['reportingPeriodEnd', 'DESC']]
+    });
+
+    const byKey = new Map();
+    reports.forEach((report) => {
+      const ledger = (report.reportData && Array.isArray(report.reportData.generalLedger)) ? report.reportData.generalLedger : [];
+      const inReport = new Map();
+      ledger.forEach((entry, index) => {
+        if (!entry || !entry.date || ledgerAmount(entry) <= 0) {
+          return;
+        }
+        const key = `${report.companyId}|${ledgerKey(entry)}`;
+        const entries = inReport.get(key) || [];
+        entries.push({
+          reportId: report.id,
+          reportTitle: report.title,
+          companyId: report.companyId,
+          index,
+          date: entry.date,
+          account: entry.account,
+          description: entry.description,
+          debit: entry.debit,
+          credit: entry.credit,
+          amount: ledgerAmount(entry)
+        });
+        inReport.set(key, entries);
+      });
+      inReport.forEach((entries, key) => {
+        if (entries.length > (byKey.get(key) || []).length) {
+          byKey.set(key, entries);
+        }
+      });
+    });
+
+    return [...byKey.values()].flat()
+      .sort((a, b) => String(a.date).localeCompare(String(b.date)) || a.index - b.index);
+  }
+
+  /**
+   * Score the ledger entries of one company
+   * @param {Array} entries - Result of loadLedgerEntries() for one company, oldest first
+   * @returns {Array} Entries with { riskScore, riskFactors }
+   */
+  scoreLedgerEntries(entries) {
+    const amountsByAccount = new Map();
+    entries.forEach((entry) => {
+      const amounts = amountsByAccount.get(entry.account) || [];
+      amounts.push(entry.amount);
+      amountsByAccount.set(entry.account, amounts);
+    });
+    amountsByAccount.forEach(amounts => amounts.sort((a, b) => a - b));
+
+    return entries.map((entry, position) => {
+      const factors = [];
+
+      const amounts = amountsByAccount.get(entry.account);
+      if (amounts.length - 1 >= MIN_MEDIAN_SAMPLE) {
+        const median = medianWithout(amounts, entry.amount);
+        const tier = median > 0 ? AMOUNT_TIERS.find(({ ratio }) => entry.amount >= median * ratio) : null;
+        if (tier) {
+          factors.push({
+            code: 'amount_outlier',
+            reason: `${round(entry.amount / median)}x the company's median posting to account ${entry.account} (${round(median)})`,
+            points: tier.points
+          });
+        }
+      }
+
+      const vendor = normalizeVendor(entry.description);
+      const duplicate = entries.slice(0, position).find(other => other.account === entry.account
+        && other.amount === entry.amount
+        && normalizeVendor(other.description) === vendor
+        && Math.abs(daysBetween(other.date, entry.date)) <= DUPLICATE_WINDOW_DAYS);
+      if (duplicate) {
+        factors.push({
+          code: 'duplicate_entry',
+          reason: `Same account, description and amount (${entry.amount}) as the entry of ${duplicate.date}`,
+          points: POINTS.duplicateExpense
+        });
+      }
+
+      if (isRoundAmount(entry.amount, LEDGER_ROUND_AMOUNT_MIN)) {
+        factors.push({
+          code: 'round_amount',
+          reason: `Round amount (${entry.amount})`,
+          points: POINTS.roundAmount
+        });
+      }
+
+      if (isWeekend(entry.date)) {
+        factors.push({
+          code: 'weekend_posting',
+          reason: `Posted on a weekend (${entry.date})`,
+          points: POINTS.weekendPosting
+        });
+      }
+
+      return {
+        ...entry,
+        riskScore: Math.min(100, factors.reduce((sum, factor) => sum + factor.points, 0)),
+        riskFactors: factors
+      };
+    });
+  }
+
+  /**
+   * Highest-risk general ledger entries for review
+   * @param {Object} filters - { companyId, minScore, from, to, page, limit }
+   * @returns {Object} { entries, total }
+   */
+  async getHighestRiskLedgerEntries(filters = {}) {
+    const byCompany = new Map();
+    (await this.loadLedgerEntries(filters)).forEach((entry) => {
+      const entries = byCompany.get(entry.companyId) || [];
+      entries.push(entry);
+      byCompany.set(entry.companyId, entries);
+    });
+
+    const scored = [...byCompany.values()]
+      .flatMap(entries => this.scoreLedgerEntries(entries))
+      .filter(entry => entry.riskScore >= (filters.minScore || 0)
+        && (!filters.from || entry.date >= filters.from)
+        && (!filters.to || entry.date <= filters.to))
+      .sort((a, b) => b.riskScore - a.riskScore || String(b.date).localeCompare(String(a.date)));
+
+    const limit = filters.limit || 20;
+    const offset = ((filters.page || 1) - 1) * limit;
+    return { entries: scored.slice(offset, offset + limit), total: scored.length };
+  }
+
+  /**
+   * Highest-risk expenses for review
+   * @param {Object} filters - { companyId, tripId, minScore, from, to, page, limit }
+   * @returns {Object} { expenses, total }
+   */
+  async getHighestRisk(filters = {}) {
+    const where = { riskScore: { [Op.gte]: filters.minScore || 0 } };
+    if (filters.tripId) {
+      where.tripId = filters.tripId;
+    }
+    if (filters.from || filters.to) {
+      where.expenseDate = {
+        ...(filters.from ? { [Op.gte]: filters.from } : {}),
+        ...(filters.to ? { [Op.lte]: filters.to } : {})
+      };
+    }
+
+    const tripWhere = {};
+    if (filters.companyId) {
+      tripWhere.companyId = filters.companyId;
+    }
+
+    const limit = filters.limit || 20;
+    const { rows, count } = await TripExpense.findAndCountAll({
+      where,
+      include: [{
+        model: BusinessTrip,
+        as: 'trip',
+        where: tripWhere,
+        attributes: ['id', 'companyId', 'tripTitle', 'destination', 'startDate', 'endDate', 'status'],
+        include: [{ model: User, as: 'employee', attributes: ['id', 'firstName', 'lastName'] }]
+      }],
+      order: [['riskScore', 'DESC'], ['expenseDate', 'DESC']],
+      limit,
+      offset: ((filters.page || 1) - 1) * limit
+    });
+
+    return { expenses: rows, total: count };
+  }
+}
+
+module.exports = new TransactionRiskService();
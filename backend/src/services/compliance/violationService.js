@@ -0,0 +1,449 @@
+const crypto = require('crypto');
+const { Op, fn, col } = require('sequelize');
+const { sequelize, User, ComplianceViolation, ViolationComment, ViolationEvidence } = require('../../models');
+const fileStorage = require('../storage/fileStorage');
+const receiptService = require('../trips/receiptService');
+const AppError = require('../../utils/appError');
+const logger = require('../../utils/logger');
+
+// Allowed status changes: from status -> to statuses
+const TRANSITIONS = {
+  open: ['investigating', 'resolved', 'false_positive'],
+  investigating: ['open', 'resolved', 'false_positive'],
+  resolved: ['open'],
+  false_positive: ['open']
+};
+
+const CLOSED_STATUSES = ['resolved', 'false_positive'];
+
+const SEVERITY_ORDER = ['low', 'medium', 'high', 'critical'];
+
+const EVIDENCE_NAMESPACE = 'uploads/evidence';
+
+// Accepted evidence types; content is checked like receipts
+const EVIDENCE_EXTENSIONS = {
+  'application/pdf': '.pdf',
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/webp': '.webp'
+};
+
+// Confidence never drops below this share, so a rule is not silenced entirely
+const MIN_CONFIDENCE_FACTOR = 0.2;
+
+const round = value => Math.round(value * 100) / 100;
+
+/**
+ * Anomalies of one type are tracked as one case per period
+ */
+const groupAnomalies = anomalies => [...anomalies.reduce((groups, anomaly) => {
+  const type = String(anomaly.type || 'anomaly').slice(0, 50);
+  const group = groups.get(type);
+  if (!group) {
+    groups.set(type, {
+      source: 'anomaly',
+      ruleId: null,
+      violationType: type,
+      severity: SEVERITY_ORDER.includes(anomaly.severity) ? anomaly.severity : 'medium',
+      descriptions: [anomaly.description],
+      subject: null,
+      aiConfidence: anomaly.confidence || 0.5
+    });
+    return groups;
+  }
+  if (SEVERITY_ORDER.indexOf(anomaly.severity) > SEVERITY_ORDER.indexOf(group.severity)) {
+    group.severity = anomaly.severity;
+  }
+  group.descriptions.push(anomaly.description);
+  group.aiConfidence = Math.max(group.aiConfidence, anomaly.confidence || 0.5);
+  return groups;
+}, new Map()).values()].map(({ descriptions, ...finding }) => ({
+  ...finding,
+  description: descriptions.join('\n')
+}));
+
+const ruleFinding = violation => ({
+  source: 'rule',
+  ruleId: violation.ruleId || null,
+  violationType: violation.violationType,
+  severity: violation.severity,
+  description: violation.description,
+  subject: violation.subject || null,
+  aiConfidence: violation.aiConfidence
+});
+
+/**
+ * Confidence factor from earlier decisions: 1 without false positives,
+ * lower the more of them outweigh confirmed findings
+ */
+const confidenceFactor = (confirmed, falsePositives) => Math.max(
+  MIN_CONFIDENCE_FACTOR,
+  round((confirmed + 1) / (confirmed + falsePositives + 1))
+);
+
+/**
+ * Compliance violation cases: persisting analysis results without
+ * duplicates, the status workflow, assignment, comments and evidence, and
+ * the false-positive feedback used by later analyses.
+ */
+class ViolationService {
+  constructor() {
+    this.transitions = TRANSITIONS;
+    this.maxEvidenceSize = parseInt(process.env.EVIDENCE_MAX_FILE_SIZE, 10) || 10 * 1024 * 1024; // 10MB
+  }
+
+  /**
+   * Key identifying a finding across analyses of the same period
+   */
+  dedupKey(companyId, period, finding) {
+    return crypto.createHash('sha256')
+      .update([
+        companyId,
+        finding.source,
+        finding.ruleId || '',
+        finding.violationType,
+        period.start || '',
+        period.end || '',
+        finding.subject || ''
+      ].join('|'))
+      .digest('hex');
+  }
+
+  /**
+   * Save the violations and anomalies of a report analysis. Known cases are
+   * updated; resolved ones found again are reopened, false positives stay
+   * closed.
+   * @param {Object} report - Analysed report
+   * @param {Object} analysis - Result of complianceEngine.analyzeCompliance()
+   * @returns {Object} { created, updated, reopened }
+   */
+  async recordAnalysis(report, analysis) {
+    const findings = [
+      ...analysis.violations.map(ruleFinding),
+      ...groupAnomalies(analysis.insights || [])
+    ];
+    const { counts } = await this.upsertFindings(report, findings);
+
+    logger.info(`Violations of report ${report.id}: ${counts.created} new, ${counts.updated} updated, ${counts.reopened} reopened`);
+    return counts;
+  }
+
+  /**
+   * Save the result of re-checking some rules of a period (compliance
+   * monitoring). Open cases of those rules and that period which were not
+   * found again are resolved. `onChange` runs in the transaction that
+   * changes a case, so events it publishes commit with the change.
+   * @param {Object} report - Report, or { companyId, reportingPeriodStart, reportingPeriodEnd } without one
+   * @param {Array} violations - Violations of the re-checked rules
+   * @param {Array} ruleIds - Re-checked rules
+   * @param {Object} options - { onChange: async ('detected'|'resolved', violation, { transaction }) }
+   * @returns {Object} { created, updated, reopened, resolved, detected, resolvedCases }
+   */
+  async recordMonitoring(report, violations, ruleIds, options = {}) {
+    const { onChange } = options;
+    const { counts, detected, period, keys } = await this.upsertFindings(
+      report,
+      violations.map(ruleFinding),
+      onChange ? (violation, transaction) => onChange('detected', violation, { transaction }) : null
+    );
+
+    const resolvedCases = [];
+    if (ruleIds.length > 0) {
+      await sequelize.transaction(async (transaction) => {
+        const stale = await ComplianceViolation.findAll({
+          where: {
+            companyId: report.companyId,
+            source: 'rule',
+            ruleId: { [Op.in]: ruleIds },
+            periodStart: period.start,
+            periodEnd: period.end,
+            status: { [Op.in]: ['open', 'investigating'] },
+            dedupKey: { [Op.notIn]: keys.length > 0 ? keys : [''] }
+          },
+          transaction,
+          lock: transaction.LOCK.UPDATE
+        });
+
+        for (const violation of stale) {
+          const fromStatus = violation.status;
+          await violation.update({
+            status: 'resolved',
+            resolvedAt: new Date(),
+            resolvedBy: null,
+            resolutionNotes: 'No longer detected by compliance monitoring'
+          }, { transaction });
+          await ViolationComment.create({
+            violationId: violation.id,
+            comment: 'No longer detected by compliance monitoring',
+            statusFrom: fromStatus,
+            statusTo: 'resolved'
+          }, { transaction });
+          resolvedCases.push(violation);
+          if (onChange) {
+            await onChange('resolved', violation, { transaction });
+          }
+        }
+      });
+    }
+
+    logger.info(`Monitoring of company ${report.companyId}: ${counts.created} new, ${counts.reopened} reopened, ${resolvedCases.length} resolved violation(s)`);
+    return { ...counts, resolved: resolvedCases.length, detected, resolvedCases };
+  }
+
+  /**
+   * Create or update the cases of findings
+   * @param {Function} onDetected - async (violation, transaction) for created and reopened cases
+   * @returns {Object} { counts, detected (created and reopened cases), period, keys }
+   */
+  async upsertFindings(report, findingList, onDetected = null) {
+    const period = {
+      start: report.reportingPeriodStart || null,
+      end: report.reportingPeriodEnd || null
+    };
+    const findings = findingList.map(finding => ({
+      ...finding,
+      dedupKey: this.dedupKey(report.companyId, period, finding)
+    }));
+    const keys = findings.map(finding => finding.dedupKey);
+
+    const counts = { created: 0, updated: 0, reopened: 0 };
+    const detected = [];
+    if (findings.length === 0) {
+      return { counts, detected, period, keys };
+    }
+
+    const now = new Date();
+    await sequelize.transaction(async (transaction) => {
+      const existing = await ComplianceViolation.findAll({
+        where: {
+          companyId: report.companyId,
+          dedupKey: { [Op.in]: keys }
+        },
+        transaction,
+        lock: transaction.LOCK.UPDATE
+      });
+      const byKey = new Map(existing.map(violation => [violation.dedupKey, violation]));
+
+      for (const finding of findings) {
+        const violation = byKey.get(finding.dedupKey);
+        const fields = {
+          reportId: report.id || null,
+          severity: finding.severity,
+          description: finding.description,
+          aiConfidence: finding.aiConfidence
+        };
+
+        if (!violation) {
+          const created = await ComplianceViolation.create({
+            ...finding,
+            ...fields,
+            companyId: report.companyId,
+            periodStart: period.start,
+            periodEnd: period.end,
+            detectedAt: now,
+            lastDetectedAt: now
+          }, { transaction });
+          byKey.set(finding.dedupKey, created);
+          detected.push(created);
+          counts.created += 1;
+          continue;
+        }
+
+        const reopen = violation.status === 'resolved';
+        await violation.update({
+          ...fields,
+          lastDetectedAt: now,
+          occurrences: violation.occurrences + 1,
+          ...(reopen ? { status: 'open', resolvedAt: null, resolvedBy: null } : {})
+        }, { transaction });
+        if (reopen) {
+          await ViolationComment.create({
+            violationId: violation.id,
+            comment: 'Detected again by compliance analysis',
+            statusFrom: 'resolved',
+            statusTo: 'open'
+          }, { transaction });
+          detected.push(violation);
+          counts.reopened += 1;
+        }
+        counts.updated += 1;
+      }
+
+      if (onDetected) {
+        for (const violation of detected) {
+          await onDetected(violation, transaction);
+        }
+      }
+    });
+
+    return { counts, detected, period, keys };
+  }
+
+  /**
+   * Confidence factors learned from the company's decisions, per rule and
+   * per anomaly type; only those with false positives are listed
+   * @param {string} companyId - Company
+   * @returns {Object} { rules: { ruleId: factor }, anomalyTypes: { type: factor } }
+   */
+  async getConfidenceAdjustments(companyId) {
+    const rows = await ComplianceViolation.findAll({
+      where: { companyId, status: { [Op.in]: CLOSED_STATUSES } },
+      attributes: ['source', 'ruleId', 'violationType', 'status', [fn('COUNT', col('id')), 'count']],
+      group: ['source', 'rule_id', 'violation_type', 'status'],
+      raw: true
+    });
+
+    const tallies = new Map();
+    rows.forEach((row) => {
+      const key = row.source === 'anomaly' ? `anomaly:${row.violationType}` : `rule:${row.ruleId}`;
+      const tally = tallies.get(key) || { confirmed: 0, falsePositives: 0 };
+      if (row.status === 'false_positive') {
+        tally.falsePositives += Number(row.count);
+      } else {
+        tally.confirmed += Number(row.count);
+      }
+      tallies.set(key, tally);
+    });
+
+    const adjustments = { rules: {}, anomalyTypes: {} };
+    tallies.forEach(({ confirmed, falsePositives }, key) => {
+      if (falsePositives === 0) {
+        return;
+      }
+      const [source, id] = key.split(/:(.*)/);
+      const target = source === 'anomaly' ? adjustments.anomalyTypes : adjustments.rules;
+      target[id] = confidenceFactor(confirmed, falsePositives);
+    });
+    return adjustments;
+  }
+
+  /**
+   * Move a violation to another status
+   * @param {Object} violation - Compliance violation
+   * @param {string} toStatus - Target status
+   * @param {Object} user - Acting user
+   * @param {string} note - Reason; required for false positives
+   * @returns {Object} Updated violation
+   */
+  async changeStatus(violation, toStatus, user, note) {
+    const fromStatus = violation.status;
+    const allowed = this.transitions[fromStatus] || [];
+    if (!allowed.includes(toStatus)) {
+      throw new AppError(
+        `Cannot move violation from ${fromStatus} to ${toStatus}` + (allowed.length > 0 ? ` (allowed: ${allowed.join(', ')})` : ''),
+        409,
+        { from: fromStatus, to: toStatus }
+      );
+    }
+    if (toStatus === 'false_positive' && !note) {
+      throw new AppError('A note explaining the false positive is required', 400);
+    }
+
+    const closing = CLOSED_STATUSES.includes(toStatus);
+    await sequelize.transaction(async (transaction) => {
+      await violation.update({
+        status: toStatus,
+        resolvedAt: closing ? new Date() : null,
+        resolvedBy: closing ? user.id : null,
+        ...(closing ? { resolutionNotes: note || null } : {})
+      }, { transaction });
+      await ViolationComment.create({
+        violationId: violation.id,
+        userId: user.id,
+        comment: note || null,
+        statusFrom: fromStatus,
+        statusTo: toStatus
+      }, { transaction });
+    });
+
+    logger.info(`Violation ${violation.id} moved from ${fromStatus} to ${toStatus} by user ${user.id}`);
+    return violation;
+  }
+
+  /**
+   * Assign a violation to a user of its company, or unassign it (null)
+   * @returns {Object} Updated violation
+   */
+  async assign(violation, assigneeId, user) {
+    if (assigneeId) {
+      const assignee = await User.findByPk(assigneeId);
+      if (!assignee || assignee.companyId !== violation.companyId || !assignee.isActive) {
+        throw new AppError('Assignee must be an active user of the company', 400);
+      }
+    }
+
+    await sequelize.transaction(async (transaction) => {
+      await violation.update({ assignedTo: assigneeId || null }, { transaction });
+      await ViolationComment.create({
+        violationId: violation.id,
+        userId: user.id,
+        comment: assigneeId ? null : 'Unassigned',
+        assignedTo: assigneeId || null
+      }, { transaction });
+    });
+    return violation;
+  }
+
+  async addComment(violation, user, comment) {
+    return ViolationComment.create({
+      violationId: violation.id,
+      userId: user.id,
+      comment
+    });
+  }
+
+  /**
+   * Attach an evidence file (PDF, JPEG, PNG or WebP)
+   * @param {Object} violation - Compliance violation
+   * @param {Object} file - Multer file
+   * @param {Object} user - Uploading user
+   * @param {string} description - What the file shows
+   * @returns {Object} ViolationEvidence
+   */
+  async addEvidence(violation, file, user, description) {
+    if (!file || !file.buffer || file.buffer.length === 0) {
+      throw new AppError('Evidence file is required', 400);
+    }
+    if (file.buffer.length > this.maxEvidenceSize) {
+      throw new AppError('File too large', 400);
+    }
+    if (!EVIDENCE_EXTENSIONS[file.mimetype]) {
+      throw new AppError(`Unsupported evidence type ${file.mimetype}. Allowed: PDF, JPEG, PNG, WebP`, 415);
+    }
+    if (receiptService.detectMimeType(file.buffer) !== file.mimetype) {
+      throw new AppError('Evidence content does not match its declared type', 415);
+    }
+
+    const stored = await fileStorage.save(file.buffer, {
+      namespace: EVIDENCE_NAMESPACE,
+      extension: EVIDENCE_EXTENSIONS[file.mimetype]
+    });
+
+    return ViolationEvidence.create({
+      violationId: violation.id,
+      uploadedBy: user.id,
+      fileName: file.originalname || `evidence-${stored.hash.slice(0, 8)}`,
+      filePath: stored.relativePath,
+      fileHash: stored.hash,
+      mimeType: file.mimetype,
+      fileSize: stored.size,
+      description: description || null
+    });
+  }
+
+  /**
+   * @returns {Object} { absolutePath, mimeType, fileName }
+   */
+  async getEvidenceFile(evidence) {
+    if (!(await fileStorage.exists(evidence.filePath))) {
+      throw new AppError('Evidence file not found', 404);
+    }
+    return {
+      absolutePath: fileStorage.resolve(evidence.filePath),
+      mimeType: evidence.mimeType,
+      fileName: evidence.fileName
+    };
+  }
+}
+
+module.exports = new ViolationService();
@@ -0,0 +1,75 @@
+jest.mock('../../../models', () => ({
+  sequelize: {},
+  ExchangeRate: { findOne: jest.fn(), count: jest.fn() }
+}));
+jest.mock('../../../utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+const { ExchangeRate } = require('../../../models');
+const exchangeRateService = require('../exchangeRateService');
+const AppError = require('../../../utils/appError');
+
+// UZS per unit, as published by CBU
+const RATES = {
+  USD: { rate: '12700.00', rateDate: '2024-03-01' },
+  EUR: { rate: '13800.00', rateDate: '2024-02-29' }
+};
+
+describe('exchangeRateService.convert', () => {
+  beforeEach(() => {
+    ExchangeRate.findOne.mockReset();
+    ExchangeRate.findOne.mockImplementation(async ({ where }) => RATES[where.currency] || null);
+  });
+
+  it('converts UZS to USD without rounding the cross rate first', async () => {
+    const result = await exchangeRateService.convert(1270000, 'UZS', 'USD', '2024-03-04');
+
+    expect(result.amount).toBe(100);
+    expect(result.rate).toBe(0.000079);
+    expect(result.rateDate).toBe('2024-03-01');
+  });
+
+  it('converts UZS to EUR', async () => {
+    const result = await exchangeRateService.convert(45000, 'UZS', 'EUR', '2024-03-04');
+
+    expect(result.amount).toBe(3.26);
+    expect(result.rate).toBe(0.000072);
+  });
+
+  it('converts USD to UZS and between two foreign currencies', async () => {
+    await expect(exchangeRateService.convert(100, 'USD', 'UZS', '2024-03-04'))
+      .resolves.toEqual({ amount: 1270000, rate: 12700, rateDate: '2024-03-01' });
+
+    const crossed = await exchangeRateService.convert(1000, 'EUR', 'USD', '2024-03-04');
+    expect(crossed.amount).toBe(1086.61);
+    expect(crossed.rate).toBe(1.086614);
+    // The older of the two rates
+    expect(crossed.rateDate).toBe('2024-02-29');
+  });
+
+  it('keeps the amount in the same currency', async () => {
+    await expect(exchangeRateService.convert('12.345', 'USD', 'USD', '2024-03-04'))
+      .resolves.toEqual({ amount: 12.35, rate: 1, rateDate: '2024-03-04' });
+    expect(ExchangeRate.findOne).not.toHaveBeenCalled();
+  });
+
+  it('fails with a 422 when no rate is stored', async () => {
+    const error = await exchangeRateService.convert(10, 'GBP', 'UZS', '2024-03-04').catch(caught => caught);
+
+    expect(error).toBeInstanceOf(AppError);
+    expect(error.statusCode).toBe(422);
+  });
+});
+
+describe('exchangeRateService.isSupported', () => {
+  it('supports UZS and currencies with a stored rate', async () => {
+    ExchangeRate.count.mockImplementation(async ({ where }) => (RATES[where.currency] ? 3 : 0));
+
+    await expect(exchangeRateService.isSupported('UZS')).resolves.toBe(true);
+    await expect(exchangeRateService.isSupported('EUR')).resolves.toBe(true);
+    await expect(exchangeRateService.isSupported('XYZ')).resolves.toBe(false);
+  });
+});
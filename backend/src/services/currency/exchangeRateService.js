@@ -0,0 +1,220 @@
+const { Op } = require('sequelize');
+const { sequelize, ExchangeRate } = require('../../models');
+const AppError = require('../../utils/appError');
+const logger = require('../../utils/logger');
+
+// CBU publishes every rate as UZS per `Nominal` units of the foreign currency
+const NATIONAL_CURRENCY = 'UZS';
+
+class ExchangeRateService {
+  constructor() {
+    this.nationalCurrency = NATIONAL_CURRENCY;
+  }
+
+  /**
+   * Parse a CBU date (dd.mm.yyyy) into ISO yyyy-mm-dd
+   * @param {string} value - Date as published by CBU
+   * @returns {string|null} ISO date
+   */
+  parseCbuDate(value) {
+    if (!value) return null;
+    const match = String(value).trim().match(/^(\d{2})\.(\d{2})\.(\d{4})$/);
+    if (match) {
+      return `${match[3]}-${match[2]}-${match[1]}`;
+    }
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date.toISOString().slice(0, 10);
+  }
+
+  /**
+   * Normalise one CBU entry into { currency, rateDate, rate }
+   */
+  normalizeEntry(entry, fallbackDate) {
+    const currency = String(entry.Ccy || entry.ccy || '').trim().toUpperCase();
+    const nominal = parseFloat(String(entry.Nominal || entry.nominal || '1').replace(',', '.')) || 1;
+    const rawRate = parseFloat(String(entry.Rate || entry.rate || '').replace(',', '.'));
+    const rateDate = this.parseCbuDate(entry.Date || entry.date) || fallbackDate;
+
+    if (!/^[A-Z]{3}$/.test(currency) || !(rawRate > 0) || !rateDate) {
+      return null;
+    }
+
+    return {
+      currency,
+      rateDate,
+      rate: Number((rawRate / nominal).toFixed(6))
+    };
+  }
+
+  /**
+   * Parse a CBU rate file (JSON array or XML <CcyNtry> list)
+   * @param {string|Buffer} content - File content
+   * @param {string} format - 'json' or 'xml'; detected from content when omitted
+   * @param {string} fallbackDate - Date used for entries without one
+   * @returns {Object} { rates, skipped }
+   */
+  parseCbuFile(content, format, fallbackDate = null) {
+    const text = Buffer.isBuffer(content) ? content.toString('utf8') : String(content);
+    const detected = format || (text.trim().startsWith('<') ? 'xml' : 'json');
+    let entries;
+
+    if (detected === 'json') {
+      try {
+        const parsed = JSON.parse(text);
+        entries = Array.isArray(parsed) ? parsed : [parsed];
+      } catch (error) {
+        throw new AppError(`Invalid CBU JSON file: ${error.message}`, 400);
+      }
+    } else if (detected === 'xml') {
+      entries = [];
+      const blocks = text.match(/<CcyNtry\b[\s\S]*?<\/CcyNtry>/g) || [];
+      blocks.forEach(block => {
+        const entry = {};
+        block.replace(/<(\w+)>([^<]*)<\/\1>/g, (match, tag, value) => {
+          entry[tag] = value.trim();
+          return match;
+        });
+        entries.push(entry);
+      });
+      if (entries.length === 0) {
+        throw new AppError('Invalid CBU XML file: no <CcyNtry> entries found', 400);
+      }
+    } else {
+      throw new AppError(`Unsupported rate file format: ${format}`, 400);
+    }
+
+    const rates = [];
+    let skipped = 0;
+    entries.forEach(entry => {
+      const rate = this.normalizeEntry(entry, fallbackDate);
+      if (rate) {
+        rates.push(rate);
+      } else {
+        skipped++;
+      }
+    });
+
+    return { rates, skipped };
+  }
+
+  /**
+   * Store rates, replacing any existing rate for the same currency and date
+   * @param {Array} rates - Normalised rates
+   * @param {string} source - Where the rates came from
+   * @returns {number} Number of stored rates
+   */
+  async importRates(rates, source = 'cbu') {
+    if (rates.length === 0) {
+      return 0;
+    }
+
+    await sequelize.transaction(async (transaction) => {
+      await ExchangeRate.bulkCreate(
+        rates.map(rate => ({ ...rate, source })),
+        { updateOnDuplicate: ['rate', 'source'], transaction }
+      );
+    });
+
+    logger.info(`Imported ${rates.length} exchange rate(s) from ${source}`);
+    return rates.length;
+  }
+
+  /**
+   * UZS value of one unit of a currency, using the latest rate on or before the date
+   * @param {string} currency - ISO currency code
+   * @param {string} date - ISO date
+   * @param {Object} options - Sequelize options (transaction)
+   * @returns {Object} { rate, rateDate }
+   */
+  async getNationalRate(currency, date, options = {}) {
+    if (currency === this.nationalCurrency) {
+      return { rate: 1, rateDate: date };
+    }
+
+    const record = await ExchangeRate.findOne({
+      where: { currency, rateDate: { [Op.lte]: date } },
+      order: [['rateDate', 'DESC']],
+      ...options
+    });
+
+    if (!record) {
+      throw new AppError(`No ${currency} exchange rate available on or before ${date}`, 422);
+    }
+
+    return { rate: Number(record.rate), rateDate: record.rateDate };
+  }
+
+  /**
+   * Unrounded rate of one unit of `from` in `to` on a date. Cross rates of
+   * UZS are tiny (1 / 12700), so amounts are converted with this one.
+   * @returns {Object} { rate, rateDate } where rateDate is the oldest rate used
+   */
+  async getExactRate(from, to, date, options = {}) {
+    if (from === to) {
+      return { rate: 1, rateDate: date };
+    }
+
+    const [fromRate, toRate] = await Promise.all([
+      this.getNationalRate(from, date, options),
+      this.getNationalRate(to, date, options)
+    ]);
+
+    return {
+      rate: fromRate.rate / toRate.rate,
+      rateDate: fromRate.rateDate < toRate.rateDate ? fromRate.rateDate : toRate.rateDate
+    };
+  }
+
+  /**
+   * Rate to convert one unit of `from` into `to` on a date, rounded to 6 decimals
+   * @returns {Object} { rate, rateDate } where rateDate is the oldest rate used
+   */
+  async getRate(from, to, date, options = {}) {
+    const { rate, rateDate } = await this.getExactRate(from, to, date, options);
+    return { rate: Number(rate.toFixed(6)), rateDate };
+  }
+
+  /**
+   * Convert an amount between currencies at the rate for a date
+   * @returns {Object} { amount, rate, rateDate } - rate rounded to 6 decimals
+   */
+  async convert(amount, from, to, date, options = {}) {
+    const { rate, rateDate } = await this.getExactRate(from, to, date, options);
+    return {
+      amount: Math.round(Number(amount) * rate * 100) / 100,
+      rate: Number(rate.toFixed(6)),
+      rateDate
+    };
+  }
+
+  /**
+   * Whether amounts in a currency can be converted: the national currency
+   * or one CBU has published a rate for
+   * @param {string} currency - ISO 4217 code
+   * @returns {boolean} Supported
+   */
+  async isSupported(currency) {
+    if (currency === this.nationalCurrency) {
+      return true;
+    }
+    return (await ExchangeRate.count({ where: { currency } })) > 0;
+  }
+
+  /**
+   * List stored rates
+   * @param {Object} filters - { currency, date }
+   */
+  async listRates({ currency, date } = {}) {
+    const where = {};
+    if (currency) where.currency = currency;
+    if (date) where.rateDate = date;
+
+    return ExchangeRate.findAll({
+      where,
+      order: [['rateDate', 'DESC'], ['currency', 'ASC']],
+      limit: 500
+    });
+  }
+}
+
+module.exports = new ExchangeRateService();
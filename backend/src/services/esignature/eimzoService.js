@@ -1,6 +1,7 @@
 const crypto = require('crypto');
 const fs = require('fs').promises;
 const path = require('path');
+const AppError = require('../../utils/appError');
 const logger = require('../../utils/logger');
 
 class EimzoService {
@@ -49,6 +50,8 @@ class EimzoService {
    * @returns {Object} Signature result
    */
   async signDocument(documentPath, signerInfo, options = {}) {
+    this.assertConfigured();
+
     try {
       logger.info(`Signing document: ${documentPath}`);
 
@@ -115,6 +118,8 @@ class EimzoService {
    * @returns {Object} Verification result
    */
   async verifySignature(documentPath, signaturePath) {
+    this.assertConfigured();
+
     try {
       logger.info(`Verifying signature for document: ${documentPath}`);
 
@@ -156,4 +161,93 @@ class EimzoService {
         verifiedAt: new Date().toISOString()
       };
     }
-  }
\ No newline at end of file
+  }
+
+  /**
+   * SHA-256 hash of document content
+   * @param {Buffer} content - Document content
+   * @returns {string} Hex digest
+   */
+  calculateDocumentHash(content) {
+    return crypto.createHash('sha256').update(content).digest('hex');
+  }
+
+  /**
+   * Signatures can neither be made nor trusted without a configured key
+   * @throws {AppError} 503 when EIMZO_API_KEY is not set
+   */
+  assertConfigured() {
+    if (!this.apiKey) {
+      throw new AppError('E-signature is not configured', 503);
+    }
+  }
+
+  /**
+   * Key the simulated signatures are made with
+   */
+  getSigningKey() {
+    this.assertConfigured();
+    return this.apiKey;
+  }
+
+  /**
+   * Payload a signature covers: the document hash and the signer's certificate
+   */
+  signaturePayload(documentHash, signerInfo = {}) {
+    return [documentHash, signerInfo.certificateSerial || '', signerInfo.name || ''].join('|');
+  }
+
+  /**
+   * Sign a signature request
+   * @param {Object} signatureRequest - Document hash, signer and options
+   * @param {Buffer} documentContent - Document content
+   * @returns {string} Base64 signature
+   */
+  async performSigning(signatureRequest, documentContent) {
+    // In a real implementation the E-Imzo client signs with the signer's key;
+    // here an HMAC over the document hash and signer stands in for it
+    if (this.calculateDocumentHash(documentContent) !== signatureRequest.documentHash) {
+      throw new Error('Document changed while it was being signed');
+    }
+    return crypto.createHmac('sha256', this.getSigningKey())
+      .update(this.signaturePayload(signatureRequest.documentHash, signatureRequest.signerInfo))
+      .digest('base64');
+  }
+
+  /**
+   * Check a stored signature against its document hash and signer
+   * @param {Object} signatureData - Saved signature metadata
+   * @returns {boolean} Whether the signature is valid
+   */
+  async verifyCryptographicSignature(signatureData) {
+    const expected = Buffer.from(crypto.createHmac('sha256', this.getSigningKey())
+      .update(this.signaturePayload(signatureData.documentHash, signatureData.signerInfo))
+      .digest('base64'));
+    const actual = Buffer.from(String(signatureData.signature || ''));
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+  }
+
+  /**
+   * Unique signature identifier
+   */
+  generateSignatureId() {
+    return `SIG-${Date.now()}-${crypto.randomBytes(6).toString('hex').toUpperCase()}`;
+  }
+
+  /**
+   * Save signature metadata next to the signed document
+   * @param {string} documentPath - Signed document
+   * @param {Object} signatureMetadata - Signature and signer
+   * @returns {string} Path of the detached signature file
+   */
+  async saveSignature(documentPath, signatureMetadata) {
+    const signaturePath = path.join(
+      path.dirname(documentPath),
+      `${path.basename(documentPath)}.${signatureMetadata.signatureId}.sig.json`
+    );
+    await fs.writeFile(signaturePath, JSON.stringify(signatureMetadata, null, 2));
+    return signaturePath;
+  }
+}
+
+module.exports = new EimzoService();
@@ -0,0 +1,264 @@
+const { Op } = require('sequelize');
+const { sequelize, DomainEvent, EventHandlerRun } = require('../../models');
+const AppError = require('../../utils/appError');
+const logger = require('../../utils/logger');
+
+// A run still marked running after this long is taken to have died with its process
+const STALE_RUN_MS = 10 * 60 * 1000;
+
+// Events are left to their first dispatch for this long before retries pick them up
+const SETTLE_MS = 60 * 1000;
+
+// Failed handlers are retried automatically for events this recent
+const RETRY_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+const RETRY_BATCH_SIZE = 200;
+
+/**
+ * Internal event bus for domain events (TR-3.4). Events are stored in
+ * `domain_events`, in the caller's transaction when there is one, and
+ * dispatched to their subscribers in this process once committed.
+ *
+ * Every handler outcome is recorded in `event_handler_runs`, one row per
+ * event and handler: a processed event is not handled again by the same
+ * handler, failed ones are retried by `dispatchPending()`, and `replay()`
+ * dispatches stored events again (with `force`, also to handlers that have
+ * processed them, so handlers must be idempotent).
+ */
+class EventBus {
+  constructor() {
+    this.subscribers = new Map();
+    this.isRunning = false;
+    this.maxAttempts = parseInt(process.env.EVENT_MAX_ATTEMPTS, 10) || 5;
+    this.maxReplayEvents = parseInt(process.env.EVENT_REPLAY_MAX, 10) || 5000;
+  }
+
+  /**
+   * Subscribe a handler to event types
+   * @param {string|Array} types - Event type(s), e.g. trip.approved
+   * @param {string} name - Handler name, unique per event type; runs are recorded under it
+   * @param {Function} handler - async (event) => result
+   */
+  subscribe(types, name, handler) {
+    [].concat(types).forEach((type) => {
+      const handlers = this.subscribers.get(type) || new Map();
+      if (handlers.has(name)) {
+        throw new Error(`Event handler ${name} is already subscribed to ${type}`);
+      }
+      handlers.set(name, handler);
+      this.subscribers.set(type, handlers);
+    });
+  }
+
+  /**
+   * Dispatch events as they are published from now on
+   */
+  start() {
+    this.isRunning = true;
+    logger.info(`Event bus started with ${this.subscribers.size} event type(s)`);
+  }
+
+  stop() {
+    this.isRunning = false;
+  }
+
+  /**
+   * Publish an event. Within a transaction it is stored with the change
+   * that caused it and dispatched after the commit.
+   * @param {string} type - Event type
+   * @param {Object} event - { companyId, aggregateType, aggregateId, payload, userId }
+   * @param {Object} options - { transaction }
+   * @returns {Object} DomainEvent
+   */
+  async publish(type, event, options = {}) {
+    const stored = await DomainEvent.create({
+      type,
+      companyId: event.companyId || null,
+      aggregateType: event.aggregateType || null,
+      aggregateId: event.aggregateId || null,
+      payload: event.payload || {},
+      userId: event.userId || null,
+      occurredAt: new Date()
+    }, { transaction: options.transaction });
+
+    const dispatch = () => {
+      if (!this.isRunning) {
+        return;
+      }
+      setImmediate(() => {
+        this.dispatch(stored).catch(error => logger.error(`Dispatch of event ${stored.id} failed:`, error));
+      });
+    };
+    if (options.transaction) {
+      options.transaction.afterCommit(dispatch);
+    } else {
+      dispatch();
+    }
+    return stored;
+  }
+
+  /**
+   * Run the subscribers of an event
+   * @param {Object} event - DomainEvent
+   * @param {Object} options - { handlers: names to run (default all), force: run processed ones again }
+   * @returns {Object} { processed, skipped, failed }
+   */
+  async dispatch(event, options = {}) {
+    const handlers = [...(this.subscribers.get(event.type) || new Map())]
+      .filter(([name]) => !options.handlers || options.handlers.includes(name));
+
+    // Runs are created up front so a crash mid-way leaves the rest pending
+    const runs = [];
+    for (const [name] of handlers) {
+      const [run] = await EventHandlerRun.findOrCreate({ where: { eventId: event.id, handler: name } });
+      runs.push(run);
+    }
+
+    const outcome = { processed: 0, skipped: 0, failed: 0 };
+    for (const [index, [name, handler]] of handlers.entries()) {
+      outcome[await this.runHandler(event, runs[index], name, handler, options.force)] += 1;
+    }
+    return outcome;
+  }
+
+  /**
+   * Claim a run so concurrent dispatches of an event do not both handle it
+   * @returns {boolean} Whether this dispatch may run the handler
+   */
+  async claim(run, force) {
+    const [count] = await EventHandlerRun.update({
+      status: 'running',
+      attempts: sequelize.literal('attempts + 1')
+    }, {
+      where: {
+        id: run.id,
+        [Op.or]: [
+          { status: { [Op.in]: force ? ['pending', 'failed', 'processed'] : ['pending', 'failed'] } },
+          { status: 'running', updatedAt: { [Op.lt]: new Date(Date.now() - STALE_RUN_MS) } }
+        ]
+      }
+    });
+    return count === 1;
+  }
+
+  /**
+   * @returns {string} processed, skipped or failed
+   */
+  async runHandler(event, run, name, handler, force) {
+    if (!(await this.claim(run, force))) {
+      return 'skipped';
+    }
+
+    try {
+      const result = await handler(event);
+      await run.update({
+        status: 'processed',
+        result: result === undefined ? null : result,
+        errorMessage: null,
+        processedAt: new Date()
+      });
+      return 'processed';
+    } catch (error) {
+      logger.error(`Event handler ${name} failed for ${event.type} event ${event.id}:`, error);
+      await run.update({ status: 'failed', errorMessage: error.message });
+      return 'failed';
+    }
+  }
+
+  /**
+   * Retry failed handler runs and dispatch events that never were (the
+   * process stopped before their dispatch)
+   * @returns {number} Events dispatched
+   */
+  async dispatchPending() {
+    const now = Date.now();
+    const runs = await EventHandlerRun.findAll({
+      where: {
+        [Op.or]: [
+          { status: 'pending', createdAt: { [Op.lt]: new Date(now - SETTLE_MS) } },
+          { status: 'failed', attempts: { [Op.lt]: this.maxAttempts } },
+          { status: 'running', updatedAt: { [Op.lt]: new Date(now - STALE_RUN_MS) } }
+        ]
+      },
+      include: [{
+        model: DomainEvent,
+        as: 'event',
+        where: { createdAt: { [Op.gte]: new Date(now - RETRY_WINDOW_MS) } }
+      }],
+      order: [['createdAt', 'ASC']],
+      limit: RETRY_BATCH_SIZE
+    });
+
+    const undispatched = await DomainEvent.findAll({
+      where: {
+        type: { [Op.in]: [...this.subscribers.keys()] },
+        createdAt: { [Op.between]: [new Date(now - RETRY_WINDOW_MS), new Date(now - SETTLE_MS)] },
+        '$handlerRuns.id$': null
+      },
+      include: [{ model: EventHandlerRun, as: 'handlerRuns', attributes: [], required: false }],
+      order: [['occurredAt', 'ASC']],
+      limit: RETRY_BATCH_SIZE,
+      subQuery: false
+    });
+
+    const pending = new Map(undispatched.map(event => [event.id, { event, handlers: null }]));
+    runs.forEach((run) => {
+      const entry = pending.get(run.eventId) || { event: run.event, handlers: [] };
+      if (entry.handlers) {
+        entry.handlers.push(run.handler);
+      }
+      pending.set(run.eventId, entry);
+    });
+
+    for (const { event, handlers } of pending.values()) {
+      await this.dispatch(event, handlers ? { handlers } : {});
+    }
+    if (pending.size > 0) {
+      logger.info(`Event bus retried ${pending.size} event(s)`);
+    }
+    return pending.size;
+  }
+
+  /**
+   * Dispatch stored events again, oldest first
+   * @param {Object} filter - { from, to, types, companyId, handlers, force }
+   * @param {Object} options - { onProgress(percent) }
+   * @returns {Object} { events, processed, skipped, failed }
+   */
+  async replay(filter = {}, options = {}) {
+    const onProgress = options.onProgress || (async () => {});
+    const where = {};
+    if (filter.types && filter.types.length > 0) {
+      where.type = { [Op.in]: filter.types };
+    }
+    if (filter.companyId) {
+      where.companyId = filter.companyId;
+    }
+    if (filter.from || filter.to) {
+      where.occurredAt = {
+        ...(filter.from ? { [Op.gte]: new Date(filter.from) } : {}),
+        ...(filter.to ? { [Op.lte]: new Date(filter.to) } : {})
+      };
+    }
+
+    const total = await DomainEvent.count({ where });
+    if (total > this.maxReplayEvents) {
+      throw new AppError(`The replay covers ${total} events; narrow it to at most ${this.maxReplayEvents}`, 422);
+    }
+
+    const events = await DomainEvent.findAll({ where, order: [['occurredAt', 'ASC'], ['createdAt', 'ASC']] });
+    const outcome = { events: events.length, processed: 0, skipped: 0, failed: 0 };
+    for (const [index, event] of events.entries()) {
+      const result = await this.dispatch(event, { handlers: filter.handlers, force: Boolean(filter.force) });
+      outcome.processed += result.processed;
+      outcome.skipped += result.skipped;
+      outcome.failed += result.failed;
+      await onProgress(((index + 1) / events.length) * 100);
+    }
+
+    logger.info(`Replayed ${outcome.events} event(s): ${outcome.processed} processed, ${outcome.skipped} skipped, ${outcome.failed} failed`);
+    return outcome;
+  }
+}
+
+module.exports = new EventBus();
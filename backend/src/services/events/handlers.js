@@ -0,0 +1,20 @@
+const eventBus = require('./eventBus');
+const complianceMonitor = require('../compliance/complianceMonitor');
+const transactionRiskService = require('../compliance/transactionRiskService');
+
+/**
+ * Subscribe the application's domain event handlers to the event bus
+ */
+const registerEventHandlers = () => {
+  // Trips, expenses, signed reports and integration syncs re-check the rules they affect
+  eventBus.subscribe(complianceMonitor.eventTypes, 'compliance-monitor', event => complianceMonitor.handle(event));
+
+  // New and changed expenses get a transaction risk score
+  eventBus.subscribe(['trip.expense_added', 'trip.expense_updated'], 'transaction-risk', event => transactionRiskService.handleExpenseEvent(event));
+
+  eventBus.subscribe('compliance.violation_detected', 'violation-alerts', event => complianceMonitor.alert(event));
+};
+
+module.exports = {
+  registerEventHandlers
+};
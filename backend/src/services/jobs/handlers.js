@@ -0,0 +1,96 @@
+const { Report } = require('../../models');
+const jobQueue = require('./jobQueue');
+const reportGenerator = require('../reports/reportGenerator');
+const compliancePackService = require('../reports/compliancePackService');
+const reportAnalysisService = require('../reports/reportAnalysisService');
+const portalSubmissionService = require('../portal/portalSubmissionService');
+const ruleBacktestService = require('../compliance/ruleBacktestService');
+const transactionRiskService = require('../compliance/transactionRiskService');
+const eventBus = require('../events/eventBus');
+const AppError = require('../../utils/appError');
+
+const loadReport = async (reportId) => {
+  const report = await Report.findByPk(reportId);
+  if (!report) {
+    throw new AppError('Report not found', 404);
+  }
+  return report;
+};
+
+/**
+ * Register the application's background job types with the job queue
+ */
+const registerJobHandlers = () => {
+  jobQueue.register('report.generate', {
+    title: 'Report generation',
+    handler: async ({ reportId, language }, { progress, userId }) => {
+      const report = await loadReport(reportId);
+      const generated = await reportGenerator.generate(report, { id: userId }, { language, onProgress: progress });
+      return {
+        reportId,
+        status: generated.status,
+        files: generated.files,
+        consistency: generated.aiAnalysis.consistency
+      };
+    }
+  });
+
+  jobQueue.register('report.pack', {
+    title: 'Compliance pack',
+    handler: async ({ reportId, language }, { progress, userId }) => {
+      const report = await loadReport(reportId);
+      const generated = await compliancePackService.generate(report, { id: userId }, { language, onProgress: progress });
+      return {
+        reportId,
+        status: generated.status,
+        files: generated.files,
+        consistency: generated.aiAnalysis.consistency
+      };
+    }
+  });
+
+  jobQueue.register('compliance.analyze', {
+    title: 'Compliance analysis',
+    handler: async ({ reportId }, { progress }) => {
+      const report = await loadReport(reportId);
+      const analysis = await reportAnalysisService.analyze(report, { onProgress: progress });
+      return {
+        reportId,
+        riskScore: analysis.riskScore,
+        riskAssessmentId: analysis.riskAssessmentId,
+        violations: analysis.violations.length
+      };
+    }
+  });
+
+  jobQueue.register('report.submit', {
+    title: 'IT Park submission',
+    handler: async ({ reportId }, { progress, userId }) => {
+      const report = await loadReport(reportId);
+      await progress(10);
+      const submission = await portalSubmissionService.submit(report, { id: userId });
+      return { reportId, receiptNumber: submission.receiptNumber, status: submission.status };
+    }
+  });
+
+  // The result is the report; companies are not notified of simulated violations
+  jobQueue.register('compliance.backtest', {
+    title: 'Rule backtest',
+    notify: false,
+    handler: async (request, { progress }) => ruleBacktestService.run(request, { onProgress: progress })
+  });
+
+  jobQueue.register('transactions.risk_score', {
+    title: 'Transaction risk scoring',
+    handler: async ({ companyId }, { progress }) => transactionRiskService.scoreCompany(companyId, { onProgress: progress })
+  });
+
+  jobQueue.register('events.replay', {
+    title: 'Event replay',
+    handler: async (filter, { progress }) => eventBus.replay(filter, { onProgress: progress })
+  });
+};
+
+module.exports = {
+  registerJobHandlers
+};
@@ -0,0 +1,231 @@
+const Queue = require('bull');
+const { v4: uuidv4 } = require('uuid');
+const notificationService = require('../notifications/notificationService');
+const AppError = require('../../utils/appError');
+const logger = require('../../utils/logger');
+
+const QUEUE_NAME = 'comply-ai-jobs';
+const FINISHED_STATES = ['completed', 'failed'];
+
+class JobCancelledError extends Error {
+  constructor() {
+    super('Job cancelled');
+    this.name = 'JobCancelledError';
+  }
+}
+
+// Client errors (validation, conflicts, missing records) will not go away on retry
+const isRetryable = error => !(error instanceof JobCancelledError)
+  && !(error.statusCode && error.statusCode < 500);
+
+/**
+ * Background jobs on a Redis-backed bull queue (TR-1.5).
+ *
+ * Each job type registers a handler `(payload, { progress, userId })`. The
+ * handler reports progress in percent; `progress()` rejects once the job has
+ * been cancelled, so long-running handlers stop at their next step. Failed
+ * jobs are retried with exponential backoff unless the error is a client
+ * error. The user who queued the job is notified when it finishes, unless
+ * the job type opts out.
+ */
+class JobQueue {
+  constructor() {
+    this.queue = null;
+    this.handlers = new Map();
+  }
+
+  getQueue() {
+    if (!this.queue) {
+      this.queue = new Queue(QUEUE_NAME, process.env.REDIS_URL || 'redis://localhost:6379', {
+        defaultJobOptions: {
+          attempts: parseInt(process.env.JOB_ATTEMPTS, 10) || 3,
+          backoff: {
+            type: 'exponential',
+            delay: parseInt(process.env.JOB_BACKOFF_MS, 10) || 30000
+          },
+          removeOnComplete: false,
+          removeOnFail: false
+        }
+      });
+      this.queue.on('error', error => logger.error('Job queue error:', error));
+    }
+    return this.queue;
+  }
+
+  /**
+   * Register a job type
+   * @param {string} type - Job name, e.g. report.generate
+   * @param {Object} definition - { title, handler, notify } - notify: false
+   *   for jobs that must not notify anyone (simulations)
+   */
+  register(type, { title, handler, notify = true }) {
+    if (this.handlers.has(type)) {
+      throw new Error(`Job type ${type} is already registered`);
+    }
+    this.handlers.set(type, { title, handler, notify });
+  }
+
+  /**
+   * Start processing the registered job types in this process
+   */
+  start() {
+    const queue = this.getQueue();
+    const concurrency = parseInt(process.env.JOB_CONCURRENCY, 10) || 1;
+
+    this.handlers.forEach((definition, type) => {
+      queue.process(type, concurrency, job => this.run(job));
+    });
+    logger.info(`Job queue started with ${this.handlers.size} job type(s)`);
+  }
+
+  async stop() {
+    if (this.queue) {
+      await this.queue.close();
+      this.queue = null;
+    }
+  }
+
+  /**
+   * Run one attempt of a job
+   */
+  async run(job) {
+    const { title, handler, notify } = this.handlers.get(job.name);
+
+    // Cancellation is requested from another request, so re-read the job data
+    const progress = async (percent) => {
+      const current = await this.getQueue().getJob(job.id);
+      if (!current || current.data.cancelRequestedAt) {
+        throw new JobCancelledError();
+      }
+      await job.progress(Math.min(100, Math.max(0, Math.round(percent))));
+    };
+
+    try {
+      await progress(0);
+      const result = await handler(job.data.payload, { progress, userId: job.data.userId });
+      await job.progress(100);
+
+      logger.info(`Job ${job.id} (${job.name}) completed`);
+      if (notify) {
+        await this.notify(job, `${title} completed`, `"${job.data.label}" is ready.`);
+      }
+      return result;
+    } catch (error) {
+      const retryable = isRetryable(error);
+      if (!retryable) {
+        await job.discard();
+      }
+
+      const finalAttempt = !retryable || job.attemptsMade + 1 >= job.opts.attempts;
+      logger.error(`Job ${job.id} (${job.name}) attempt ${job.attemptsMade + 1} failed: ${error.message}`);
+      if (notify && finalAttempt && !(error instanceof JobCancelledError)) {
+        await this.notify(job, `${title} failed`, `"${job.data.label}" could not be completed: ${error.message}`);
+      }
+      throw error;
+    }
+  }
+
+  notify(job, subject, text) {
+    return notificationService.notifyUser(job.data.userId, {
+      subject,
+      content: `${text}\nJob: ${job.id}`,
+      metadata: { jobId: job.id, jobType: job.name }
+    });
+  }
+
+  /**
+   * Queue a job
+   * @param {string} type - Registered job type
+   * @param {Object} payload - Handler input
+   * @param {Object} options - { user, label } - requesting user and a readable name for notifications
+   * @returns {Object} Job status
+   */
+  async enqueue(type, payload, { user, label }) {
+    if (!this.handlers.has(type)) {
+      throw new Error(`Unknown job type ${type}`);
+    }
+
+    const job = await this.getQueue().add(type, {
+      payload,
+      label,
+      userId: user.id,
+      companyId: user.companyId
+    }, { jobId: uuidv4() });
+
+    logger.info(`Job ${job.id} (${type}) queued by ${user.id}`);
+    return this.describe(job);
+  }
+
+  /**
+   * Find a job the user may see: their own jobs, their company's jobs for
+   * admins, every job for IT Park administrators
+   * @returns {Object|null} bull job
+   */
+  async findAccessibleJob(jobId, user) {
+    const job = await this.getQueue().getJob(jobId);
+    if (!job || !this.handlers.has(job.name)) {
+      return null;
+    }
+    if (user.userType === 'it_park_admin' || job.data.userId === user.id) {
+      return job;
+    }
+    if (user.role === 'admin' && job.data.companyId === user.companyId) {
+      return job;
+    }
+    return null;
+  }
+
+  /**
+   * Public view of a job
+   */
+  async describe(job) {
+    const state = await job.getState();
+    let status = state;
+    if (job.data.cancelRequestedAt && state === 'failed') {
+      status = 'cancelled';
+    } else if (job.data.cancelRequestedAt && !FINISHED_STATES.includes(state)) {
+      status = 'cancelling';
+    }
+
+    return {
+      id: job.id,
+      type: job.name,
+      label: job.data.label,
+      status,
+      progress: job.progress(),
+      attempts: job.attemptsMade,
+      maxAttempts: job.opts.attempts,
+      result: state === 'completed' ? job.returnvalue : null,
+      error: state === 'failed' && status !== 'cancelled' ? job.failedReason : null,
+      createdAt: new Date(job.timestamp),
+      startedAt: job.processedOn ? new Date(job.processedOn) : null,
+      finishedAt: job.finishedOn ? new Date(job.finishedOn) : null
+    };
+  }
+
+  /**
+   * Request cancellation. Queued jobs stop before they start, running jobs
+   * at their next progress step.
+   */
+  async cancel(job, user) {
+    const state = await job.getState();
+    if (FINISHED_STATES.includes(state)) {
+      throw new AppError(`A ${state} job cannot be cancelled`, 409);
+    }
+
+    await job.update({
+      ...job.data,
+      cancelRequestedAt: new Date().toISOString(),
+      cancelledBy: user.id
+    });
+    // A job waiting out its retry backoff would otherwise stay queued until then
+    if (state === 'delayed') {
+      await job.promote();
+    }
+
+    logger.info(`Job ${job.id} cancellation requested by ${user.id}`);
+    return this.describe(job);
+  }
+}
+
+module.exports = new JobQueue();
@@ -0,0 +1,90 @@
+const nodemailer = require('nodemailer');
+const { User, Notification } = require('../../models');
+const logger = require('../../utils/logger');
+
+/**
+ * Delivers user notifications by email and records every message in the
+ * notifications table. Delivery problems are logged and stored on the
+ * notification; they never fail the operation that triggered it.
+ */
+class NotificationService {
+  constructor() {
+    this.transporter = null;
+  }
+
+  /**
+   * SMTP transport, or null when mail is not configured
+   */
+  getTransporter() {
+    if (!this.transporter && process.env.SMTP_HOST) {
+      this.transporter = nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT, 10) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER ? {
+          user: process.env.SMTP_USER,
+          pass: process.env.SMTP_PASSWORD
+        } : undefined
+      });
+    }
+    return this.transporter;
+  }
+
+  /**
+   * Notify a user
+   * @param {string} userId - Recipient
+   * @param {Object} message - { subject, content, metadata }
+   * @returns {Object|null} Notification, or null for unknown/inactive users
+   */
+  async notifyUser(userId, { subject, content, metadata = null }) {
+    try {
+      const user = await User.findByPk(userId);
+      if (!user || !user.isActive) {
+        return null;
+      }
+
+      const notification = await Notification.create({
+        companyId: user.companyId,
+        userId: user.id,
+        channel: 'email',
+        recipient: user.email,
+        subject,
+        content,
+        metadata,
+        status: 'pending'
+      });
+
+      await this.deliver(notification);
+      return notification;
+    } catch (error) {
+      logger.error(`Failed to notify user ${userId}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Send a pending notification over its channel
+   */
+  async deliver(notification) {
+    const transporter = this.getTransporter();
+    if (!transporter) {
+      logger.warn(`SMTP not configured, notification ${notification.id} left pending`);
+      return;
+    }
+
+    try {
+      await transporter.sendMail({
+        from: process.env.SMTP_FROM || process.env.SMTP_USER,
+        to: notification.recipient,
+        subject: notification.subject,
+        text: notification.content
+      });
+      await notification.update({ status: 'sent', sentAt: new Date() });
+    } catch (error) {
+      logger.error(`Notification ${notification.id} could not be sent:`, error);
+      await notification.update({ status: 'failed', errorMessage: error.message });
+    }
+  }
+}
+
+module.exports = new NotificationService();
@@ -1,6 +1,19 @@
 const TelegramBot = require('node-telegram-bot-api');
 const logger = require('../../utils/logger');
 const virtualAssistant = require('../ai/virtualAssistant');
+const deadlineService = require('../compliance/deadlineService');
+
+// Heading of the follow-up suggestions in the answer's language
+const SUGGESTIONS_TITLES = {
+  en: '💡 You might also want to:',
+  ru: '💡 Возможно, вам также пригодится:',
+  uz: "💡 Sizga yana foydali bo'lishi mumkin:",
+  'uz-Cyrl': '💡 Сизга яна фойдали бўлиши мумкин:'
+};
+
+const formatDate = date => new Date(date).toLocaleDateString('en-US', {
+  month: 'short', day: 'numeric', year: 'numeric', timeZone: 'UTC'
+});
 
 class TelegramBotService {
   constructor() {
@@ -73,7 +86,7 @@ How can I help you today?
 /report - Generate or check report status
 /contact - Contact support
 
-You can also ask me questions in natural language like:
+You can also ask me questions in English, Russian or Uzbek like:
 • "When is my quarterly report due?"
 • "What documents do I need for a business trip?"
 • "How do I submit my annual report?"
@@ -84,26 +97,7 @@ You can also ask me questions in natural language like:
 
     // Handle /deadlines command
     this.bot.onText(/\/deadlines/, async (msg) => {
-      const chatId = msg.chat.id;
-      // This would typically fetch real deadline data from the database
-      const deadlinesMessage = `
-📅 Upcoming Deadlines:
-
-🔴 Critical (Due Soon):
-• Q4 2024 Report - Due Jan 31, 2025 (5 days)
-• VAT Return - Due Jan 20, 2025 (2 days)
-
-🟡 Important (Due This Month):
-• Business Trip Report - Due Jan 25, 2025
-• Monthly Revenue Tracking - Due Jan 31, 2025
-
-🟢 Upcoming (Next Month):
-• Annual Tax Return - Due Mar 31, 2025
-
-Need help with any of these? Just ask!
-      `;
-
-      await this.sendMessage(chatId, deadlinesMessage);
+      await this.sendDeadlines(msg.chat.id);
     });
 
     // Handle general messages (AI assistant)
@@ -122,6 +116,8 @@ Need help with any of these? Just ask!
           chatId: chatId,
           userId: msg.from.id,
           username: msg.from.username,
+          // Answers follow the question's language; the Telegram locale decides when it is unclear
+          language: msg.from.language_code,
           // companyId would be fetched from user registration
         };
 
@@ -132,7 +128,7 @@ Need help with any of these? Just ask!
 
         // Add suggestions if available
         if (response.suggestions && response.suggestions.length > 0) {
-          replyMessage += '\n\n💡 You might also want to:\n';
+          replyMessage += `\n\n${SUGGESTIONS_TITLES[response.language] || SUGGESTIONS_TITLES.en}\n`;
           response.suggestions.forEach((suggestion, index) => {
             replyMessage += `${index + 1}. ${suggestion}\n`;
           });
@@ -163,4 +159,68 @@ Need help with any of these? Just ask!
     this.bot.on('error', (error) => {
       logger.error('Telegram bot error:', error);
     });
-  }
\ No newline at end of file
+  }
+
+  /**
+   * Send the deadlines of the IT Park compliance calendar. Chats are not
+   * linked to a company, so company-specific dates are left to the web app.
+   */
+  async sendDeadlines(chatId) {
+    try {
+      const deadlines = await deadlineService.getGeneralDeadlines({ days: 90 });
+      if (deadlines.length === 0) {
+        await this.sendMessage(chatId, '📅 No compliance deadlines in the next 90 days.');
+        return;
+      }
+
+      const line = (deadline) => {
+        const moved = deadline.movedFor.length > 0
+          ? `, moved from ${formatDate(deadline.statutoryDate)}: ${[...new Set(deadline.movedFor.map(day => day.reason))].join(', ')}`
+          : '';
+        return `• ${deadline.ruleName} - Due ${formatDate(deadline.dueDate)} (${deadline.daysLeft} days${moved})`;
+      };
+      const groups = [
+        ['🔴 Critical (Due Soon):', deadlines.filter(deadline => deadline.daysLeft <= 7)],
+        ['🟡 Important (Due This Month):', deadlines.filter(deadline => deadline.daysLeft > 7 && deadline.daysLeft <= 30)],
+        ['🟢 Upcoming:', deadlines.filter(deadline => deadline.daysLeft > 30)]
+      ].filter(([, items]) => items.length > 0);
+
+      const message = [
+        '📅 Upcoming Deadlines:',
+        ...groups.map(([title, items]) => [title, ...items.map(line)].join('\n')),
+        'Your company\'s own dates, including overdue ones, are in the Comply AI web app.'
+      ].join('\n\n');
+
+      await this.sendMessage(chatId, message);
+    } catch (error) {
+      logger.error('Failed to load deadlines for Telegram:', error);
+      await this.sendMessage(chatId, 'Sorry, I could not load the deadlines right now. Please try again later.');
+    }
+  }
+
+  /**
+   * Handle an inline keyboard button
+   */
+  async handleCallbackQuery(chatId, data, callbackQuery) {
+    await this.bot.answerCallbackQuery(callbackQuery.id);
+    if (data === 'deadlines') {
+      await this.sendDeadlines(chatId);
+    }
+  }
+
+  /**
+   * Send a message; failures are logged, not thrown
+   */
+  async sendMessage(chatId, text, options = {}) {
+    if (!this.bot) {
+      return;
+    }
+    try {
+      await this.bot.sendMessage(chatId, text, options);
+    } catch (error) {
+      logger.error(`Failed to send Telegram message to chat ${chatId}:`, error);
+    }
+  }
+}
+
+module.exports = new TelegramBotService();
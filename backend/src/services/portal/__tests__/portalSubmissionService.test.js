@@ -0,0 +1,192 @@
+jest.mock('../../../models', () => ({
+  sequelize: { transaction: jest.fn() },
+  Company: { findByPk: jest.fn() },
+  Report: { findByPk: jest.fn() },
+  ReportSubmission: { findOne: jest.fn(), create: jest.fn(), findAll: jest.fn() }
+}));
+jest.mock('../../reports/reportVersionService', () => ({ getLatestVersion: jest.fn() }));
+jest.mock('../../storage/fileStorage', () => ({ read: jest.fn() }));
+jest.mock('../../compliance/deadlineService', () => ({ recordSubmission: jest.fn() }));
+jest.mock('../../notifications/notificationService', () => ({ notifyUser: jest.fn() }));
+jest.mock('../../../utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+const crypto = require('crypto');
+const express = require('express');
+const axios = require('axios');
+const request = require('supertest');
+const { createMockPortal } = require('../../../scripts/mockItParkPortal');
+const { sequelize, Company, Report, ReportSubmission } = require('../../../models');
+const reportVersionService = require('../../reports/reportVersionService');
+const fileStorage = require('../../storage/fileStorage');
+
+const API_KEY = 'portal-test-key';
+const CALLBACK_SECRET = 'portal-test-secret';
+const CONTENT = Buffer.from('%PDF-1.7 signed balance sheet');
+const FILE_HASH = crypto.createHash('sha256').update(CONTENT).digest('hex');
+
+// Model instance stand-in: attributes plus update()
+const record = (attributes) => {
+  const instance = { ...attributes };
+  instance.update = jest.fn(async (changes) => Object.assign(instance, changes));
+  return instance;
+};
+
+const listen = app => new Promise((resolve) => {
+  const server = app.listen(0, '127.0.0.1', () => resolve(server));
+});
+const urlOf = server => `http://127.0.0.1:${server.address().port}`;
+
+describe('IT Park portal submission against the mock portal', () => {
+  let portal;
+  let portalServer;
+  let callbackApp;
+  let callbackServer;
+  let portalSubmissionService;
+  let reports;
+  let submissions;
+
+  const portalSubmissions = reportId => [...portal.locals.submissions.values()]
+    .filter(submission => submission.externalId === reportId);
+
+  const signedReport = (id) => {
+    reports.set(id, record({
+      id,
+      companyId: 'company-1',
+      reportType: 'balance_sheet',
+      title: 'Balance sheet Q1',
+      status: 'signed',
+      fileHash: FILE_HASH,
+      signatureData: 'pkcs7-signature'
+    }));
+    return { ...reports.get(id) };
+  };
+
+  beforeAll(async () => {
+    portal = createMockPortal({ apiKey: API_KEY, callbackSecret: CALLBACK_SECRET, autoDecideMs: 0 });
+    portalServer = await listen(portal);
+
+    process.env.ITPARK_PORTAL_URL = urlOf(portalServer);
+    process.env.ITPARK_PORTAL_API_KEY = API_KEY;
+    process.env.ITPARK_PORTAL_CALLBACK_SECRET = CALLBACK_SECRET;
+    // The adapter reads its configuration when first required
+    portalSubmissionService = require('../portalSubmissionService');
+
+    callbackApp = express();
+    callbackApp.use(express.json({
+      verify: (req, res, buf) => {
+        req.rawBody = buf;
+      }
+    }));
+    callbackApp.use('/api/portal', require('../../../routes/portal'));
+    callbackApp.use(require('../../../middleware/errorHandler'));
+    callbackServer = await listen(callbackApp);
+    process.env.API_URL = urlOf(callbackServer);
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => portalServer.close(resolve));
+    await new Promise(resolve => callbackServer.close(resolve));
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.restoreAllMocks();
+    reports = new Map();
+    submissions = [];
+
+    sequelize.transaction.mockImplementation(async callback => callback({ LOCK: { UPDATE: 'UPDATE' } }));
+    Company.findByPk.mockResolvedValue({ id: 'company-1', name: 'Digital Solutions LLC', taxId: '305123456' });
+    Report.findByPk.mockImplementation(async id => reports.get(id) || null);
+    ReportSubmission.findOne.mockImplementation(async ({ where }) => (
+      submissions.find(submission => submission.receiptNumber === where.receiptNumber) || null
+    ));
+    ReportSubmission.create.mockImplementation(async (attributes) => {
+      const created = record(attributes);
+      submissions.push(created);
+      return created;
+    });
+    reportVersionService.getLatestVersion.mockResolvedValue({
+      versionNumber: 2,
+      signedAt: new Date('2024-04-10T09:00:00Z'),
+      fileHash: FILE_HASH,
+      filePath: 'reports/report-1/v2.pdf'
+    });
+    fileStorage.read.mockResolvedValue(CONTENT);
+  });
+
+  it('submits the signed file and records the receipt', async () => {
+    const submission = await portalSubmissionService.submit(signedReport('report-1'), { id: 'user-1' });
+
+    const [sent] = portalSubmissions('report-1');
+    expect(sent).toMatchObject({ companyTaxId: '305123456', fileHash: FILE_HASH, signature: 'pkcs7-signature' });
+    expect(Buffer.from(sent.content, 'base64')).toEqual(CONTENT);
+    expect(sent.callbackUrl).toBe(`${process.env.API_URL}/api/portal/callback`);
+
+    expect(submission).toMatchObject({ receiptNumber: sent.receiptNumber, status: 'submitted', submittedBy: 'user-1' });
+    expect(reports.get('report-1')).toMatchObject({ status: 'submitted', portalReceiptNumber: sent.receiptNumber });
+  });
+
+  it('applies the review outcome the portal calls back with', async () => {
+    const { receiptNumber } = await portalSubmissionService.submit(signedReport('report-2'), { id: 'user-1' });
+
+    // The mock delivers the signed callback before answering
+    await axios.post(`${process.env.ITPARK_PORTAL_URL}/submissions/${receiptNumber}/decision`,
+      { status: 'rejected', reasons: ['Totals do not match'] },
+      { headers: { Authorization: `Bearer ${API_KEY}` } });
+
+    expect(submissions[0]).toMatchObject({ status: 'rejected', rejectionReasons: ['Totals do not match'] });
+    expect(reports.get('report-2')).toMatchObject({ status: 'rejected', rejectionReasons: ['Totals do not match'] });
+  });
+
+  it.each([
+    ['a wrong signature', crypto.createHmac('sha256', 'other-secret').update('{}').digest('hex')],
+    ['a malformed signature', 'not-hex'],
+    ['no signature', undefined]
+  ])('rejects a callback with %s with a 401', async (label, signature) => {
+    const applyOutcome = jest.spyOn(portalSubmissionService, 'applyOutcome');
+    const call = request(callbackApp).post('/api/portal/callback');
+    if (signature) {
+      call.set('X-Portal-Signature', signature);
+    }
+
+    const response = await call.send({ receiptNumber: 'ITP-2024-000001', status: 'approved' });
+
+    expect(response.status).toBe(401);
+    expect(response.body).toEqual({ success: false, error: 'Invalid callback signature' });
+    expect(applyOutcome).not.toHaveBeenCalled();
+  });
+
+  it('retries a submit whose response was lost to a 5xx without a second submission', async () => {
+    await axios.post(`${process.env.ITPARK_PORTAL_URL}/faults`,
+      { count: 1, status: 503, afterAccept: true },
+      { headers: { Authorization: `Bearer ${API_KEY}` } });
+
+    const report = signedReport('report-3');
+    const error = await portalSubmissionService.submit(report, { id: 'user-1' }).catch(caught => caught);
+    // 502 is retried by the job queue
+    expect(error.statusCode).toBe(502);
+    expect(portalSubmissions('report-3')).toHaveLength(1);
+    expect(ReportSubmission.create).not.toHaveBeenCalled();
+
+    const submission = await portalSubmissionService.submit(report, { id: 'user-1' });
+
+    expect(portalSubmissions('report-3')).toHaveLength(1);
+    expect(submission.receiptNumber).toBe(portalSubmissions('report-3')[0].receiptNumber);
+    expect(ReportSubmission.create).toHaveBeenCalledTimes(1);
+  });
+
+  it('reuses the recorded submission when the same receipt comes back twice', async () => {
+    const report = signedReport('report-4');
+    const first = await portalSubmissionService.submit(report, { id: 'user-1' });
+    // A concurrent submit that read the report while it was still signed
+    const second = await portalSubmissionService.submit(report, { id: 'user-1' });
+
+    expect(second).toBe(first);
+    expect(submissions).toHaveLength(1);
+    expect(portalSubmissions('report-4')).toHaveLength(1);
+  });
+});
@@ -0,0 +1,23 @@
+const itParkPortalAdapter = require('./itParkPortalAdapter');
+
+// Portal adapters by name; ITPARK_PORTAL_ADAPTER selects the active one
+const ADAPTERS = {
+  [itParkPortalAdapter.name]: itParkPortalAdapter
+};
+
+/**
+ * Adapter used for new submissions, or the one a submission was sent with
+ * @param {string} name - Adapter name; defaults to the configured adapter
+ * @returns {Object} Adapter with submit(), getStatus() and isConfigured()
+ */
+const getAdapter = (name = process.env.ITPARK_PORTAL_ADAPTER || 'itpark') => {
+  const adapter = ADAPTERS[name];
+  if (!adapter) {
+    throw new Error(`Unknown IT Park portal adapter: ${name}`);
+  }
+  return adapter;
+};
+
+module.exports = {
+  getAdapter
+};
@@ -0,0 +1,122 @@
+const axios = require('axios');
+const AppError = require('../../../utils/appError');
+
+// Review states of the portal and the submission status they map to
+const PORTAL_STATUSES = {
+  received: 'submitted',
+  under_review: 'under_review',
+  approved: 'approved',
+  rejected: 'rejected'
+};
+
+/**
+ * HTTP adapter for the IT Park reporting portal.
+ *
+ *   POST /submissions                 signed report (base64) + metadata -> { receiptNumber, status }
+ *   GET  /submissions/:receiptNumber  -> { receiptNumber, status, reasons, decidedAt }
+ *
+ * When a callback URL is given the portal also POSTs the review outcome to
+ * it, signed with HMAC-SHA256 in the X-Portal-Signature header.
+ *
+ * Submissions carry an Idempotency-Key of report and file hash, so a retry
+ * after a lost response returns the first receipt instead of a second one.
+ */
+class ItParkPortalAdapter {
+  constructor() {
+    this.name = 'itpark';
+    this.baseUrl = process.env.ITPARK_PORTAL_URL;
+    this.apiKey = process.env.ITPARK_PORTAL_API_KEY;
+    this.timeout = parseInt(process.env.ITPARK_PORTAL_TIMEOUT_MS, 10) || 30000;
+  }
+
+  isConfigured() {
+    return Boolean(this.baseUrl);
+  }
+
+  client() {
+    if (!this.isConfigured()) {
+      throw new AppError('IT Park portal is not configured', 503);
+    }
+    return axios.create({
+      baseURL: this.baseUrl,
+      timeout: this.timeout,
+      headers: this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {}
+    });
+  }
+
+  /**
+   * Normalize a portal submission record
+   * @returns {Object} { receiptNumber, status, reasons, decidedAt, raw }
+   */
+  normalize(body) {
+    const status = PORTAL_STATUSES[body.status];
+    if (!body.receiptNumber || !status) {
+      throw new AppError(`Unexpected IT Park portal response: ${JSON.stringify(body)}`, 502);
+    }
+    return {
+      receiptNumber: String(body.receiptNumber),
+      status,
+      reasons: Array.isArray(body.reasons) ? body.reasons : [],
+      decidedAt: body.decidedAt ? new Date(body.decidedAt) : null,
+      raw: body
+    };
+  }
+
+  /**
+   * Portal rejections of the request itself are client errors (not retried);
+   * timeouts, network errors and 5xx are reported as 502 and retried
+   */
+  toAppError(error, action) {
+    if (error instanceof AppError) {
+      return error;
+    }
+    if (error.response && error.response.status < 500) {
+      const message = (error.response.data && (error.response.data.error || error.response.data.message)) || error.message;
+      return new AppError(`IT Park portal refused to ${action}: ${message}`, 422, error.response.data);
+    }
+    return new AppError(`IT Park portal unavailable while trying to ${action}: ${error.message}`, 502);
+  }
+
+  /**
+   * Send a signed report
+   * @param {Object} submission - Report metadata, file content and signature
+   * @returns {Object} Normalized portal record with the receipt number
+   */
+  async submit(submission) {
+    try {
+      const response = await this.client().post('/submissions', {
+        companyTaxId: submission.companyTaxId,
+        companyName: submission.companyName,
+        externalId: submission.reportId,
+        reportType: submission.reportType,
+        title: submission.title,
+        periodStart: submission.periodStart,
+        periodEnd: submission.periodEnd,
+        fileName: submission.fileName,
+        fileHash: submission.fileHash,
+        content: submission.content.toString('base64'),
+        signature: submission.signature,
+        callbackUrl: submission.callbackUrl
+      }, {
+        headers: { 'Idempotency-Key': `${submission.reportId}:${submission.fileHash}` }
+      });
+      return this.normalize(response.data);
+    } catch (error) {
+      throw this.toAppError(error, 'accept the report');
+    }
+  }
+
+  /**
+   * Current review state of a submission
+   */
+  async getStatus(receiptNumber) {
+    try {
+      const response = await this.client().get(`/submissions/${encodeURIComponent(receiptNumber)}`);
+      return this.normalize(response.data);
+    } catch (error) {
+      throw this.toAppError(error, `report the status of ${receiptNumber}`);
+    }
+  }
+}
+
+module.exports = new ItParkPortalAdapter();
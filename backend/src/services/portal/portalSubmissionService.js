@@ -0,0 +1,254 @@
+const crypto = require('crypto');
+const path = require('path');
+const { Op } = require('sequelize');
+const { sequelize, Company, Report, ReportSubmission } = require('../../models');
+const { getAdapter } = require('./adapters');
+const fileStorage = require('../storage/fileStorage');
+const reportVersionService = require('../reports/reportVersionService');
+const deadlineService = require('../compliance/deadlineService');
+const notificationService = require('../notifications/notificationService');
+const AppError = require('../../utils/appError');
+const logger = require('../../utils/logger');
+
+const PENDING_STATUSES = ['submitted', 'under_review'];
+const DECIDED_STATUSES = ['approved', 'rejected'];
+
+/**
+ * Submission of signed reports to the IT Park portal (FR-1.5) and the
+ * report status lifecycle that follows: signed -> submitted -> approved or
+ * rejected. Review outcomes arrive by callback or by polling.
+ */
+class PortalSubmissionService {
+  /**
+   * Whether signed reports should be submitted automatically
+   */
+  isAutoSubmitEnabled() {
+    return getAdapter().isConfigured() && process.env.ITPARK_PORTAL_AUTO_SUBMIT !== 'false';
+  }
+
+  callbackUrl() {
+    return process.env.API_URL ? `${process.env.API_URL}/api/portal/callback` : undefined;
+  }
+
+  /**
+   * @throws {AppError} 409 unless the report is signed
+   */
+  assertSubmittable(report) {
+    if (report.status !== 'signed') {
+      throw new AppError(`Only signed reports can be submitted; this report is ${report.status}`, 409);
+    }
+  }
+
+  /**
+   * Send the signed report file to the portal and record the receipt
+   * @param {Object} report - Signed report
+   * @param {Object} user - Submitting user
+   * @returns {Object} Submission
+   */
+  async submit(report, user) {
+    this.assertSubmittable(report);
+
+    const version = await reportVersionService.getLatestVersion(report);
+    if (!version || !version.signedAt || version.fileHash !== report.fileHash) {
+      throw new AppError('The signed version of this report was not found', 409);
+    }
+    const company = await Company.findByPk(report.companyId);
+    if (!company || !company.taxId) {
+      throw new AppError('Company tax ID is required to submit reports', 422);
+    }
+
+    const adapter = getAdapter();
+    const content = await fileStorage.read(version.filePath);
+    const receipt = await adapter.submit({
+      companyTaxId: company.taxId,
+      companyName: company.name,
+      reportId: report.id,
+      reportType: report.reportType,
+      title: report.title,
+      periodStart: report.reportingPeriodStart,
+      periodEnd: report.reportingPeriodEnd,
+      fileName: path.posix.basename(version.filePath),
+      fileHash: version.fileHash,
+      content,
+      signature: report.signatureData,
+      callbackUrl: this.callbackUrl()
+    });
+
+    const submission = await sequelize.transaction(async (transaction) => {
+      const current = await Report.findByPk(report.id, { transaction, lock: transaction.LOCK.UPDATE });
+      if (current.status !== 'signed') {
+        // Another submission won the race; the portal receipt is kept for reference
+        logger.warn(`Report ${report.id} became ${current.status} while receipt ${receipt.receiptNumber} was issued`);
+      }
+
+      // A retried submit gets the receipt of the first attempt back
+      const existing = await ReportSubmission.findOne({
+        where: { receiptNumber: receipt.receiptNumber },
+        transaction,
+        lock: transaction.LOCK.UPDATE
+      });
+      const created = existing || await ReportSubmission.create({
+        reportId: report.id,
+        versionNumber: version.versionNumber,
+        adapter: adapter.name,
+        receiptNumber: receipt.receiptNumber,
+        status: receipt.status,
+        fileHash: version.fileHash,
+        submittedBy: user.id,
+        submittedAt: new Date(),
+        lastCheckedAt: new Date(),
+        portalResponse: receipt.raw
+      }, { transaction });
+
+      if (current.status === 'signed') {
+        await current.update({
+          status: 'submitted',
+          submittedAt: created.submittedAt,
+          portalReceiptNumber: receipt.receiptNumber,
+          reviewedAt: null,
+          rejectionReasons: null
+        }, { transaction });
+      }
+      return created;
+    });
+
+    logger.info(`Report ${report.id} submitted to IT Park portal, receipt ${receipt.receiptNumber}`);
+
+    // The submission stands even if its deadlines cannot be rolled forward
+    try {
+      await deadlineService.recordSubmission(report);
+    } catch (error) {
+      logger.error(`Failed to roll compliance deadlines forward for report ${report.id}:`, error);
+    }
+
+    // The portal may decide synchronously (e.g. automatic format checks)
+    if (DECIDED_STATUSES.includes(receipt.status)) {
+      await this.applyOutcome(receipt.receiptNumber, receipt);
+    }
+    return submission;
+  }
+
+  /**
+   * Record a review outcome reported by the portal. Repeated or late
+   * outcomes for an already decided submission are ignored.
+   * @param {string} receiptNumber - Portal receipt
+   * @param {Object} outcome - { status, reasons, decidedAt, raw }
+   * @returns {Object} Submission
+   */
+  async applyOutcome(receiptNumber, outcome) {
+    const result = await sequelize.transaction(async (transaction) => {
+      const submission = await ReportSubmission.findOne({
+        where: { receiptNumber },
+        transaction,
+        lock: transaction.LOCK.UPDATE
+      });
+      if (!submission) {
+        throw new AppError(`Unknown portal receipt ${receiptNumber}`, 404);
+      }
+      if (DECIDED_STATUSES.includes(submission.status)) {
+        return { submission, decided: false };
+      }
+
+      if (!DECIDED_STATUSES.includes(outcome.status)) {
+        await submission.update({
+          status: outcome.status,
+          lastCheckedAt: new Date(),
+          portalResponse: outcome.raw || submission.portalResponse
+        }, { transaction });
+        return { submission, decided: false };
+      }
+
+      const decidedAt = outcome.decidedAt || new Date();
+      const rejectionReasons = outcome.status === 'rejected' ? outcome.reasons || [] : null;
+      await submission.update({
+        status: outcome.status,
+        decidedAt,
+        rejectionReasons,
+        lastCheckedAt: new Date(),
+        portalResponse: outcome.raw || submission.portalResponse
+      }, { transaction });
+
+      const report = await Report.findByPk(submission.reportId, { transaction, lock: transaction.LOCK.UPDATE });
+      if (report.status === 'submitted' && report.portalReceiptNumber === receiptNumber) {
+        await report.update({
+          status: outcome.status,
+          reviewedAt: decidedAt,
+          rejectionReasons
+        }, { transaction });
+      }
+      return { submission, report, decided: true };
+    });
+
+    if (result.decided) {
+      const { submission, report } = result;
+      logger.info(`IT Park portal ${submission.status} report ${submission.reportId} (receipt ${receiptNumber})`);
+
+      const reasons = (submission.rejectionReasons || []).map(reason => `- ${typeof reason === 'string' ? reason : reason.message || JSON.stringify(reason)}`);
+      await notificationService.notifyUser(submission.submittedBy, {
+        subject: `IT Park ${submission.status} "${report.title}"`,
+        content: [`Receipt: ${receiptNumber}`, ...reasons].join('\n'),
+        metadata: { reportId: report.id, receiptNumber, status: submission.status }
+      });
+    }
+    return result.submission;
+  }
+
+  /**
+   * Ask the portal about every submission still under review
+   * @returns {Object} { checked, decided, failed }
+   */
+  async pollPending() {
+    const pending = await ReportSubmission.findAll({
+      where: { status: { [Op.in]: PENDING_STATUSES } },
+      order: [['submittedAt', 'ASC']]
+    });
+
+    const summary = { checked: 0, decided: 0, failed: 0 };
+    for (const submission of pending) {
+      try {
+        const outcome = await getAdapter(submission.adapter).getStatus(submission.receiptNumber);
+        const updated = await this.applyOutcome(submission.receiptNumber, outcome);
+        summary.checked += 1;
+        if (DECIDED_STATUSES.includes(updated.status)) {
+          summary.decided += 1;
+        }
+      } catch (error) {
+        summary.failed += 1;
+        logger.error(`Polling IT Park portal for receipt ${submission.receiptNumber} failed:`, error);
+      }
+    }
+
+    if (pending.length > 0) {
+      logger.info(`IT Park portal poll: ${summary.checked} checked, ${summary.decided} decided, ${summary.failed} failed`);
+    }
+    return summary;
+  }
+
+  /**
+   * Check the X-Portal-Signature of a callback against the raw request body.
+   * Anything but a hex SHA-256 HMAC is rejected before the constant-time
+   * comparison, which throws on buffers of different lengths.
+   * @returns {boolean} Valid
+   */
+  verifyCallback(rawBody, signature) {
+    const secret = process.env.ITPARK_PORTAL_CALLBACK_SECRET;
+    if (!secret || !rawBody || typeof signature !== 'string' || !/^[0-9a-f]{64}$/i.test(signature)) {
+      return false;
+    }
+
+    const expected = crypto.createHmac('sha256', secret).update(rawBody).digest();
+    return crypto.timingSafeEqual(Buffer.from(signature, 'hex'), expected);
+  }
+
+  /**
+   * Submissions of a report, newest first
+   */
+  async listSubmissions(report) {
+    return ReportSubmission.findAll({
+      where: { reportId: report.id },
+      order: [['submittedAt', 'DESC']]
+    });
+  }
+}
+
+module.exports = new PortalSubmissionService();
@@ -0,0 +1,235 @@
+const archiver = require('archiver');
+const crypto = require('crypto');
+const { sequelize, Report, ReportTemplate } = require('../../models');
+const fileStorage = require('../storage/fileStorage');
+const reportGenerator = require('./reportGenerator');
+const templateEngine = require('./templateEngine');
+const reportVersionService = require('./reportVersionService');
+const reportConsistencyService = require('./reportConsistencyService');
+const expression = require('../../utils/expression');
+const { SECTION_LIBRARY } = require('./sectionLibrary');
+const AppError = require('../../utils/appError');
+const logger = require('../../utils/logger');
+
+const PACK_NAMESPACE = 'reports/packs';
+
+// Same rule as single reports: a pack can be rebuilt until it is signed
+const PACKABLE_STATUSES = ['draft', 'generated'];
+
+// FR-1.6 / FR-1.7. The annual pack adds the annual financial statements,
+// tax returns and audit report of the annual IT Park submission.
+const PACK_DOCUMENTS = {
+  quarterly: ['trial_balance', 'general_ledger', 'balance_sheet', 'income_statement', 'cash_flow'],
+  annual: [
+    'trial_balance', 'general_ledger', 'balance_sheet', 'income_statement', 'cash_flow',
+    'financial_statements', 'tax_compliance', 'audit_findings'
+  ]
+};
+
+// Report data a document is built from; evaluated against the report context
+const DOCUMENT_REQUIREMENTS = {
+  trial_balance: 'count(trialBalance) > 0',
+  general_ledger: 'count(generalLedger) > 0',
+  balance_sheet: 'balanceSheet != null',
+  income_statement: 'incomeStatement != null',
+  cash_flow: 'cashFlow != null',
+  financial_statements: 'balanceSheet != null && incomeStatement != null',
+  tax_compliance: 'count(taxPayments) > 0',
+  audit_findings: 'auditFindings != null'
+};
+
+const FILE_EXTENSIONS = {
+  pdf: '.pdf',
+  excel: '.xlsx'
+};
+
+/**
+ * Quarterly and annual compliance packs: every required document of the
+ * reporting period rendered from the report data and bundled into one ZIP
+ * with a manifest (file names, SHA-256 hashes, period, company tax ID) and
+ * an HMAC-SHA256 signature of that manifest.
+ */
+class CompliancePackService {
+  /**
+   * Documents that belong in the pack of a report type
+   * @param {string} reportType - quarterly or annual
+   * @returns {Array} Section library keys
+   */
+  getRequiredDocuments(reportType) {
+    const documents = PACK_DOCUMENTS[reportType];
+    if (!documents) {
+      throw new AppError('Compliance packs are only built for quarterly and annual reports', 422);
+    }
+    return documents;
+  }
+
+  /**
+   * Required documents the report data cannot produce
+   * @param {Array} documents - Section library keys
+   * @param {Object} context - Report context
+   * @returns {Array} [{ document, title, requires }]
+   */
+  findMissingDocuments(documents, context) {
+    return documents
+      .filter(document => !expression.evaluate(DOCUMENT_REQUIREMENTS[document], context))
+      .map(document => ({
+        document,
+        title: templateEngine.label(SECTION_LIBRARY[document].title, 'en'),
+        requires: DOCUMENT_REQUIREMENTS[document]
+      }));
+  }
+
+  /**
+   * Sign the exact manifest bytes placed in the pack
+   * @param {Buffer} manifest - manifest.json content
+   * @returns {Object} Detached signature
+   */
+  signManifest(manifest) {
+    return {
+      algorithm: 'HMAC-SHA256',
+      file: 'manifest.json',
+      signature: crypto.createHmac('sha256', process.env.REPORT_SIGNING_SECRET).update(manifest).digest('hex')
+    };
+  }
+
+  /**
+   * Bundle entries into a ZIP held in memory
+   * @param {Array} entries - [{ name, content }]
+   * @param {Date} date - Modification time recorded for every entry
+   * @returns {Buffer} ZIP content
+   */
+  zip(entries, date) {
+    return new Promise((resolve, reject) => {
+      const archive = archiver('zip', { zlib: { level: 9 } });
+      const chunks = [];
+
+      archive.on('data', chunk => chunks.push(chunk));
+      archive.on('end', () => resolve(Buffer.concat(chunks)));
+      archive.on('warning', reject);
+      archive.on('error', reject);
+
+      entries.forEach(({ name, content }) => archive.append(content, { name, date }));
+      archive.finalize();
+    });
+  }
+
+  /**
+   * Build every required document of a quarterly or annual report, bundle
+   * them with the signed manifest and store the ZIP as the report file.
+   * Nothing is stored when a required document cannot be built.
+   * @param {Object} report - Report
+   * @param {Object} user - User building the pack
+   * @param {Object} options - { language, onProgress(percent) }
+   * @returns {Object} Updated report
+   */
+  async generate(report, user, options = {}) {
+    const onProgress = options.onProgress || (async () => {});
+
+    reportGenerator.assertGeneratable(report);
+    if (!process.env.REPORT_SIGNING_SECRET) {
+      throw new AppError('Report signing is not configured', 500);
+    }
+
+    const documents = this.getRequiredDocuments(report.reportType);
+    const context = await reportGenerator.buildContext(report);
+
+    if (!context.company.taxId) {
+      throw new AppError('Company tax ID is required for a compliance pack', 422);
+    }
+    const missing = this.findMissingDocuments(documents, context);
+    if (missing.length > 0) {
+      throw new AppError('Compliance pack is incomplete: required documents are missing', 422, missing);
+    }
+    const consistency = reportConsistencyService.check(report, context);
+
+    // The report's own template decides the output formats and default language
+    const template = report.templateId ? await ReportTemplate.findByPk(report.templateId) : null;
+    const formats = !template || template.format === 'both' ? ['pdf', 'excel'] : [template.format];
+    const defaultLanguage = template && template.templateData ? template.templateData.defaultLanguage : undefined;
+
+    const entries = [];
+    const manifestFiles = [];
+    let language;
+    for (const [index, key] of documents.entries()) {
+      const document = reportGenerator.buildDocument(
+        { title: SECTION_LIBRARY[key].title, defaultLanguage, sections: [key] },
+        context,
+        report,
+        options.language
+      );
+      ({ language } = document);
+
+      for (const format of formats) {
+        const content = await reportGenerator.render(document, format);
+        const name = `${String(index + 1).padStart(2, '0')}_${key}${FILE_EXTENSIONS[format]}`;
+        entries.push({ name, content });
+        manifestFiles.push({
+          document: key,
+          title: document.title,
+          format,
+          name,
+          size: content.length,
+          sha256: fileStorage.hash(content)
+        });
+      }
+      await onProgress((80 * (index + 1)) / documents.length);
+    }
+
+    const generatedAt = new Date();
+    const manifest = {
+      packType: report.reportType,
+      reportId: report.id,
+      title: report.title,
+      company: {
+        name: context.company.name,
+        taxId: context.company.taxId
+      },
+      period: context.period,
+      currency: context.currency,
+      language,
+      generatedAt: generatedAt.toISOString(),
+      generatedBy: user.id,
+      files: manifestFiles
+    };
+    const manifestContent = Buffer.from(JSON.stringify(manifest, null, 2));
+    const signature = this.signManifest(manifestContent);
+
+    entries.push({ name: 'manifest.json', content: manifestContent });
+    entries.push({ name: 'manifest.sig.json', content: Buffer.from(JSON.stringify(signature, null, 2)) });
+
+    const archive = await this.zip(entries, generatedAt);
+    await onProgress(90);
+    const stored = await fileStorage.save(archive, { namespace: PACK_NAMESPACE, extension: '.zip' });
+
+    const updated = await sequelize.transaction(async (transaction) => {
+      const current = await Report.findByPk(report.id, { transaction, lock: transaction.LOCK.UPDATE });
+      if (!PACKABLE_STATUSES.includes(current.status)) {
+        throw new AppError(`Report became ${current.status} while the pack was being built`, 409);
+      }
+
+      const generated = await current.update({
+        status: 'generated',
+        filePath: stored.relativePath,
+        fileHash: stored.hash,
+        files: [{
+          format: 'zip',
+          path: stored.relativePath,
+          hash: stored.hash,
+          size: stored.size,
+          language
+        }],
+        packManifest: { ...manifest, signature },
+        generatedBy: user.id,
+        generatedAt,
+        aiAnalysis: { ...(current.aiAnalysis || {}), consistency }
+      }, { transaction });
+      await reportVersionService.record(generated, { template, user, transaction });
+      return generated;
+    });
+
+    logger.info(`Compliance pack for report ${report.id} built with ${manifestFiles.length} files`);
+    return updated;
+  }
+}
+
+module.exports = new CompliancePackService();
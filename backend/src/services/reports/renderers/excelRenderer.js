@@ -0,0 +1,150 @@
+const ExcelJS = require('exceljs');
+
+const NUMBER_FORMATS = {
+  currency: '#,##0.00',
+  number: '#,##0',
+  percent: '0.00"%"',
+  date: 'dd.mm.yyyy'
+};
+
+const HEADER_FILL = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FF1F4E79' } };
+const TOTAL_FILL = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFF2F2F2' } };
+const THIN_BORDER = {
+  top: { style: 'thin', color: { argb: 'FFD0D0D0' } },
+  left: { style: 'thin', color: { argb: 'FFD0D0D0' } },
+  bottom: { style: 'thin', color: { argb: 'FFD0D0D0' } },
+  right: { style: 'thin', color: { argb: 'FFD0D0D0' } }
+};
+
+/**
+ * Keep numbers and dates as real spreadsheet values so they can be summed
+ */
+const cellValue = (value, format) => {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  if (['currency', 'number', 'percent'].includes(format) && !Number.isNaN(Number(value))) {
+    return Number(value);
+  }
+  if (format === 'date') {
+    const date = value instanceof Date ? value : new Date(value);
+    return Number.isNaN(date.getTime()) ? String(value) : date;
+  }
+  return typeof value === 'object' ? JSON.stringify(value) : value;
+};
+
+// Excel sheet names: max 31 characters, no []:*?/\ and unique per workbook
+const sheetName = (title, used) => {
+  const base = String(title).replace(/[[\]:*?/\\]/g, ' ').trim().slice(0, 31) || 'Sheet';
+  let name = base;
+  let counter = 2;
+  while (used.has(name.toLowerCase())) {
+    const suffix = ` (${counter})`;
+    name = `${base.slice(0, 31 - suffix.length)}${suffix}`;
+    counter += 1;
+  }
+  used.add(name.toLowerCase());
+  return name;
+};
+
+class ExcelRenderer {
+  /**
+   * Render a report document built by the template engine. The first sheet
+   * holds the requisites and all field/text sections; every table section
+   * gets its own sheet.
+   * @param {Object} document - Document from templateEngine.build()
+   * @returns {Buffer} XLSX content
+   */
+  async renderReport(document) {
+    const workbook = new ExcelJS.Workbook();
+    workbook.created = new Date();
+    workbook.title = document.title;
+
+    const used = new Set();
+    const cover = workbook.addWorksheet(sheetName(document.labels.cover, used));
+    cover.columns = [{ width: 45 }, { width: 30 }];
+
+    const title = cover.addRow([document.title]);
+    title.font = { bold: true, size: 14 };
+    cover.mergeCells(title.number, 1, title.number, 2);
+    cover.addRow([]);
+
+    document.header.forEach((item) => {
+      const row = cover.addRow([item.label, item.value]);
+      row.getCell(1).font = { color: { argb: 'FF555555' } };
+    });
+
+    document.sections.forEach((section, index) => {
+      const heading = `${index + 1}. ${section.title}`;
+
+      if (section.type === 'table') {
+        const sheet = workbook.addWorksheet(sheetName(heading, used));
+        const headingRow = sheet.addRow([heading]);
+        headingRow.font = { bold: true, size: 12 };
+
+        const headerRow = sheet.addRow(section.columns.map(column => column.label));
+        headerRow.eachCell((cell) => {
+          cell.font = { bold: true, color: { argb: 'FFFFFFFF' } };
+          cell.fill = HEADER_FILL;
+          cell.border = THIN_BORDER;
+        });
+
+        section.rows.forEach((data) => {
+          const row = sheet.addRow(section.columns.map(column => cellValue(data[column.key], column.format)));
+          row.eachCell({ includeEmpty: true }, (cell) => {
+            cell.border = THIN_BORDER;
+          });
+        });
+
+        if (Object.keys(section.totals).length > 0) {
+          const totalRow = sheet.addRow(section.columns.map((column, columnIndex) => {
+            if (section.totals[column.key] !== undefined) {
+              return cellValue(section.totals[column.key], column.format);
+            }
+            return columnIndex === 0 ? document.labels.total : null;
+          }));
+          totalRow.eachCell({ includeEmpty: true }, (cell) => {
+            cell.font = { bold: true };
+            cell.fill = TOTAL_FILL;
+            cell.border = THIN_BORDER;
+          });
+        }
+
+        section.columns.forEach((column, columnIndex) => {
+          const sheetColumn = sheet.getColumn(columnIndex + 1);
+          sheetColumn.width = Math.max(12, Math.min(50, column.label.length + 4));
+          if (NUMBER_FORMATS[column.format]) {
+            sheetColumn.numFmt = NUMBER_FORMATS[column.format];
+          }
+        });
+        sheet.views = [{ state: 'frozen', ySplit: 2 }];
+        return;
+      }
+
+      cover.addRow([]);
+      const headingRow = cover.addRow([heading]);
+      headingRow.font = { bold: true, size: 12, color: { argb: 'FF1F4E79' } };
+
+      if (section.type === 'fields') {
+        section.fields.forEach((field) => {
+          const row = cover.addRow([field.label, cellValue(field.value, field.format)]);
+          if (NUMBER_FORMATS[field.format]) {
+            row.getCell(2).numFmt = NUMBER_FORMATS[field.format];
+          }
+        });
+      }
+
+      if (section.type === 'text') {
+        section.paragraphs.forEach((paragraph) => {
+          const row = cover.addRow([paragraph]);
+          cover.mergeCells(row.number, 1, row.number, 2);
+          row.getCell(1).alignment = { wrapText: true, vertical: 'top' };
+        });
+      }
+    });
+
+    return Buffer.from(await workbook.xlsx.writeBuffer());
+  }
+}
+
+module.exports = new ExcelRenderer();
@@ -0,0 +1,147 @@
+const puppeteer = require('puppeteer');
+const templateEngine = require('../templateEngine');
+const logger = require('../../../utils/logger');
+
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+};
+
+class PdfRenderer {
+  /**
+   * Escape a value for safe inclusion in HTML
+   * @param {*} value - Any value
+   * @returns {string} Escaped text
+   */
+  escape(value) {
+    if (value === null || value === undefined) {
+      return '';
+    }
+    return String(value).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+  }
+
+  /**
+   * Render an HTML document to a PDF buffer with headless Chromium.
+   * PUPPETEER_EXECUTABLE_PATH selects the system browser in Docker.
+   * @param {string} html - Complete HTML document
+   * @param {Object} options - page.pdf() options
+   * @returns {Buffer} PDF content
+   */
+  async render(html, options = {}) {
+    const browser = await puppeteer.launch({
+      headless: 'new',
+      args: ['--no-sandbox', '--disable-setuid-sandbox', '--disable-dev-shm-usage']
+    });
+
+    try {
+      const page = await browser.newPage();
+      await page.setContent(html, { waitUntil: 'networkidle0' });
+      const pdf = await page.pdf({
+        format: 'A4',
+        printBackground: true,
+        margin: { top: '20mm', right: '15mm', bottom: '20mm', left: '15mm' },
+        ...options
+      });
+      return Buffer.from(pdf);
+    } catch (error) {
+      logger.error('PDF rendering failed:', error);
+      throw error;
+    } finally {
+      await browser.close();
+    }
+  }
+
+  /**
+   * Render a report document built by the template engine in the IT Park
+   * layout: requisites block, numbered sections and a page footer
+   * @param {Object} document - Document from templateEngine.build()
+   * @returns {Buffer} PDF content
+   */
+  async renderReport(document) {
+    const e = value => this.escape(value);
+    const format = (value, valueFormat) => e(templateEngine.formatValue(value, valueFormat, document.language));
+    const numeric = valueFormat => ['number', 'currency', 'percent'].includes(valueFormat);
+
+    const header = document.header.map(item => `
+      <tr><th>${e(item.label)}</th><td>${e(item.value)}</td></tr>`).join('');
+
+    const sections = document.sections.map((section, index) => {
+      let body = '';
+
+      if (section.type === 'fields') {
+        body = `<table class="fields">${section.fields.map(field => `
+          <tr><th>${e(field.label)}</th><td class="${numeric(field.format) ? 'num' : ''}">${format(field.value, field.format)}</td></tr>`).join('')}
+        </table>`;
+      }
+
+      if (section.type === 'table') {
+        const head = section.columns.map(column => `<th class="${numeric(column.format) ? 'num' : ''}">${e(column.label)}</th>`).join('');
+        const rows = section.rows.map(row => `<tr>${section.columns.map(column => `
+          <td class="${numeric(column.format) ? 'num' : ''}">${format(row[column.key], column.format)}</td>`).join('')}</tr>`).join('');
+        const hasTotals = Object.keys(section.totals).length > 0;
+        const totals = hasTotals ? `<tr class="total">${section.columns.map((column, columnIndex) => {
+          if (section.totals[column.key] !== undefined) {
+            return `<td class="num">${format(section.totals[column.key], column.format)}</td>`;
+          }
+          return `<td>${columnIndex === 0 ? e(document.labels.total) : ''}</td>`;
+        }).join('')}</tr>` : '';
+
+        body = section.rows.length > 0
+          ? `<table class="grid"><thead><tr>${head}</tr></thead><tbody>${rows}${totals}</tbody></table>`
+          : `<p class="empty">${e(document.labels.noData)}</p>`;
+      }
+
+      if (section.type === 'text') {
+        body = section.paragraphs.length > 0
+          ? section.paragraphs.map(paragraph => `<p>${e(paragraph).replace(/\n/g, '<br>')}</p>`).join('')
+          : `<p class="empty">${e(document.labels.noData)}</p>`;
+      }
+
+      return `<section><h2>${index + 1}. ${e(section.title)}</h2>${body}</section>`;
+    }).join('');
+
+    const html = `<!DOCTYPE html>
+<html lang="${e(document.language)}">
+<head>
+  <meta charset="utf-8">
+  <style>
+    body { font-family: "DejaVu Sans", Arial, sans-serif; font-size: 10px; color: #1a1a1a; }
+    h1 { font-size: 16px; text-align: center; margin: 0 0 12px; }
+    h2 { font-size: 12px; margin: 16px 0 6px; border-bottom: 1px solid #1f4e79; color: #1f4e79; }
+    table { width: 100%; border-collapse: collapse; }
+    table.requisites th { text-align: left; width: 35%; font-weight: normal; color: #555; padding: 2px 4px; }
+    table.requisites td { padding: 2px 4px; }
+    table.fields th { text-align: left; width: 60%; font-weight: normal; border-bottom: 1px solid #e0e0e0; padding: 3px 4px; }
+    table.fields td { border-bottom: 1px solid #e0e0e0; padding: 3px 4px; }
+    table.grid th { background: #1f4e79; color: #fff; padding: 4px; text-align: left; }
+    table.grid td { border: 1px solid #d0d0d0; padding: 3px 4px; }
+    table.grid tr.total td { font-weight: bold; background: #f2f2f2; }
+    .num { text-align: right; white-space: nowrap; }
+    .empty { color: #888; font-style: italic; }
+    section { page-break-inside: auto; }
+  </style>
+</head>
+<body>
+  <h1>${e(document.title)}</h1>
+  <table class="requisites">${header}</table>
+  ${sections}
+</body>
+</html>`;
+
+    const footer = `<div style="font-size:8px; width:100%; padding:0 15mm; display:flex; justify-content:space-between; color:#666;">
+      <span>${e(document.footer || '')}</span>
+      <span>${e(document.labels.page)} <span class="pageNumber"></span> ${e(document.labels.of)} <span class="totalPages"></span></span>
+    </div>`;
+
+    return this.render(html, {
+      displayHeaderFooter: true,
+      headerTemplate: '<div></div>',
+      footerTemplate: footer
+    });
+  }
+}
+
+module.exports = new PdfRenderer();
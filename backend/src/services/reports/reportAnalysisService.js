@@ -0,0 +1,148 @@
+const { Op } = require('sequelize');
+const { Report, BusinessTrip, Company, TripExpense, TripReport } = require('../../models');
+const complianceEngine = require('../ai/complianceEngine');
+const complianceRuleService = require('../compliance/complianceRuleService');
+const riskAssessmentService = require('../compliance/riskAssessmentService');
+const violationService = require('../compliance/violationService');
+const exchangeRateService = require('../currency/exchangeRateService');
+const logger = require('../../utils/logger');
+
+/**
+ * Compliance analysis of a report's figures against the IT Park rules that
+ * apply to the company. Results are kept in `reports.ai_analysis`; the
+ * findings are tracked as violation cases and the risk score is recorded as
+ * a company risk assessment.
+ */
+class ReportAnalysisService {
+  /**
+   * Budget of a trip in the company base currency at its start date rate,
+   * or null when it has none or no rate is stored
+   */
+  async budgetInBaseCurrency(trip, baseCurrency) {
+    if (trip.totalBudget === null || trip.totalBudget === undefined) {
+      return null;
+    }
+    try {
+      const converted = await exchangeRateService.convert(trip.totalBudget, trip.currency, baseCurrency, trip.startDate);
+      return converted.amount;
+    } catch (error) {
+      logger.warn(`Budget of trip ${trip.id} not converted to ${baseCurrency}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Business trips the report covers, with their expenses and trip report:
+   * the linked trip of a trip report, otherwise the company's trips that
+   * ended within the reporting period. Each trip gets `totalBudgetBase`,
+   * its budget in the company base currency.
+   * @param {Object} report - Report
+   * @returns {Array} Plain trips
+   */
+  async loadTrips(report) {
+    const where = { companyId: report.companyId };
+    if (report.reportType === 'business_trip') {
+      const tripReport = await TripReport.findOne({ where: { reportId: report.id } });
+      if (!tripReport) {
+        return [];
+      }
+      where.id = tripReport.tripId;
+    } else if (report.reportingPeriodStart && report.reportingPeriodEnd) {
+      where.endDate = { [Op.between]: [report.reportingPeriodStart, report.reportingPeriodEnd] };
+    } else {
+      return [];
+    }
+
+    const [trips, company] = await Promise.all([
+      BusinessTrip.findAll({
+        where,
+        include: [
+          { model: TripExpense, as: 'expenses' },
+          { model: TripReport, as: 'report' }
+        ],
+        order: [['startDate', 'ASC']]
+      }),
+      Company.findByPk(report.companyId, { attributes: ['id', 'baseCurrency'] })
+    ]);
+    const baseCurrency = (company && company.baseCurrency) || exchangeRateService.nationalCurrency;
+
+    const plain = [];
+    for (const trip of trips) {
+      plain.push({
+        ...trip.get({ plain: true }),
+        totalBudgetBase: await this.budgetInBaseCurrency(trip, baseCurrency)
+      });
+    }
+    return plain;
+  }
+
+  /**
+   * Data the compliance engine checks: the report figures, the company's
+   * submission history for this report type and the business trips of the
+   * period
+   * @param {Object} report - Report
+   * @param {Object} options - { asOf } - ignore submissions after this date
+   *   (replaying a historical snapshot)
+   * @returns {Object} Financial data
+   */
+  async buildFinancialData(report, options = {}) {
+    const [lastSubmissionDate, trips] = await Promise.all([
+      Report.max('submittedAt', {
+        where: {
+          companyId: report.companyId,
+          reportType: report.reportType,
+          submittedAt: options.asOf ? { [Op.ne]: null, [Op.lte]: options.asOf } : { [Op.ne]: null }
+        }
+      }),
+      this.loadTrips(report)
+    ]);
+
+    return {
+      ...(report.reportData || {}),
+      reportType: report.reportType,
+      reportingPeriodStart: report.reportingPeriodStart,
+      reportingPeriodEnd: report.reportingPeriodEnd,
+      lastSubmissionDate: lastSubmissionDate || null,
+      trips
+    };
+  }
+
+  /**
+   * Analyze a report and store the result
+   * @param {Object} report - Report
+   * @param {Object} options - { onProgress(percent) }
+   * @returns {Object} Analysis: violations, riskScore, recommendations, insights
+   */
+  async analyze(report, options = {}) {
+    const onProgress = options.onProgress || (async () => {});
+
+    const [financialData, rules, confidenceAdjustments] = await Promise.all([
+      this.buildFinancialData(report),
+      complianceRuleService.getEffectiveRules(report.companyId),
+      violationService.getConfidenceAdjustments(report.companyId)
+    ]);
+    await onProgress(20);
+
+    const analysis = await complianceEngine.analyzeCompliance(financialData, rules, {
+      companyId: report.companyId,
+      confidenceAdjustments
+    });
+    await onProgress(80);
+
+    const cases = await violationService.recordAnalysis(report, analysis);
+    await onProgress(90);
+
+    const assessment = await riskAssessmentService.record(report.companyId, analysis, {
+      assessmentType: 'report_analysis',
+      reportId: report.id
+    });
+
+    const compliance = { ...analysis, cases, riskAssessmentId: assessment.id, analyzedAt: new Date().toISOString() };
+    await report.update({ aiAnalysis: { ...(report.aiAnalysis || {}), compliance } });
+
+    logger.info(`Report ${report.id} analyzed: ${analysis.violations.length} violation(s), risk score ${analysis.riskScore}`);
+    return compliance;
+  }
+}
+
+module.exports = new ReportAnalysisService();
@@ -0,0 +1,155 @@
+const expression = require('../../utils/expression');
+const AppError = require('../../utils/appError');
+
+// Amounts are compared to the tiyin/cent; smaller differences are rounding
+const TOLERANCE = 0.01;
+
+const NET_INCOME = 'coalesce(incomeStatement.netIncome, incomeStatement.revenue - incomeStatement.costOfSales - incomeStatement.operatingExpenses)';
+
+/**
+ * Accounting cross-checks, evaluated against the report context. A check
+ * runs when its `when` expression holds and compares `actual` with
+ * `expected`. Report types listed in `requiredFor` get a warning when the
+ * data for a check is missing, described by `missing`.
+ *
+ * Retained earnings are read from `retainedEarnings: { opening, closing,
+ * dividends }` in the report data.
+ */
+const CONSISTENCY_CHECKS = [
+  {
+    code: 'trial_balance_nets_to_zero',
+    severity: 'blocking',
+    requiredFor: ['quarterly', 'annual'],
+    when: 'count(trialBalance) > 0',
+    actual: 'sum(trialBalance.debit)',
+    expected: 'sum(trialBalance.credit)',
+    message: 'Trial balance does not net to zero: total debits differ from total credits',
+    missing: 'no trial balance'
+  },
+  {
+    code: 'balance_sheet_balances',
+    severity: 'blocking',
+    requiredFor: ['quarterly', 'annual'],
+    when: 'balanceSheet != null',
+    actual: 'coalesce(balanceSheet.totalAssets, balanceSheet.currentAssets + balanceSheet.nonCurrentAssets)',
+    expected: 'balanceSheet.liabilities + balanceSheet.equity',
+    message: 'Balance sheet does not balance: total assets differ from liabilities plus equity',
+    missing: 'no balance sheet'
+  },
+  {
+    code: 'net_income_matches_retained_earnings',
+    severity: 'blocking',
+    requiredFor: ['annual'],
+    when: 'incomeStatement != null && retainedEarnings != null',
+    actual: NET_INCOME,
+    expected: 'retainedEarnings.closing - retainedEarnings.opening + coalesce(retainedEarnings.dividends, 0)',
+    message: 'Net income does not match the movement in retained earnings',
+    missing: 'no income statement or retained earnings'
+  },
+  {
+    code: 'trip_expenses_match_total',
+    severity: 'blocking',
+    requiredFor: ['business_trip'],
+    when: 'trip != null',
+    actual: 'trip.totalExpenses',
+    expected: 'sum(expenses.tripCurrencyAmount)',
+    message: 'Trip expense total differs from the sum of its expenses',
+    missing: 'no linked business trip'
+  },
+  {
+    code: 'trip_base_expenses_match_total',
+    severity: 'blocking',
+    when: 'trip != null',
+    actual: 'trip.totalExpensesBase',
+    expected: 'sum(expenses.baseCurrencyAmount)',
+    message: 'Trip expense total in the base currency differs from the sum of its expenses'
+  }
+];
+
+const round = value => Math.round(value * 100) / 100;
+
+/**
+ * Accounting consistency validation of report data. Runs whenever a report
+ * is generated; the result is kept in `reports.ai_analysis.consistency` and
+ * blocking findings keep the report from being signed.
+ */
+class ReportConsistencyService {
+  /**
+   * Run every applicable check
+   * @param {Object} report - Report
+   * @param {Object} context - Report context from reportGenerator.buildContext()
+   * @returns {Object} { checkedAt, passed, checks: [{ code, status }], findings }
+   */
+  check(report, context) {
+    const checks = [];
+    const findings = [];
+
+    CONSISTENCY_CHECKS.forEach((check) => {
+      if (!expression.evaluate(check.when, context)) {
+        checks.push({ code: check.code, status: 'skipped' });
+        if ((check.requiredFor || []).includes(report.reportType)) {
+          findings.push({
+            code: check.code,
+            severity: 'warning',
+            message: `Not checked: the report data has ${check.missing}`
+          });
+        }
+        return;
+      }
+
+      const actual = round(Number(expression.evaluate(check.actual, context)) || 0);
+      const expected = round(Number(expression.evaluate(check.expected, context)) || 0);
+      const difference = round(actual - expected);
+
+      if (Math.abs(difference) <= TOLERANCE) {
+        checks.push({ code: check.code, status: 'passed' });
+        return;
+      }
+
+      checks.push({ code: check.code, status: 'failed' });
+      findings.push({
+        code: check.code,
+        severity: check.severity,
+        message: check.message,
+        actual,
+        expected,
+        difference
+      });
+    });
+
+    return {
+      checkedAt: new Date().toISOString(),
+      passed: !findings.some(finding => finding.severity === 'blocking'),
+      checks,
+      findings
+    };
+  }
+
+  /**
+   * Blocking findings of the report's last consistency check
+   * @param {Object} report - Report
+   * @returns {Array|null} Findings, or null if the report was never checked
+   */
+  getBlockingFindings(report) {
+    const consistency = report.aiAnalysis && report.aiAnalysis.consistency;
+    if (!consistency) {
+      return null;
+    }
+    return consistency.findings.filter(finding => finding.severity === 'blocking');
+  }
+
+  /**
+   * @throws {AppError} 422 with the findings while blocking findings are open
+   */
+  assertSignable(report) {
+    const blocking = this.getBlockingFindings(report);
+    if (blocking === null) {
+      throw new AppError('Report has not passed the consistency checks; generate it again before signing', 409);
+    }
+    if (blocking.length > 0) {
+      throw new AppError('Report has blocking consistency findings and cannot be signed', 422, blocking);
+    }
+  }
+}
+
+module.exports = new ReportConsistencyService();
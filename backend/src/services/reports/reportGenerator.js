@@ -0,0 +1,235 @@
+const { sequelize, Company, Report, ReportTemplate, TripReport, BusinessTrip, TripExpense } = require('../../models');
+const fileStorage = require('../storage/fileStorage');
+const templateEngine = require('./templateEngine');
+const reportVersionService = require('./reportVersionService');
+const reportConsistencyService = require('./reportConsistencyService');
+const pdfRenderer = require('./renderers/pdfRenderer');
+const excelRenderer = require('./renderers/excelRenderer');
+const AppError = require('../../utils/appError');
+const logger = require('../../utils/logger');
+
+const REPORT_NAMESPACE = 'reports/generated';
+
+// Reports can be (re)rendered until they are signed
+const GENERATABLE_STATUSES = ['draft', 'generated'];
+
+const OUTPUT_FORMATS = {
+  pdf: {
+    extension: '.pdf',
+    mimeType: 'application/pdf',
+    render: document => pdfRenderer.renderReport(document)
+  },
+  excel: {
+    extension: '.xlsx',
+    mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    render: document => excelRenderer.renderReport(document)
+  },
+  // Compliance packs, assembled by the compliance pack service
+  zip: {
+    extension: '.zip',
+    mimeType: 'application/zip'
+  }
+};
+
+const plain = record => (record && typeof record.get === 'function' ? record.get({ plain: true }) : record);
+
+class ReportGenerator {
+  /**
+   * Collect the data a template can refer to
+   * @param {Object} report - Report
+   * @returns {Object} Context for the template engine
+   */
+  async buildContext(report) {
+    const company = await Company.findByPk(report.companyId);
+    const data = report.reportData || {};
+
+    const context = {
+      ...data,
+      company: plain(company) || {},
+      report: {
+        id: report.id,
+        title: report.title,
+        reportType: report.reportType
+      },
+      period: {
+        start: report.reportingPeriodStart,
+        end: report.reportingPeriodEnd
+      },
+      currency: data.currency || (company && company.baseCurrency) || 'UZS'
+    };
+
+    if (report.reportType === 'business_trip') {
+      const tripReport = await TripReport.findOne({ where: { reportId: report.id } });
+      if (tripReport) {
+        const [trip, expenses] = await Promise.all([
+          BusinessTrip.findByPk(tripReport.tripId),
+          TripExpense.findAll({ where: { tripId: tripReport.tripId }, order: [['expenseDate', 'ASC']] })
+        ]);
+        context.tripReport = plain(tripReport);
+        context.trip = plain(trip);
+        context.expenses = expenses.map(plain);
+        context.currency = data.currency || (trip && trip.currency) || context.currency;
+      }
+    }
+
+    return context;
+  }
+
+  /**
+   * IT Park requisites block printed at the top of every report
+   */
+  buildHeader(document, context) {
+    const { labels, language } = document;
+    const { company, period } = context;
+    const date = value => templateEngine.formatValue(value, 'date', language);
+
+    return [
+      { label: labels.company, value: company.name },
+      { label: labels.legalName, value: company.legalName },
+      { label: labels.taxId, value: company.taxId },
+      { label: labels.registrationNumber, value: company.registrationNumber },
+      { label: labels.residentSince, value: date(company.itParkResidentSince) },
+      { label: labels.reportingPeriod, value: period.start || period.end ? `${date(period.start)} - ${date(period.end)}` : '' },
+      { label: labels.currency, value: context.currency },
+      { label: labels.generatedAt, value: date(new Date()) }
+    ].filter(item => item.value);
+  }
+
+  /**
+   * Build a render-ready document: template output plus the IT Park header
+   * and footer
+   * @param {Object} templateData - Template definition
+   * @param {Object} context - Context from buildContext()
+   * @param {Object} report - Report
+   * @param {string} language - Requested language
+   * @returns {Object} Document
+   */
+  buildDocument(templateData, context, report, language) {
+    const document = templateEngine.build(templateData, context, {
+      language,
+      title: report.title
+    });
+    document.title = document.title || report.title;
+    document.header = this.buildHeader(document, context);
+    document.footer = `${context.company.name || ''} · ${report.title}`;
+    return document;
+  }
+
+  /**
+   * Render a document to a file buffer
+   * @param {Object} document - Document from buildDocument()
+   * @param {string} format - pdf or excel
+   * @returns {Buffer} File content
+   */
+  async render(document, format) {
+    return OUTPUT_FORMATS[format].render(document);
+  }
+
+  /**
+   * Reject reports that can no longer be (re)generated
+   * @throws {AppError} 409 once the report is signed
+   */
+  assertGeneratable(report) {
+    if (!GENERATABLE_STATUSES.includes(report.status)) {
+      throw new AppError(`A ${report.status} report can no longer be generated`, 409);
+    }
+  }
+
+  /**
+   * Render a report from its template into PDF and/or XLSX, store the files
+   * with their SHA-256 hash, record the generation as a new report version
+   * and move the report from draft to generated. The accounting consistency
+   * checks run on the same data and are stored with the report.
+   * @param {Object} report - Report
+   * @param {Object} user - User generating the report
+   * @param {Object} options - { language, onProgress(percent) }
+   * @returns {Object} Updated report
+   */
+  async generate(report, user, options = {}) {
+    const onProgress = options.onProgress || (async () => {});
+
+    this.assertGeneratable(report);
+    if (!report.templateId) {
+      throw new AppError('Report has no template', 422);
+    }
+
+    const template = await ReportTemplate.findByPk(report.templateId);
+    if (!template || !template.isActive) {
+      throw new AppError('Report template not found or inactive', 422);
+    }
+
+    const context = await this.buildContext(report);
+    const consistency = reportConsistencyService.check(report, context);
+    const document = this.buildDocument(template.templateData, context, report, options.language);
+    await onProgress(10);
+
+    const formats = template.format === 'both' ? ['pdf', 'excel'] : [template.format];
+    const files = [];
+    for (const [index, format] of formats.entries()) {
+      const content = await this.render(document, format);
+      const stored = await fileStorage.save(content, {
+        namespace: REPORT_NAMESPACE,
+        extension: OUTPUT_FORMATS[format].extension
+      });
+      files.push({
+        format,
+        path: stored.relativePath,
+        hash: stored.hash,
+        size: stored.size,
+        language: document.language
+      });
+      await onProgress(10 + (80 * (index + 1)) / formats.length);
+    }
+
+    const updated = await sequelize.transaction(async (transaction) => {
+      const current = await Report.findByPk(report.id, { transaction, lock: transaction.LOCK.UPDATE });
+      if (!GENERATABLE_STATUSES.includes(current.status)) {
+        throw new AppError(`Report became ${current.status} while it was being generated`, 409);
+      }
+
+      const generated = await current.update({
+        status: 'generated',
+        filePath: files[0].path,
+        fileHash: files[0].hash,
+        files,
+        generatedBy: user.id,
+        generatedAt: new Date(),
+        aiAnalysis: { ...(current.aiAnalysis || {}), consistency }
+      }, { transaction });
+      await reportVersionService.record(generated, { template, user, transaction });
+      return generated;
+    });
+
+    logger.info(`Report ${report.id} generated as ${formats.join(' + ')} (${document.language})`);
+    if (!consistency.passed) {
+      logger.warn(`Report ${report.id} has blocking consistency findings: ${consistency.findings.map(finding => finding.code).join(', ')}`);
+    }
+    return updated;
+  }
+
+  /**
+   * Locate a rendered report file for download
+   * @param {Object} report - Report
+   * @param {string} format - pdf, excel or zip; defaults to the primary file
+   * @param {Object} version - Earlier report version; defaults to the current files
+   * @returns {Object} { absolutePath, mimeType, fileName }
+   */
+  async getFile(report, format, version = null) {
+    const files = (version ? version.files : report.files) || [];
+    const file = format ? files.find(candidate => candidate.format === format) : files[0];
+
+    if (!file || !(await fileStorage.exists(file.path))) {
+      throw new AppError(format ? `No ${format} file has been generated for this report` : 'Report has not been generated', 404);
+    }
+
+    const safeTitle = report.title.replace(/[^\w\-. ]+/g, '').trim().replace(/\s+/g, '_') || 'report';
+    const suffix = version ? `_v${version.versionNumber}` : '';
+    return {
+      absolutePath: fileStorage.resolve(file.path),
+      mimeType: OUTPUT_FORMATS[file.format].mimeType,
+      fileName: `${safeTitle}${suffix}${OUTPUT_FORMATS[file.format].extension}`
+    };
+  }
+}
+
+module.exports = new ReportGenerator();
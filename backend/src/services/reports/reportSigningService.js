@@ -0,0 +1,81 @@
+const { sequelize, Company, User, Report } = require('../../models');
+const fileStorage = require('../storage/fileStorage');
+const eimzoService = require('../esignature/eimzoService');
+const reportVersionService = require('./reportVersionService');
+const reportConsistencyService = require('./reportConsistencyService');
+const eventBus = require('../events/eventBus');
+const AppError = require('../../utils/appError');
+const logger = require('../../utils/logger');
+
+/**
+ * E-signature of generated reports. A signature always covers one report
+ * version; signed versions are protected from deletion. Reports with
+ * blocking consistency findings cannot be signed.
+ */
+class ReportSigningService {
+  /**
+   * Sign the current version of a generated report with E-Imzo and mark
+   * the report signed
+   * @param {Object} report - Report
+   * @param {Object} user - Signing user
+   * @param {Object} options - { certificateSerial }
+   * @returns {Object} Updated report
+   */
+  async sign(report, user, options = {}) {
+    if (report.status !== 'generated') {
+      throw new AppError(`A ${report.status} report cannot be signed`, 409);
+    }
+    reportConsistencyService.assertSignable(report);
+
+    const latest = await reportVersionService.getLatestVersion(report);
+    if (!latest || latest.fileHash !== report.fileHash) {
+      throw new AppError('Report has no generated version to sign', 409);
+    }
+
+    const [signer, company] = await Promise.all([
+      User.findByPk(user.id),
+      Company.findByPk(report.companyId)
+    ]);
+    const result = await eimzoService.signDocument(fileStorage.resolve(latest.filePath), {
+      name: `${signer.firstName} ${signer.lastName}`,
+      position: signer.role,
+      organization: company ? company.name : null,
+      certificateSerial: options.certificateSerial
+    });
+    if (!result.success) {
+      throw new AppError(`E-signature failed: ${result.error}`, 502);
+    }
+
+    const signatureData = {
+      provider: 'eimzo',
+      signatureId: result.signatureId,
+      signaturePath: result.signaturePath,
+      documentHash: result.documentHash,
+      signerInfo: result.signerInfo,
+      versionNumber: latest.versionNumber
+    };
+
+    const updated = await sequelize.transaction(async (transaction) => {
+      const current = await Report.findByPk(report.id, { transaction, lock: transaction.LOCK.UPDATE });
+      if (current.status !== 'generated' || current.fileHash !== latest.fileHash) {
+        throw new AppError('Report changed while it was being signed', 409);
+      }
+
+      const signedAt = new Date(result.signedAt);
+      await latest.update({ signedBy: user.id, signedAt, signatureData }, { transaction });
+      await eventBus.publish('report.signed', {
+        companyId: current.companyId,
+        aggregateType: 'report',
+        aggregateId: current.id,
+        userId: user.id,
+        payload: { versionNumber: latest.versionNumber }
+      }, { transaction });
+      return current.update({ status: 'signed', signedAt, signatureData }, { transaction });
+    });
+
+    logger.info(`Report ${report.id} version ${latest.versionNumber} signed by ${user.id}`);
+    return updated;
+  }
+}
+
+module.exports = new ReportSigningService();
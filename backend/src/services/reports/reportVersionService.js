@@ -0,0 +1,206 @@
+const crypto = require('crypto');
+const { sequelize, Report, ReportVersion } = require('../../models');
+const AppError = require('../../utils/appError');
+const logger = require('../../utils/logger');
+
+// Columns of the version list; snapshots can be large
+const LIST_ATTRIBUTES = { exclude: ['snapshot', 'packManifest'] };
+
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * JSON with sorted object keys, so equal data always hashes the same
+ */
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (isObject(value)) {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+/**
+ * Field-level differences between two JSON values
+ * @returns {Array} [{ path, change: added|removed|changed, from, to }]
+ */
+const diffValues = (before, after, path = '') => {
+  if (Array.isArray(before) && Array.isArray(after)) {
+    const length = Math.max(before.length, after.length);
+    return [...Array(length).keys()]
+      .flatMap(index => diffValues(before[index], after[index], `${path}[${index}]`));
+  }
+  if (isObject(before) && isObject(after)) {
+    const keys = [...new Set([...Object.keys(before), ...Object.keys(after)])].sort();
+    return keys.flatMap(key => diffValues(before[key], after[key], path ? `${path}.${key}` : key));
+  }
+
+  if (before === undefined && after === undefined) {
+    return [];
+  }
+  if (before === undefined) {
+    return [{ path, change: 'added', to: after }];
+  }
+  if (after === undefined) {
+    return [{ path, change: 'removed', from: before }];
+  }
+  if (canonicalJson(before) === canonicalJson(after)) {
+    return [];
+  }
+  return [{ path, change: 'changed', from: before, to: after }];
+};
+
+const summarize = version => ({
+  versionNumber: version.versionNumber,
+  generatedAt: version.generatedAt,
+  generatedBy: version.generatedBy,
+  snapshotHash: version.snapshotHash,
+  fileHash: version.fileHash,
+  signedAt: version.signedAt
+});
+
+/**
+ * Report versions (TR-1.6): every generation is kept with the input it was
+ * rendered from, so earlier files stay available and auditors can see what
+ * changed between two generations.
+ */
+class ReportVersionService {
+  /**
+   * Input a report is rendered from
+   * @param {Object} report - Report
+   * @param {Object} template - Report template, if any
+   * @returns {Object} Snapshot
+   */
+  buildSnapshot(report, template) {
+    return {
+      title: report.title,
+      reportType: report.reportType,
+      reportingPeriodStart: report.reportingPeriodStart,
+      reportingPeriodEnd: report.reportingPeriodEnd,
+      reportData: report.reportData || {},
+      template: template ? {
+        id: template.id,
+        name: template.name,
+        format: template.format,
+        templateData: template.templateData
+      } : null
+    };
+  }
+
+  /**
+   * Record a generation as the next version. Runs inside the generating
+   * transaction, which holds the lock on the report row.
+   * @param {Object} report - Report, already updated with the new files
+   * @param {Object} options - { template, user, transaction }
+   * @returns {Object} Created version
+   */
+  async record(report, { template, user, transaction }) {
+    const latest = await ReportVersion.max('versionNumber', { where: { reportId: report.id }, transaction });
+    const snapshot = this.buildSnapshot(report, template);
+
+    const version = await ReportVersion.create({
+      reportId: report.id,
+      versionNumber: (latest || 0) + 1,
+      snapshot,
+      snapshotHash: crypto.createHash('sha256').update(canonicalJson(snapshot)).digest('hex'),
+      filePath: report.filePath,
+      fileHash: report.fileHash,
+      files: report.files,
+      packManifest: report.packManifest,
+      generatedBy: user.id,
+      generatedAt: report.generatedAt
+    }, { transaction });
+
+    logger.info(`Report ${report.id} version ${version.versionNumber} recorded`);
+    return version;
+  }
+
+  /**
+   * Versions of a report, newest first
+   */
+  async listVersions(report) {
+    return ReportVersion.findAll({
+      where: { reportId: report.id },
+      attributes: LIST_ATTRIBUTES,
+      order: [['versionNumber', 'DESC']]
+    });
+  }
+
+  /**
+   * Load one version of a report
+   * @throws {AppError} 404 when the version does not exist
+   */
+  async getVersion(report, versionNumber, options = {}) {
+    const version = await ReportVersion.findOne({
+      where: { reportId: report.id, versionNumber },
+      ...options
+    });
+    if (!version) {
+      throw new AppError(`Version ${versionNumber} of this report not found`, 404);
+    }
+    return version;
+  }
+
+  /**
+   * Most recent version of a report, or null before the first generation
+   */
+  async getLatestVersion(report, options = {}) {
+    return ReportVersion.findOne({
+      where: { reportId: report.id },
+      order: [['versionNumber', 'DESC']],
+      ...options
+    });
+  }
+
+  /**
+   * Field-level diff between two versions of a report
+   * @param {Object} report - Report
+   * @param {number} fromVersion - Older version number
+   * @param {number} toVersion - Newer version number
+   * @returns {Object} { from, to, filesChanged, changes }
+   */
+  async diff(report, fromVersion, toVersion) {
+    const [from, to] = await Promise.all([
+      this.getVersion(report, fromVersion),
+      this.getVersion(report, toVersion)
+    ]);
+
+    return {
+      from: summarize(from),
+      to: summarize(to),
+      filesChanged: from.fileHash !== to.fileHash,
+      changes: from.snapshotHash === to.snapshotHash ? [] : diffValues(from.snapshot, to.snapshot)
+    };
+  }
+
+  /**
+   * Delete an unsigned, superseded version. Signed versions and the latest
+   * version, whose files the report points to, are kept. Stored files are
+   * left in place since identical content may be shared between versions.
+   */
+  async removeVersion(report, versionNumber) {
+    await sequelize.transaction(async (transaction) => {
+      // Serializes with generation, which adds versions under the same lock
+      await Report.findByPk(report.id, { transaction, lock: transaction.LOCK.UPDATE });
+      const version = await this.getVersion(report, versionNumber, { transaction });
+
+      if (version.signedAt) {
+        throw new AppError('A signed report version cannot be deleted', 409);
+      }
+      const latest = await ReportVersion.max('versionNumber', { where: { reportId: report.id }, transaction });
+      if (version.versionNumber === latest) {
+        throw new AppError('The latest version of a report cannot be deleted', 409);
+      }
+
+      await version.destroy({ transaction });
+    });
+
+    logger.info(`Report ${report.id} version ${versionNumber} deleted`);
+  }
+}
+
+module.exports = new ReportVersionService();
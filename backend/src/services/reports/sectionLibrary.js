@@ -0,0 +1,172 @@
+/**
+ * Built-in report sections. Templates may list a section by name (as the
+ * seeded IT Park templates do) instead of defining it inline; the name is
+ * expanded to the definition below. Paths and expressions are resolved
+ * against the report context: the report data, `company`, `report`,
+ * `period` and, for trip reports, `trip` and `expenses`.
+ */
+
+const label = (en, ru, uz) => ({ en, ru, uz });
+
+// Labels used by the renderers themselves
+const COMMON_LABELS = {
+  company: label('Company', 'Компания', 'Kompaniya'),
+  legalName: label('Legal name', 'Юридическое наименование', 'Yuridik nomi'),
+  taxId: label('Tax ID (TIN)', 'ИНН', 'STIR'),
+  registrationNumber: label('Registration number', 'Регистрационный номер', "Ro'yxatdan o'tish raqami"),
+  residentSince: label('IT Park resident since', 'Резидент IT Park с', 'IT Park rezidenti'),
+  reportingPeriod: label('Reporting period', 'Отчётный период', 'Hisobot davri'),
+  currency: label('Currency', 'Валюта', 'Valyuta'),
+  generatedAt: label('Generated', 'Сформирован', 'Yaratilgan'),
+  total: label('Total', 'Итого', 'Jami'),
+  page: label('Page', 'Страница', 'Sahifa'),
+  of: label('of', 'из', 'dan'),
+  noData: label('No data', 'Нет данных', "Ma'lumot yo'q"),
+  cover: label('Report', 'Отчёт', 'Hisobot')
+};
+
+const SECTION_LIBRARY = {
+  executive_summary: {
+    title: label('Executive summary', 'Краткое резюме', 'Qisqacha xulosa'),
+    type: 'text',
+    source: 'executiveSummary'
+  },
+  trial_balance: {
+    title: label('Trial balance', 'Оборотно-сальдовая ведомость', 'Aylanma-saldo qaydnomasi'),
+    type: 'table',
+    source: 'trialBalance',
+    columns: [
+      { key: 'account', label: label('Account', 'Счёт', 'Hisob') },
+      { key: 'name', label: label('Name', 'Наименование', 'Nomi') },
+      { key: 'debit', label: label('Debit', 'Дебет', 'Debet'), format: 'currency' },
+      { key: 'credit', label: label('Credit', 'Кредит', 'Kredit'), format: 'currency' }
+    ],
+    totals: ['debit', 'credit']
+  },
+  general_ledger: {
+    title: label('General ledger', 'Главная книга', 'Bosh daftar'),
+    type: 'table',
+    source: 'generalLedger',
+    columns: [
+      { key: 'date', label: label('Date', 'Дата', 'Sana'), format: 'date' },
+      { key: 'account', label: label('Account', 'Счёт', 'Hisob') },
+      { key: 'description', label: label('Description', 'Описание', 'Tavsif') },
+      { key: 'debit', label: label('Debit', 'Дебет', 'Debet'), format: 'currency' },
+      { key: 'credit', label: label('Credit', 'Кредит', 'Kredit'), format: 'currency' }
+    ],
+    totals: ['debit', 'credit']
+  },
+  balance_sheet: {
+    title: label('Balance sheet', 'Бухгалтерский баланс', 'Buxgalteriya balansi'),
+    type: 'fields',
+    fields: [
+      { key: 'currentAssets', source: 'balanceSheet.currentAssets', label: label('Current assets', 'Оборотные активы', 'Aylanma aktivlar'), format: 'currency' },
+      { key: 'nonCurrentAssets', source: 'balanceSheet.nonCurrentAssets', label: label('Non-current assets', 'Внеоборотные активы', 'Uzoq muddatli aktivlar'), format: 'currency' },
+      { key: 'totalAssets', expression: 'coalesce(balanceSheet.totalAssets, balanceSheet.currentAssets + balanceSheet.nonCurrentAssets)', label: label('Total assets', 'Итого активы', 'Jami aktivlar'), format: 'currency' },
+      { key: 'liabilities', source: 'balanceSheet.liabilities', label: label('Liabilities', 'Обязательства', 'Majburiyatlar'), format: 'currency' },
+      { key: 'equity', source: 'balanceSheet.equity', label: label('Equity', 'Собственный капитал', "O'z kapitali"), format: 'currency' }
+    ]
+  },
+  income_statement: {
+    title: label('Income statement', 'Отчёт о финансовых результатах', 'Moliyaviy natijalar hisoboti'),
+    type: 'fields',
+    fields: [
+      { key: 'revenue', source: 'incomeStatement.revenue', label: label('Revenue', 'Выручка', 'Tushum'), format: 'currency' },
+      { key: 'exportRevenue', source: 'incomeStatement.exportRevenue', label: label('Export revenue', 'Экспортная выручка', 'Eksport tushumi'), format: 'currency' },
+      { key: 'costOfSales', source: 'incomeStatement.costOfSales', label: label('Cost of sales', 'Себестоимость продаж', 'Sotish tannarxi'), format: 'currency' },
+      { key: 'grossProfit', expression: 'incomeStatement.revenue - incomeStatement.costOfSales', label: label('Gross profit', 'Валовая прибыль', 'Yalpi foyda'), format: 'currency' },
+      { key: 'operatingExpenses', source: 'incomeStatement.operatingExpenses', label: label('Operating expenses', 'Операционные расходы', 'Operatsion xarajatlar'), format: 'currency' },
+      { key: 'netIncome', expression: 'coalesce(incomeStatement.netIncome, incomeStatement.revenue - incomeStatement.costOfSales - incomeStatement.operatingExpenses)', label: label('Net income', 'Чистая прибыль', 'Sof foyda'), format: 'currency' }
+    ]
+  },
+  cash_flow: {
+    title: label('Cash flow statement', 'Отчёт о движении денежных средств', "Pul oqimlari to'g'risida hisobot"),
+    type: 'fields',
+    fields: [
+      { key: 'operating', source: 'cashFlow.operating', label: label('Operating activities', 'Операционная деятельность', 'Operatsion faoliyat'), format: 'currency' },
+      { key: 'investing', source: 'cashFlow.investing', label: label('Investing activities', 'Инвестиционная деятельность', 'Investitsion faoliyat'), format: 'currency' },
+      { key: 'financing', source: 'cashFlow.financing', label: label('Financing activities', 'Финансовая деятельность', 'Moliyaviy faoliyat'), format: 'currency' },
+      { key: 'netCashFlow', expression: 'cashFlow.operating + cashFlow.investing + cashFlow.financing', label: label('Net cash flow', 'Чистый денежный поток', 'Sof pul oqimi'), format: 'currency' }
+    ]
+  },
+  financial_statements: {
+    title: label('Financial statements', 'Финансовая отчётность', 'Moliyaviy hisobot'),
+    type: 'fields',
+    fields: [
+      { key: 'revenue', source: 'incomeStatement.revenue', label: label('Revenue', 'Выручка', 'Tushum'), format: 'currency' },
+      { key: 'netIncome', source: 'incomeStatement.netIncome', label: label('Net income', 'Чистая прибыль', 'Sof foyda'), format: 'currency' },
+      { key: 'totalAssets', source: 'balanceSheet.totalAssets', label: label('Total assets', 'Итого активы', 'Jami aktivlar'), format: 'currency' },
+      { key: 'equity', source: 'balanceSheet.equity', label: label('Equity', 'Собственный капитал', "O'z kapitali"), format: 'currency' },
+      { key: 'employees', source: 'headcount', label: label('Employees', 'Численность работников', 'Xodimlar soni'), format: 'number' }
+    ]
+  },
+  tax_compliance: {
+    title: label('Tax compliance', 'Налоговое соответствие', 'Soliq talablariga muvofiqlik'),
+    type: 'table',
+    source: 'taxPayments',
+    columns: [
+      { key: 'tax', label: label('Tax', 'Налог', 'Soliq') },
+      { key: 'period', label: label('Period', 'Период', 'Davr') },
+      { key: 'amount', label: label('Amount', 'Сумма', 'Summa'), format: 'currency' },
+      { key: 'paidOn', label: label('Paid on', 'Дата оплаты', "To'langan sana"), format: 'date' },
+      { key: 'status', label: label('Status', 'Статус', 'Holat') }
+    ],
+    totals: ['amount']
+  },
+  audit_findings: {
+    title: label('Audit findings', 'Результаты аудита', 'Audit natijalari'),
+    type: 'table',
+    source: 'auditFindings',
+    columns: [
+      { key: 'finding', label: label('Finding', 'Замечание', 'Kamchilik') },
+      { key: 'severity', label: label('Severity', 'Критичность', 'Jiddiylik') },
+      { key: 'status', label: label('Status', 'Статус', 'Holat') }
+    ]
+  },
+  trip_summary: {
+    title: label('Trip summary', 'Сведения о командировке', "Xizmat safari ma'lumotlari"),
+    type: 'fields',
+    fields: [
+      { key: 'tripTitle', source: 'trip.tripTitle', label: label('Trip', 'Командировка', 'Safar') },
+      { key: 'destination', source: 'trip.destination', label: label('Destination', 'Место назначения', 'Manzil') },
+      { key: 'startDate', source: 'trip.startDate', label: label('Start date', 'Дата начала', 'Boshlanish sanasi'), format: 'date' },
+      { key: 'endDate', source: 'trip.endDate', label: label('End date', 'Дата окончания', 'Tugash sanasi'), format: 'date' },
+      { key: 'purpose', source: 'trip.purpose', label: label('Purpose', 'Цель', 'Maqsad') },
+      { key: 'summary', source: 'tripReport.summary', label: label('Summary', 'Итоги', 'Xulosa') }
+    ]
+  },
+  expenses: {
+    title: label('Expenses', 'Расходы', 'Xarajatlar'),
+    type: 'table',
+    source: 'expenses',
+    columns: [
+      { key: 'expenseDate', label: label('Date', 'Дата', 'Sana'), format: 'date' },
+      { key: 'category', label: label('Category', 'Категория', 'Toifa') },
+      { key: 'description', label: label('Description', 'Описание', 'Tavsif') },
+      { key: 'amount', label: label('Amount', 'Сумма', 'Summa'), format: 'currency' },
+      { key: 'currency', label: label('Currency', 'Валюта', 'Valyuta') },
+      { key: 'tripCurrencyAmount', label: label('In trip currency', 'В валюте командировки', 'Safar valyutasida'), format: 'currency' }
+    ],
+    totals: ['tripCurrencyAmount']
+  },
+  receipts: {
+    title: label('Receipts', 'Подтверждающие документы', 'Tasdiqlovchi hujjatlar'),
+    type: 'table',
+    source: 'expenses',
+    columns: [
+      { key: 'expenseDate', label: label('Date', 'Дата', 'Sana'), format: 'date' },
+      { key: 'description', label: label('Description', 'Описание', 'Tavsif') },
+      { key: 'receiptOriginalName', label: label('Receipt', 'Документ', 'Hujjat') }
+    ]
+  },
+  outcomes: {
+    title: label('Outcomes', 'Результаты', 'Natijalar'),
+    type: 'text',
+    source: ['tripReport.achievements', 'tripReport.recommendations']
+  }
+};
+
+module.exports = {
+  COMMON_LABELS,
+  SECTION_LIBRARY
+};
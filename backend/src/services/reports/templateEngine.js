@@ -0,0 +1,343 @@
+const expression = require('../../utils/expression');
+const AppError = require('../../utils/appError');
+const { COMMON_LABELS, SECTION_LIBRARY } = require('./sectionLibrary');
+
+const LANGUAGES = ['en', 'ru', 'uz'];
+const SECTION_TYPES = ['fields', 'table', 'text'];
+const VALUE_FORMATS = ['text', 'number', 'currency', 'percent', 'date'];
+
+const NUMBER_LOCALES = {
+  en: 'en-US',
+  ru: 'ru-RU',
+  uz: 'uz-Latn-UZ'
+};
+
+const isLabel = value => typeof value === 'string'
+  || (value && typeof value === 'object' && !Array.isArray(value) && Object.values(value).every(v => typeof v === 'string'));
+
+/**
+ * Turns a report template definition (report_templates.template_data) plus a
+ * data context into a renderer-neutral document: localized titles and
+ * labels, resolved field values, table rows and totals.
+ *
+ * template_data:
+ *   {
+ *     "title": { "en": "...", "ru": "...", "uz": "..." },
+ *     "defaultLanguage": "ru",
+ *     "labels": { "total": { "en": "Total" } },
+ *     "computed": { "margin": "round(incomeStatement.netIncome / incomeStatement.revenue * 100, 1)" },
+ *     "sections": [
+ *       "trial_balance",
+ *       { "key": "kpi", "title": "KPIs", "type": "fields",
+ *         "fields": [{ "key": "margin", "source": "computed.margin", "label": "Net margin", "format": "percent" }] },
+ *       { "key": "staff", "type": "table", "source": "staff", "condition": "count(staff) > 0",
+ *         "columns": [{ "key": "name", "label": "Name" }, { "key": "salary", "format": "currency" }],
+ *         "totals": ["salary"] },
+ *       { "key": "notes", "type": "text", "source": "notes" }
+ *     ]
+ *   }
+ *
+ * Sections given by name are taken from the built-in section library.
+ */
+class TemplateEngine {
+  /**
+   * Pick the text of a localized label
+   * @param {string|Object} value - Plain string or { en, ru, uz }
+   * @param {string} language - Preferred language
+   * @returns {string} Text
+   */
+  label(value, language) {
+    if (value === null || value === undefined) {
+      return '';
+    }
+    if (typeof value === 'string') {
+      return value;
+    }
+    return value[language] || value.en || Object.values(value)[0] || '';
+  }
+
+  /**
+   * Expand named sections and fill in defaults
+   * @param {Object} templateData - Template definition
+   * @returns {Object} Normalized template
+   */
+  normalize(templateData = {}) {
+    const sections = (templateData.sections || []).map((section) => {
+      if (typeof section === 'string') {
+        return { key: section, ...SECTION_LIBRARY[section] };
+      }
+      const base = section.extends ? SECTION_LIBRARY[section.extends] : {};
+      return { ...base, ...section };
+    });
+
+    return {
+      title: templateData.title,
+      defaultLanguage: LANGUAGES.includes(templateData.defaultLanguage) ? templateData.defaultLanguage : 'en',
+      labels: { ...COMMON_LABELS, ...(templateData.labels || {}) },
+      computed: templateData.computed || {},
+      sections
+    };
+  }
+
+  /**
+   * Check a template definition; every problem is reported with its path
+   * @param {Object} templateData - Template definition
+   * @returns {Array} [{ path, message }]
+   */
+  validate(templateData) {
+    const errors = [];
+    const error = (path, message) => errors.push({ path, message });
+    const checkExpression = (path, source) => {
+      try {
+        expression.parse(source);
+      } catch (parseError) {
+        error(path, parseError.message);
+      }
+    };
+
+    if (!templateData || typeof templateData !== 'object' || Array.isArray(templateData)) {
+      return [{ path: '', message: 'Template data must be an object' }];
+    }
+    if (templateData.title !== undefined && !isLabel(templateData.title)) {
+      error('title', 'Title must be a string or a { language: text } object');
+    }
+    if (templateData.defaultLanguage !== undefined && !LANGUAGES.includes(templateData.defaultLanguage)) {
+      error('defaultLanguage', `Language must be one of ${LANGUAGES.join(', ')}`);
+    }
+    Object.entries(templateData.labels || {}).forEach(([key, value]) => {
+      if (!isLabel(value)) {
+        error(`labels.${key}`, 'Label must be a string or a { language: text } object');
+      }
+    });
+    Object.entries(templateData.computed || {}).forEach(([key, source]) => {
+      checkExpression(`computed.${key}`, source);
+    });
+
+    if (!Array.isArray(templateData.sections) || templateData.sections.length === 0) {
+      error('sections', 'At least one section is required');
+      return errors;
+    }
+
+    templateData.sections.forEach((raw, index) => {
+      const path = `sections[${index}]`;
+
+      if (typeof raw === 'string') {
+        if (!SECTION_LIBRARY[raw]) {
+          error(path, `Unknown section "${raw}". Built-in sections: ${Object.keys(SECTION_LIBRARY).join(', ')}`);
+        }
+        return;
+      }
+      if (!raw || typeof raw !== 'object') {
+        error(path, 'Section must be a name or an object');
+        return;
+      }
+      if (raw.extends && !SECTION_LIBRARY[raw.extends]) {
+        error(`${path}.extends`, `Unknown section "${raw.extends}"`);
+        return;
+      }
+
+      const section = { ...(raw.extends ? SECTION_LIBRARY[raw.extends] : {}), ...raw };
+      if (!section.key) {
+        error(`${path}.key`, 'Section key is required');
+      }
+      if (!SECTION_TYPES.includes(section.type)) {
+        error(`${path}.type`, `Section type must be one of ${SECTION_TYPES.join(', ')}`);
+        return;
+      }
+      if (section.title !== undefined && !isLabel(section.title)) {
+        error(`${path}.title`, 'Title must be a string or a { language: text } object');
+      }
+      if (section.condition !== undefined) {
+        checkExpression(`${path}.condition`, section.condition);
+      }
+
+      if (section.type === 'fields') {
+        if (!Array.isArray(section.fields) || section.fields.length === 0) {
+          error(`${path}.fields`, 'A fields section needs at least one field');
+          return;
+        }
+        section.fields.forEach((field, fieldIndex) => {
+          const fieldPath = `${path}.fields[${fieldIndex}]`;
+          if (!field || !field.key) {
+            error(`${fieldPath}.key`, 'Field key is required');
+            return;
+          }
+          if (field.expression !== undefined) {
+            checkExpression(`${fieldPath}.expression`, field.expression);
+          }
+          if (field.format !== undefined && !VALUE_FORMATS.includes(field.format)) {
+            error(`${fieldPath}.format`, `Format must be one of ${VALUE_FORMATS.join(', ')}`);
+          }
+        });
+      }
+
+      if (section.type === 'table') {
+        if (typeof section.source !== 'string') {
+          error(`${path}.source`, 'A table section needs a source path');
+        }
+        if (!Array.isArray(section.columns) || section.columns.length === 0) {
+          error(`${path}.columns`, 'A table section needs at least one column');
+          return;
+        }
+        const keys = section.columns.map(column => column && column.key);
+        section.columns.forEach((column, columnIndex) => {
+          if (!column || !column.key) {
+            error(`${path}.columns[${columnIndex}].key`, 'Column key is required');
+          } else if (column.format !== undefined && !VALUE_FORMATS.includes(column.format)) {
+            error(`${path}.columns[${columnIndex}].format`, `Format must be one of ${VALUE_FORMATS.join(', ')}`);
+          }
+        });
+        (section.totals || []).forEach((key) => {
+          if (!keys.includes(key)) {
+            error(`${path}.totals`, `Total column "${key}" is not a column of the table`);
+          }
+        });
+      }
+
+      if (section.type === 'text') {
+        const sources = Array.isArray(section.source) ? section.source : [section.source];
+        if (sources.length === 0 || sources.some(source => typeof source !== 'string')) {
+          error(`${path}.source`, 'A text section needs a source path or a list of paths');
+        }
+      }
+    });
+
+    return errors;
+  }
+
+  /**
+   * Throw a 422 listing every problem of an invalid template
+   */
+  assertValid(templateData) {
+    const errors = this.validate(templateData);
+    if (errors.length > 0) {
+      throw new AppError('Invalid report template', 422, errors);
+    }
+  }
+
+  /**
+   * Render-ready value of a field: computed expression or data path
+   */
+  resolveField(field, section, context) {
+    if (field.expression) {
+      return expression.evaluate(field.expression, context);
+    }
+    const source = field.source || (typeof section.source === 'string' ? `${section.source}.${field.key}` : field.key);
+    return expression.resolvePath(context, source.split('.'));
+  }
+
+  /**
+   * Build the document for a template and data context
+   * @param {Object} templateData - Template definition
+   * @param {Object} context - Report data, company, report, period, ...
+   * @param {Object} options - { language, title }
+   * @returns {Object} Document consumed by the PDF and Excel renderers
+   */
+  build(templateData, context, options = {}) {
+    this.assertValid(templateData);
+
+    const template = this.normalize(templateData);
+    const language = LANGUAGES.includes(options.language) ? options.language : template.defaultLanguage;
+    const labels = Object.keys(template.labels).reduce((acc, key) => {
+      acc[key] = this.label(template.labels[key], language);
+      return acc;
+    }, {});
+
+    // Computed values may build on each other, in definition order
+    const scope = { ...context, computed: {} };
+    Object.entries(template.computed).forEach(([key, source]) => {
+      scope.computed[key] = expression.evaluate(source, scope);
+    });
+
+    const sections = template.sections
+      .filter(section => !section.condition || expression.evaluate(section.condition, scope))
+      .map((section) => {
+        const built = {
+          key: section.key,
+          type: section.type,
+          title: this.label(section.title, language) || section.key
+        };
+
+        if (section.type === 'fields') {
+          built.fields = section.fields.map(field => ({
+            key: field.key,
+            label: this.label(field.label, language) || field.key,
+            format: field.format || 'text',
+            value: this.resolveField(field, section, scope)
+          }));
+        }
+
+        if (section.type === 'table') {
+          const rows = expression.resolvePath(scope, section.source.split('.'));
+          built.columns = section.columns.map(column => ({
+            key: column.key,
+            label: this.label(column.label, language) || column.key,
+            format: column.format || 'text'
+          }));
+          built.rows = Array.isArray(rows) ? rows.map(row => (row && typeof row.get === 'function' ? row.get({ plain: true }) : row)) : [];
+          built.totals = (section.totals || []).reduce((acc, key) => {
+            acc[key] = expression.FUNCTIONS.sum(built.rows.map(row => row[key]));
+            return acc;
+          }, {});
+        }
+
+        if (section.type === 'text') {
+          const sources = Array.isArray(section.source) ? section.source : [section.source];
+          built.paragraphs = sources
+            .map(source => expression.resolvePath(scope, source.split('.')))
+            .filter(value => value !== null && value !== undefined && value !== '')
+            .map(String);
+        }
+
+        return built;
+      });
+
+    return {
+      title: this.label(template.title, language) || options.title || '',
+      language,
+      labels,
+      currency: context.currency,
+      computed: scope.computed,
+      sections
+    };
+  }
+
+  /**
+   * Format a value for display in the report language
+   * @param {*} value - Raw value
+   * @param {string} format - text, number, currency, percent or date
+   * @param {string} language - en, ru or uz
+   * @returns {string} Display text
+   */
+  formatValue(value, format, language) {
+    if (value === null || value === undefined || value === '') {
+      return '';
+    }
+
+    const locale = NUMBER_LOCALES[language] || NUMBER_LOCALES.en;
+    switch (format) {
+      case 'currency':
+        return Number.isNaN(Number(value)) ? String(value) : new Intl.NumberFormat(locale, {
+          minimumFractionDigits: 2,
+          maximumFractionDigits: 2
+        }).format(Number(value));
+      case 'number':
+        return Number.isNaN(Number(value)) ? String(value) : new Intl.NumberFormat(locale).format(Number(value));
+      case 'percent':
+        return Number.isNaN(Number(value)) ? String(value) : `${new Intl.NumberFormat(locale, { maximumFractionDigits: 2 }).format(Number(value))}%`;
+      case 'date': {
+        // IT Park documents use DD.MM.YYYY regardless of language
+        const date = value instanceof Date ? value : new Date(value);
+        if (Number.isNaN(date.getTime())) {
+          return String(value);
+        }
+        const iso = date.toISOString().slice(0, 10);
+        return iso.split('-').reverse().join('.');
+      }
+      default:
+        return String(value);
+    }
+  }
+}
+
+module.exports = new TemplateEngine();
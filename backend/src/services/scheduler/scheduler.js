@@ -0,0 +1,83 @@
+const logger = require('../../utils/logger');
+
+/**
+ * Minimal in-process scheduler for periodic maintenance tasks.
+ * Each task runs once at start-up and then every `intervalMs`;
+ * a run is skipped if the previous one is still in progress.
+ */
+class Scheduler {
+  constructor() {
+    this.tasks = new Map();
+    this.isRunning = false;
+  }
+
+  /**
+   * Register a periodic task
+   * @param {string} name - Unique task name
+   * @param {number} intervalMs - Interval between runs
+   * @param {Function} handler - Async function to run
+   */
+  register(name, intervalMs, handler) {
+    if (this.tasks.has(name)) {
+      throw new Error(`Scheduled task ${name} is already registered`);
+    }
+
+    this.tasks.set(name, { name, intervalMs, handler, timer: null, busy: false });
+
+    if (this.isRunning) {
+      this.startTask(this.tasks.get(name));
+    }
+  }
+
+  /**
+   * Run a task once, logging failures instead of throwing
+   */
+  async runTask(task) {
+    if (task.busy) {
+      logger.warn(`Scheduled task ${task.name} is still running, skipping this run`);
+      return;
+    }
+
+    task.busy = true;
+    try {
+      await task.handler();
+    } catch (error) {
+      logger.error(`Scheduled task ${task.name} failed:`, error);
+    } finally {
+      task.busy = false;
+    }
+  }
+
+  startTask(task) {
+    this.runTask(task);
+    task.timer = setInterval(() => this.runTask(task), task.intervalMs);
+    // Do not keep the process alive just for maintenance tasks
+    task.timer.unref();
+  }
+
+  /**
+   * Start all registered tasks
+   */
+  start() {
+    if (this.isRunning) {
+      return;
+    }
+
+    this.isRunning = true;
+    this.tasks.forEach(task => this.startTask(task));
+    logger.info(`Scheduler started with ${this.tasks.size} task(s)`);
+  }
+
+  /**
+   * Stop all tasks
+   */
+  stop() {
+    this.tasks.forEach(task => {
+      clearInterval(task.timer);
+      task.timer = null;
+    });
+    this.isRunning = false;
+  }
+}
+
+module.exports = new Scheduler();
@@ -0,0 +1,46 @@
+const scheduler = require('./scheduler');
+const tripLifecycle = require('../workflow/tripLifecycle');
+const portalSubmissionService = require('../portal/portalSubmissionService');
+const deadlineService = require('../compliance/deadlineService');
+const eventBus = require('../events/eventBus');
+const { getAdapter } = require('../portal/adapters');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+/**
+ * Register the application's periodic tasks with the scheduler
+ */
+const registerScheduledTasks = () => {
+  scheduler.register(
+    'trip-lifecycle',
+    parseInt(process.env.TRIP_SCHEDULER_INTERVAL_MS, 10) || HOUR,
+    () => tripLifecycle.runScheduledTransitions()
+  );
+
+  scheduler.register(
+    'compliance-deadlines',
+    parseInt(process.env.DEADLINE_SYNC_INTERVAL_MS, 10) || 24 * HOUR,
+    () => deadlineService.syncAll()
+  );
+
+  // Events are dispatched when published; this retries failed handlers
+  scheduler.register(
+    'event-retry',
+    parseInt(process.env.EVENT_RETRY_INTERVAL_MS, 10) || 5 * MINUTE,
+    () => eventBus.dispatchPending()
+  );
+
+  // Outcomes are normally pushed by callback; polling catches missed ones
+  if (getAdapter().isConfigured()) {
+    scheduler.register(
+      'portal-status',
+      parseInt(process.env.ITPARK_PORTAL_POLL_INTERVAL_MS, 10) || 15 * MINUTE,
+      () => portalSubmissionService.pollPending()
+    );
+  }
+};
+
+module.exports = {
+  registerScheduledTasks
+};
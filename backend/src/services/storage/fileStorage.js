@@ -0,0 +1,111 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const logger = require('../../utils/logger');
+
+/**
+ * Content-addressed file storage on the `storage` volume.
+ * Files are stored as <namespace>/<hash[0..1]>/<hash><ext>, so identical
+ * content is written only once.
+ */
+class FileStorage {
+  constructor() {
+    this.rootPath = path.resolve(process.env.STORAGE_PATH || path.join(__dirname, '../../../storage'));
+  }
+
+  /**
+   * Calculate the SHA-256 hash of a buffer
+   * @param {Buffer} buffer - File content
+   * @returns {string} Hex digest
+   */
+  hash(buffer) {
+    return crypto.createHash('sha256').update(buffer).digest('hex');
+  }
+
+  /**
+   * Resolve a stored relative path, refusing paths outside the storage root
+   * @param {string} relativePath - Path relative to the storage root
+   * @returns {string} Absolute path
+   */
+  resolve(relativePath) {
+    const absolutePath = path.resolve(this.rootPath, relativePath);
+    if (!absolutePath.startsWith(this.rootPath + path.sep)) {
+      throw new Error(`Invalid storage path: ${relativePath}`);
+    }
+    return absolutePath;
+  }
+
+  /**
+   * Build the relative path for content with a given hash
+   */
+  pathFor(namespace, hash, extension) {
+    return path.posix.join(namespace, hash.slice(0, 2), `${hash}${extension}`);
+  }
+
+  async exists(relativePath) {
+    try {
+      await fs.access(this.resolve(relativePath));
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Store content, skipping the write when identical content already exists
+   * @param {Buffer} buffer - File content
+   * @param {Object} options - { namespace, extension }
+   * @returns {Object} { hash, relativePath, size, deduplicated }
+   */
+  async save(buffer, { namespace, extension = '' }) {
+    const hash = this.hash(buffer);
+    const relativePath = this.pathFor(namespace, hash, extension);
+
+    if (await this.exists(relativePath)) {
+      return { hash, relativePath, size: buffer.length, deduplicated: true };
+    }
+
+    const absolutePath = this.resolve(relativePath);
+    await fs.mkdir(path.dirname(absolutePath), { recursive: true });
+
+    // Write to a temporary file first so readers never see partial content
+    const tempPath = `${absolutePath}.${process.pid}.tmp`;
+    await fs.writeFile(tempPath, buffer);
+    await fs.rename(tempPath, absolutePath);
+
+    logger.debug(`Stored file ${relativePath} (${buffer.length} bytes)`);
+    return { hash, relativePath, size: buffer.length, deduplicated: false };
+  }
+
+  /**
+   * Store content under a fixed relative path (overwrites)
+   * @param {string} relativePath - Target path
+   * @param {Buffer} buffer - File content
+   */
+  async write(relativePath, buffer) {
+    const absolutePath = this.resolve(relativePath);
+    await fs.mkdir(path.dirname(absolutePath), { recursive: true });
+    await fs.writeFile(absolutePath, buffer);
+    return relativePath;
+  }
+
+  async read(relativePath) {
+    return fs.readFile(this.resolve(relativePath));
+  }
+
+  /**
+   * Remove a stored file; missing files are ignored
+   */
+  async remove(relativePath) {
+    try {
+      await fs.unlink(this.resolve(relativePath));
+      logger.debug(`Removed file ${relativePath}`);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+  }
+}
+
+module.exports = new FileStorage();
@@ -0,0 +1,289 @@
+const { Readable } = require('stream');
+const ExcelJS = require('exceljs');
+const { validationResult } = require('express-validator');
+const { sequelize } = require('../../models');
+const tripLifecycle = require('../workflow/tripLifecycle');
+const expenseService = require('./expenseService');
+const settlementService = require('./settlementService');
+const { expenseFieldValidation } = require('../../validators/expenseValidation');
+const AppError = require('../../utils/appError');
+const logger = require('../../utils/logger');
+
+// Accepted header spellings (lower case, without spaces, dashes and underscores)
+const COLUMN_ALIASES = {
+  category: ['category', 'type', 'expensecategory'],
+  description: ['description', 'desc', 'details', 'comment'],
+  amount: ['amount', 'sum', 'total', 'value'],
+  currency: ['currency', 'ccy', 'currencycode'],
+  expenseDate: ['expensedate', 'date', 'day']
+};
+
+const normalizeHeader = header => String(header || '').toLowerCase().replace(/[\s_\-.]/g, '');
+
+const isXlsx = buffer => buffer.slice(0, 4).equals(Buffer.from([0x50, 0x4b, 0x03, 0x04]));
+
+/**
+ * Plain value of an exceljs cell (rich text, formulas and hyperlinks unwrapped)
+ */
+const cellValue = (value) => {
+  if (value === null || value === undefined) {
+    return undefined;
+  }
+  if (value instanceof Date) {
+    return value.toISOString().slice(0, 10);
+  }
+  if (typeof value === 'object') {
+    if (value.richText) {
+      return value.richText.map(part => part.text).join('');
+    }
+    if (value.result !== undefined) {
+      return cellValue(value.result);
+    }
+    if (value.text !== undefined) {
+      return cellValue(value.text);
+    }
+    return undefined;
+  }
+  if (typeof value === 'string') {
+    const trimmed = value.trim();
+    return trimmed === '' ? undefined : trimmed;
+  }
+  return value;
+};
+
+class ExpenseImportService {
+  constructor() {
+    this.maxFileSize = parseInt(process.env.EXPENSE_IMPORT_MAX_FILE_SIZE, 10) || 2 * 1024 * 1024; // 2MB
+    this.maxRows = parseInt(process.env.EXPENSE_IMPORT_MAX_ROWS, 10) || 500;
+  }
+
+  /**
+   * Load the first worksheet of an uploaded CSV or XLSX file
+   * @param {Object} file - Multer file
+   * @returns {Object} { format, worksheet }
+   */
+  async readWorksheet(file) {
+    if (!file || !file.buffer || file.buffer.length === 0) {
+      throw new AppError('Import file is required', 400);
+    }
+
+    const workbook = new ExcelJS.Workbook();
+
+    if (isXlsx(file.buffer)) {
+      try {
+        await workbook.xlsx.load(file.buffer);
+      } catch (error) {
+        throw new AppError(`Invalid XLSX file: ${error.message}`, 400);
+      }
+      const worksheet = workbook.worksheets[0];
+      if (!worksheet) {
+        throw new AppError('XLSX file has no worksheets', 400);
+      }
+      return { format: 'xlsx', worksheet };
+    }
+
+    const content = file.buffer.toString('utf8').replace(/^\uFEFF/, '');
+    if (content.includes('\u0000')) {
+      throw new AppError('Unsupported import file. Upload a CSV or XLSX file', 415);
+    }
+
+    // Spreadsheets saved with a ru/uz locale use semicolons
+    const headerLine = content.split(/\r?\n/, 1)[0];
+    const delimiter = (headerLine.match(/;/g) || []).length > (headerLine.match(/,/g) || []).length ? ';' : ',';
+
+    try {
+      const worksheet = await workbook.csv.read(Readable.from([content]), {
+        parserOptions: { delimiter, trim: true },
+        // Keep raw strings: the validators decide what is a number or a date
+        map: datum => datum
+      });
+      return { format: 'csv', worksheet };
+    } catch (error) {
+      throw new AppError(`Invalid CSV file: ${error.message}`, 400);
+    }
+  }
+
+  /**
+   * Map the header row to expense fields
+   * @param {Object} headerRow - exceljs row
+   * @returns {Object} { field: columnNumber }
+   */
+  mapColumns(headerRow) {
+    const columns = {};
+
+    headerRow.eachCell((cell, columnNumber) => {
+      const header = normalizeHeader(cellValue(cell.value));
+      const field = Object.keys(COLUMN_ALIASES).find(key => COLUMN_ALIASES[key].includes(header));
+      if (field && !columns[field]) {
+        columns[field] = columnNumber;
+      }
+    });
+
+    const missing = ['category', 'description', 'amount', 'expenseDate'].filter(field => !columns[field]);
+    if (missing.length > 0) {
+      const names = missing.map(field => (field === 'expenseDate' ? 'expense_date' : field));
+      throw new AppError(`Missing required column(s): ${names.join(', ')}`, 400, {
+        expectedColumns: ['category', 'description', 'amount', 'currency', 'expense_date']
+      });
+    }
+
+    return columns;
+  }
+
+  /**
+   * Read the data rows of an import file
+   * @param {Object} file - Multer file
+   * @returns {Object} { format, rows: [{ row, data }] }
+   */
+  async parseFile(file) {
+    const { format, worksheet } = await this.readWorksheet(file);
+    const columns = this.mapColumns(worksheet.getRow(1));
+    const rows = [];
+
+    worksheet.eachRow((row, rowNumber) => {
+      if (rowNumber === 1) {
+        return;
+      }
+
+      const data = Object.keys(columns).reduce((acc, field) => {
+        const value = cellValue(row.getCell(columns[field]).value);
+        if (value !== undefined) {
+          acc[field] = value;
+        }
+        return acc;
+      }, {});
+
+      if (Object.keys(data).length === 0) {
+        return;
+      }
+      if (typeof data.category === 'string') {
+        data.category = data.category.toLowerCase();
+      }
+      if (typeof data.currency === 'string') {
+        data.currency = data.currency.toUpperCase();
+      }
+
+      rows.push({ row: rowNumber, data, errors: [] });
+    });
+
+    if (rows.length === 0) {
+      throw new AppError('Import file contains no expense rows', 400);
+    }
+    if (rows.length > this.maxRows) {
+      throw new AppError(`Import file has ${rows.length} rows; at most ${this.maxRows} are allowed`, 400);
+    }
+
+    return { format, rows };
+  }
+
+  /**
+   * Run the single-expense validation chains against one row
+   * @param {Object} data - Row values
+   * @returns {Array} [{ field, message }]
+   */
+  async validateRow(data) {
+    const req = { body: { ...data } };
+    await Promise.all(expenseFieldValidation.map(chain => chain.run(req)));
+
+    return validationResult(req).array().map(error => ({
+      field: error.path,
+      message: error.msg
+    }));
+  }
+
+  /**
+   * Import the expenses of a CSV or XLSX file. Every valid row is converted
+   * and policy-checked inside one transaction; a dry run rolls it back, a
+   * real import commits all valid rows together. Invalid rows are reported
+   * and skipped.
+   * @param {Object} trip - Business trip
+   * @param {Object} file - Multer file
+   * @param {Object} options - { dryRun }
+   * @returns {Object} Import summary with per-row results
+   */
+  async importExpenses(trip, file, { dryRun = true } = {}) {
+    tripLifecycle.assertExpensesEditable(trip);
+
+    const { format, rows } = await this.parseFile(file);
+    for (const row of rows) {
+      row.errors = await this.validateRow(row.data);
+    }
+
+    const transaction = await sequelize.transaction();
+    try {
+      await settlementService.assertOpen(trip, { transaction });
+      const baseCurrency = await expenseService.getBaseCurrency(trip.companyId, { transaction });
+
+      for (const row of rows.filter(candidate => candidate.errors.length === 0)) {
+        try {
+          row.expense = await expenseService.insertExpense(trip, row.data, baseCurrency, { transaction });
+        } catch (error) {
+          // Missing exchange rates and similar problems belong to the row
+          if (!(error instanceof AppError)) {
+            throw error;
+          }
+          row.errors.push({ field: null, message: error.message });
+        }
+      }
+
+      await expenseService.recalculateTotals(trip, { transaction });
+
+      const inserted = rows.filter(row => row.expense).map(row => row.expense);
+      // Later rows may have changed the cap excess of earlier ones
+      for (const expense of inserted) {
+        await expense.reload({ transaction });
+      }
+      if (!dryRun && inserted.length > 0) {
+        await expenseService.publishExpensesAdded(trip, inserted, { transaction });
+      }
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+
+    const totals = {
+      totalExpenses: Number(trip.totalExpenses) || 0,
+      totalExpensesBase: Number(trip.totalExpensesBase) || 0
+    };
+
+    if (dryRun) {
+      await transaction.rollback();
+      await trip.reload();
+    } else {
+      await transaction.commit();
+    }
+
+    const imported = rows.filter(row => row.errors.length === 0);
+    if (!dryRun) {
+      logger.info(`Imported ${imported.length} expense(s) into trip ${trip.id} from ${format.toUpperCase()} (${rows.length - imported.length} skipped)`);
+    }
+
+    return {
+      dryRun,
+      format,
+      totalRows: rows.length,
+      validRows: imported.length,
+      invalidRows: rows.length - imported.length,
+      currency: trip.currency,
+      totalsAfterImport: totals,
+      rows: rows.map(({ row, data, errors, expense }) => ({
+        row,
+        data,
+        valid: errors.length === 0,
+        errors,
+        ...(expense && {
+          expense: dryRun ? {
+            tripCurrencyAmount: expense.tripCurrencyAmount,
+            exchangeRate: expense.exchangeRate,
+            rateDate: expense.rateDate,
+            isReimbursable: expense.isReimbursable,
+            policyFlags: expense.policyFlags,
+            policyExcessAmount: expense.policyExcessAmount
+          } : expense
+        })
+      }))
+    };
+  }
+}
+
+module.exports = new ExpenseImportService();
@@ -0,0 +1,231 @@
+const { Op } = require('sequelize');
+const { ExpensePolicy, TripExpense } = require('../../models');
+const exchangeRateService = require('../currency/exchangeRateService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round = value => Math.round(value * 100) / 100;
+const hasValue = value => value !== null && value !== undefined;
+
+class ExpensePolicyService {
+  /**
+   * Number of travel days (inclusive) and hotel nights of a trip
+   * @param {Object} trip - Business trip
+   * @returns {Object} { days, nights }
+   */
+  getTripDuration(trip) {
+    const days = Math.round((new Date(trip.endDate) - new Date(trip.startDate)) / DAY_MS) + 1;
+    return {
+      days: Math.max(days, 1),
+      nights: Math.max(days - 1, 0)
+    };
+  }
+
+  /**
+   * Find the most specific active policy for a trip destination:
+   * city and country, then country only, then the company default.
+   * @param {Object} trip - Business trip
+   * @param {Object} options - Sequelize options (transaction)
+   * @returns {Object|null} Policy
+   */
+  async findPolicy(trip, options = {}) {
+    const policies = await ExpensePolicy.findAll({
+      where: { companyId: trip.companyId, isActive: true },
+      ...options
+    });
+
+    const country = (trip.destinationCountry || '').toUpperCase();
+    const city = (trip.destination || '').trim().toLowerCase();
+
+    const score = policy => {
+      if (policy.country && policy.country.toUpperCase() !== country) return -1;
+      if (policy.city && !city.includes(policy.city.trim().toLowerCase())) return -1;
+      return (policy.city ? 2 : 0) + (policy.country ? 1 : 0);
+    };
+
+    return policies
+      .map(policy => ({ policy, score: score(policy) }))
+      .filter(entry => entry.score >= 0)
+      .sort((a, b) => b.score - a.score)
+      .map(entry => entry.policy)[0] || null;
+  }
+
+  /**
+   * Convert a policy amount into the trip currency at a date
+   */
+  async capInTripCurrency(amount, policy, trip, date, options) {
+    const converted = await exchangeRateService.convert(amount, policy.currency, trip.currency, date, options);
+    return converted.amount;
+  }
+
+  /**
+   * Part of a capped total that falls on one expense. The overage is split
+   * pro rata over the expenses sharing the cap, so it does not depend on the
+   * order in which they were entered.
+   */
+  excessShare(amount, total, cap) {
+    if (total <= cap || total <= 0) {
+      return 0;
+    }
+    return round((total - cap) * amount / total);
+  }
+
+  /**
+   * Check an expense against the trip's expense policy. Expenses above a
+   * daily meal or accommodation cap stay reimbursable up to the cap; the
+   * rest is returned as policyExcessAmount.
+   * @param {Object} trip - Business trip
+   * @param {Object} expense - Expense values incl. tripCurrencyAmount (and id when it exists)
+   * @param {Object} options - Sequelize options (transaction)
+   * @returns {Object} { policyId, policyFlags, isReimbursable, policyExcessAmount }
+   */
+  async evaluateExpense(trip, expense, options = {}) {
+    const policy = await this.findPolicy(trip, options);
+    if (!policy) {
+      return { policyId: null, policyFlags: [], isReimbursable: true, policyExcessAmount: 0 };
+    }
+
+    const flags = [];
+    const amount = Number(expense.tripCurrencyAmount);
+    let excess = 0;
+    const others = { tripId: trip.id };
+    if (expense.id) {
+      others.id = { [Op.ne]: expense.id };
+    }
+
+    if ((policy.nonReimbursableCategories || []).includes(expense.category)) {
+      flags.push({
+        code: 'non_reimbursable_category',
+        reason: `${expense.category} expenses are not reimbursable under policy "${policy.name}"`
+      });
+    }
+
+    if (hasValue(policy.receiptRequiredAbove) && !expense.receiptFile) {
+      const inPolicyCurrency = await exchangeRateService.convert(
+        expense.amount, expense.currency, policy.currency, expense.expenseDate, options
+      );
+      if (inPolicyCurrency.amount > Number(policy.receiptRequiredAbove)) {
+        flags.push({
+          code: 'receipt_required',
+          reason: `A receipt is required for expenses above ${policy.receiptRequiredAbove} ${policy.currency}`
+        });
+      }
+    }
+
+    if (expense.category === 'meals' && hasValue(policy.dailyMealCap)) {
+      const sameDay = await TripExpense.sum('tripCurrencyAmount', {
+        where: { ...others, category: 'meals', expenseDate: expense.expenseDate },
+        ...options
+      });
+      const dayTotal = round((sameDay || 0) + amount);
+      const cap = await this.capInTripCurrency(policy.dailyMealCap, policy, trip, expense.expenseDate, options);
+
+      if (dayTotal > cap) {
+        excess = this.excessShare(amount, dayTotal, cap);
+        flags.push({
+          code: 'meal_cap_exceeded',
+          reason: `Meals on ${expense.expenseDate} total ${dayTotal} ${trip.currency}, above the daily cap of ${cap} ${trip.currency}; ${excess} ${trip.currency} of this expense is not reimbursed`
+        });
+      }
+    }
+
+    if (expense.category === 'accommodation' && hasValue(policy.nightlyAccommodationCap)) {
+      const { nights } = this.getTripDuration(trip);
+      const previous = await TripExpense.sum('tripCurrencyAmount', {
+        where: { ...others, category: 'accommodation' },
+        ...options
+      });
+      const tripTotal = round((previous || 0) + amount);
+      const nightlyCap = await this.capInTripCurrency(policy.nightlyAccommodationCap, policy, trip, expense.expenseDate, options);
+      const cap = round(nightlyCap * nights);
+
+      if (tripTotal > cap) {
+        excess = this.excessShare(amount, tripTotal, cap);
+        flags.push({
+          code: 'accommodation_cap_exceeded',
+          reason: `Accommodation totals ${tripTotal} ${trip.currency}, above the cap of ${cap} ${trip.currency} for ${nights} night(s); ${excess} ${trip.currency} of this expense is not reimbursed`
+        });
+      }
+    }
+
+    const isReimbursable = !flags.some(flag => flag.code === 'non_reimbursable_category');
+    return {
+      policyId: policy.id,
+      policyFlags: flags,
+      isReimbursable,
+      policyExcessAmount: isReimbursable ? excess : 0
+    };
+  }
+
+  /**
+   * Re-check the other expenses sharing a cap with an expense that was
+   * added, changed or deleted: the same day's meals or the trip's accommodation
+   * @param {Object} trip - Business trip
+   * @param {Object} expense - { id, category, expenseDate } of the changed expense
+   * @param {Object} options - Sequelize options (transaction)
+   */
+  async reevaluateCapGroup(trip, expense, options = {}) {
+    const where = { tripId: trip.id, category: expense.category };
+    if (expense.category === 'meals') {
+      where.expenseDate = expense.expenseDate;
+    } else if (expense.category !== 'accommodation') {
+      return;
+    }
+    if (expense.id) {
+      where.id = { [Op.ne]: expense.id };
+    }
+
+    const siblings = await TripExpense.findAll({ where, ...options });
+    for (const sibling of siblings) {
+      await sibling.update(await this.evaluateExpense(trip, sibling, options), options);
+    }
+  }
+
+  /**
+   * Per-diem and accommodation entitlement of a trip versus actual spend,
+   * in the trip currency
+   * @param {Object} trip - Business trip
+   * @returns {Object} Entitlement summary
+   */
+  async getEntitlement(trip) {
+    const { days, nights } = this.getTripDuration(trip);
+    const policy = await this.findPolicy(trip);
+
+    const [meals, accommodation] = await Promise.all([
+      TripExpense.sum('tripCurrencyAmount', { where: { tripId: trip.id, category: 'meals' } }),
+      TripExpense.sum('tripCurrencyAmount', { where: { tripId: trip.id, category: 'accommodation' } })
+    ]);
+
+    const summary = {
+      currency: trip.currency,
+      days,
+      nights,
+      policy: policy ? { id: policy.id, name: policy.name, currency: policy.currency } : null,
+      perDiem: { rate: null, entitlement: null, actual: round(meals || 0), difference: null },
+      accommodation: { nightlyCap: null, entitlement: null, actual: round(accommodation || 0), difference: null }
+    };
+
+    if (!policy) {
+      return summary;
+    }
+
+    // Entitlements are converted at the rate of the trip start date
+    if (hasValue(policy.perDiemRate)) {
+      const rate = await this.capInTripCurrency(policy.perDiemRate, policy, trip, trip.startDate);
+      summary.perDiem.rate = rate;
+      summary.perDiem.entitlement = round(rate * days);
+      summary.perDiem.difference = round(summary.perDiem.entitlement - summary.perDiem.actual);
+    }
+
+    if (hasValue(policy.nightlyAccommodationCap)) {
+      const nightlyCap = await this.capInTripCurrency(policy.nightlyAccommodationCap, policy, trip, trip.startDate);
+      summary.accommodation.nightlyCap = nightlyCap;
+      summary.accommodation.entitlement = round(nightlyCap * nights);
+      summary.accommodation.difference = round(summary.accommodation.entitlement - summary.accommodation.actual);
+    }
+
+    return summary;
+  }
+}
+
+module.exports = new ExpensePolicyService();
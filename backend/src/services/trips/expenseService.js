@@ -0,0 +1,244 @@
+const { sequelize, Company, TripExpense } = require('../../models');
+const exchangeRateService = require('../currency/exchangeRateService');
+const tripLifecycle = require('../workflow/tripLifecycle');
+const receiptService = require('./receiptService');
+const expensePolicyService = require('./expensePolicyService');
+const settlementService = require('./settlementService');
+const eventBus = require('../events/eventBus');
+const logger = require('../../utils/logger');
+const pick = require('../../utils/pick');
+
+const EXPENSE_FIELDS = ['category', 'description', 'amount', 'currency', 'expenseDate'];
+
+class ExpenseService {
+  /**
+   * Company base currency used for consolidated totals
+   * @param {string} companyId - Company ID
+   * @param {Object} options - Sequelize options (transaction)
+   * @returns {string} ISO currency code
+   */
+  async getBaseCurrency(companyId, options = {}) {
+    const company = await Company.findByPk(companyId, { attributes: ['id', 'baseCurrency'], ...options });
+    return (company && company.baseCurrency) || exchangeRateService.nationalCurrency;
+  }
+
+  /**
+   * Convert an expense into the trip and base currencies at its expense_date rate
+   * @param {Object} expense - { amount, currency, expenseDate }
+   * @param {Object} trip - Business trip
+   * @param {string} baseCurrency - Company base currency
+   * @param {Object} options - Sequelize options (transaction)
+   * @returns {Object} Conversion fields to store on the expense
+   */
+  async convertExpense(expense, trip, baseCurrency, options = {}) {
+    const currency = expense.currency || trip.currency;
+    const [toTrip, toBase] = await Promise.all([
+      exchangeRateService.convert(expense.amount, currency, trip.currency, expense.expenseDate, options),
+      exchangeRateService.convert(expense.amount, currency, baseCurrency, expense.expenseDate, options)
+    ]);
+
+    return {
+      currency,
+      exchangeRate: toTrip.rate,
+      tripCurrencyAmount: toTrip.amount,
+      baseExchangeRate: toBase.rate,
+      baseCurrencyAmount: toBase.amount,
+      rateDate: toTrip.rateDate < toBase.rateDate ? toTrip.rateDate : toBase.rateDate
+    };
+  }
+
+  /**
+   * Recompute the trip totals from its converted expense rows
+   */
+  async recalculateTotals(trip, options = {}) {
+    const where = { tripId: trip.id };
+    const [total, totalBase] = await Promise.all([
+      TripExpense.sum('tripCurrencyAmount', { where, ...options }),
+      TripExpense.sum('baseCurrencyAmount', { where, ...options })
+    ]);
+
+    await trip.update({
+      totalExpenses: total || 0,
+      totalExpensesBase: totalBase || 0
+    }, options);
+  }
+
+  /**
+   * Add an expense to a trip, converting it and checking it against the expense policy
+   * @param {Object} trip - Business trip
+   * @param {Object} data - Expense fields from the request
+   * @returns {Object} Created expense
+   */
+  async createExpense(trip, data) {
+    tripLifecycle.assertExpensesEditable(trip);
+
+    return sequelize.transaction(async (transaction) => {
+      await settlementService.assertOpen(trip, { transaction });
+      const baseCurrency = await this.getBaseCurrency(trip.companyId, { transaction });
+      const expense = await this.insertExpense(trip, data, baseCurrency, { transaction });
+
+      await this.recalculateTotals(trip, { transaction });
+      await this.publishExpensesAdded(trip, [expense], { transaction });
+      return expense;
+    });
+  }
+
+  /**
+   * Tell the event bus about new expenses of a trip
+   */
+  async publishExpensesAdded(trip, expenses, options = {}) {
+    await eventBus.publish('trip.expense_added', {
+      companyId: trip.companyId,
+      aggregateType: 'business_trip',
+      aggregateId: trip.id,
+      payload: { expenseIds: expenses.map(expense => expense.id) }
+    }, options);
+  }
+
+  /**
+   * Tell the event bus that an expense of a trip changed
+   */
+  async publishExpenseUpdated(trip, expense, options = {}) {
+    await eventBus.publish('trip.expense_updated', {
+      companyId: trip.companyId,
+      aggregateType: 'business_trip',
+      aggregateId: trip.id,
+      payload: { expenseIds: [expense.id] }
+    }, options);
+  }
+
+  /**
+   * Tell the event bus that an expense was removed from a trip
+   */
+  async publishExpenseDeleted(trip, expense, options = {}) {
+    await eventBus.publish('trip.expense_deleted', {
+      companyId: trip.companyId,
+      aggregateType: 'business_trip',
+      aggregateId: trip.id,
+      payload: { expenseIds: [expense.id] }
+    }, options);
+  }
+
+  /**
+   * Convert, policy-check and insert one expense row. The caller owns the
+   * transaction and recalculates the trip totals afterwards.
+   * @param {Object} trip - Business trip
+   * @param {Object} data - Expense fields
+   * @param {string} baseCurrency - Company base currency
+   * @param {Object} options - Sequelize options (transaction)
+   * @returns {Object} Created expense
+   */
+  async insertExpense(trip, data, baseCurrency, options = {}) {
+    const fields = pick(data, EXPENSE_FIELDS);
+    const conversion = await this.convertExpense(fields, trip, baseCurrency, options);
+    const policy = await expensePolicyService.evaluateExpense(trip, { ...fields, ...conversion }, options);
+
+    const expense = await TripExpense.create({
+      ...fields,
+      ...conversion,
+      ...policy,
+      tripId: trip.id
+    }, options);
+
+    await expensePolicyService.reevaluateCapGroup(trip, expense, options);
+    return expense;
+  }
+
+  /**
+   * Update an expense, re-converting and re-checking it against the policy
+   */
+  async updateExpense(trip, expense, data) {
+    tripLifecycle.assertExpensesEditable(trip);
+
+    return sequelize.transaction(async (transaction) => {
+      await settlementService.assertOpen(trip, { transaction });
+      const fields = pick(data, EXPENSE_FIELDS);
+      const merged = {
+        id: expense.id,
+        category: expense.category,
+        amount: expense.amount,
+        currency: expense.currency,
+        expenseDate: expense.expenseDate,
+        receiptFile: expense.receiptFile,
+        ...fields
+      };
+      const baseCurrency = await this.getBaseCurrency(trip.companyId, { transaction });
+      const conversion = await this.convertExpense(merged, trip, baseCurrency, { transaction });
+      const policy = await expensePolicyService.evaluateExpense(trip, { ...merged, ...conversion }, { transaction });
+      const previous = { id: expense.id, category: expense.category, expenseDate: expense.expenseDate };
+
+      await expense.update({ ...fields, ...conversion, ...policy }, { transaction });
+      await expensePolicyService.reevaluateCapGroup(trip, expense, { transaction });
+      if (previous.category !== expense.category || previous.expenseDate !== expense.expenseDate) {
+        await expensePolicyService.reevaluateCapGroup(trip, previous, { transaction });
+      }
+      await this.recalculateTotals(trip, { transaction });
+      await this.publishExpenseUpdated(trip, expense, { transaction });
+      return expense;
+    });
+  }
+
+  /**
+   * Delete an expense and its receipt file when no longer shared. Expenses
+   * that shared a cap with it are re-checked against the policy.
+   */
+  async deleteExpense(trip, expense) {
+    tripLifecycle.assertExpensesEditable(trip);
+
+    await sequelize.transaction(async (transaction) => {
+      await settlementService.assertOpen(trip, { transaction });
+      await expense.destroy({ transaction });
+      await expensePolicyService.reevaluateCapGroup(trip, expense, { transaction });
+      await this.recalculateTotals(trip, { transaction });
+      await this.publishExpenseDeleted(trip, expense, { transaction });
+    });
+
+    await receiptService.releaseFile(expense.receiptHash, expense.receiptFile);
+  }
+
+  /**
+   * Re-convert every expense and advance of a trip, e.g. after the trip currency changed
+   */
+  async reconvertTripExpenses(trip, options = {}) {
+    await settlementService.assertOpen(trip, options);
+    const baseCurrency = await this.getBaseCurrency(trip.companyId, options);
+    const expenses = await TripExpense.findAll({ where: { tripId: trip.id }, ...options });
+
+    for (const expense of expenses) {
+      const conversion = await this.convertExpense(expense, trip, baseCurrency, options);
+      await expense.update(conversion, options);
+    }
+
+    // Caps are compared in trip currency, so the policy excess changes too
+    for (const expense of expenses) {
+      await expense.update(await expensePolicyService.evaluateExpense(trip, expense, options), options);
+    }
+
+    await settlementService.reconvertAdvances(trip, options);
+    await this.recalculateTotals(trip, options);
+    logger.info(`Re-converted ${expenses.length} expense(s) of trip ${trip.id} into ${trip.currency}`);
+  }
+
+  /**
+   * Compare converted spend against the trip budget
+   * @param {Object} trip - Business trip
+   * @returns {Object} Budget summary in trip and base currency
+   */
+  async getBudgetSummary(trip) {
+    const baseCurrency = await this.getBaseCurrency(trip.companyId);
+    const totalBudget = trip.totalBudget === null || trip.totalBudget === undefined ? null : Number(trip.totalBudget);
+    const totalExpenses = Number(trip.totalExpenses) || 0;
+
+    return {
+      currency: trip.currency,
+      totalBudget,
+      totalExpenses,
+      remainingBudget: totalBudget === null ? null : Math.round((totalBudget - totalExpenses) * 100) / 100,
+      overBudget: totalBudget !== null && totalExpenses > totalBudget,
+      baseCurrency,
+      totalExpensesBase: Number(trip.totalExpensesBase) || 0
+    };
+  }
+}
+
+module.exports = new ExpenseService();
@@ -0,0 +1,223 @@
+const path = require('path');
+const sharp = require('sharp');
+const { TripExpense } = require('../../models');
+const fileStorage = require('../storage/fileStorage');
+const tripLifecycle = require('../workflow/tripLifecycle');
+const expensePolicyService = require('./expensePolicyService');
+const settlementService = require('./settlementService');
+const eventBus = require('../events/eventBus');
+const AppError = require('../../utils/appError');
+const logger = require('../../utils/logger');
+
+const RECEIPT_NAMESPACE = 'uploads/receipts';
+const THUMBNAIL_NAMESPACE = 'uploads/receipts/thumbnails';
+const THUMBNAIL_SIZE = 320;
+
+// Accepted receipt types with their file signatures
+const RECEIPT_TYPES = {
+  'application/pdf': {
+    extension: '.pdf',
+    matches: buffer => buffer.slice(0, 5).toString('latin1') === '%PDF-'
+  },
+  'image/jpeg': {
+    extension: '.jpg',
+    matches: buffer => buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff
+  },
+  'image/png': {
+    extension: '.png',
+    matches: buffer => buffer.slice(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))
+  },
+  'image/webp': {
+    extension: '.webp',
+    matches: buffer => buffer.slice(0, 4).toString('latin1') === 'RIFF' && buffer.slice(8, 12).toString('latin1') === 'WEBP'
+  }
+};
+
+// A receipt changes the expense's risk score (missing or reused receipt)
+const publishReceiptChange = (trip, expense) => eventBus.publish('trip.expense_updated', {
+  companyId: trip.companyId,
+  aggregateType: 'business_trip',
+  aggregateId: trip.id,
+  payload: { expenseIds: [expense.id] }
+});
+
+class ReceiptService {
+  constructor() {
+    this.allowedMimeTypes = Object.keys(RECEIPT_TYPES);
+    this.maxFileSize = parseInt(process.env.RECEIPT_MAX_FILE_SIZE, 10) || 10 * 1024 * 1024; // 10MB
+  }
+
+  /**
+   * Detect the real type of an upload from its leading bytes
+   * @param {Buffer} buffer - File content
+   * @returns {string|null} MIME type
+   */
+  detectMimeType(buffer) {
+    return this.allowedMimeTypes.find(type => RECEIPT_TYPES[type].matches(buffer)) || null;
+  }
+
+  /**
+   * Validate an uploaded receipt: declared type, actual content and size
+   * @param {Object} file - Multer file ({ buffer, mimetype, size })
+   * @returns {string} Verified MIME type
+   */
+  validateFile(file) {
+    if (!file || !file.buffer || file.buffer.length === 0) {
+      throw new AppError('Receipt file is required', 400);
+    }
+
+    if (file.buffer.length > this.maxFileSize) {
+      throw new AppError('File too large', 400);
+    }
+
+    if (!this.allowedMimeTypes.includes(file.mimetype)) {
+      throw new AppError(`Unsupported receipt type ${file.mimetype}. Allowed: PDF, JPEG, PNG, WebP`, 415);
+    }
+
+    const detected = this.detectMimeType(file.buffer);
+    if (detected !== file.mimetype) {
+      throw new AppError('Receipt content does not match its declared type', 415);
+    }
+
+    return detected;
+  }
+
+  thumbnailPath(hash) {
+    return fileStorage.pathFor(THUMBNAIL_NAMESPACE, hash, '.webp');
+  }
+
+  /**
+   * Create a thumbnail for image receipts; PDFs have none
+   */
+  async createThumbnail(buffer, hash, mimeType) {
+    if (mimeType === 'application/pdf') {
+      return null;
+    }
+
+    const relativePath = this.thumbnailPath(hash);
+    if (await fileStorage.exists(relativePath)) {
+      return relativePath;
+    }
+
+    try {
+      const thumbnail = await sharp(buffer)
+        .rotate()
+        .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+        .webp({ quality: 80 })
+        .toBuffer();
+      await fileStorage.write(relativePath, thumbnail);
+      return relativePath;
+    } catch (error) {
+      // A receipt without a thumbnail is still a valid receipt
+      logger.warn(`Thumbnail generation failed for receipt ${hash}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Attach (or replace) the receipt of an expense
+   * @param {Object} trip - Business trip
+   * @param {Object} expense - Trip expense
+   * @param {Object} file - Multer file
+   * @returns {Object} Updated expense
+   */
+  async attachReceipt(trip, expense, file) {
+    tripLifecycle.assertExpensesEditable(trip);
+    await settlementService.assertOpen(trip);
+    const mimeType = this.validateFile(file);
+
+    const stored = await fileStorage.save(file.buffer, {
+      namespace: RECEIPT_NAMESPACE,
+      extension: RECEIPT_TYPES[mimeType].extension
+    });
+    const thumbnailPath = await this.createThumbnail(file.buffer, stored.hash, mimeType);
+
+    const previousHash = expense.receiptHash;
+    const previousFile = expense.receiptFile;
+
+    await expense.update({
+      receiptFile: stored.relativePath,
+      receiptHash: stored.hash,
+      receiptMimeType: mimeType,
+      receiptOriginalName: path.basename(file.originalname || `receipt${RECEIPT_TYPES[mimeType].extension}`),
+      receiptSize: stored.size,
+      receiptThumbnail: thumbnailPath
+    });
+    await expense.update(await expensePolicyService.evaluateExpense(trip, expense));
+    await publishReceiptChange(trip, expense);
+
+    if (previousHash && previousHash !== stored.hash) {
+      await this.releaseFile(previousHash, previousFile);
+    }
+
+    logger.info(`Receipt ${stored.hash}${stored.deduplicated ? ' (deduplicated)' : ''} attached to expense ${expense.id}`);
+    return expense;
+  }
+
+  /**
+   * Detach the receipt of an expense
+   */
+  async removeReceipt(trip, expense) {
+    tripLifecycle.assertExpensesEditable(trip);
+    await settlementService.assertOpen(trip);
+
+    if (!expense.receiptFile) {
+      throw new AppError('Expense has no receipt', 404);
+    }
+
+    const { receiptHash, receiptFile } = expense;
+    await expense.update({
+      receiptFile: null,
+      receiptHash: null,
+      receiptMimeType: null,
+      receiptOriginalName: null,
+      receiptSize: null,
+      receiptThumbnail: null
+    });
+    await expense.update(await expensePolicyService.evaluateExpense(trip, expense));
+    await publishReceiptChange(trip, expense);
+
+    await this.releaseFile(receiptHash, receiptFile);
+  }
+
+  /**
+   * Delete stored content once no expense references it any more
+   * @param {string} hash - Content hash
+   * @param {string} relativePath - Stored receipt path
+   */
+  async releaseFile(hash, relativePath) {
+    if (!hash) {
+      return;
+    }
+
+    const references = await TripExpense.count({ where: { receiptHash: hash } });
+    if (references > 0) {
+      return;
+    }
+
+    await fileStorage.remove(relativePath);
+    await fileStorage.remove(this.thumbnailPath(hash));
+  }
+
+  /**
+   * Locate the stored receipt (or its thumbnail) of an expense for download
+   * @param {Object} expense - Trip expense
+   * @param {boolean} thumbnail - Return the thumbnail instead of the original
+   * @returns {Object} { absolutePath, mimeType, fileName }
+   */
+  async getReceiptFile(expense, thumbnail = false) {
+    const relativePath = thumbnail ? expense.receiptThumbnail : expense.receiptFile;
+
+    if (!relativePath || !(await fileStorage.exists(relativePath))) {
+      throw new AppError(thumbnail ? 'Receipt thumbnail not found' : 'Receipt not found', 404);
+    }
+
+    return {
+      absolutePath: fileStorage.resolve(relativePath),
+      mimeType: thumbnail ? 'image/webp' : expense.receiptMimeType,
+      fileName: thumbnail ? `thumbnail-${expense.id}.webp` : expense.receiptOriginalName
+    };
+  }
+}
+
+module.exports = new ReceiptService();
@@ -0,0 +1,494 @@
+const ExcelJS = require('exceljs');
+const { sequelize, User, TripAdvance, TripExpense, TripSettlement, TripReport } = require('../../models');
+const exchangeRateService = require('../currency/exchangeRateService');
+const fileStorage = require('../storage/fileStorage');
+const pdfRenderer = require('../reports/renderers/pdfRenderer');
+const AppError = require('../../utils/appError');
+const logger = require('../../utils/logger');
+const pick = require('../../utils/pick');
+
+const STATEMENT_NAMESPACE = 'reports/settlements';
+const ADVANCE_FIELDS = ['amount', 'currency', 'issuedOn', 'paymentMethod', 'reference', 'notes'];
+
+// Trips are settled once the travelling is over
+const SETTLEABLE_STATUSES = ['completed', 'reported'];
+
+const STATEMENT_FORMATS = {
+  pdf: {
+    pathField: 'pdfPath',
+    mimeType: 'application/pdf',
+    extension: '.pdf'
+  },
+  xlsx: {
+    pathField: 'excelPath',
+    mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    extension: '.xlsx'
+  }
+};
+
+// Expenses above a policy cap are reimbursed up to the cap only
+const reimbursableLabel = expense => {
+  if (!expense.isReimbursable) {
+    return 'No';
+  }
+  const excess = Number(expense.policyExcessAmount) || 0;
+  return excess > 0 ? `Yes, less ${excess.toFixed(2)} over the cap` : 'Yes';
+};
+
+const DIRECTION_LABELS = {
+  company_owes_employee: 'Amount due to the employee',
+  employee_owes_company: 'Amount to be returned by the employee',
+  settled: 'Settled, nothing to pay'
+};
+
+const round = value => Math.round(value * 100) / 100;
+
+class SettlementService {
+  /**
+   * Refuse changes to advances and expenses once finance has paid the settlement
+   * @param {Object} trip - Business trip
+   * @param {Object} options - Sequelize options (transaction)
+   */
+  async assertOpen(trip, options = {}) {
+    const settlement = await TripSettlement.findOne({
+      where: { tripId: trip.id },
+      attributes: ['id', 'status'],
+      ...options
+    });
+
+    if (settlement && settlement.status === 'paid') {
+      throw new AppError('The settlement of this trip has been paid and is locked', 409);
+    }
+  }
+
+  /**
+   * Convert an advance into the trip currency at its issue date rate
+   */
+  async convertAdvance(advance, trip, options = {}) {
+    const currency = advance.currency || trip.currency;
+    const converted = await exchangeRateService.convert(advance.amount, currency, trip.currency, advance.issuedOn, options);
+
+    return {
+      currency,
+      exchangeRate: converted.rate,
+      tripCurrencyAmount: converted.amount
+    };
+  }
+
+  async listAdvances(trip) {
+    return TripAdvance.findAll({
+      where: { tripId: trip.id },
+      order: [['issuedOn', 'ASC'], ['createdAt', 'ASC']]
+    });
+  }
+
+  /**
+   * Record a cash advance paid to the traveller
+   * @param {Object} trip - Business trip
+   * @param {Object} data - Advance fields from the request
+   * @param {Object} user - Finance user issuing the advance
+   * @returns {Object} Created advance
+   */
+  async createAdvance(trip, data, user) {
+    return sequelize.transaction(async (transaction) => {
+      await this.assertOpen(trip, { transaction });
+
+      const fields = pick(data, ADVANCE_FIELDS);
+      fields.issuedOn = fields.issuedOn || new Date().toISOString().slice(0, 10);
+      const conversion = await this.convertAdvance(fields, trip, { transaction });
+
+      const advance = await TripAdvance.create({
+        ...fields,
+        ...conversion,
+        tripId: trip.id,
+        issuedBy: user.id
+      }, { transaction });
+
+      logger.info(`Advance of ${advance.amount} ${advance.currency} recorded for trip ${trip.id}`);
+      return advance;
+    });
+  }
+
+  async deleteAdvance(trip, advance) {
+    await sequelize.transaction(async (transaction) => {
+      await this.assertOpen(trip, { transaction });
+      await advance.destroy({ transaction });
+    });
+  }
+
+  /**
+   * Re-convert every advance of a trip, e.g. after the trip currency changed
+   */
+  async reconvertAdvances(trip, options = {}) {
+    const advances = await TripAdvance.findAll({ where: { tripId: trip.id }, ...options });
+
+    for (const advance of advances) {
+      await advance.update(await this.convertAdvance(advance, trip, options), options);
+    }
+  }
+
+  /**
+   * Net the advances against the reimbursable expenses of a trip, in trip currency
+   * @param {Object} trip - Business trip
+   * @param {Object} options - Sequelize options (transaction)
+   * @returns {Object} Settlement figures
+   */
+  async calculate(trip, options = {}) {
+    const where = { tripId: trip.id };
+    const [advances, reimbursable, excess, nonReimbursable] = await Promise.all([
+      TripAdvance.sum('tripCurrencyAmount', { where, ...options }),
+      TripExpense.sum('tripCurrencyAmount', { where: { ...where, isReimbursable: true }, ...options }),
+      TripExpense.sum('policyExcessAmount', { where: { ...where, isReimbursable: true }, ...options }),
+      TripExpense.sum('tripCurrencyAmount', { where: { ...where, isReimbursable: false }, ...options })
+    ]);
+
+    const totalAdvances = round(advances || 0);
+    const policyExcess = round(excess || 0);
+    const reimbursableExpenses = round((reimbursable || 0) - policyExcess);
+    const balance = round(reimbursableExpenses - totalAdvances);
+
+    let direction = 'settled';
+    if (balance > 0) {
+      direction = 'company_owes_employee';
+    } else if (balance < 0) {
+      direction = 'employee_owes_company';
+    }
+
+    return {
+      currency: trip.currency,
+      totalAdvances,
+      reimbursableExpenses,
+      nonReimbursableExpenses: round((nonReimbursable || 0) + policyExcess),
+      balance,
+      direction
+    };
+  }
+
+  /**
+   * Current settlement of a trip: the stored statement if any, plus live figures
+   * @param {Object} trip - Business trip
+   * @returns {Object} { settlement, current, outdated }
+   */
+  async getSettlement(trip) {
+    const [settlement, current] = await Promise.all([
+      TripSettlement.findOne({ where: { tripId: trip.id } }),
+      this.calculate(trip)
+    ]);
+
+    return {
+      settlement,
+      current,
+      outdated: Boolean(settlement) && settlement.status === 'open' && !this.matches(settlement, current)
+    };
+  }
+
+  matches(settlement, figures) {
+    return settlement.currency === figures.currency
+      && Number(settlement.totalAdvances) === figures.totalAdvances
+      && Number(settlement.reimbursableExpenses) === figures.reimbursableExpenses
+      && Number(settlement.balance) === figures.balance;
+  }
+
+  /**
+   * Calculate the settlement and render its PDF and Excel statements.
+   * The statements are attached to the trip report when one exists.
+   * @param {Object} trip - Business trip
+   * @param {Object} user - User generating the statement
+   * @returns {Object} Settlement
+   */
+  async generate(trip, user) {
+    if (!SETTLEABLE_STATUSES.includes(trip.status)) {
+      throw new AppError(`A settlement can only be prepared for a completed trip (trip is ${trip.status})`, 409);
+    }
+
+    await this.assertOpen(trip);
+
+    const figures = await this.calculate(trip);
+    const statement = await this.buildStatementData(trip, figures);
+    const [pdf, excel] = await Promise.all([
+      this.renderPdf(statement),
+      this.renderExcel(statement)
+    ]);
+
+    const [storedPdf, storedExcel] = await Promise.all([
+      fileStorage.save(pdf, { namespace: STATEMENT_NAMESPACE, extension: '.pdf' }),
+      fileStorage.save(excel, { namespace: STATEMENT_NAMESPACE, extension: '.xlsx' })
+    ]);
+
+    const settlement = await sequelize.transaction(async (transaction) => {
+      await this.assertOpen(trip, { transaction });
+
+      const [record] = await TripSettlement.findOrCreate({
+        where: { tripId: trip.id },
+        defaults: { ...figures, tripId: trip.id },
+        transaction
+      });
+
+      const previousPaths = [record.pdfPath, record.excelPath].filter(Boolean);
+
+      await record.update({
+        ...figures,
+        pdfPath: storedPdf.relativePath,
+        pdfHash: storedPdf.hash,
+        excelPath: storedExcel.relativePath,
+        excelHash: storedExcel.hash,
+        generatedBy: user.id,
+        generatedAt: new Date()
+      }, { transaction });
+
+      await this.attachToTripReport(trip, record, previousPaths, { transaction });
+      return record;
+    });
+
+    logger.info(`Settlement statement generated for trip ${trip.id}: ${figures.direction} ${figures.balance} ${figures.currency}`);
+    return settlement;
+  }
+
+  /**
+   * Replace earlier statement files in the trip report attachments
+   */
+  async attachToTripReport(trip, settlement, previousPaths, options = {}) {
+    const report = await TripReport.findOne({ where: { tripId: trip.id }, ...options });
+    if (!report) {
+      return;
+    }
+
+    const attachments = (report.attachments || []).filter(file => !previousPaths.includes(file));
+    attachments.push(settlement.pdfPath, settlement.excelPath);
+    await report.update({ attachments }, options);
+  }
+
+  /**
+   * Record the payment of a settlement and lock it. The statement must
+   * reflect the current advances and expenses.
+   * @param {Object} trip - Business trip
+   * @param {Object} user - Finance user
+   * @param {Object} data - { paymentReference }
+   * @returns {Object} Settlement
+   */
+  async markPaid(trip, user, data = {}) {
+    return sequelize.transaction(async (transaction) => {
+      const settlement = await TripSettlement.findOne({
+        where: { tripId: trip.id },
+        transaction,
+        lock: transaction.LOCK.UPDATE
+      });
+
+      if (!settlement || !settlement.generatedAt) {
+        throw new AppError('Generate the settlement statement before marking it paid', 409);
+      }
+      if (settlement.status === 'paid') {
+        throw new AppError('Settlement is already paid', 409);
+      }
+
+      const figures = await this.calculate(trip, { transaction });
+      if (!this.matches(settlement, figures)) {
+        throw new AppError('Advances or expenses changed since the statement was generated; regenerate it first', 409, {
+          statement: {
+            totalAdvances: Number(settlement.totalAdvances),
+            reimbursableExpenses: Number(settlement.reimbursableExpenses),
+            balance: Number(settlement.balance)
+          },
+          current: figures
+        });
+      }
+
+      await settlement.update({
+        status: 'paid',
+        paidBy: user.id,
+        paidAt: new Date(),
+        paymentReference: data.paymentReference || null
+      }, { transaction });
+
+      logger.info(`Settlement of trip ${trip.id} marked paid by ${user.id}`);
+      return settlement;
+    });
+  }
+
+  /**
+   * Locate a stored statement for download
+   * @param {Object} trip - Business trip
+   * @param {string} format - pdf or xlsx
+   * @returns {Object} { absolutePath, mimeType, fileName }
+   */
+  async getStatementFile(trip, format = 'pdf') {
+    const settlement = await TripSettlement.findOne({ where: { tripId: trip.id } });
+    const { pathField, mimeType, extension } = STATEMENT_FORMATS[format];
+    const relativePath = settlement && settlement[pathField];
+
+    if (!relativePath || !(await fileStorage.exists(relativePath))) {
+      throw new AppError('Settlement statement not found', 404);
+    }
+
+    return {
+      absolutePath: fileStorage.resolve(relativePath),
+      mimeType,
+      fileName: `settlement-${trip.id}${extension}`
+    };
+  }
+
+  /**
+   * Collect everything a statement shows
+   */
+  async buildStatementData(trip, figures) {
+    const [employee, advances, expenses] = await Promise.all([
+      User.findByPk(trip.employeeId, { attributes: ['id', 'firstName', 'lastName', 'email'] }),
+      this.listAdvances(trip),
+      TripExpense.findAll({
+        where: { tripId: trip.id },
+        order: [['expenseDate', 'ASC'], ['createdAt', 'ASC']]
+      })
+    ]);
+
+    return {
+      trip,
+      employeeName: employee ? `${employee.firstName} ${employee.lastName}` : '',
+      advances,
+      expenses,
+      figures,
+      generatedAt: new Date()
+    };
+  }
+
+  async renderPdf({ trip, employeeName, advances, expenses, figures, generatedAt }) {
+    const e = value => pdfRenderer.escape(value);
+    const money = value => Number(value || 0).toFixed(2);
+
+    const advanceRows = advances.map(advance => `
+      <tr>
+        <td>${e(advance.issuedOn)}</td>
+        <td>${e(advance.paymentMethod)}${advance.reference ? ` (${e(advance.reference)})` : ''}</td>
+        <td class="num">${money(advance.amount)} ${e(advance.currency)}</td>
+        <td class="num">${money(advance.tripCurrencyAmount)}</td>
+      </tr>`).join('');
+
+    const expenseRows = expenses.map(expense => `
+      <tr>
+        <td>${e(expense.expenseDate)}</td>
+        <td>${e(expense.category)}: ${e(expense.description)}</td>
+        <td class="num">${money(expense.amount)} ${e(expense.currency)}</td>
+        <td class="num">${money(expense.tripCurrencyAmount)}</td>
+        <td>${e(reimbursableLabel(expense))}</td>
+      </tr>`).join('');
+
+    const html = `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <style>
+    body { font-family: Arial, sans-serif; font-size: 11px; color: #222; }
+    h1 { font-size: 18px; margin-bottom: 4px; }
+    h2 { font-size: 13px; margin-top: 18px; }
+    table { width: 100%; border-collapse: collapse; }
+    th, td { border: 1px solid #ccc; padding: 4px 6px; text-align: left; }
+    th { background: #f0f0f0; }
+    .num { text-align: right; }
+    .total { font-weight: bold; font-size: 13px; }
+  </style>
+</head>
+<body>
+  <h1>Trip settlement statement</h1>
+  <p>
+    ${e(trip.tripTitle)} &mdash; ${e(trip.destination)}<br>
+    ${e(trip.startDate)} to ${e(trip.endDate)}<br>
+    Employee: ${e(employeeName)}<br>
+    Currency: ${e(figures.currency)}
+  </p>
+
+  <h2>Advances</h2>
+  <table>
+    <tr><th>Date</th><th>Method</th><th class="num">Amount</th><th class="num">${e(figures.currency)}</th></tr>
+    ${advanceRows || '<tr><td colspan="4">No advances</td></tr>'}
+  </table>
+
+  <h2>Expenses</h2>
+  <table>
+    <tr><th>Date</th><th>Description</th><th class="num">Amount</th><th class="num">${e(figures.currency)}</th><th>Reimbursable</th></tr>
+    ${expenseRows || '<tr><td colspan="5">No expenses</td></tr>'}
+  </table>
+
+  <h2>Settlement</h2>
+  <table>
+    <tr><td>Reimbursable expenses</td><td class="num">${money(figures.reimbursableExpenses)}</td></tr>
+    <tr><td>Non-reimbursable expenses</td><td class="num">${money(figures.nonReimbursableExpenses)}</td></tr>
+    <tr><td>Advances received</td><td class="num">${money(figures.totalAdvances)}</td></tr>
+    <tr class="total"><td>${e(DIRECTION_LABELS[figures.direction])}</td><td class="num">${money(Math.abs(figures.balance))} ${e(figures.currency)}</td></tr>
+  </table>
+
+  <p>Generated ${e(generatedAt.toISOString())}</p>
+</body>
+</html>`;
+
+    return pdfRenderer.render(html);
+  }
+
+  async renderExcel({ trip, employeeName, advances, expenses, figures }) {
+    const workbook = new ExcelJS.Workbook();
+    workbook.created = new Date();
+
+    const summary = workbook.addWorksheet('Settlement');
+    summary.columns = [{ width: 40 }, { width: 20 }];
+    summary.addRows([
+      ['Trip', trip.tripTitle],
+      ['Destination', trip.destination],
+      ['Period', `${trip.startDate} - ${trip.endDate}`],
+      ['Employee', employeeName],
+      ['Currency', figures.currency],
+      [],
+      ['Reimbursable expenses', figures.reimbursableExpenses],
+      ['Non-reimbursable expenses', figures.nonReimbursableExpenses],
+      ['Advances received', figures.totalAdvances],
+      [DIRECTION_LABELS[figures.direction], Math.abs(figures.balance)]
+    ]);
+    summary.getColumn(2).numFmt = '#,##0.00';
+    summary.lastRow.font = { bold: true };
+
+    const advanceSheet = workbook.addWorksheet('Advances');
+    advanceSheet.columns = [
+      { header: 'Date', key: 'issuedOn', width: 12 },
+      { header: 'Method', key: 'paymentMethod', width: 15 },
+      { header: 'Reference', key: 'reference', width: 20 },
+      { header: 'Amount', key: 'amount', width: 14 },
+      { header: 'Currency', key: 'currency', width: 10 },
+      { header: `Amount (${figures.currency})`, key: 'tripCurrencyAmount', width: 16 }
+    ];
+    advances.forEach(advance => advanceSheet.addRow({
+      issuedOn: advance.issuedOn,
+      paymentMethod: advance.paymentMethod,
+      reference: advance.reference,
+      amount: Number(advance.amount),
+      currency: advance.currency,
+      tripCurrencyAmount: Number(advance.tripCurrencyAmount)
+    }));
+
+    const expenseSheet = workbook.addWorksheet('Expenses');
+    expenseSheet.columns = [
+      { header: 'Date', key: 'expenseDate', width: 12 },
+      { header: 'Category', key: 'category', width: 15 },
+      { header: 'Description', key: 'description', width: 35 },
+      { header: 'Amount', key: 'amount', width: 14 },
+      { header: 'Currency', key: 'currency', width: 10 },
+      { header: `Amount (${figures.currency})`, key: 'tripCurrencyAmount', width: 16 },
+      { header: 'Reimbursable', key: 'isReimbursable', width: 14 },
+      { header: `Over policy cap (${figures.currency})`, key: 'policyExcessAmount', width: 20 }
+    ];
+    expenses.forEach(expense => expenseSheet.addRow({
+      expenseDate: expense.expenseDate,
+      category: expense.category,
+      description: expense.description,
+      amount: Number(expense.amount),
+      currency: expense.currency,
+      tripCurrencyAmount: Number(expense.tripCurrencyAmount),
+      isReimbursable: expense.isReimbursable ? 'Yes' : 'No',
+      policyExcessAmount: Number(expense.policyExcessAmount) || 0
+    }));
+
+    [advanceSheet, expenseSheet].forEach(sheet => {
+      sheet.getRow(1).font = { bold: true };
+    });
+
+    return Buffer.from(await workbook.xlsx.writeBuffer());
+  }
+}
+
+module.exports = new SettlementService();
@@ -0,0 +1,225 @@
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { BusinessTrip, User } = require('../../models');
+const AppError = require('../../utils/appError');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days after end_date by which the trip report is due
+const REPORT_DUE_DAYS = 7;
+
+// Trips that went through approval and are therefore on the calendar
+const CALENDAR_STATUSES = ['approved', 'in_progress', 'completed', 'reported'];
+
+// Roles that may subscribe to the trips of the whole company
+const COMPANY_FEED_ROLES = ['admin', 'manager', 'accountant'];
+
+const CONFLICT_ATTRIBUTES = ['id', 'tripTitle', 'destination', 'startDate', 'endDate', 'status', 'approvalStatus'];
+
+const addDays = (date, days) => new Date(new Date(`${date}T00:00:00Z`).getTime() + days * DAY_MS)
+  .toISOString()
+  .slice(0, 10);
+
+const icsDate = date => String(date).replace(/-/g, '');
+
+const icsTimestamp = date => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// RFC 5545 TEXT escaping
+const icsText = value => String(value === null || value === undefined ? '' : value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+/**
+ * Fold a content line at 75 octets as required by RFC 5545
+ */
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+
+  for (const char of line) {
+    const limit = parts.length === 0 ? 75 : 74;
+    if (Buffer.byteLength(current + char) > limit) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+};
+
+class TripCalendarService {
+  /**
+   * Trips of the same employee whose dates overlap the given period.
+   * Dates are inclusive: a trip ending on the day another one starts overlaps,
+   * since both would claim per-diem for that day. Rejected trips are ignored.
+   * @param {Object} trip - { id, employeeId, startDate, endDate }
+   * @param {Object} options - Sequelize options (transaction)
+   * @returns {Array} Clashing trips
+   */
+  async findOverlappingTrips(trip, options = {}) {
+    const where = {
+      employeeId: trip.employeeId,
+      approvalStatus: { [Op.ne]: 'rejected' },
+      startDate: { [Op.lte]: trip.endDate },
+      endDate: { [Op.gte]: trip.startDate }
+    };
+    if (trip.id) {
+      where.id = { [Op.ne]: trip.id };
+    }
+
+    return BusinessTrip.findAll({
+      where,
+      attributes: CONFLICT_ATTRIBUTES,
+      order: [['startDate', 'ASC']],
+      ...options
+    });
+  }
+
+  /**
+   * Refuse a trip period that clashes with another trip of the employee.
+   * Inside a transaction the employee row is locked so that concurrent
+   * requests cannot both book the same days.
+   * @param {Object} trip - { id, employeeId, startDate, endDate }
+   * @param {Object} options - Sequelize options (transaction)
+   */
+  async assertNoOverlap(trip, options = {}) {
+    if (!trip.employeeId) {
+      return;
+    }
+
+    if (options.transaction) {
+      await User.findByPk(trip.employeeId, {
+        attributes: ['id'],
+        transaction: options.transaction,
+        lock: options.transaction.LOCK.UPDATE
+      });
+    }
+
+    const conflicts = await this.findOverlappingTrips(trip, options);
+    if (conflicts.length > 0) {
+      throw new AppError('Trip dates overlap with other trips of this employee', 409, {
+        conflicts: conflicts.map(conflict => conflict.get({ plain: true }))
+      });
+    }
+  }
+
+  canUseCompanyFeed(user) {
+    return COMPANY_FEED_ROLES.includes(user.role);
+  }
+
+  /**
+   * Calendar feed token of a user, created on first use
+   * @param {string} userId - User ID
+   * @param {boolean} rotate - Replace the token, invalidating old feed URLs
+   * @returns {string} Token
+   */
+  async getFeedToken(userId, rotate = false) {
+    const user = await User.unscoped().findByPk(userId, { attributes: ['id', 'calendarToken'] });
+    if (!user) {
+      throw new AppError('User not found', 404);
+    }
+
+    if (!user.calendarToken || rotate) {
+      await user.update({ calendarToken: crypto.randomBytes(32).toString('hex') });
+    }
+    return user.calendarToken;
+  }
+
+  /**
+   * Resolve the active user owning a feed token
+   * @param {string} token - Token from the feed URL
+   * @returns {Object|null} User
+   */
+  async findFeedOwner(token) {
+    if (!/^[a-f0-9]{64}$/.test(token || '')) {
+      return null;
+    }
+
+    return User.findOne({
+      where: { calendarToken: token, isActive: true },
+      attributes: ['id', 'companyId', 'role', 'firstName', 'lastName']
+    });
+  }
+
+  /**
+   * Approved trips for a calendar feed
+   * @param {Object} scope - { employeeId } or { companyId }
+   * @returns {Array} Trips with their employee
+   */
+  async getCalendarTrips(scope) {
+    return BusinessTrip.findAll({
+      where: {
+        ...scope,
+        approvalStatus: 'approved',
+        status: { [Op.in]: CALENDAR_STATUSES }
+      },
+      include: [{ model: User, as: 'employee', attributes: ['id', 'firstName', 'lastName'] }],
+      order: [['startDate', 'ASC']]
+    });
+  }
+
+  reportDueDate(trip) {
+    return addDays(trip.endDate, REPORT_DUE_DAYS);
+  }
+
+  /**
+   * Build an iCalendar document with one all-day event per trip and one per
+   * outstanding trip report deadline
+   * @param {Array} trips - Trips with their employee
+   * @param {Object} options - { name, withEmployee }
+   * @returns {string} text/calendar content
+   */
+  buildCalendar(trips, { name, withEmployee = false }) {
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      'PRODID:-//Comply AI//Business Trips//EN',
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH',
+      `X-WR-CALNAME:${icsText(name)}`
+    ];
+
+    for (const trip of trips) {
+      const stamp = icsTimestamp(trip.updatedAt || trip.createdAt || new Date());
+      const traveller = withEmployee && trip.employee
+        ? `${trip.employee.firstName} ${trip.employee.lastName}: `
+        : '';
+
+      lines.push(
+        'BEGIN:VEVENT',
+        `UID:trip-${trip.id}@comply-ai`,
+        `DTSTAMP:${stamp}`,
+        `DTSTART;VALUE=DATE:${icsDate(trip.startDate)}`,
+        `DTEND;VALUE=DATE:${icsDate(addDays(trip.endDate, 1))}`,
+        `SUMMARY:${icsText(`${traveller}${trip.tripTitle}`)}`,
+        `LOCATION:${icsText(trip.destination)}`,
+        `DESCRIPTION:${icsText(trip.purpose)}`,
+        'TRANSP:OPAQUE',
+        'END:VEVENT'
+      );
+
+      if (trip.status !== 'reported') {
+        const dueDate = this.reportDueDate(trip);
+        lines.push(
+          'BEGIN:VEVENT',
+          `UID:trip-report-${trip.id}@comply-ai`,
+          `DTSTAMP:${stamp}`,
+          `DTSTART;VALUE=DATE:${icsDate(dueDate)}`,
+          `DTEND;VALUE=DATE:${icsDate(addDays(dueDate, 1))}`,
+          `SUMMARY:${icsText(`${traveller}Trip report due: ${trip.tripTitle}`)}`,
+          'TRANSP:TRANSPARENT',
+          'END:VEVENT'
+        );
+      }
+    }
+
+    lines.push('END:VCALENDAR');
+    return `${lines.map(foldLine).join('\r\n')}\r\n`;
+  }
+}
+
+module.exports = new TripCalendarService();
@@ -0,0 +1,244 @@
+jest.mock('../../../models', () => ({
+  sequelize: { transaction: jest.fn() },
+  User: { findByPk: jest.fn() },
+  ApprovalChain: { findAll: jest.fn() },
+  ApprovalDelegation: { findAll: jest.fn() },
+  TripApprovalStep: { findAll: jest.fn(), bulkCreate: jest.fn(), update: jest.fn() }
+}));
+jest.mock('../tripLifecycle', () => ({ transition: jest.fn() }));
+jest.mock('../../currency/exchangeRateService', () => ({ convert: jest.fn() }));
+jest.mock('../../../utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+const {
+  sequelize,
+  User,
+  ApprovalChain,
+  ApprovalDelegation,
+  TripApprovalStep
+} = require('../../../models');
+const tripLifecycle = require('../tripLifecycle');
+const exchangeRateService = require('../../currency/exchangeRateService');
+const approvalWorkflow = require('../approvalWorkflow');
+const AppError = require('../../../utils/appError');
+
+// UZS per USD
+const USD_RATE = 12700;
+
+// Model instance stand-in: attributes plus update()
+const record = (attributes) => {
+  const instance = { ...attributes };
+  instance.update = jest.fn(async (changes) => Object.assign(instance, changes));
+  return instance;
+};
+
+const chain = overrides => ({
+  id: 'chain',
+  name: 'Chain',
+  department: null,
+  destinationType: 'any',
+  budgetAbove: null,
+  currency: 'USD',
+  priority: 0,
+  steps: [{ label: 'Manager', roles: ['manager'] }],
+  ...overrides
+});
+
+describe('approvalWorkflow.selectChain', () => {
+  const trip = { destinationCountry: 'DE', totalBudget: 2000, currency: 'USD' };
+
+  it('prefers priority, then the higher threshold, then department and destination filters', () => {
+    const chains = [
+      chain({ id: 'any' }),
+      chain({ id: 'abroad', destinationType: 'abroad' }),
+      chain({ id: 'sales', department: 'Sales' }),
+      chain({ id: 'over-500', budgetAbove: 500 }),
+      chain({ id: 'over-1000', budgetAbove: 1000 })
+    ];
+
+    expect(approvalWorkflow.selectChain(chains, trip, 'Sales').id).toBe('over-1000');
+    expect(approvalWorkflow.selectChain(chains.slice(0, 3), trip, 'Sales').id).toBe('sales');
+    expect(approvalWorkflow.selectChain(chains.slice(0, 3), trip, 'IT').id).toBe('abroad');
+    expect(approvalWorkflow.selectChain([...chains, chain({ id: 'vip', priority: 1 })], trip, 'Sales').id).toBe('vip');
+  });
+
+  it('skips chains whose filters do not match', () => {
+    const chains = [
+      chain({ id: 'domestic', destinationType: 'domestic' }),
+      chain({ id: 'sales', department: 'Sales' }),
+      chain({ id: 'over-5000', budgetAbove: 5000 })
+    ];
+
+    expect(approvalWorkflow.selectChain(chains, trip, 'IT')).toBeNull();
+    expect(approvalWorkflow.selectChain(chains, { ...trip, destinationCountry: 'uz' }, 'IT').id).toBe('domestic');
+  });
+
+  it('compares thresholds with the budget converted to the chain currency', () => {
+    const chains = [chain({ id: 'standard' }), chain({ id: 'high-value', budgetAbove: 1000 })];
+    const uzsTrip = { totalBudget: 13000000, currency: 'UZS' };
+
+    expect(approvalWorkflow.selectChain(chains, uzsTrip, null, { USD: 1023.62 }).id).toBe('high-value');
+    expect(approvalWorkflow.selectChain(chains, uzsTrip, null, { USD: 1000 }).id).toBe('standard');
+  });
+});
+
+describe('approvalWorkflow.startWorkflow', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    User.findByPk.mockResolvedValue({ id: 'employee-1', department: 'Sales' });
+    ApprovalChain.findAll.mockResolvedValue([]);
+    TripApprovalStep.bulkCreate.mockImplementation(async steps => steps);
+    exchangeRateService.convert.mockImplementation(async amount => ({
+      amount: Math.round(amount / USD_RATE * 100) / 100,
+      rate: 1 / USD_RATE,
+      rateDate: '2024-03-01'
+    }));
+  });
+
+  const start = totalBudget => approvalWorkflow.startWorkflow({
+    id: 'trip-1',
+    companyId: 'company-1',
+    employeeId: 'employee-1',
+    destinationCountry: 'DE',
+    totalBudget,
+    currency: 'UZS'
+  });
+
+  it('adds a finance step to the default chain only above $1000', async () => {
+    // 1000.00 USD exactly
+    expect((await start(12700000)).map(step => step.label)).toEqual(['Manager']);
+    // 1000.08 USD
+    expect((await start(12701000)).map(step => step.label)).toEqual(['Manager', 'Finance']);
+    expect(exchangeRateService.convert).toHaveBeenCalledWith(12701000, 'UZS', 'USD', expect.any(String), {});
+  });
+
+  it('orders the steps of the selected chain', async () => {
+    const steps = await start(12701000);
+
+    expect(steps).toEqual([
+      expect.objectContaining({ tripId: 'trip-1', stepOrder: 1, approverRoles: ['manager', 'admin'], approverUserId: null }),
+      expect.objectContaining({ tripId: 'trip-1', stepOrder: 2, approverRoles: ['accountant', 'admin'] })
+    ]);
+  });
+
+  it('fails with a 422 when no chain matches', async () => {
+    ApprovalChain.findAll.mockResolvedValue([{ get: () => chain({ department: 'IT' }) }]);
+
+    const error = await start(1000).catch(caught => caught);
+    expect(error).toBeInstanceOf(AppError);
+    expect(error.statusCode).toBe(422);
+  });
+});
+
+describe('approvalWorkflow.resolveApprover', () => {
+  const roleStep = { approverRoles: ['accountant', 'admin'], approverUserId: null };
+  const userStep = { approverRoles: [], approverUserId: 'cfo-1' };
+
+  it('allows users by role or by the named approver', () => {
+    expect(approvalWorkflow.resolveApprover(roleStep, { id: 'u1', role: 'accountant' })).toEqual({ allowed: true, onBehalfOf: null });
+    expect(approvalWorkflow.resolveApprover(userStep, { id: 'cfo-1', role: 'user' })).toEqual({ allowed: true, onBehalfOf: null });
+    // The named approver overrides roles
+    expect(approvalWorkflow.resolveApprover(userStep, { id: 'u2', role: 'admin' })).toEqual({ allowed: false, onBehalfOf: null });
+  });
+
+  it('allows a delegate on behalf of an eligible delegator', () => {
+    const delegate = { id: 'deputy-1', role: 'user' };
+
+    expect(approvalWorkflow.resolveApprover(userStep, delegate, [{ id: 'other', role: 'manager' }, { id: 'cfo-1', role: 'user' }]))
+      .toEqual({ allowed: true, onBehalfOf: 'cfo-1' });
+    expect(approvalWorkflow.resolveApprover(roleStep, delegate, [{ id: 'm1', role: 'manager' }]))
+      .toEqual({ allowed: false, onBehalfOf: null });
+  });
+});
+
+describe('approvalWorkflow.decide', () => {
+  let trip;
+  let steps;
+
+  const step = (stepOrder, overrides) => record({
+    id: `step-${stepOrder}`,
+    tripId: 'trip-1',
+    stepOrder,
+    label: stepOrder === 1 ? 'Manager' : 'Finance',
+    approverRoles: stepOrder === 1 ? ['manager', 'admin'] : ['accountant', 'admin'],
+    approverUserId: null,
+    status: 'pending',
+    decidedBy: null,
+    onBehalfOf: null,
+    ...overrides
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    trip = record({ id: 'trip-1', employeeId: 'employee-1', approvalStatus: 'pending', status: 'planned' });
+    steps = [step(1), step(2)];
+
+    sequelize.transaction.mockImplementation(async callback => callback({}));
+    TripApprovalStep.findAll.mockImplementation(async () => steps);
+    ApprovalDelegation.findAll.mockResolvedValue([]);
+  });
+
+  it('refuses to let employees approve their own trip', async () => {
+    const error = await approvalWorkflow.decide(trip, { id: 'employee-1', role: 'admin' }, 'approved').catch(caught => caught);
+
+    expect(error.statusCode).toBe(403);
+    expect(sequelize.transaction).not.toHaveBeenCalled();
+  });
+
+  it('approves the current step and the trip after the last one', async () => {
+    await approvalWorkflow.decide(trip, { id: 'manager-1', role: 'manager' }, 'approved', 'OK');
+
+    expect(steps[0]).toMatchObject({ status: 'approved', decidedBy: 'manager-1', comment: 'OK' });
+    expect(trip.approvalStatus).toBe('pending');
+    expect(tripLifecycle.transition).not.toHaveBeenCalled();
+
+    await approvalWorkflow.decide(trip, { id: 'accountant-1', role: 'accountant' }, 'approved');
+
+    expect(trip).toMatchObject({ approvalStatus: 'approved', approvedBy: 'accountant-1' });
+    expect(tripLifecycle.transition).toHaveBeenCalledWith(trip, 'approved', expect.objectContaining({ source: 'approval_workflow' }));
+  });
+
+  it('lets a user approve only one step of a trip', async () => {
+    const admin = { id: 'admin-1', role: 'admin' };
+    await approvalWorkflow.decide(trip, admin, 'approved');
+
+    const error = await approvalWorkflow.decide(trip, admin, 'approved').catch(caught => caught);
+    expect(error.statusCode).toBe(403);
+    expect(error.message).toMatch(/already approved another step/);
+    expect(steps[1].status).toBe('pending');
+  });
+
+  it('counts a step approved by a delegate against the delegator', async () => {
+    ApprovalDelegation.findAll.mockResolvedValueOnce([{ delegator: { id: 'admin-1', role: 'admin' } }]);
+    await approvalWorkflow.decide(trip, { id: 'deputy-1', role: 'user' }, 'approved');
+
+    expect(steps[0]).toMatchObject({ status: 'approved', decidedBy: 'deputy-1', onBehalfOf: 'admin-1' });
+
+    const error = await approvalWorkflow.decide(trip, { id: 'admin-1', role: 'admin' }, 'approved').catch(caught => caught);
+    expect(error.statusCode).toBe(403);
+  });
+
+  it('refuses users who are neither approvers nor delegates', async () => {
+    const error = await approvalWorkflow.decide(trip, { id: 'accountant-1', role: 'accountant' }, 'approved').catch(caught => caught);
+
+    expect(error.statusCode).toBe(403);
+    expect(error.message).toMatch(/"Manager" step/);
+  });
+
+  it('rejects the trip and skips the remaining steps', async () => {
+    await approvalWorkflow.decide(trip, { id: 'manager-1', role: 'manager' }, 'rejected', 'Too expensive');
+
+    expect(steps[0]).toMatchObject({ status: 'rejected', comment: 'Too expensive' });
+    expect(TripApprovalStep.update).toHaveBeenCalledWith(
+      { status: 'skipped' },
+      expect.objectContaining({ where: { tripId: 'trip-1', status: 'pending' } })
+    );
+    expect(trip.approvalStatus).toBe('rejected');
+
+    const error = await approvalWorkflow.decide(trip, { id: 'admin-1', role: 'admin' }, 'approved').catch(caught => caught);
+    expect(error.statusCode).toBe(409);
+  });
+});
@@ -0,0 +1,133 @@
+jest.mock('../../../models', () => ({
+  sequelize: { transaction: jest.fn() },
+  BusinessTrip: { findAll: jest.fn() },
+  TripStatusHistory: { create: jest.fn(), findAll: jest.fn() }
+}));
+jest.mock('../../events/eventBus', () => ({ publish: jest.fn() }));
+jest.mock('../../../utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+const { sequelize, BusinessTrip, TripStatusHistory } = require('../../../models');
+const eventBus = require('../../events/eventBus');
+const tripLifecycle = require('../tripLifecycle');
+
+const STATUSES = ['planned', 'approved', 'in_progress', 'completed', 'reported'];
+const SOURCES = ['user', 'scheduler', 'approval_workflow', 'trip_report'];
+
+// Every allowed from -> to, and who may trigger it
+const ALLOWED = [
+  ['planned', 'approved', ['approval_workflow']],
+  ['approved', 'in_progress', ['user', 'scheduler']],
+  ['in_progress', 'completed', ['user', 'scheduler']],
+  ['completed', 'reported', ['trip_report']]
+];
+
+const DAY = 24 * 60 * 60 * 1000;
+const daysFromNow = days => new Date(Date.now() + days * DAY).toISOString().slice(0, 10);
+
+// A trip that meets every precondition except its status
+const tripIn = status => ({ status, approvalStatus: 'approved', startDate: daysFromNow(-1) });
+
+// Model instance stand-in: attributes plus update()
+const record = (attributes) => {
+  const instance = { ...attributes };
+  instance.update = jest.fn(async (changes) => Object.assign(instance, changes));
+  return instance;
+};
+
+describe('tripLifecycle.validateTransition', () => {
+  const cases = [];
+  STATUSES.forEach(from => STATUSES.forEach(to => SOURCES.forEach((source) => {
+    const allowed = ALLOWED.find(([f, t]) => f === from && t === to);
+    cases.push([from, to, source, Boolean(allowed && allowed[2].includes(source))]);
+  })));
+
+  it('has exactly the transitions of the table', () => {
+    const table = Object.entries(tripLifecycle.transitions)
+      .flatMap(([from, targets]) => Object.entries(targets).map(([to, sources]) => [from, to, sources]));
+
+    expect(table).toEqual(ALLOWED);
+  });
+
+  it.each(cases)('%s -> %s by %s allowed: %s', (from, to, source, allowed) => {
+    const reason = tripLifecycle.validateTransition(tripIn(from), to, source);
+
+    if (allowed) {
+      expect(reason).toBeNull();
+    } else {
+      expect(reason).toEqual(expect.any(String));
+    }
+  });
+
+  it('names the allowed targets of a refused transition', () => {
+    expect(tripLifecycle.validateTransition(tripIn('approved'), 'completed', 'user'))
+      .toBe('Cannot move trip from approved to completed (allowed: in_progress)');
+    expect(tripLifecycle.validateTransition(tripIn('reported'), 'planned', 'user'))
+      .toBe('Cannot move trip from reported to planned');
+  });
+
+  it.each([
+    ['planned', 'approved', 'user', 'Trips are approved through the approval workflow'],
+    ['completed', 'reported', 'scheduler', 'Trips are marked reported by submitting the trip report'],
+    ['in_progress', 'completed', 'trip_report', 'Transition to completed cannot be triggered by trip_report']
+  ])('explains why %s -> %s is not for %s', (from, to, source, reason) => {
+    expect(tripLifecycle.validateTransition(tripIn(from), to, source)).toBe(reason);
+  });
+
+  it('requires every approval step before approving', () => {
+    expect(tripLifecycle.validateTransition({ status: 'planned', approvalStatus: 'pending' }, 'approved', 'approval_workflow'))
+      .toBe('All approval steps must be approved first');
+  });
+
+  it('does not start a trip before its start date', () => {
+    const future = daysFromNow(3);
+
+    expect(tripLifecycle.validateTransition({ status: 'approved', startDate: future }, 'in_progress', 'user'))
+      .toBe(`Trip cannot start before its start date (${future})`);
+    expect(tripLifecycle.validateTransition({ status: 'approved', startDate: daysFromNow(0) }, 'in_progress', 'scheduler'))
+      .toBeNull();
+  });
+});
+
+describe('tripLifecycle.runScheduledTransitions', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    sequelize.transaction.mockImplementation(async callback => callback({}));
+  });
+
+  it('starts approved trips and completes finished ones as the scheduler', async () => {
+    const starting = record({ id: 'trip-1', status: 'approved', startDate: daysFromNow(0) });
+    const finished = record({ id: 'trip-2', status: 'in_progress', endDate: daysFromNow(-1) });
+    BusinessTrip.findAll
+      .mockResolvedValueOnce([starting])
+      .mockResolvedValueOnce([finished]);
+
+    await expect(tripLifecycle.runScheduledTransitions()).resolves.toEqual({ started: 1, completed: 1 });
+
+    expect(BusinessTrip.findAll.mock.calls[0][0].where.status).toBe('approved');
+    expect(BusinessTrip.findAll.mock.calls[1][0].where.status).toBe('in_progress');
+    expect(starting.status).toBe('in_progress');
+    expect(finished.status).toBe('completed');
+    expect(TripStatusHistory.create).toHaveBeenCalledWith(
+      expect.objectContaining({ tripId: 'trip-1', fromStatus: 'approved', toStatus: 'in_progress', source: 'scheduler' }),
+      expect.any(Object)
+    );
+    expect(eventBus.publish).not.toHaveBeenCalled();
+  });
+
+  it('counts only the trips it could move', async () => {
+    // Changed status after it was loaded
+    const moved = record({ id: 'trip-3', status: 'completed', endDate: daysFromNow(-1) });
+    const finished = record({ id: 'trip-4', status: 'in_progress', endDate: daysFromNow(-2) });
+    BusinessTrip.findAll
+      .mockResolvedValueOnce([])
+      .mockResolvedValueOnce([moved, finished]);
+
+    await expect(tripLifecycle.runScheduledTransitions()).resolves.toEqual({ started: 0, completed: 1 });
+    expect(moved.update).not.toHaveBeenCalled();
+    expect(finished.status).toBe('completed');
+  });
+});
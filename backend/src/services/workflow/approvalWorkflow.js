@@ -0,0 +1,326 @@
+const { Op } = require('sequelize');
+const {
+  sequelize,
+  User,
+  ApprovalChain,
+  ApprovalDelegation,
+  TripApprovalStep
+} = require('../../models');
+const tripLifecycle = require('./tripLifecycle');
+const exchangeRateService = require('../currency/exchangeRateService');
+const AppError = require('../../utils/appError');
+const logger = require('../../utils/logger');
+
+// Fallback chains for companies that have not configured their own.
+// Mirrors the IT Park rule: manager approval, plus finance for trips over $1000.
+const DEFAULT_CHAINS = [
+  {
+    id: null,
+    name: 'Standard approval',
+    department: null,
+    destinationType: 'any',
+    budgetAbove: null,
+    currency: 'USD',
+    priority: 0,
+    steps: [
+      { label: 'Manager', roles: ['manager', 'admin'] }
+    ]
+  },
+  {
+    id: null,
+    name: 'High-value trip approval',
+    department: null,
+    destinationType: 'any',
+    budgetAbove: 1000,
+    currency: 'USD',
+    priority: 0,
+    steps: [
+      { label: 'Manager', roles: ['manager', 'admin'] },
+      { label: 'Finance', roles: ['accountant', 'admin'] }
+    ]
+  }
+];
+
+class ApprovalWorkflow {
+  constructor() {
+    this.homeCountry = process.env.HOME_COUNTRY || 'UZ';
+  }
+
+  /**
+   * Classify a trip as domestic or abroad
+   * @param {Object} trip - Business trip
+   * @returns {string} 'domestic' or 'abroad'
+   */
+  getDestinationType(trip) {
+    if (!trip.destinationCountry) {
+      return 'domestic';
+    }
+    return trip.destinationCountry.toUpperCase() === this.homeCountry ? 'domestic' : 'abroad';
+  }
+
+  /**
+   * Pick the approval chain that applies to a trip.
+   * Higher priority wins; among equal priorities the most specific chain
+   * (highest budget threshold, then department and destination filters) wins.
+   * @param {Array} chains - Candidate chains
+   * @param {Object} trip - Business trip
+   * @param {string|null} department - Department of the travelling employee
+   * @param {Object} budgets - Trip budget converted per chain currency
+   * @returns {Object|null} Matching chain
+   */
+  selectChain(chains, trip, department, budgets = {}) {
+    const destinationType = this.getDestinationType(trip);
+    const budgetIn = currency => (
+      budgets[currency] !== undefined ? budgets[currency] : Number(trip.totalBudget) || 0
+    );
+
+    const matching = chains.filter(chain => {
+      if (chain.department && chain.department !== department) return false;
+      if (chain.destinationType && chain.destinationType !== 'any' && chain.destinationType !== destinationType) return false;
+      if (chain.budgetAbove !== null && chain.budgetAbove !== undefined &&
+        !(budgetIn(chain.currency || trip.currency) > Number(chain.budgetAbove))) return false;
+      return true;
+    });
+
+    const specificity = chain => [
+      chain.priority || 0,
+      Number(chain.budgetAbove) || 0,
+      chain.department ? 1 : 0,
+      chain.destinationType && chain.destinationType !== 'any' ? 1 : 0
+    ];
+
+    matching.sort((a, b) => {
+      const sa = specificity(a);
+      const sb = specificity(b);
+      for (let i = 0; i < sa.length; i++) {
+        if (sa[i] !== sb[i]) return sb[i] - sa[i];
+      }
+      return 0;
+    });
+
+    return matching[0] || null;
+  }
+
+  /**
+   * Convert the trip budget into each currency used by chain thresholds.
+   * Falls back to the unconverted amount when no rate is available.
+   * @returns {Object} Map of currency -> budget amount
+   */
+  async convertBudget(trip, chains, options = {}) {
+    const budgets = {};
+    const currencies = new Set(
+      chains.filter(c => c.budgetAbove !== null && c.budgetAbove !== undefined).map(c => c.currency || trip.currency)
+    );
+    const today = new Date().toISOString().slice(0, 10);
+
+    for (const currency of currencies) {
+      try {
+        const converted = await exchangeRateService.convert(trip.totalBudget || 0, trip.currency, currency, today, options);
+        budgets[currency] = converted.amount;
+      } catch (error) {
+        logger.warn(`Cannot convert budget of trip ${trip.id} to ${currency}: ${error.message}`);
+      }
+    }
+
+    return budgets;
+  }
+
+  /**
+   * Create the approval steps for a trip from its matching chain
+   * @param {Object} trip - Business trip
+   * @param {Object} options - Sequelize options (transaction)
+   * @returns {Array} Created steps
+   */
+  async startWorkflow(trip, options = {}) {
+    const employee = trip.employeeId ? await User.findByPk(trip.employeeId, options) : null;
+    const companyChains = await ApprovalChain.findAll({
+      where: { companyId: trip.companyId, isActive: true },
+      ...options
+    });
+
+    const chains = companyChains.length > 0 ? companyChains.map(c => c.get({ plain: true })) : DEFAULT_CHAINS;
+    const budgets = await this.convertBudget(trip, chains, options);
+    const chain = this.selectChain(chains, trip, employee ? employee.department : null, budgets);
+
+    if (!chain) {
+      throw new AppError('No approval chain matches this trip', 422);
+    }
+
+    const steps = await TripApprovalStep.bulkCreate(
+      chain.steps.map((step, index) => ({
+        tripId: trip.id,
+        chainId: chain.id,
+        stepOrder: index + 1,
+        label: step.label || `Step ${index + 1}`,
+        approverRoles: step.roles || [],
+        approverUserId: step.userId || null
+      })),
+      options
+    );
+
+    logger.info(`Approval workflow "${chain.name}" started for trip ${trip.id} with ${steps.length} step(s)`);
+    return steps;
+  }
+
+  /**
+   * Discard a trip's approval steps and decisions and start again with the
+   * chain that matches the trip now, e.g. after its budget changed
+   * @param {Object} trip - Business trip (still planned)
+   * @param {Object} options - Sequelize options (transaction)
+   * @returns {Array} New steps
+   */
+  async restartWorkflow(trip, options = {}) {
+    await TripApprovalStep.destroy({ where: { tripId: trip.id }, ...options });
+    await trip.update({ approvalStatus: 'pending', approvedBy: null, approvedAt: null }, options);
+
+    logger.info(`Approval workflow of trip ${trip.id} restarted`);
+    return this.startWorkflow(trip, options);
+  }
+
+  /**
+   * Get a trip's approval steps, starting the workflow for pending trips
+   * @param {Object} trip - Business trip
+   * @param {Object} options - Sequelize options (transaction)
+   * @returns {Array} Steps ordered by stepOrder
+   */
+  async getSteps(trip, options = {}) {
+    const steps = await TripApprovalStep.findAll({
+      where: { tripId: trip.id },
+      order: [['stepOrder', 'ASC']],
+      ...options
+    });
+
+    if (steps.length > 0 || trip.approvalStatus !== 'pending') {
+      return steps;
+    }
+    return this.startWorkflow(trip, options);
+  }
+
+  /**
+   * Users who have delegated their approval rights to the given user today
+   * @param {Object} user - Acting user
+   * @param {Object} options - Sequelize options (transaction)
+   * @returns {Array} Delegating users
+   */
+  async getActiveDelegators(user, options = {}) {
+    const today = new Date().toISOString().slice(0, 10);
+    const delegations = await ApprovalDelegation.findAll({
+      where: {
+        companyId: user.companyId,
+        delegateId: user.id,
+        isActive: true,
+        startsAt: { [Op.lte]: today },
+        endsAt: { [Op.gte]: today }
+      },
+      include: [{ model: User, as: 'delegator' }],
+      ...options
+    });
+
+    return delegations.map(d => d.delegator).filter(Boolean);
+  }
+
+  /**
+   * Check whether a user may decide a step, directly or on someone's behalf
+   * @param {Object} step - Approval step
+   * @param {Object} user - Acting user ({ id, role })
+   * @param {Array} delegators - Users delegating to the acting user
+   * @returns {Object} { allowed, onBehalfOf }
+   */
+  resolveApprover(step, user, delegators = []) {
+    const isEligible = candidate => (
+      step.approverUserId
+        ? candidate.id === step.approverUserId
+        : (step.approverRoles || []).includes(candidate.role)
+    );
+
+    if (isEligible(user)) {
+      return { allowed: true, onBehalfOf: null };
+    }
+
+    const delegator = delegators.find(isEligible);
+    if (delegator) {
+      return { allowed: true, onBehalfOf: delegator.id };
+    }
+
+    return { allowed: false, onBehalfOf: null };
+  }
+
+  /**
+   * Record an approval or rejection on the trip's current step
+   * @param {Object} trip - Business trip
+   * @param {Object} user - Acting user from the JWT
+   * @param {string} decision - 'approved' or 'rejected'
+   * @param {string} comment - Approver comment or rejection reason
+   * @returns {Object} { trip, steps }
+   */
+  async decide(trip, user, decision, comment) {
+    if (trip.approvalStatus !== 'pending') {
+      throw new AppError(`Trip approval is already ${trip.approvalStatus}`, 409);
+    }
+
+    if (trip.employeeId && trip.employeeId === user.id) {
+      throw new AppError('You cannot approve your own business trip', 403);
+    }
+
+    return sequelize.transaction(async (transaction) => {
+      const steps = await this.getSteps(trip, { transaction });
+      const currentStep = steps.find(s => s.status === 'pending');
+
+      if (!currentStep) {
+        throw new AppError('Trip has no pending approval step', 409);
+      }
+
+      if (steps.some(s => s.status === 'approved' && (s.decidedBy === user.id || s.onBehalfOf === user.id))) {
+        throw new AppError('You have already approved another step of this trip', 403);
+      }
+
+      const delegators = await this.getActiveDelegators(user, { transaction });
+      const { allowed, onBehalfOf } = this.resolveApprover(currentStep, user, delegators);
+
+      if (!allowed) {
+        throw new AppError(`You are not an approver for the "${currentStep.label}" step`, 403);
+      }
+
+      const now = new Date();
+      await currentStep.update({
+        status: decision,
+        decidedBy: user.id,
+        onBehalfOf,
+        comment: comment || null,
+        decidedAt: now
+      }, { transaction });
+
+      if (decision === 'rejected') {
+        await TripApprovalStep.update(
+          { status: 'skipped' },
+          { where: { tripId: trip.id, status: 'pending' }, transaction }
+        );
+        await trip.update({ approvalStatus: 'rejected' }, { transaction });
+      } else if (!steps.some(s => s.status === 'pending' && s.id !== currentStep.id)) {
+        await trip.update({
+          approvalStatus: 'approved',
+          approvedBy: user.id,
+          approvedAt: now
+        }, { transaction });
+        await tripLifecycle.transition(trip, 'approved', {
+          source: 'approval_workflow',
+          userId: user.id,
+          reason: comment,
+          transaction
+        });
+      }
+
+      logger.info(`Trip ${trip.id} step ${currentStep.stepOrder} ${decision} by user ${user.id}${onBehalfOf ? ` on behalf of ${onBehalfOf}` : ''}`);
+
+      const updatedSteps = await TripApprovalStep.findAll({
+        where: { tripId: trip.id },
+        order: [['stepOrder', 'ASC']],
+        transaction
+      });
+
+      return { trip, steps: updatedSteps };
+    });
+  }
+}
+
+module.exports = new ApprovalWorkflow();
@@ -0,0 +1,178 @@
+const { Op } = require('sequelize');
+const { sequelize, BusinessTrip, TripStatusHistory } = require('../../models');
+const eventBus = require('../events/eventBus');
+const AppError = require('../../utils/appError');
+const logger = require('../../utils/logger');
+
+// Allowed transitions: from status -> to status -> sources allowed to trigger it
+const TRANSITIONS = {
+  planned: {
+    approved: ['approval_workflow']
+  },
+  approved: {
+    in_progress: ['user', 'scheduler']
+  },
+  in_progress: {
+    completed: ['user', 'scheduler']
+  },
+  completed: {
+    reported: ['trip_report']
+  },
+  reported: {}
+};
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+class TripLifecycle {
+  constructor() {
+    this.transitions = TRANSITIONS;
+  }
+
+  /**
+   * Check whether a transition is allowed
+   * @param {Object} trip - Business trip
+   * @param {string} toStatus - Target status
+   * @param {string} source - What triggers the change (user, scheduler, ...)
+   * @returns {string|null} Reason the transition is refused, or null if allowed
+   */
+  validateTransition(trip, toStatus, source) {
+    const fromStatus = trip.status;
+    const allowedTargets = this.transitions[fromStatus] || {};
+    const allowedSources = allowedTargets[toStatus];
+
+    if (!allowedSources) {
+      const targets = Object.keys(allowedTargets);
+      return `Cannot move trip from ${fromStatus} to ${toStatus}` +
+        (targets.length > 0 ? ` (allowed: ${targets.join(', ')})` : '');
+    }
+
+    if (!allowedSources.includes(source)) {
+      switch (toStatus) {
+        case 'approved':
+          return 'Trips are approved through the approval workflow';
+        case 'reported':
+          return 'Trips are marked reported by submitting the trip report';
+        default:
+          return `Transition to ${toStatus} cannot be triggered by ${source}`;
+      }
+    }
+
+    if (toStatus === 'approved' && trip.approvalStatus !== 'approved') {
+      return 'All approval steps must be approved first';
+    }
+
+    if (toStatus === 'in_progress' && trip.startDate > today()) {
+      return `Trip cannot start before its start date (${trip.startDate})`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Move a trip to a new status and record the transition
+   * @param {Object} trip - Business trip instance
+   * @param {string} toStatus - Target status
+   * @param {Object} context - { source, userId, reason, transaction }
+   * @returns {Object} Updated trip
+   */
+  async transition(trip, toStatus, context = {}) {
+    const { source = 'user', userId = null, reason = null, transaction } = context;
+    const fromStatus = trip.status;
+
+    const error = this.validateTransition(trip, toStatus, source);
+    if (error) {
+      throw new AppError(error, 409, { from: fromStatus, to: toStatus });
+    }
+
+    const apply = async (t) => {
+      await trip.update({ status: toStatus }, { transaction: t });
+      await TripStatusHistory.create({
+        tripId: trip.id,
+        fromStatus,
+        toStatus,
+        source,
+        changedBy: userId,
+        reason
+      }, { transaction: t });
+      if (toStatus === 'approved') {
+        await eventBus.publish('trip.approved', {
+          companyId: trip.companyId,
+          aggregateType: 'business_trip',
+          aggregateId: trip.id,
+          userId
+        }, { transaction: t });
+      }
+      return trip;
+    };
+
+    const result = transaction ? await apply(transaction) : await sequelize.transaction(apply);
+
+    logger.info(`Trip ${trip.id} moved from ${fromStatus} to ${toStatus} by ${userId || source}`);
+    return result;
+  }
+
+  /**
+   * Whether expenses of a trip may still be added, changed or removed
+   * @param {Object} trip - Business trip
+   */
+  assertExpensesEditable(trip) {
+    if (trip.status === 'reported') {
+      throw new AppError('Expenses cannot be changed after the trip has been reported', 409);
+    }
+  }
+
+  /**
+   * Apply date-driven transitions: approved trips start on start_date,
+   * in-progress trips complete once end_date has passed.
+   * @returns {Object} Counts of started and completed trips
+   */
+  async runScheduledTransitions() {
+    const date = today();
+    const result = { started: 0, completed: 0 };
+
+    const toStart = await BusinessTrip.findAll({
+      where: { status: 'approved', startDate: { [Op.lte]: date } }
+    });
+
+    for (const trip of toStart) {
+      try {
+        await this.transition(trip, 'in_progress', { source: 'scheduler', reason: 'Start date reached' });
+        result.started++;
+      } catch (error) {
+        logger.error(`Scheduled start failed for trip ${trip.id}:`, error);
+      }
+    }
+
+    const toComplete = await BusinessTrip.findAll({
+      where: { status: 'in_progress', endDate: { [Op.lt]: date } }
+    });
+
+    for (const trip of toComplete) {
+      try {
+        await this.transition(trip, 'completed', { source: 'scheduler', reason: 'End date passed' });
+        result.completed++;
+      } catch (error) {
+        logger.error(`Scheduled completion failed for trip ${trip.id}:`, error);
+      }
+    }
+
+    if (result.started || result.completed) {
+      logger.info(`Trip scheduler: ${result.started} started, ${result.completed} completed`);
+    }
+    return result;
+  }
+
+  /**
+   * Get the recorded status transitions of a trip
+   * @param {string} tripId - Trip ID
+   * @returns {Array} Transitions, oldest first
+   */
+  async getHistory(tripId) {
+    return TripStatusHistory.findAll({
+      where: { tripId },
+      order: [['createdAt', 'ASC']]
+    });
+  }
+}
+
+module.exports = new TripLifecycle();
@@ -0,0 +1,104 @@
+const { parse, evaluate } = require('../expression');
+const AppError = require('../appError');
+
+describe('expression.parse', () => {
+  it('builds literals, paths and calls', () => {
+    expect(parse('42')).toEqual({ type: 'literal', value: 42 });
+    expect(parse("'Q1'")).toEqual({ type: 'literal', value: 'Q1' });
+    expect(parse('null')).toEqual({ type: 'literal', value: null });
+    expect(parse('balanceSheet.equity')).toEqual({ type: 'path', path: ['balanceSheet', 'equity'] });
+    expect(parse('sum(trialBalance.debit)')).toEqual({
+      type: 'call',
+      name: 'sum',
+      args: [{ type: 'path', path: ['trialBalance', 'debit'] }]
+    });
+  });
+
+  it('binds * tighter than + and groups parentheses', () => {
+    expect(parse('1 + 2 * 3')).toEqual({
+      type: 'binary',
+      operator: '+',
+      left: { type: 'literal', value: 1 },
+      right: {
+        type: 'binary',
+        operator: '*',
+        left: { type: 'literal', value: 2 },
+        right: { type: 'literal', value: 3 }
+      }
+    });
+    expect(parse('(1 + 2) * 3').operator).toBe('*');
+  });
+
+  it.each([
+    ['empty input', ''],
+    ['an unknown function', 'eval(1)'],
+    ['an unclosed parenthesis', '(1 + 2'],
+    ['a trailing operator', '1 +'],
+    ['a trailing token', '1 2']
+  ])('rejects %s with a 422', (label, source) => {
+    let thrown = null;
+    try {
+      parse(source);
+    } catch (error) {
+      thrown = error;
+    }
+    expect(thrown).toBeInstanceOf(AppError);
+    expect(thrown.statusCode).toBe(422);
+  });
+});
+
+describe('expression.evaluate', () => {
+  const context = {
+    revenue: 1000,
+    costOfSales: 400,
+    trialBalance: [{ debit: 100, credit: 0 }, { debit: 50, credit: 150 }],
+    period: { quarter: '10' },
+    submittedAt: null
+  };
+
+  it('computes arithmetic over the context', () => {
+    expect(evaluate('revenue - costOfSales', context)).toBe(600);
+    expect(evaluate('round(costOfSales / revenue * 100, 1)', context)).toBe(40);
+    expect(evaluate('sum(trialBalance.debit) - sum(trialBalance.credit)', context)).toBe(0);
+  });
+
+  it('returns null instead of dividing by zero', () => {
+    expect(evaluate('revenue / 0', context)).toBeNull();
+  });
+
+  it('treats missing values as 0 in sums and differences', () => {
+    expect(evaluate('revenue + missing', context)).toBe(1000);
+  });
+
+  it('compares numeric strings with numbers', () => {
+    expect(evaluate('period.quarter == 10', context)).toBe(true);
+    expect(evaluate('period.quarter != 10', context)).toBe(false);
+    expect(evaluate("'a' == 'b'", context)).toBe(false);
+  });
+
+  it('equals null only for null or missing values', () => {
+    expect(evaluate('submittedAt == null', context)).toBe(true);
+    expect(evaluate('missing == null', context)).toBe(true);
+    expect(evaluate('revenue == null', context)).toBe(false);
+    expect(evaluate('0 == null', context)).toBe(false);
+    expect(evaluate("'' != null", context)).toBe(true);
+  });
+
+  it('short-circuits && and ||', () => {
+    expect(evaluate('revenue > 0 && costOfSales < revenue', context)).toBe(true);
+    expect(evaluate('coalesce(submittedAt, 0) || 5', context)).toBe(5);
+  });
+
+  it('applies date functions', () => {
+    expect(evaluate("addMonths('2024-01-31', 1)")).toBe('2024-02-29');
+    expect(evaluate("daysBetween('2024-03-01', '2024-03-31')")).toBe(30);
+  });
+
+  it('evaluates a pre-parsed AST', () => {
+    expect(evaluate(parse('revenue * 2'), context)).toBe(2000);
+  });
+
+  it('cannot read inherited properties', () => {
+    expect(evaluate('revenue.constructor', context)).toBeUndefined();
+  });
+});
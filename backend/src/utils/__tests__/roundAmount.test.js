@@ -0,0 +1,22 @@
+const { isRoundAmount, roundAmountMinimum } = require('../roundAmount');
+
+describe('roundAmount', () => {
+  it.each([
+    [300, 100, true],
+    [5000000, 1000000, true],
+    [150, 100, false],
+    [1250000, 1000000, false],
+    [500000, 1000000, false],
+    [99.5, 1, false],
+    [0, 100, false]
+  ])('isRoundAmount(%p, %p) is %p', (amount, minimum, expected) => {
+    expect(isRoundAmount(amount, minimum)).toBe(expected);
+  });
+
+  it('scales the minimum to the currency', () => {
+    expect(roundAmountMinimum('UZS')).toBe(1000000);
+    expect(roundAmountMinimum('uzs')).toBe(1000000);
+    expect(roundAmountMinimum('USD')).toBe(100);
+    expect(roundAmountMinimum(null)).toBe(100);
+  });
+});
@@ -0,0 +1,129 @@
+const {
+  validateRuleDefinition,
+  validateCustomParameters,
+  applyCustomParameters,
+  dataFields
+} = require('../ruleDefinition');
+
+const expressionRule = overrides => ({
+  type: 'expression',
+  parameters: { minAverage: 10000, months: ['01', '02'] },
+  variables: {
+    recentAverage: "avg(pluck(window(monthlyRevenue, 'month', addMonths(today, -3), today), 'amount'))"
+  },
+  condition: 'recentAverage < params.minAverage',
+  violationType: 'low_revenue',
+  description: 'Average revenue ({{recentAverage}}) of {{companyName}} is below {{params.minAverage}}',
+  ...overrides
+});
+
+const perTrip = overrides => expressionRule({
+  parameters: { maxDays: 14 },
+  variables: undefined,
+  each: 'trips',
+  condition: "daysBetween(item.startDate, item.endDate) > params.maxDays && rule.deadlineDays > 0",
+  violationType: 'long_trip',
+  description: 'Trip {{item.tripTitle}} is too long',
+  ...overrides
+});
+
+describe('ruleDefinition.validateRuleDefinition', () => {
+  it('accepts valid built-in and expression definitions', () => {
+    expect(validateRuleDefinition(expressionRule())).toEqual([]);
+    expect(validateRuleDefinition(perTrip())).toEqual([]);
+    expect(validateRuleDefinition({ type: 'revenue_tracking', threshold: 10000 })).toEqual([]);
+    expect(validateRuleDefinition({
+      type: 'trip_documentation',
+      required_fields: ['purpose', 'expenses', 'receipts'],
+      pre_approval_threshold: 5000000
+    })).toEqual([]);
+  });
+
+  it.each([
+    ['not an object', [], ['rule definition must be an object']],
+    ['an unknown type', { type: 'magic' }, [expect.stringMatching(/^type must be one of report_submission, /)]],
+    ['a mistyped built-in parameter', { type: 'revenue_tracking', threshold: '10000' }, ['threshold must be a number']],
+    ['an unknown tax', { type: 'tax_compliance', taxes: ['vat', 'land'] },
+      ['taxes contains unknown value(s) land; allowed: vat, social_contributions, income_tax']],
+    ['required fields that are not names', { type: 'trip_documentation', required_fields: ['purpose', 1] },
+      ['required_fields must contain only strings']],
+    ['an unknown property', expressionRule({ threshold: 5 }), ['unknown property "threshold"']],
+    ['no condition', expressionRule({ condition: undefined }), ['condition is required']],
+    ['a syntax error', expressionRule({ condition: 'recentAverage <' }), [expect.stringMatching(/^condition: /)]],
+    ['a bad violation type', expressionRule({ violationType: 'Low Revenue' }), [expect.stringMatching(/^violationType is required/)]],
+    ['no description', expressionRule({ description: ' ' }), ['description is required']],
+    ['an unknown severity', expressionRule({ severity: 'urgent' }), ['severity must be one of low, medium, high, critical']],
+    ['a confidence above 1', expressionRule({ confidence: 1.5 }), ['confidence must be a number between 0 and 1']],
+    ['a reserved variable', expressionRule({ variables: { today: '1' } }), ['variable name "today" is reserved']],
+    ['an object parameter', expressionRule({ parameters: { limits: { low: 1 } }, condition: 'true', description: 'x' }),
+      ['parameter "limits" must be a number, string, boolean or a list of them']],
+    ['a placeholder that is not a path', expressionRule({ description: 'Below {{params.minAverage * 2}}' }),
+      ['description placeholder {{params.minAverage * 2}} must be a field path']],
+    ['an invalid each', perTrip({ each: 'trips[0]' }), ['each must be a field path such as "trips"']]
+  ])('rejects %s', (label, definition, errors) => {
+    expect(validateRuleDefinition(definition)).toEqual(errors);
+  });
+
+  it('rejects parameters that are not declared', () => {
+    expect(validateRuleDefinition(expressionRule({
+      condition: 'recentAverage < params.minimum',
+      description: 'Below {{params.limit}}'
+    }))).toEqual([
+      'condition: parameter "minimum" is not declared in parameters',
+      'description placeholder {{params.limit}}: parameter "limit" is not declared in parameters'
+    ]);
+  });
+
+  it('rejects item outside rules with each', () => {
+    expect(validateRuleDefinition(perTrip({ each: undefined }))).toEqual([
+      'condition: "item" is only available in rules with "each"',
+      'description placeholder {{item.tripTitle}}: "item" is only available in rules with "each"'
+    ]);
+    expect(validateRuleDefinition(expressionRule({ variables: { title: 'item.tripTitle' } })))
+      .toEqual(['variable "title": "item" is only available in rules with "each"']);
+  });
+});
+
+describe('ruleDefinition.validateCustomParameters', () => {
+  it('accepts no overrides and overrides of the declared type', () => {
+    expect(validateCustomParameters(expressionRule(), null)).toEqual([]);
+    expect(validateCustomParameters(expressionRule(), { minAverage: 5000, months: ['03'] })).toEqual([]);
+    expect(validateCustomParameters({ type: 'trip_documentation' }, { pre_approval_threshold: 0 })).toEqual([]);
+  });
+
+  it.each([
+    ['not an object', expressionRule(), [1], ['custom parameters must be an object']],
+    ['a mistyped expression parameter', expressionRule(), { minAverage: '5000' }, ['parameter "minAverage" must be a number']],
+    ['a list instead of a value', expressionRule(), { minAverage: [5000] }, ['parameter "minAverage" must be a number']],
+    ['a value instead of a list', expressionRule(), { months: '03' }, ['parameter "months" must be an array']],
+    ['an undeclared parameter', expressionRule(), { maxAverage: 1 },
+      ['unknown parameter "maxAverage"; the rule declares minAverage, months']],
+    ['a mistyped built-in parameter', { type: 'trip_documentation' }, { required_fields: 'purpose' },
+      ['required_fields must be an array']],
+    ['an unknown built-in parameter', { type: 'report_submission' }, { threshold: 1 },
+      ['unknown parameter "threshold"; report_submission rules accept no parameters']]
+  ])('rejects %s', (label, definition, overrides, errors) => {
+    expect(validateCustomParameters(definition, overrides)).toEqual(errors);
+  });
+});
+
+describe('ruleDefinition.applyCustomParameters', () => {
+  it('merges overrides into the parameters or the definition', () => {
+    expect(applyCustomParameters(expressionRule(), { minAverage: 5000 }).parameters)
+      .toEqual({ minAverage: 5000, months: ['01', '02'] });
+    expect(applyCustomParameters({ type: 'revenue_tracking', threshold: 10000 }, { threshold: 500, type: 'expression' }))
+      .toEqual({ type: 'revenue_tracking', threshold: 500 });
+  });
+});
+
+describe('ruleDefinition.dataFields', () => {
+  it('lists the fields built-in checks read', () => {
+    expect(dataFields({ type: 'trip_documentation' })).toEqual(['trips']);
+    expect(dataFields({ type: 'tax_compliance' })).toEqual(['taxPayments', 'reportingPeriodStart', 'reportingPeriodEnd']);
+  });
+
+  it('collects the data roots of an expression rule without variables and reserved names', () => {
+    expect(dataFields(expressionRule())).toEqual(['monthlyRevenue', 'companyName']);
+    expect(dataFields(perTrip())).toEqual(['trips']);
+  });
+});
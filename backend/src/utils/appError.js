@@ -0,0 +1,16 @@
+/**
+ * Error carrying an HTTP status code.
+ * The global errorHandler reads `statusCode` to build the response.
+ */
+class AppError extends Error {
+  constructor(message, statusCode = 500, details = null) {
+    super(message);
+    this.name = 'AppError';
+    this.statusCode = statusCode;
+    if (details) {
+      this.details = details;
+    }
+  }
+}
+
+module.exports = AppError;
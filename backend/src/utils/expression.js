@@ -0,0 +1,321 @@
+/**
+ * Small, side-effect free expression language used by report templates for
+ * computed fields. Supports numbers, strings, true/false/null, dotted paths
+ * (a path through an array yields the array of values), arithmetic,
+ * comparisons, && || ! and a few aggregate and date functions. Nothing is
+ * evaluated with eval() and identifiers can only read from the given context.
+ *
+ *   revenue - costOfSales
+ *   sum(trialBalance.debit) - sum(trialBalance.credit)
+ *   round(netIncome / revenue * 100, 1)
+ *   avg(pluck(window(monthlyRevenue, 'month', addMonths(today, -3), today), 'amount'))
+ *   daysBetween(dueDate, coalesce(submittedAt, today)) > 0
+ *
+ * Dates are ISO strings; date functions return YYYY-MM-DD.
+ */
+
+const AppError = require('./appError');
+
+const toNumbers = values => (Array.isArray(values) ? values : [values])
+  .flat(Infinity)
+  .map(Number)
+  .filter(value => !Number.isNaN(value));
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// YYYY-MM-DD of a date, ISO string or YYYY-MM month; null when not a date
+const toDate = (value) => {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  const text = typeof value === 'string' && /^\d{4}-\d{2}$/.test(value) ? `${value}-01` : value;
+  const date = new Date(text);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString().slice(0, 10);
+};
+
+const FUNCTIONS = {
+  sum: values => toNumbers(values).reduce((acc, value) => acc + value, 0),
+  count: values => (Array.isArray(values) ? values.filter(v => v !== null && v !== undefined).length : Number(values !== null && values !== undefined)),
+  avg: (values) => {
+    const numbers = toNumbers(values);
+    return numbers.length ? FUNCTIONS.sum(numbers) / numbers.length : null;
+  },
+  min: (...args) => {
+    const numbers = toNumbers(args);
+    return numbers.length ? Math.min(...numbers) : null;
+  },
+  max: (...args) => {
+    const numbers = toNumbers(args);
+    return numbers.length ? Math.max(...numbers) : null;
+  },
+  abs: value => Math.abs(Number(value)),
+  round: (value, digits = 0) => {
+    const factor = 10 ** Number(digits);
+    return Math.round(Number(value) * factor) / factor;
+  },
+  coalesce: (...args) => args.find(value => value !== null && value !== undefined) ?? null,
+  pluck: (items, field) => (Array.isArray(items) ? items.map(item => (item === null || item === undefined ? undefined : item[field])) : []),
+  // Items whose date field lies within [from, to]; either bound may be null
+  window: (items, field, from, to) => {
+    const start = toDate(from);
+    const end = toDate(to);
+    return (Array.isArray(items) ? items : []).filter((item) => {
+      const date = item === null || item === undefined ? null : toDate(item[field]);
+      return date !== null && (start === null || date >= start) && (end === null || date <= end);
+    });
+  },
+  date: value => toDate(value),
+  addDays: (value, days) => {
+    const date = toDate(value);
+    return date === null ? null : toDate(new Date(date).getTime() + Number(days) * DAY);
+  },
+  addMonths: (value, months) => {
+    const date = toDate(value);
+    if (date === null) {
+      return null;
+    }
+    const [year, month, day] = date.split('-').map(Number);
+    // Month ends stay month ends: Jan 31 + 1 month is Feb 28/29
+    const target = new Date(Date.UTC(year, month - 1 + Number(months), 1));
+    const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+    target.setUTCDate(Math.min(day, lastDay));
+    return toDate(target);
+  },
+  daysBetween: (from, to) => {
+    const start = toDate(from);
+    const end = toDate(to);
+    return start === null || end === null ? null : Math.round((new Date(end) - new Date(start)) / DAY);
+  }
+};
+
+const BINARY_PRECEDENCE = {
+  '||': 1,
+  '&&': 2,
+  '==': 3,
+  '!=': 3,
+  '<': 4,
+  '<=': 4,
+  '>': 4,
+  '>=': 4,
+  '+': 5,
+  '-': 5,
+  '*': 6,
+  '/': 6,
+  '%': 6
+};
+
+const TOKEN_PATTERN = /\s*(?:(\d+(?:\.\d+)?)|([A-Za-z_][\w]*(?:\.[A-Za-z_][\w]*)*)|('(?:[^'\\]|\\.)*'|"(?:[^"\\]|\\.)*")|(\|\||&&|==|!=|<=|>=|[-+*/%<>!(),]))/y;
+
+// Equality of the language: "10" from JSON input equals 10, and null equals
+// a missing value but nothing else
+const looselyEquals = (left, right) => {
+  const leftMissing = left === null || left === undefined;
+  const rightMissing = right === null || right === undefined;
+  if (leftMissing || rightMissing) {
+    return leftMissing && rightMissing;
+  }
+  if (typeof left === 'number' || typeof right === 'number') {
+    return Number(left) === Number(right);
+  }
+  return left === right;
+};
+
+const syntaxError = (message, source) => new AppError(`Invalid expression "${source}": ${message}`, 422);
+
+const tokenize = (source) => {
+  const tokens = [];
+  TOKEN_PATTERN.lastIndex = 0;
+
+  while (TOKEN_PATTERN.lastIndex < source.length) {
+    if (/^\s*$/.test(source.slice(TOKEN_PATTERN.lastIndex))) {
+      break;
+    }
+    const start = TOKEN_PATTERN.lastIndex;
+    const match = TOKEN_PATTERN.exec(source);
+    if (!match) {
+      throw syntaxError(`unexpected character at position ${start + 1}`, source);
+    }
+
+    if (match[1] !== undefined) {
+      tokens.push({ type: 'number', value: Number(match[1]) });
+    } else if (match[2] !== undefined) {
+      tokens.push({ type: 'identifier', value: match[2] });
+    } else if (match[3] !== undefined) {
+      tokens.push({ type: 'string', value: match[3].slice(1, -1).replace(/\\(.)/g, '$1') });
+    } else {
+      tokens.push({ type: 'operator', value: match[4] });
+    }
+  }
+
+  return tokens;
+};
+
+/**
+ * Parse an expression into an AST (precedence climbing)
+ * @param {string} source - Expression text
+ * @returns {Object} AST node
+ */
+const parse = (source) => {
+  if (typeof source !== 'string' || source.trim() === '') {
+    throw new AppError('Expression must be a non-empty string', 422);
+  }
+
+  const tokens = tokenize(source);
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const isOperator = value => peek() && peek().type === 'operator' && peek().value === value;
+  const expect = (value) => {
+    if (!isOperator(value)) {
+      throw syntaxError(`expected "${value}"`, source);
+    }
+    position += 1;
+  };
+
+  let parseExpression;
+
+  const parsePrimary = () => {
+    const token = peek();
+    if (!token) {
+      throw syntaxError('unexpected end of expression', source);
+    }
+    position += 1;
+
+    if (token.type === 'number' || token.type === 'string') {
+      return { type: 'literal', value: token.value };
+    }
+
+    if (token.type === 'identifier') {
+      if (token.value === 'true' || token.value === 'false') {
+        return { type: 'literal', value: token.value === 'true' };
+      }
+      if (token.value === 'null') {
+        return { type: 'literal', value: null };
+      }
+
+      if (isOperator('(')) {
+        if (!FUNCTIONS[token.value]) {
+          throw syntaxError(`unknown function ${token.value}()`, source);
+        }
+        position += 1;
+        const args = [];
+        if (!isOperator(')')) {
+          args.push(parseExpression(0));
+          while (isOperator(',')) {
+            position += 1;
+            args.push(parseExpression(0));
+          }
+        }
+        expect(')');
+        return { type: 'call', name: token.value, args };
+      }
+
+      return { type: 'path', path: token.value.split('.') };
+    }
+
+    if (token.value === '(') {
+      const node = parseExpression(0);
+      expect(')');
+      return node;
+    }
+    if (token.value === '-' || token.value === '!') {
+      return { type: 'unary', operator: token.value, operand: parsePrimary() };
+    }
+
+    throw syntaxError(`unexpected "${token.value}"`, source);
+  };
+
+  parseExpression = (minPrecedence) => {
+    let left = parsePrimary();
+
+    while (peek() && peek().type === 'operator' && BINARY_PRECEDENCE[peek().value] > minPrecedence) {
+      const operator = peek().value;
+      position += 1;
+      const right = parseExpression(BINARY_PRECEDENCE[operator]);
+      left = { type: 'binary', operator, left, right };
+    }
+
+    return left;
+  };
+
+  const ast = parseExpression(0);
+  if (position < tokens.length) {
+    throw syntaxError(`unexpected "${peek().value}"`, source);
+  }
+  return ast;
+};
+
+/**
+ * Read a dotted path; walking through an array maps over its items
+ */
+const resolvePath = (context, path) => path.reduce((value, key) => {
+  if (value === null || value === undefined) {
+    return undefined;
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => (item === null || item === undefined ? undefined : item[key]));
+  }
+  return Object.prototype.hasOwnProperty.call(value, key) ? value[key] : undefined;
+}, context);
+
+const evaluateNode = (node, context) => {
+  switch (node.type) {
+    case 'literal':
+      return node.value;
+    case 'path':
+      return resolvePath(context, node.path);
+    case 'call':
+      return FUNCTIONS[node.name](...node.args.map(arg => evaluateNode(arg, context)));
+    case 'unary': {
+      const operand = evaluateNode(node.operand, context);
+      return node.operator === '!' ? !operand : -Number(operand);
+    }
+    case 'binary': {
+      if (node.operator === '&&') {
+        return evaluateNode(node.left, context) && evaluateNode(node.right, context);
+      }
+      if (node.operator === '||') {
+        return evaluateNode(node.left, context) || evaluateNode(node.right, context);
+      }
+
+      const left = evaluateNode(node.left, context);
+      const right = evaluateNode(node.right, context);
+      switch (node.operator) {
+        case '+': return Number(left || 0) + Number(right || 0);
+        case '-': return Number(left || 0) - Number(right || 0);
+        case '*': return Number(left) * Number(right);
+        case '/': return Number(right) === 0 ? null : Number(left) / Number(right);
+        case '%': return Number(right) === 0 ? null : Number(left) % Number(right);
+        case '==': return looselyEquals(left, right);
+        case '!=': return !looselyEquals(left, right);
+        case '<': return left < right;
+        case '<=': return left <= right;
+        case '>': return left > right;
+        case '>=': return left >= right;
+        default: return undefined;
+      }
+    }
+    default:
+      return undefined;
+  }
+};
+
+/**
+ * Evaluate an expression (or a pre-parsed AST) against a context
+ * @param {string|Object} expression - Expression text or AST from parse()
+ * @param {Object} context - Values the expression may read
+ * @returns {*} Result
+ */
+const evaluate = (expression, context = {}) => {
+  const ast = typeof expression === 'string' ? parse(expression) : expression;
+  const result = evaluateNode(ast, context);
+  // Arithmetic on missing values yields null rather than NaN
+  return typeof result === 'number' && !Number.isFinite(result) ? null : result;
+};
+
+module.exports = {
+  FUNCTIONS,
+  parse,
+  evaluate,
+  resolvePath
+};
@@ -0,0 +1,128 @@
+/**
+ * Validation of model output against a JSON schema. Supports the subset the
+ * AI tasks use: type (or a list of types), enum, properties, required,
+ * additionalProperties: false, items, minItems/maxItems, minimum/maximum
+ * and minLength/maxLength.
+ */
+
+const typeOf = (value) => {
+  if (value === null) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  return typeof value;
+};
+
+const matchesType = (type, value) => {
+  if (type === 'integer') {
+    return Number.isInteger(value);
+  }
+  if (type === 'number') {
+    return typeof value === 'number' && Number.isFinite(value);
+  }
+  return typeOf(value) === type;
+};
+
+/**
+ * Validate a value
+ * @param {Object} schema - JSON schema
+ * @param {*} value - Value to check
+ * @param {string} path - Path of the value, for messages
+ * @returns {Array} Error messages; empty when valid
+ */
+const validate = (schema, value, path = '$') => {
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some(type => matchesType(type, value))) {
+      return [`${path} must be ${types.join(' or ')}, got ${typeOf(value)}`];
+    }
+  }
+
+  const errors = [];
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} must be one of ${schema.enum.map(item => JSON.stringify(item)).join(', ')}`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${path} must be at least ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${path} must be at most ${schema.maximum}`);
+    }
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(`${path} must have at least ${schema.minLength} character(s)`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push(`${path} must have at most ${schema.maxLength} character(s)`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${path} must have at least ${schema.minItems} item(s)`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${path} must have at most ${schema.maxItems} item(s)`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => errors.push(...validate(schema.items, item, `${path}[${index}]`)));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+    (schema.required || [])
+      .filter(name => value[name] === undefined)
+      .forEach(name => errors.push(`${path}.${name} is required`));
+    Object.entries(value).forEach(([name, item]) => {
+      if (properties[name]) {
+        errors.push(...validate(properties[name], item, `${path}.${name}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}.${name} is not allowed`);
+      }
+    });
+  }
+
+  return errors;
+};
+
+/**
+ * Smallest value satisfying a schema; used by the fake AI provider
+ * @param {Object} schema - JSON schema
+ * @returns {*} Example value
+ */
+const example = (schema) => {
+  if (schema.enum) {
+    return schema.enum[0];
+  }
+  switch ([].concat(schema.type)[0]) {
+    case 'object':
+      return (schema.required || []).reduce((result, name) => ({
+        ...result,
+        [name]: example((schema.properties || {})[name] || {})
+      }), {});
+    case 'array':
+      return Array.from({ length: schema.minItems || 0 }, () => example(schema.items || {}));
+    case 'string':
+      return 'x'.repeat(schema.minLength || 0);
+    case 'number':
+    case 'integer':
+      return schema.minimum !== undefined ? schema.minimum : 0;
+    case 'boolean':
+      return false;
+    default:
+      return null;
+  }
+};
+
+module.exports = {
+  validate,
+  example
+};
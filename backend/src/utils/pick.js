@@ -0,0 +1,15 @@
+/**
+ * Copy the given fields of an object that are set (not undefined), e.g. the
+ * updatable fields of a request body
+ * @param {Object} source - Source object
+ * @param {Array} fields - Field names
+ * @returns {Object} Picked fields
+ */
+const pick = (source, fields) => fields.reduce((acc, field) => {
+  if (source[field] !== undefined) {
+    acc[field] = source[field];
+  }
+  return acc;
+}, {});
+
+module.exports = pick;
@@ -0,0 +1,34 @@
+// Smallest round amount worth noticing per currency. Everyday UZS prices
+// are whole thousands (45 000, 150 000), so only millions stand out there.
+const ROUND_AMOUNT_MIN = {
+  UZS: 1000000
+};
+const DEFAULT_ROUND_AMOUNT_MIN = 100;
+
+/**
+ * Smallest amount of a currency that counts as round
+ * @param {string} currency - ISO currency code
+ * @returns {number} Minimum amount
+ */
+const roundAmountMinimum = currency => ROUND_AMOUNT_MIN[String(currency || '').toUpperCase()] || DEFAULT_ROUND_AMOUNT_MIN;
+
+/**
+ * Whether an amount looks estimated rather than receipted: a single
+ * significant digit (5 000 000 or 300, not 1 250 000 or 150) and at least
+ * `minimum`
+ * @param {number} amount - Amount
+ * @param {number} minimum - Smallest round amount
+ * @returns {boolean}
+ */
+const isRoundAmount = (amount, minimum = DEFAULT_ROUND_AMOUNT_MIN) => {
+  if (!(amount >= minimum) || !Number.isInteger(amount)) {
+    return false;
+  }
+  const magnitude = 10 ** (String(amount).length - 1);
+  return amount % magnitude === 0;
+};
+
+module.exports = {
+  isRoundAmount,
+  roundAmountMinimum
+};
@@ -0,0 +1,317 @@
+/**
+ * Compliance rule definitions (`compliance_rules.rule_definition`).
+ *
+ * Built-in types (report_submission, revenue_tracking, tax_compliance,
+ * trip_documentation) run checks implemented in the compliance engine. The
+ * `expression` type is declarative, so rules can be added without a deploy:
+ *
+ *   {
+ *     "type": "expression",
+ *     "parameters": { "minAverage": 10000 },
+ *     "variables": {
+ *       "recentAverage": "avg(pluck(window(monthlyRevenue, 'month', addMonths(today, -3), today), 'amount'))"
+ *     },
+ *     "condition": "recentAverage < params.minAverage",
+ *     "violationType": "low_revenue",
+ *     "description": "Average revenue of the last 3 months ({{recentAverage}}) is below {{params.minAverage}}",
+ *     "severity": "medium",
+ *     "confidence": 0.9
+ *   }
+ *
+ * Expressions (see utils/expression) read the analysis data plus `params`
+ * (the parameters, with company overrides applied), `today`, `rule`
+ * ({ deadlineDays, nextDueDate }) and the variables defined before them.
+ * With `"each": "trips"` the rule is checked for every item of that list,
+ * available as `item`, and may report one violation per item. A violation
+ * is reported when `condition` is true; `{{path}}` placeholders in the
+ * description are filled from the same context.
+ *
+ * Company overrides (`company_compliance_rules.custom_parameters`) may only
+ * set declared parameters, with values of the same type.
+ */
+const { parse } = require('./expression');
+
+const SEVERITIES = ['low', 'medium', 'high', 'critical'];
+const RESERVED_NAMES = ['params', 'today', 'rule', 'item'];
+const EXPRESSION_KEYS = ['type', 'parameters', 'each', 'variables', 'condition', 'violationType', 'description', 'severity', 'confidence'];
+
+const IDENTIFIER = /^[A-Za-z_]\w*$/;
+const PATH = /^[A-Za-z_]\w*(\.[A-Za-z_]\w*)*$/;
+const PLACEHOLDER = /\{\{\s*([^}]*?)\s*\}\}/g;
+
+// Parameters the built-in checks read from their definition
+const BUILT_IN_PARAMETERS = {
+  report_submission: {},
+  revenue_tracking: {
+    threshold: { type: 'number' }
+  },
+  tax_compliance: {
+    taxes: { type: 'array', values: ['vat', 'social_contributions', 'income_tax'] }
+  },
+  trip_documentation: {
+    pre_approval_threshold: { type: 'number' },
+    // receipts, expenses or trip attributes such as purpose
+    required_fields: { type: 'array', items: 'string' }
+  }
+};
+
+const RULE_TYPES = [...Object.keys(BUILT_IN_PARAMETERS), 'expression'];
+
+// Analysis data fields the built-in checks read
+const BUILT_IN_FIELDS = {
+  report_submission: ['lastSubmissionDate'],
+  revenue_tracking: ['monthlyRevenue'],
+  tax_compliance: ['taxPayments', 'reportingPeriodStart', 'reportingPeriodEnd'],
+  trip_documentation: ['trips']
+};
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const typeOf = value => (Array.isArray(value) ? 'array' : typeof value);
+
+const isParameterValue = value => ['number', 'string', 'boolean'].includes(typeof value)
+  || (Array.isArray(value) && value.every(item => ['number', 'string', 'boolean'].includes(typeof item)));
+
+/**
+ * Dotted paths an expression AST reads
+ */
+const collectPaths = (node, paths = []) => {
+  switch (node.type) {
+    case 'path':
+      paths.push(node.path);
+      break;
+    case 'call':
+      node.args.forEach(arg => collectPaths(arg, paths));
+      break;
+    case 'unary':
+      collectPaths(node.operand, paths);
+      break;
+    case 'binary':
+      collectPaths(node.left, paths);
+      collectPaths(node.right, paths);
+      break;
+    default:
+      break;
+  }
+  return paths;
+};
+
+/**
+ * Check one expression: syntax, declared parameters and the use of `item`
+ * @returns {Array} Error messages
+ */
+const checkExpression = (label, source, definition) => {
+  let ast;
+  try {
+    ast = parse(source);
+  } catch (error) {
+    return [`${label}: ${error.message}`];
+  }
+
+  const parameters = isPlainObject(definition.parameters) ? definition.parameters : {};
+  const errors = [];
+  collectPaths(ast).forEach(([root, key]) => {
+    if (root === 'params' && !Object.prototype.hasOwnProperty.call(parameters, key)) {
+      errors.push(`${label}: parameter "${key}" is not declared in parameters`);
+    }
+    if (root === 'item' && !definition.each) {
+      errors.push(`${label}: "item" is only available in rules with "each"`);
+    }
+  });
+  // Once per expression, however often the path is used
+  return [...new Set(errors)];
+};
+
+const validateExpressionDefinition = (definition) => {
+  const errors = [];
+
+  Object.keys(definition)
+    .filter(key => !EXPRESSION_KEYS.includes(key))
+    .forEach(key => errors.push(`unknown property "${key}"`));
+
+  if (definition.parameters !== undefined) {
+    if (!isPlainObject(definition.parameters)) {
+      errors.push('parameters must be an object');
+    } else {
+      Object.entries(definition.parameters).forEach(([name, value]) => {
+        if (!IDENTIFIER.test(name)) {
+          errors.push(`parameter name "${name}" is not a valid identifier`);
+        }
+        if (!isParameterValue(value)) {
+          errors.push(`parameter "${name}" must be a number, string, boolean or a list of them`);
+        }
+      });
+    }
+  }
+
+  if (definition.each !== undefined && (typeof definition.each !== 'string' || !PATH.test(definition.each))) {
+    errors.push('each must be a field path such as "trips"');
+  }
+
+  if (definition.variables !== undefined) {
+    if (!isPlainObject(definition.variables)) {
+      errors.push('variables must be an object of name -> expression');
+    } else {
+      Object.entries(definition.variables).forEach(([name, source]) => {
+        if (!IDENTIFIER.test(name)) {
+          errors.push(`variable name "${name}" is not a valid identifier`);
+        } else if (RESERVED_NAMES.includes(name)) {
+          errors.push(`variable name "${name}" is reserved`);
+        }
+        errors.push(...checkExpression(`variable "${name}"`, source, definition));
+      });
+    }
+  }
+
+  if (definition.condition === undefined) {
+    errors.push('condition is required');
+  } else {
+    errors.push(...checkExpression('condition', definition.condition, definition));
+  }
+
+  if (typeof definition.violationType !== 'string' || !/^[a-z][a-z0-9_]{0,49}$/.test(definition.violationType)) {
+    errors.push('violationType is required: lowercase letters, digits and underscores, at most 50 characters');
+  }
+
+  if (typeof definition.description !== 'string' || definition.description.trim() === '') {
+    errors.push('description is required');
+  } else {
+    [...definition.description.matchAll(PLACEHOLDER)].forEach(([placeholder, path]) => {
+      if (!PATH.test(path)) {
+        errors.push(`description placeholder ${placeholder} must be a field path`);
+      } else {
+        errors.push(...checkExpression(`description placeholder ${placeholder}`, path, definition));
+      }
+    });
+  }
+
+  if (definition.severity !== undefined && !SEVERITIES.includes(definition.severity)) {
+    errors.push(`severity must be one of ${SEVERITIES.join(', ')}`);
+  }
+  if (definition.confidence !== undefined
+    && !(typeof definition.confidence === 'number' && definition.confidence >= 0 && definition.confidence <= 1)) {
+    errors.push('confidence must be a number between 0 and 1');
+  }
+
+  return errors;
+};
+
+const checkParameter = (name, spec, value) => {
+  if (typeOf(value) !== spec.type) {
+    return [`${name} must be a${spec.type === 'array' ? 'n array' : ` ${spec.type}`}`];
+  }
+  if (spec.items && !value.every(item => typeof item === spec.items)) {
+    return [`${name} must contain only ${spec.items}s`];
+  }
+  if (spec.values) {
+    const unknown = value.filter(item => !spec.values.includes(item));
+    if (unknown.length > 0) {
+      return [`${name} contains unknown value(s) ${unknown.join(', ')}; allowed: ${spec.values.join(', ')}`];
+    }
+  }
+  return [];
+};
+
+/**
+ * Validate a rule definition
+ * @param {Object} definition - rule_definition JSON
+ * @returns {Array} Error messages; empty when valid
+ */
+const validateRuleDefinition = (definition) => {
+  if (!isPlainObject(definition)) {
+    return ['rule definition must be an object'];
+  }
+  if (!RULE_TYPES.includes(definition.type)) {
+    return [`type must be one of ${RULE_TYPES.join(', ')}`];
+  }
+  if (definition.type === 'expression') {
+    return validateExpressionDefinition(definition);
+  }
+
+  const parameters = BUILT_IN_PARAMETERS[definition.type];
+  return Object.entries(parameters)
+    .filter(([name]) => definition[name] !== undefined)
+    .flatMap(([name, spec]) => checkParameter(name, spec, definition[name]));
+};
+
+/**
+ * Validate company overrides against the rule they customize
+ * @param {Object} definition - Rule definition
+ * @param {Object} customParameters - Overrides
+ * @returns {Array} Error messages; empty when valid
+ */
+const validateCustomParameters = (definition, customParameters) => {
+  if (customParameters === null || customParameters === undefined) {
+    return [];
+  }
+  if (!isPlainObject(customParameters)) {
+    return ['custom parameters must be an object'];
+  }
+
+  if (definition.type === 'expression') {
+    const declared = definition.parameters || {};
+    return Object.entries(customParameters).flatMap(([name, value]) => {
+      if (!Object.prototype.hasOwnProperty.call(declared, name)) {
+        return [`unknown parameter "${name}"; the rule declares ${Object.keys(declared).join(', ') || 'no parameters'}`];
+      }
+      return typeOf(value) === typeOf(declared[name]) && isParameterValue(value)
+        ? []
+        : [`parameter "${name}" must be a${typeOf(declared[name]) === 'array' ? 'n array' : ` ${typeOf(declared[name])}`}`];
+    });
+  }
+
+  const parameters = BUILT_IN_PARAMETERS[definition.type] || {};
+  return Object.entries(customParameters).flatMap(([name, value]) => (
+    parameters[name]
+      ? checkParameter(name, parameters[name], value)
+      : [`unknown parameter "${name}"; ${definition.type} rules accept ${Object.keys(parameters).join(', ') || 'no parameters'}`]
+  ));
+};
+
+/**
+ * Definition with company overrides applied
+ * @param {Object} definition - Rule definition
+ * @param {Object} customParameters - Validated overrides
+ * @returns {Object} Effective definition
+ */
+const applyCustomParameters = (definition, customParameters) => {
+  if (!customParameters || Object.keys(customParameters).length === 0) {
+    return definition;
+  }
+  if (definition.type === 'expression') {
+    return { ...definition, parameters: { ...(definition.parameters || {}), ...customParameters } };
+  }
+  return { ...definition, ...customParameters, type: definition.type };
+};
+
+/**
+ * Top-level analysis data fields a rule reads, e.g. ["trips"]; lets
+ * monitoring re-check only the rules a change affects
+ * @param {Object} definition - Valid rule definition
+ * @returns {Array} Field names
+ */
+const dataFields = (definition) => {
+  if (definition.type !== 'expression') {
+    return BUILT_IN_FIELDS[definition.type] || [];
+  }
+
+  const variables = Object.keys(definition.variables || {});
+  const sources = [
+    ...Object.values(definition.variables || {}),
+    definition.condition,
+    ...[...definition.description.matchAll(PLACEHOLDER)].map(([, path]) => path)
+  ];
+  const roots = sources.flatMap(source => collectPaths(parse(source)).map(([root]) => root));
+  if (definition.each) {
+    roots.push(definition.each.split('.')[0]);
+  }
+  return [...new Set(roots)].filter(root => !RESERVED_NAMES.includes(root) && !variables.includes(root));
+};
+
+module.exports = {
+  RULE_TYPES,
+  validateRuleDefinition,
+  validateCustomParameters,
+  applyCustomParameters,
+  dataFields
+};
@@ -0,0 +1,17 @@
+const { body } = require('express-validator');
+
+const EXPENSE_CATEGORIES = ['transport', 'accommodation', 'meals', 'materials', 'other'];
+
+// Field checks for a new trip expense, shared by the expense routes and the bulk import
+const expenseFieldValidation = [
+  body('category').isIn(EXPENSE_CATEGORIES).withMessage('Invalid expense category'),
+  body('description').notEmpty().withMessage('Expense description is required'),
+  body('amount').isFloat({ min: 0 }).withMessage('Amount must be a positive number'),
+  body('expenseDate').isISO8601().withMessage('Valid expense date is required'),
+  body('currency').optional().isLength({ min: 3, max: 3 }).withMessage('Currency must be 3 characters')
+];
+
+module.exports = {
+  EXPENSE_CATEGORIES,
+  expenseFieldValidation
+};
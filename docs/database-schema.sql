@@ -22,6 +22,7 @@ CREATE TABLE companies (
     industry VARCHAR(100),
     company_size VARCHAR(20) CHECK (company_size IN ('small', 'medium', 'large')) DEFAULT 'small',
     it_park_resident_since DATE,
+    base_currency VARCHAR(3) DEFAULT 'UZS', -- Currency for consolidated totals
     status VARCHAR(20) CHECK (status IN ('active', 'inactive', 'suspended')) DEFAULT 'active',
     compliance_score INTEGER DEFAULT 0,
     risk_level VARCHAR(20) CHECK (risk_level IN ('low', 'medium', 'high', 'critical')) DEFAULT 'medium',
@@ -38,11 +39,13 @@ CREATE TABLE users (
     first_name VARCHAR(100) NOT NULL,
     last_name VARCHAR(100) NOT NULL,
     role VARCHAR(20) CHECK (role IN ('admin', 'manager', 'accountant', 'employee')) DEFAULT 'employee',
+    department VARCHAR(100),
     phone VARCHAR(20),
     language VARCHAR(5) CHECK (language IN ('en', 'ru', 'uz')) DEFAULT 'en',
     timezone VARCHAR(50) DEFAULT 'UTC',
     is_active BOOLEAN DEFAULT true,
     last_login TIMESTAMP,
+    calendar_token VARCHAR(64) UNIQUE, -- Secret part of the personal .ics feed URLs
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
@@ -75,7 +78,7 @@ CREATE TABLE compliance_rules (
     severity VARCHAR(20) CHECK (severity IN ('low', 'medium', 'high', 'critical')) DEFAULT 'medium',
     frequency VARCHAR(20) CHECK (frequency IN ('daily', 'weekly', 'monthly', 'quarterly', 'annually')) NOT NULL,
     deadline_days INTEGER DEFAULT 30,
-    rule_definition JSON NOT NULL, -- AI rule logic
+    rule_definition JSON NOT NULL, -- Built-in check type or declarative expression rule (backend/src/utils/ruleDefinition.js)
     is_active BOOLEAN DEFAULT true,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
@@ -87,12 +90,23 @@ CREATE TABLE company_compliance_rules (
     company_id UUID REFERENCES companies(id) ON DELETE CASCADE,
     rule_id UUID REFERENCES compliance_rules(id) ON DELETE CASCADE,
     is_enabled BOOLEAN DEFAULT true,
-    custom_parameters JSON,
+    custom_parameters JSON, -- Company overrides of the rule definition parameters
     next_due_date DATE,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     UNIQUE(company_id, rule_id)
 );
 
+-- Official working calendar: public holidays and weekend days declared working days.
+-- Compliance deadlines on weekends or holidays move to the next working day
+CREATE TABLE public_holidays (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    date DATE NOT NULL UNIQUE,
+    name VARCHAR(255) NOT NULL,
+    day_type VARCHAR(20) CHECK (day_type IN ('holiday', 'working_day')) DEFAULT 'holiday',
+    recurring BOOLEAN DEFAULT false, -- same month and day every year
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
 -- =============================================
 -- REPORTING SYSTEM
 -- =============================================
@@ -120,18 +134,63 @@ CREATE TABLE reports (
     reporting_period_start DATE,
     reporting_period_end DATE,
     status VARCHAR(20) CHECK (status IN ('draft', 'generated', 'signed', 'submitted', 'approved', 'rejected')) DEFAULT 'draft',
+    report_data JSON DEFAULT '{}', -- Figures the report is rendered from
     generated_by UUID REFERENCES users(id),
     generated_at TIMESTAMP,
     signed_at TIMESTAMP,
     submitted_at TIMESTAMP,
+    portal_receipt_number VARCHAR(100), -- IT Park receipt of the current submission
+    reviewed_at TIMESTAMP,
+    rejection_reasons JSON, -- Reasons given by IT Park for a rejection
     file_path VARCHAR(500),
     file_hash VARCHAR(64),
+    files JSON DEFAULT '[]', -- Every rendered file: [{format, path, hash, size, language}]
+    pack_manifest JSON, -- Compliance pack manifest (file names, hashes, period, tax ID) and signature
     signature_data JSON,
     ai_analysis JSON, -- AI-generated insights and validations
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Report versions: one immutable row per generation
+CREATE TABLE report_versions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    report_id UUID REFERENCES reports(id) ON DELETE CASCADE,
+    version_number INTEGER NOT NULL,
+    snapshot JSON NOT NULL, -- Title, period, report data and template the files were rendered from
+    snapshot_hash VARCHAR(64) NOT NULL,
+    file_path VARCHAR(500),
+    file_hash VARCHAR(64),
+    files JSON DEFAULT '[]',
+    pack_manifest JSON,
+    generated_by UUID REFERENCES users(id),
+    generated_at TIMESTAMP NOT NULL,
+    signed_by UUID REFERENCES users(id),
+    signed_at TIMESTAMP,
+    signature_data JSON,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(report_id, version_number)
+);
+
+-- Report submissions to the IT Park portal and their review outcome
+CREATE TABLE report_submissions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    report_id UUID REFERENCES reports(id) ON DELETE CASCADE,
+    version_number INTEGER,
+    adapter VARCHAR(30) NOT NULL,
+    receipt_number VARCHAR(100) UNIQUE NOT NULL,
+    status VARCHAR(20) CHECK (status IN ('submitted', 'under_review', 'approved', 'rejected')) DEFAULT 'submitted',
+    file_hash VARCHAR(64),
+    submitted_by UUID REFERENCES users(id),
+    submitted_at TIMESTAMP NOT NULL,
+    last_checked_at TIMESTAMP,
+    decided_at TIMESTAMP,
+    rejection_reasons JSON,
+    portal_response JSON, -- Last record returned by the portal
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
 -- =============================================
 -- BUSINESS TRIPS
 -- =============================================
@@ -143,11 +202,13 @@ CREATE TABLE business_trips (
     employee_id UUID REFERENCES users(id),
     trip_title VARCHAR(255) NOT NULL,
     destination VARCHAR(255) NOT NULL,
+    destination_country VARCHAR(2), -- ISO 3166-1 alpha-2, NULL = domestic
     purpose TEXT NOT NULL,
     start_date DATE NOT NULL,
     end_date DATE NOT NULL,
     total_budget DECIMAL(12,2),
-    total_expenses DECIMAL(12,2) DEFAULT 0,
+    total_expenses DECIMAL(12,2) DEFAULT 0, -- In trip currency
+    total_expenses_base DECIMAL(16,2) DEFAULT 0, -- In company base currency
     currency VARCHAR(3) DEFAULT 'USD',
     status VARCHAR(20) CHECK (status IN ('planned', 'approved', 'in_progress', 'completed', 'reported')) DEFAULT 'planned',
     approval_status VARCHAR(20) CHECK (approval_status IN ('pending', 'approved', 'rejected')) DEFAULT 'pending',
@@ -166,11 +227,159 @@ CREATE TABLE trip_expenses (
     amount DECIMAL(10,2) NOT NULL,
     currency VARCHAR(3) DEFAULT 'USD',
     expense_date DATE NOT NULL,
-    receipt_file VARCHAR(500),
+    exchange_rate DECIMAL(18,6), -- Expense currency -> trip currency at expense_date
+    trip_currency_amount DECIMAL(14,2),
+    base_exchange_rate DECIMAL(18,6), -- Expense currency -> company base currency
+    base_currency_amount DECIMAL(16,2),
+    rate_date DATE, -- Date of the rate actually used
+    receipt_file VARCHAR(500), -- Path relative to the storage volume
+    receipt_hash VARCHAR(64), -- SHA-256, shared by de-duplicated uploads
+    receipt_mime_type VARCHAR(100),
+    receipt_original_name VARCHAR(255),
+    receipt_size INTEGER,
+    receipt_thumbnail VARCHAR(500),
     is_reimbursable BOOLEAN DEFAULT true,
+    policy_id UUID, -- Expense policy applied (see expense_policies)
+    policy_flags JSON, -- Array of {code, reason} for out-of-policy expenses
+    policy_excess_amount DECIMAL(14,2) DEFAULT 0, -- Share above a meal/accommodation cap, not reimbursed (trip currency)
+    risk_score INTEGER CHECK (risk_score >= 0 AND risk_score <= 100), -- NULL until scored
+    risk_factors JSON, -- Array of {code, reason, points} behind the risk score
+    risk_scored_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Trip approval chains (per company, matched by budget, destination and department)
+CREATE TABLE approval_chains (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    company_id UUID REFERENCES companies(id) ON DELETE CASCADE,
+    name VARCHAR(255) NOT NULL,
+    department VARCHAR(100), -- NULL = any department
+    destination_type VARCHAR(20) CHECK (destination_type IN ('any', 'domestic', 'abroad')) DEFAULT 'any',
+    budget_above DECIMAL(12,2), -- Applies when total_budget exceeds this amount
+    currency VARCHAR(3) DEFAULT 'USD',
+    priority INTEGER DEFAULT 0,
+    steps JSON NOT NULL, -- Ordered array of {label, roles, userId}
+    is_active BOOLEAN DEFAULT true,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Approval delegations (e.g. approver on leave)
+CREATE TABLE approval_delegations (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    company_id UUID REFERENCES companies(id) ON DELETE CASCADE,
+    delegator_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    delegate_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    starts_at DATE NOT NULL,
+    ends_at DATE NOT NULL,
+    reason VARCHAR(255),
+    is_active BOOLEAN DEFAULT true,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK (ends_at >= starts_at)
+);
+
+-- Trip approval steps (one row per step, with the decision taken)
+CREATE TABLE trip_approval_steps (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    trip_id UUID REFERENCES business_trips(id) ON DELETE CASCADE,
+    chain_id UUID REFERENCES approval_chains(id) ON DELETE SET NULL,
+    step_order INTEGER NOT NULL,
+    label VARCHAR(100),
+    approver_roles JSON,
+    approver_user_id UUID REFERENCES users(id),
+    status VARCHAR(20) CHECK (status IN ('pending', 'approved', 'rejected', 'skipped')) DEFAULT 'pending',
+    decided_by UUID REFERENCES users(id),
+    on_behalf_of UUID REFERENCES users(id),
+    comment TEXT,
+    decided_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(trip_id, step_order)
+);
+
+-- Trip status transitions (who or what changed the lifecycle status)
+CREATE TABLE trip_status_history (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    trip_id UUID REFERENCES business_trips(id) ON DELETE CASCADE,
+    from_status VARCHAR(20),
+    to_status VARCHAR(20) NOT NULL,
+    source VARCHAR(20) CHECK (source IN ('user', 'approval_workflow', 'scheduler', 'trip_report')) NOT NULL,
+    changed_by UUID REFERENCES users(id), -- NULL for scheduler transitions
+    reason TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Expense policies (per-diem and caps per destination country/city)
+CREATE TABLE expense_policies (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    company_id UUID REFERENCES companies(id) ON DELETE CASCADE,
+    name VARCHAR(255) NOT NULL,
+    country VARCHAR(2), -- NULL = any country
+    city VARCHAR(100), -- NULL = any city
+    currency VARCHAR(3) DEFAULT 'USD',
+    per_diem_rate DECIMAL(12,2),
+    daily_meal_cap DECIMAL(12,2),
+    nightly_accommodation_cap DECIMAL(12,2),
+    receipt_required_above DECIMAL(12,2),
+    non_reimbursable_categories JSON DEFAULT '[]',
+    is_active BOOLEAN DEFAULT true,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+ALTER TABLE trip_expenses ADD CONSTRAINT fk_trip_expenses_policy
+    FOREIGN KEY (policy_id) REFERENCES expense_policies(id) ON DELETE SET NULL;
+
+-- Exchange rates against UZS (Central Bank of Uzbekistan), one per currency and date
+CREATE TABLE exchange_rates (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    currency VARCHAR(3) NOT NULL,
+    rate_date DATE NOT NULL,
+    rate DECIMAL(18,6) NOT NULL, -- UZS per 1 unit of currency
+    source VARCHAR(20) DEFAULT 'cbu',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(currency, rate_date)
+);
+
+-- Cash advances paid to the traveller
+CREATE TABLE trip_advances (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    trip_id UUID REFERENCES business_trips(id) ON DELETE CASCADE,
+    amount DECIMAL(12,2) NOT NULL,
+    currency VARCHAR(3) NOT NULL,
+    issued_on DATE NOT NULL,
+    exchange_rate DECIMAL(18,6), -- Advance currency -> trip currency on issued_on
+    trip_currency_amount DECIMAL(14,2),
+    payment_method VARCHAR(20) CHECK (payment_method IN ('cash', 'bank_transfer', 'card')) DEFAULT 'cash',
+    reference VARCHAR(100),
+    notes TEXT,
+    issued_by UUID REFERENCES users(id),
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Trip settlement: advances netted against reimbursable expenses (trip currency)
+CREATE TABLE trip_settlements (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    trip_id UUID UNIQUE REFERENCES business_trips(id) ON DELETE CASCADE,
+    currency VARCHAR(3) NOT NULL,
+    total_advances DECIMAL(14,2) DEFAULT 0,
+    reimbursable_expenses DECIMAL(14,2) DEFAULT 0,
+    non_reimbursable_expenses DECIMAL(14,2) DEFAULT 0,
+    balance DECIMAL(14,2) DEFAULT 0, -- > 0 owed to the employee, < 0 owed by the employee
+    direction VARCHAR(30) CHECK (direction IN ('company_owes_employee', 'employee_owes_company', 'settled')) NOT NULL,
+    status VARCHAR(20) CHECK (status IN ('open', 'paid')) DEFAULT 'open',
+    pdf_path VARCHAR(500),
+    pdf_hash VARCHAR(64),
+    excel_path VARCHAR(500),
+    excel_hash VARCHAR(64),
+    generated_by UUID REFERENCES users(id),
+    generated_at TIMESTAMP,
+    paid_by UUID REFERENCES users(id),
+    paid_at TIMESTAMP,
+    payment_reference VARCHAR(100),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
 -- Trip reports
 CREATE TABLE trip_reports (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -202,19 +411,57 @@ CREATE TABLE audit_logs (
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
--- Compliance violations
+-- Compliance violations: rule violations and anomaly types found by analysis, tracked as cases
 CREATE TABLE compliance_violations (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
     company_id UUID REFERENCES companies(id) ON DELETE CASCADE,
     rule_id UUID REFERENCES compliance_rules(id),
+    report_id UUID REFERENCES reports(id) ON DELETE SET NULL, -- last analysed report that found it
+    source VARCHAR(20) CHECK (source IN ('rule', 'anomaly')) DEFAULT 'rule',
     violation_type VARCHAR(50) NOT NULL,
     severity VARCHAR(20) CHECK (severity IN ('low', 'medium', 'high', 'critical')) NOT NULL,
     description TEXT NOT NULL,
+    subject VARCHAR(255), -- what the violation is about within the period, e.g. trip:<id> or vat:2026-03
+    period_start DATE,
+    period_end DATE,
+    dedup_key VARCHAR(64) NOT NULL, -- hash of company, rule/anomaly type, period and subject
     detected_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    last_detected_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    occurrences INTEGER DEFAULT 1,
+    assigned_to UUID REFERENCES users(id) ON DELETE SET NULL,
     resolved_at TIMESTAMP,
+    resolved_by UUID REFERENCES users(id),
     resolution_notes TEXT,
     status VARCHAR(20) CHECK (status IN ('open', 'investigating', 'resolved', 'false_positive')) DEFAULT 'open',
     ai_confidence DECIMAL(3,2), -- AI confidence score 0.00-1.00
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(company_id, dedup_key)
+);
+
+-- Comments on violations; status changes and assignments are logged here too
+CREATE TABLE compliance_violation_comments (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    violation_id UUID REFERENCES compliance_violations(id) ON DELETE CASCADE,
+    user_id UUID REFERENCES users(id),
+    comment TEXT,
+    status_from VARCHAR(20),
+    status_to VARCHAR(20),
+    assigned_to UUID REFERENCES users(id),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Evidence files attached to violations
+CREATE TABLE compliance_violation_evidence (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    violation_id UUID REFERENCES compliance_violations(id) ON DELETE CASCADE,
+    uploaded_by UUID REFERENCES users(id),
+    file_name VARCHAR(255) NOT NULL,
+    file_path VARCHAR(500) NOT NULL,
+    file_hash VARCHAR(64) NOT NULL,
+    mime_type VARCHAR(100) NOT NULL,
+    file_size INTEGER,
+    description TEXT,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
@@ -222,15 +469,44 @@ CREATE TABLE compliance_violations (
 CREATE TABLE risk_assessments (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
     company_id UUID REFERENCES companies(id) ON DELETE CASCADE,
+    report_id UUID REFERENCES reports(id) ON DELETE SET NULL, -- analysis that produced it
     assessment_type VARCHAR(50) NOT NULL,
     risk_score INTEGER NOT NULL CHECK (risk_score >= 0 AND risk_score <= 100),
-    risk_factors JSON NOT NULL,
+    risk_factors JSON NOT NULL, -- { uncappedScore, factors: [{ source, type, ruleId, severity, description, weight, basePoints, points }] }
     recommendations JSON,
     assessed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     valid_until TIMESTAMP,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Domain events (trip, expense, report and violation changes); dispatched to in-process handlers
+CREATE TABLE domain_events (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    type VARCHAR(100) NOT NULL, -- e.g. trip.approved, report.signed
+    company_id UUID REFERENCES companies(id) ON DELETE CASCADE,
+    aggregate_type VARCHAR(50),
+    aggregate_id UUID,
+    payload JSON DEFAULT '{}',
+    user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    occurred_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Outcome of each handler per event; processed runs are not repeated unless replayed with force
+CREATE TABLE event_handler_runs (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    event_id UUID NOT NULL REFERENCES domain_events(id) ON DELETE CASCADE,
+    handler VARCHAR(100) NOT NULL,
+    status VARCHAR(20) CHECK (status IN ('pending', 'running', 'processed', 'failed')) DEFAULT 'pending',
+    attempts INTEGER DEFAULT 0,
+    result JSON,
+    error_message TEXT,
+    processed_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(event_id, handler)
+);
+
 -- =============================================
 -- NOTIFICATIONS & ALERTS
 -- =============================================
@@ -300,6 +576,24 @@ CREATE TABLE ai_models (
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Language model requests per company: tokens and cost for accounting
+CREATE TABLE ai_usage (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    company_id UUID REFERENCES companies(id) ON DELETE CASCADE,
+    model_id UUID REFERENCES ai_models(id) ON DELETE SET NULL,
+    task VARCHAR(50) NOT NULL, -- ai_models.model_type
+    provider VARCHAR(30) NOT NULL,
+    model VARCHAR(100) NOT NULL,
+    attempts INTEGER DEFAULT 1, -- including repair retries of invalid output
+    prompt_tokens INTEGER DEFAULT 0,
+    completion_tokens INTEGER DEFAULT 0,
+    cost DECIMAL(12,6) DEFAULT 0, -- USD
+    duration_ms INTEGER,
+    status VARCHAR(20) CHECK (status IN ('success', 'invalid_output', 'failed')) NOT NULL,
+    error_message TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
 -- AI predictions and insights
 CREATE TABLE ai_insights (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -418,12 +712,23 @@ CREATE INDEX idx_reports_company_id ON reports(company_id);
 CREATE INDEX idx_reports_status ON reports(status);
 CREATE INDEX idx_reports_report_type ON reports(report_type);
 CREATE INDEX idx_reports_reporting_period ON reports(reporting_period_start, reporting_period_end);
+CREATE INDEX idx_report_versions_report_id ON report_versions(report_id);
+CREATE INDEX idx_report_submissions_report_id ON report_submissions(report_id);
+CREATE INDEX idx_report_submissions_status ON report_submissions(status);
 
 -- Business trips indexes
 CREATE INDEX idx_business_trips_company_id ON business_trips(company_id);
 CREATE INDEX idx_business_trips_employee_id ON business_trips(employee_id);
 CREATE INDEX idx_business_trips_status ON business_trips(status);
 CREATE INDEX idx_business_trips_dates ON business_trips(start_date, end_date);
+CREATE INDEX idx_approval_chains_company_id ON approval_chains(company_id);
+CREATE INDEX idx_approval_delegations_delegate_id ON approval_delegations(delegate_id, starts_at, ends_at);
+CREATE INDEX idx_trip_approval_steps_trip_id ON trip_approval_steps(trip_id);
+CREATE INDEX idx_trip_expenses_receipt_hash ON trip_expenses(receipt_hash);
+CREATE INDEX idx_trip_expenses_risk_score ON trip_expenses(risk_score);
+CREATE INDEX idx_expense_policies_company_id ON expense_policies(company_id);
+CREATE INDEX idx_trip_status_history_trip_id ON trip_status_history(trip_id, created_at);
+CREATE INDEX idx_trip_advances_trip_id ON trip_advances(trip_id);
 
 -- Audit and monitoring indexes
 CREATE INDEX idx_audit_logs_company_id ON audit_logs(company_id);
@@ -431,6 +736,14 @@ CREATE INDEX idx_audit_logs_created_at ON audit_logs(created_at);
 CREATE INDEX idx_compliance_violations_company_id ON compliance_violations(company_id);
 CREATE INDEX idx_compliance_violations_status ON compliance_violations(status);
 CREATE INDEX idx_compliance_violations_severity ON compliance_violations(severity);
+CREATE INDEX idx_compliance_violations_assigned_to ON compliance_violations(assigned_to);
+CREATE INDEX idx_compliance_violation_comments_violation_id ON compliance_violation_comments(violation_id);
+CREATE INDEX idx_compliance_violation_evidence_violation_id ON compliance_violation_evidence(violation_id);
+CREATE INDEX idx_risk_assessments_company_id_assessed_at ON risk_assessments(company_id, assessed_at);
+CREATE INDEX idx_domain_events_company_id_occurred_at ON domain_events(company_id, occurred_at);
+CREATE INDEX idx_domain_events_type_occurred_at ON domain_events(type, occurred_at);
+CREATE INDEX idx_domain_events_aggregate ON domain_events(aggregate_type, aggregate_id);
+CREATE INDEX idx_event_handler_runs_status ON event_handler_runs(status);
 
 -- Notifications indexes
 CREATE INDEX idx_notifications_company_id ON notifications(company_id);
@@ -439,6 +752,7 @@ CREATE INDEX idx_notifications_status ON notifications(status);
 CREATE INDEX idx_notifications_created_at ON notifications(created_at);
 
 -- AI and analytics indexes
+CREATE INDEX idx_ai_usage_company_id_created_at ON ai_usage(company_id, created_at);
 CREATE INDEX idx_ai_insights_company_id ON ai_insights(company_id);
 CREATE INDEX idx_ai_insights_insight_type ON ai_insights(insight_type);
 CREATE INDEX idx_assistant_conversations_company_id ON assistant_conversations(company_id);
@@ -481,12 +795,57 @@ CREATE TRIGGER update_compliance_rules_updated_at BEFORE UPDATE ON compliance_ru
 CREATE TRIGGER update_reports_updated_at BEFORE UPDATE ON reports
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
+CREATE TRIGGER update_compliance_violations_updated_at BEFORE UPDATE ON compliance_violations
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_report_submissions_updated_at BEFORE UPDATE ON report_submissions
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
 CREATE TRIGGER update_business_trips_updated_at BEFORE UPDATE ON business_trips
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
+CREATE TRIGGER update_approval_chains_updated_at BEFORE UPDATE ON approval_chains
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_expense_policies_updated_at BEFORE UPDATE ON expense_policies
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_trip_settlements_updated_at BEFORE UPDATE ON trip_settlements
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
 CREATE TRIGGER update_integrations_updated_at BEFORE UPDATE ON integrations
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
+CREATE TRIGGER update_event_handler_runs_updated_at BEFORE UPDATE ON event_handler_runs
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Report versions are immutable; only signing may change a row and signed
+-- versions cannot be deleted (also not through ON DELETE CASCADE)
+CREATE OR REPLACE FUNCTION protect_report_versions()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF TG_OP = 'DELETE' THEN
+        IF OLD.signed_at IS NOT NULL THEN
+            RAISE EXCEPTION 'Signed report version % cannot be deleted', OLD.id;
+        END IF;
+        RETURN OLD;
+    END IF;
+
+    IF OLD.signed_at IS NOT NULL
+        OR NEW.version_number <> OLD.version_number
+        OR NEW.snapshot_hash <> OLD.snapshot_hash
+        OR NEW.snapshot::text <> OLD.snapshot::text
+        OR NEW.file_hash IS DISTINCT FROM OLD.file_hash
+        OR NEW.files::text <> OLD.files::text THEN
+        RAISE EXCEPTION 'Report version % is immutable', OLD.id;
+    END IF;
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+CREATE TRIGGER protect_report_versions BEFORE UPDATE OR DELETE ON report_versions
+    FOR EACH ROW EXECUTE FUNCTION protect_report_versions();
+
 -- =============================================
 -- INITIAL DATA SETUP
 -- =============================================
@@ -494,9 +853,24 @@ CREATE TRIGGER update_integrations_updated_at BEFORE UPDATE ON integrations
 -- Insert default compliance rules
 INSERT INTO compliance_rules (name, description, category, rule_type, severity, frequency, deadline_days, rule_definition) VALUES
 ('Quarterly Financial Report', 'Submit quarterly financial statements to IT Park', 'financial', 'mandatory', 'high', 'quarterly', 30, '{"type": "report_submission", "format": "quarterly_pack"}'),
-('Annual Tax Report', 'Submit annual tax compliance report', 'legal', 'mandatory', 'critical', 'annually', 45, '{"type": "tax_compliance", "documents": ["tax_return", "audit_report"]}'),
+('Annual Tax Report', 'Submit annual tax compliance report', 'legal', 'mandatory', 'critical', 'annually', 45, '{"type": "tax_compliance", "documents": ["tax_return", "audit_report"], "taxes": ["vat", "social_contributions", "income_tax"]}'),
 ('Monthly Revenue Tracking', 'Track and report monthly revenue figures', 'financial', 'mandatory', 'medium', 'monthly', 15, '{"type": "revenue_tracking", "threshold": 10000}'),
-('Business Trip Documentation', 'Document all business trips with proper receipts', 'operational', 'mandatory', 'medium', 'monthly', 7, '{"type": "trip_documentation", "required_fields": ["purpose", "expenses", "receipts"]}');
+('Business Trip Documentation', 'Document all business trips with proper receipts', 'operational', 'mandatory', 'medium', 'monthly', 7, '{"type": "trip_documentation", "required_fields": ["purpose", "expenses", "receipts"], "pre_approval_threshold": 5000000}'),
+('Revenue Decline', 'Flag a sharp drop in average monthly revenue over the last quarter', 'financial', 'recommended', 'medium', 'monthly', 30, '{"type": "expression", "parameters": {"maxDropPercent": 30}, "variables": {"recent": "avg(pluck(window(monthlyRevenue, ''month'', addMonths(today, -3), today), ''amount''))", "previous": "avg(pluck(window(monthlyRevenue, ''month'', addMonths(today, -6), addDays(addMonths(today, -3), -1)), ''amount''))"}, "condition": "previous > 0 && (previous - recent) / previous * 100 > params.maxDropPercent", "violationType": "revenue_decline", "description": "Average monthly revenue fell from {{previous}} to {{recent}}"}');
+
+-- Insert Uzbekistan public holidays; Ramazon and Qurbon hayiti move every year and are added as announced
+INSERT INTO public_holidays (date, name, recurring) VALUES
+('2025-01-01', 'New Year''s Day', true),
+('2025-03-08', 'International Women''s Day', true),
+('2025-03-21', 'Navruz', true),
+('2025-05-09', 'Day of Remembrance and Honour', true),
+('2025-09-01', 'Independence Day', true),
+('2025-10-01', 'Teachers'' and Instructors'' Day', true),
+('2025-12-08', 'Constitution Day', true),
+('2025-03-30', 'Ramazon hayiti', false),
+('2025-06-06', 'Qurbon hayiti', false),
+('2026-03-20', 'Ramazon hayiti', false),
+('2026-05-27', 'Qurbon hayiti', false);
 
 -- Insert default report templates
 INSERT INTO report_templates (name, description, template_type, format, template_data) VALUES
@@ -514,4 +888,6 @@ INSERT INTO notification_templates (name, template_type, channel, language, subj
 INSERT INTO ai_models (name, model_type, version, configuration, performance_metrics, is_active, deployed_at) VALUES
 ('Compliance Risk Scorer', 'risk_assessment', '1.0', '{"algorithm": "ensemble", "features": ["financial_ratios", "submission_history", "violation_count"]}', '{"accuracy": 0.87, "precision": 0.82, "recall": 0.91}', true, CURRENT_TIMESTAMP),
 ('Anomaly Detector', 'anomaly_detection', '1.0', '{"algorithm": "isolation_forest", "threshold": 0.1}', '{"false_positive_rate": 0.05, "detection_rate": 0.93}', true, CURRENT_TIMESTAMP),
-('Virtual Assistant', 'nlp_chatbot', '1.0', '{"model": "gpt-4", "context_window": 4000, "temperature": 0.7}', '{"response_accuracy": 0.94, "user_satisfaction": 4.2}', true, CURRENT_TIMESTAMP);
\ No newline at end of file
+('AI Anomaly Review', 'anomaly_detection', '1.0', '{"provider": "openai", "model": "gpt-4", "temperature": 0.3, "maxTokens": 1000, "pricing": {"promptPer1k": 0.03, "completionPer1k": 0.06}}', NULL, true, CURRENT_TIMESTAMP),
+('Compliance Advisor', 'compliance_recommendations', '1.0', '{"provider": "openai", "model": "gpt-4", "temperature": 0.4, "maxTokens": 800, "pricing": {"promptPer1k": 0.03, "completionPer1k": 0.06}}', NULL, true, CURRENT_TIMESTAMP),
+('Virtual Assistant', 'nlp_chatbot', '1.0', '{"provider": "openai", "model": "gpt-4", "context_window": 4000, "temperature": 0.7, "pricing": {"promptPer1k": 0.03, "completionPer1k": 0.06}}', '{"response_accuracy": 0.94, "user_satisfaction": 4.2}', true, CURRENT_TIMESTAMP);
\ No newline at end of file